@@ -5,13 +5,56 @@ const serverless = require("serverless-http");
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
-const fs = require("fs");
 const multer = require("multer");
 const mongoose = require("mongoose");
 const dotenv = require("dotenv");
 const { v4: uuidv4 } = require("uuid");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { ROLES, createAuth } = require("../lib/auth");
+const { createSessionStore, createSessionRoutes } = require("../lib/sessions");
+const {
+  USER_STATUSES,
+  createUserStore,
+  isSuspended,
+  toSafeUser,
+} = require("../lib/users");
+const { createMailer } = require("../lib/mailer");
+const { createOneTimeTokenStore } = require("../lib/tokens");
+const { createPasswordRoutes } = require("../lib/passwords");
+const { createEmailVerification } = require("../lib/verification");
+const { createTwoFactor } = require("../lib/mfa");
+const {
+  createLoginThrottle,
+  createLoginThrottleRoutes,
+} = require("../lib/loginThrottle");
+const { createAdminUserRoutes } = require("../lib/adminUsers");
+const { createUploadStore, isAudio } = require("../lib/uploads");
+const { createStorage } = require("../lib/storage");
+const { AUDIO_URL_ROUTES, createStreaming } = require("../lib/streaming");
+const { createDataExport } = require("../lib/dataExport");
+const { createOidcLogin } = require("../lib/oidc");
+const { createAdminSetup, loadLocalAdmins } = require("../lib/adminBootstrap");
+const { createAccountDeletion } = require("../lib/accountDeletion");
+const { createApiKeys } = require("../lib/apiKeys");
+const { createAuditLog } = require("../lib/audit");
+const { catalogTextIndex, createCatalog } = require("../lib/catalog");
+const { createCollections } = require("../lib/collections");
+const { Program, createPrograms } = require("../lib/programs");
+const { createListening } = require("../lib/listening");
+const { createFavorites } = require("../lib/favorites");
+const { createRatings, ratingSchemaFields } = require("../lib/ratings");
+const { createRecommendations } = require("../lib/recommendations");
+const {
+  adminView,
+  createEditorial,
+  editorialSchemaFields,
+  publicView,
+} = require("../lib/editorial");
+const {
+  encryptProfile,
+  logEncryptionStatus,
+  profileEncryptionPlugin,
+} = require("../lib/fieldEncryption");
 
 // Load environment variables
 dotenv.config();
@@ -45,20 +88,21 @@ const UPLOADS_DIR =
     ? "/tmp/uploads"
     : path.join(__dirname, "../uploads");
 
+// Uploaded files live on the STORAGE_DRIVER backend (local disk by
+// default); the local driver creates its directory
+const fileStorage = createStorage({ localDir: UPLOADS_DIR, logger });
+
 logger.info("Initializing Express app", {
   environment: process.env.NODE_ENV || "development",
   isVercel: process.env.VERCEL === "1",
+  storageDriver: fileStorage.driver.name,
   uploadsDir: UPLOADS_DIR,
 });
 
-// Create uploads directory if it doesn't exist
-try {
-  if (!fs.existsSync(UPLOADS_DIR)) {
-    fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-    logger.info("✓ Uploads directory created");
-  }
-} catch (error) {
-  logger.warn("Could not create uploads directory", error.message);
+if (process.env.VERCEL === "1" && fileStorage.driver.name === "local") {
+  logger.warn(
+    "Uploads are stored in /tmp, which is per instance and temporary; set STORAGE_DRIVER=s3 to keep them"
+  );
 }
 
 // ============================================
@@ -84,7 +128,12 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
   ],
-  exposedHeaders: ["Content-Range", "X-Content-Range"],
+  exposedHeaders: [
+    "Content-Range",
+    "X-Content-Range",
+    "Accept-Ranges",
+    "ETag",
+  ],
   credentials: true,
   maxAge: 86400, // 24 hours
 };
@@ -92,15 +141,15 @@ const corsOptions = {
 // ============================================
 // FILE UPLOAD CONFIGURATION
 // ============================================
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: function (req, file, cb) {
+const storage = fileStorage.multerStorage({
+  filename: function (file) {
     const uniqueSuffix = Date.now() + "-" + uuidv4();
     const ext = path.extname(file.originalname);
-    cb(null, uniqueSuffix + ext);
+    return uniqueSuffix + ext;
   },
+  // Audio is kept in memory as it is stored so its metadata can be read
+  // without fetching the file back (see lib/uploads.js)
+  keepBuffer: isAudio,
 });
 
 const upload = multer({
@@ -145,41 +194,24 @@ const localDB = {
   sounds: [],
   marketplaceRequests: [],
   marketplaceItems: [],
+  refreshTokens: [],
+  oneTimeTokens: [],
+  loginAttempts: [],
+  uploads: [],
+  dataExports: [],
+  deletedAccounts: [],
+  apiKeys: [],
+  auditLog: [],
+  collections: [],
+  programs: [],
+  programEnrollments: [],
+  plays: [],
+  trackProgress: [],
+  favorites: [],
+  ratings: [],
+  recommendationSets: [],
 };
 
-// Initialize local admin user
-async function initLocalAdminUser() {
-  const adminEmail = "admin@nirvaha.com";
-  const adminExists = localDB.users.find((u) => u.email === adminEmail);
-
-  if (!adminExists) {
-    try {
-      const adminPassword = "N1rv@h@Adm!n#2025@Secure";
-      const hashedPassword = await bcrypt.hash(adminPassword, 12);
-
-      localDB.users.push({
-        id: uuidv4(),
-        name: "Nirvaha Administrator",
-        email: adminEmail,
-        password: hashedPassword,
-        role: "admin",
-        profile: {
-          mobile: "+1-ADMIN-001",
-          age: "",
-          gender: "Not Specified",
-          address: "Nirvaha Headquarters",
-          education: "Administrator",
-          healthCondition: "Not Applicable",
-        },
-      });
-
-      logger.info("✓ Local admin user initialized");
-    } catch (error) {
-      logger.error("Failed to initialize local admin user", error.message);
-    }
-  }
-}
-
 // Database connection
 async function connectMongo() {
   if (!MONGODB_URI) {
@@ -217,13 +249,15 @@ const meditationSchema = new mongoose.Schema(
     level: { type: String, default: "" },
     category: { type: String, default: "" },
     description: { type: String, default: "" },
-    status: { type: String, default: "Draft" },
+    ...editorialSchemaFields,
+    ...ratingSchemaFields,
     thumbnailUrl: { type: String, default: "" },
     bannerUrl: { type: String, default: "" },
     audioUrl: { type: String, default: "" },
   },
   { timestamps: true }
 );
+meditationSchema.index(...catalogTextIndex("meditations"));
 
 const soundSchema = new mongoose.Schema(
   {
@@ -234,7 +268,8 @@ const soundSchema = new mongoose.Schema(
     duration: { type: Number, required: true },
     category: { type: String, default: "" },
     description: { type: String, default: "" },
-    status: { type: String, default: "Draft" },
+    ...editorialSchemaFields,
+    ...ratingSchemaFields,
     thumbnailUrl: { type: String, default: "" },
     bannerUrl: { type: String, default: "" },
     audioUrl: { type: String, default: "" },
@@ -242,6 +277,7 @@ const soundSchema = new mongoose.Schema(
   },
   { timestamps: true }
 );
+soundSchema.index(...catalogTextIndex("sounds"));
 
 const userSchema = new mongoose.Schema(
   {
@@ -249,7 +285,37 @@ const userSchema = new mongoose.Schema(
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true, index: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
+    role: { type: String, enum: ROLES, default: "user" },
+    passwordChangedAt: { type: Date, default: null },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    status: { type: String, enum: USER_STATUSES, default: "active" },
+    suspendedAt: { type: Date, default: null },
+    suspendedReason: { type: String, default: "" },
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null, index: true },
+    deletionRequestedBy: { type: String, default: null },
+    // External OpenID Connect logins linked to this account
+    identities: {
+      type: [
+        {
+          _id: false,
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          email: { type: String, default: "" },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null },
+      pendingSecret: { type: String, default: null },
+      recoveryCodes: { type: [String], default: [] },
+      lastUsedStep: { type: Number, default: 0 },
+      enabledAt: { type: Date, default: null },
+    },
     profile: {
       mobile: { type: String, default: "" },
       age: { type: String, default: "" },
@@ -265,6 +331,7 @@ const userSchema = new mongoose.Schema(
 const companionApplicationSchema = new mongoose.Schema(
   {
     id: { type: String, default: uuidv4, unique: true, index: true },
+    userId: { type: String, default: "", index: true },
     fullName: { type: String, required: true },
     email: { type: String, required: true },
     phone: { type: String, default: "" },
@@ -322,6 +389,9 @@ const marketplaceRequestSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// mobile, address and healthCondition are encrypted at rest
+userSchema.plugin(profileEncryptionPlugin);
+
 // Create/Get Models
 const Meditation =
   mongoose.models.Meditation || mongoose.model("Meditation", meditationSchema);
@@ -342,6 +412,10 @@ const MarketplaceRequest =
 // ============================================
 const app = express();
 
+// Vercel sits in front of the function; trust it for req.ip so per-IP login
+// throttling sees the real client address.
+app.set("trust proxy", 1);
+
 // Error handling wrapper for async routes
 const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch((err) => {
@@ -366,27 +440,34 @@ app.use(cors(corsOptions));
 app.use(express.json({ limit: "2mb" }));
 app.use(express.urlencoded({ extended: true }));
 
-// Static file serving
-app.use("/uploads", express.static(UPLOADS_DIR));
+// Static file serving for images; audio is streamed through signed,
+// expiring URLs
+const streaming = createStreaming({
+  secret: process.env.STREAM_URL_SECRET || JWT_SECRET,
+  storage: fileStorage,
+  logger,
+});
+app.use(AUDIO_URL_ROUTES, streaming.audioUrls);
+app.use("/uploads", streaming.publicUploads);
+app.use(streaming.router);
 
 // ============================================
 // MIDDLEWARE
 // ============================================
-const jwtAuth = (req, res, next) => {
-  try {
-    const token = req.headers.authorization?.split(" ")[1];
-    if (!token) {
-      return res.status(401).json({ error: "No token provided" });
-    }
+const db = { localDB, isMongo: () => mongoConnected };
+const users = createUserStore({ ...db, User });
+const sessions = createSessionStore(db);
+const auth = createAuth({ jwtSecret: JWT_SECRET, sessions, users, logger });
+const { requireSelfOrAdmin } = auth;
 
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    logger.warn("JWT authentication failed", error.message);
-    res.status(401).json({ error: "Invalid token" });
-  }
-};
+// Append-only, hash-chained record of admin actions
+const audit = createAuditLog({ ...db, auth, logger });
+app.use(audit.router);
+
+const tokens = createOneTimeTokenStore(db);
+const mailer = createMailer({ logger });
+const loginThrottle = createLoginThrottle({ ...db, logger });
+const adminSetup = createAdminSetup({ users, logger });
 
 // ============================================
 // HEALTH CHECK ROUTE
@@ -415,11 +496,21 @@ app.get("/api/health", (req, res) => {
 // ============================================
 // AUTHENTICATION ROUTES
 // ============================================
+
+// The user can request a new link, so registration still succeeds
+async function sendVerificationSafely(user) {
+  try {
+    await verification.sendVerification(user);
+  } catch (error) {
+    logger.error("Verification email error", error.message);
+  }
+}
+
 app.post(
   "/api/auth/register",
   asyncHandler(async (req, res) => {
     try {
-      const { name, email, password, role } = req.body;
+      const { name, email, password } = req.body;
 
       logger.debug("User registration attempt", { email });
 
@@ -451,7 +542,9 @@ app.post(
           name,
           email: email.toLowerCase(),
           password: hashedPassword,
-          role: role || "user",
+          // Roles are granted by admins only, never chosen at sign-up
+          role: "user",
+          emailVerified: false,
           profile: {
             mobile: "",
             age: "",
@@ -464,21 +557,19 @@ app.post(
 
         localDB.users.push(newUser);
         logger.info("User registered (local DB)", { email });
+        await sendVerificationSafely(newUser);
 
-        const token = jwt.sign(
-          { id: newUser.id, email: newUser.email, role: newUser.role },
-          JWT_SECRET,
-          { expiresIn: "7d" }
-        );
+        const tokens = await auth.issueTokens(newUser, req);
 
         return res.status(201).json({
           message: "User registered successfully",
-          token,
+          ...tokens,
           user: {
             id: newUser.id,
             name: newUser.name,
             email: newUser.email,
             role: newUser.role,
+            emailVerified: false,
           },
         });
       }
@@ -498,7 +589,7 @@ app.post(
         name,
         email: email.toLowerCase(),
         password: hashedPassword,
-        role: role || "user",
+        role: "user",
         profile: {
           mobile: "",
           age: "",
@@ -511,21 +602,19 @@ app.post(
 
       await newUser.save();
       logger.info("User registered (MongoDB)", { email });
+      await sendVerificationSafely(newUser);
 
-      const token = jwt.sign(
-        { id: newUser.id, email: newUser.email, role: newUser.role },
-        JWT_SECRET,
-        { expiresIn: "7d" }
-      );
+      const tokens = await auth.issueTokens(newUser, req);
 
       res.status(201).json({
         message: "User registered successfully",
-        token,
+        ...tokens,
         user: {
           id: newUser.id,
           name: newUser.name,
           email: newUser.email,
           role: newUser.role,
+          emailVerified: false,
         },
       });
     } catch (error) {
@@ -537,6 +626,7 @@ app.post(
 
 app.post(
   "/api/auth/login",
+  loginThrottle.guard,
   asyncHandler(async (req, res) => {
     try {
       const { email, password } = req.body;
@@ -554,60 +644,81 @@ app.post(
           (u) => u.email === email.toLowerCase()
         );
         if (!user) {
-          return res.status(401).json({ error: "Invalid email or password" });
+          return loginThrottle.rejectLogin(req, res);
         }
 
         const isPasswordValid = await bcrypt.compare(password, user.password);
         if (!isPasswordValid) {
-          return res.status(401).json({ error: "Invalid email or password" });
+          return loginThrottle.rejectLogin(req, res);
         }
 
-        const token = jwt.sign(
-          { id: user.id, email: user.email, role: user.role },
-          JWT_SECRET,
-          { expiresIn: "7d" }
-        );
+        if (isSuspended(user)) {
+          return res
+            .status(403)
+            .json({ error: "Account suspended", code: "ACCOUNT_SUSPENDED" });
+        }
+
+        const challenge = twoFactor.challengeFor(user);
+        if (challenge) {
+          return res.json(challenge);
+        }
+        await loginThrottle.recordSuccess({ email });
+
+        const tokens = await auth.issueTokens(user, req);
 
         logger.info("User logged in (local DB)", { email });
 
         return res.json({
           message: "Login successful",
-          token,
+          ...tokens,
           user: {
             id: user.id,
             name: user.name,
             email: user.email,
             role: user.role,
+            emailVerified: Boolean(user.emailVerified),
           },
         });
       }
 
       const user = await User.findOne({ email: email.toLowerCase() });
       if (!user) {
-        return res.status(401).json({ error: "Invalid email or password" });
+        return loginThrottle.rejectLogin(req, res);
       }
 
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
-        return res.status(401).json({ error: "Invalid email or password" });
+        return loginThrottle.rejectLogin(req, res);
       }
 
-      const token = jwt.sign(
-        { id: user.id, email: user.email, role: user.role },
-        JWT_SECRET,
-        { expiresIn: "7d" }
-      );
+      if (isSuspended(user)) {
+        return res
+          .status(403)
+          .json({ error: "Account suspended", code: "ACCOUNT_SUSPENDED" });
+      }
+
+      // Accounts with 2FA get a challenge instead of tokens. The failure
+      // counter is only cleared once the login is complete, so a known
+      // password cannot reset the lockout for second-factor guesses.
+      const challenge = twoFactor.challengeFor(user);
+      if (challenge) {
+        return res.json(challenge);
+      }
+      await loginThrottle.recordSuccess({ email });
+
+      const tokens = await auth.issueTokens(user, req);
 
       logger.info("User logged in (MongoDB)", { email });
 
       res.json({
         message: "Login successful",
-        token,
+        ...tokens,
         user: {
           id: user.id,
           name: user.name,
           email: user.email,
           role: user.role,
+          emailVerified: Boolean(user.emailVerified),
         },
       });
     } catch (error) {
@@ -619,6 +730,7 @@ app.post(
 
 app.get(
   "/api/auth/user/:id",
+  requireSelfOrAdmin("id"),
   asyncHandler(async (req, res) => {
     try {
       logger.debug("Fetching user", { userId: req.params.id });
@@ -629,8 +741,7 @@ app.get(
           return res.status(404).json({ error: "User not found" });
         }
 
-        const { password, ...userData } = user;
-        return res.json(userData);
+        return res.json(toSafeUser(user));
       }
 
       const user = await User.findOne({ id: req.params.id });
@@ -638,10 +749,7 @@ app.get(
         return res.status(404).json({ error: "User not found" });
       }
 
-      const userObj = user.toObject();
-      delete userObj.password;
-
-      res.json(userObj);
+      res.json(toSafeUser(user.toObject()));
     } catch (error) {
       logger.error("User fetch error", error.message);
       res.status(500).json({ error: error.message });
@@ -651,9 +759,12 @@ app.get(
 
 app.put(
   "/api/auth/user/:id",
+  requireSelfOrAdmin("id"),
   asyncHandler(async (req, res) => {
     try {
       const { name, profile } = req.body;
+      // Admins editing someone else's account leave an audit entry
+      const byAdmin = req.user.id !== req.params.id;
 
       logger.debug("Updating user", { userId: req.params.id });
 
@@ -668,15 +779,30 @@ app.put(
         const updatedUser = {
           ...localDB.users[userIndex],
           name: name || localDB.users[userIndex].name,
-          profile: { ...localDB.users[userIndex].profile, ...profile },
+          profile: encryptProfile({
+            ...localDB.users[userIndex].profile,
+            ...profile,
+          }),
         };
 
+        const before = localDB.users[userIndex];
         localDB.users[userIndex] = updatedUser;
+        if (byAdmin) {
+          await audit.record(req, {
+            action: "user.update",
+            entityType: "user",
+            entityId: req.params.id,
+            before,
+            after: updatedUser,
+          });
+        }
 
-        const { password, ...userData } = updatedUser;
-        return res.json(userData);
+        return res.json(toSafeUser(updatedUser));
       }
 
+      const before = byAdmin
+        ? await User.findOne({ id: req.params.id }).lean()
+        : null;
       const updatedUser = await User.findOneAndUpdate(
         { id: req.params.id },
         { name, profile },
@@ -686,12 +812,18 @@ app.put(
       if (!updatedUser) {
         return res.status(404).json({ error: "User not found" });
       }
-
-      const userObj = updatedUser.toObject();
-      delete userObj.password;
+      if (byAdmin) {
+        await audit.record(req, {
+          action: "user.update",
+          entityType: "user",
+          entityId: req.params.id,
+          before,
+          after: updatedUser,
+        });
+      }
 
       logger.info("User updated", { userId: req.params.id });
-      res.json(userObj);
+      res.json(toSafeUser(updatedUser.toObject()));
     } catch (error) {
       logger.error("User update error", error.message);
       res.status(500).json({ error: error.message });
@@ -699,50 +831,280 @@ app.put(
   })
 );
 
-// ============================================
-// MEDITATION ROUTES (Placeholder)
-// ============================================
-app.get(
-  "/api/meditations",
-  asyncHandler(async (req, res) => {
-    try {
-      logger.debug("Fetching meditations");
+// First-admin setup status (admins are created with scripts/manage_admins.js)
+app.use(adminSetup.router);
 
-      if (!mongoConnected) {
-        return res.json(localDB.meditations);
-      }
+// Refresh, logout and session management
+app.use(createSessionRoutes({ auth, sessions, users, logger }));
 
-      const meditations = await Meditation.find();
-      res.json(meditations);
-    } catch (error) {
-      logger.error("Meditation fetch error", error.message);
-      res.status(500).json({ error: error.message });
-    }
-  })
+// Forgot, reset and change password
+app.use(
+  createPasswordRoutes({ auth, users, sessions, tokens, mailer, logger })
 );
 
-// ============================================
-// SOUND ROUTES (Placeholder)
-// ============================================
-app.get(
-  "/api/sounds",
-  asyncHandler(async (req, res) => {
-    try {
-      logger.debug("Fetching sounds");
+// Email verification
+const verification = createEmailVerification({
+  auth,
+  users,
+  tokens,
+  mailer,
+  logger,
+});
+app.use(verification.router);
+
+// TOTP second factor, mandatory for admins
+const twoFactor = createTwoFactor({
+  jwtSecret: JWT_SECRET,
+  auth,
+  users,
+  throttle: loginThrottle,
+  logger,
+});
+app.use(twoFactor.router);
 
-      if (!mongoConnected) {
-        return res.json(localDB.sounds);
-      }
+// Sign in with external OpenID Connect providers (OIDC_PROVIDERS)
+app.use(createOidcLogin({ ...db, users, tokens, twoFactor, logger }).router);
 
-      const sounds = await Sound.find();
-      res.json(sounds);
-    } catch (error) {
-      logger.error("Sound fetch error", error.message);
-      res.status(500).json({ error: error.message });
-    }
+// Brute-force protection: lock inspection and admin unlock
+app.use(
+  createLoginThrottleRoutes({ auth, audit, throttle: loginThrottle, users })
+);
+
+// Admin user management
+app.use(
+  createAdminUserRoutes({
+    ...db,
+    auth,
+    audit,
+    users,
+    sessions,
+    models: { MarketplaceRequest, CompanionApplication },
+    logger,
   })
 );
 
+// Which account uploaded which file, with checksums and audio metadata
+const uploads = createUploadStore({ ...db, storage: fileStorage });
+// Curated collections and personal playlists of meditations and sounds
+const collections = createCollections({
+  ...db,
+  auth,
+  audit,
+  models: { meditation: Meditation, sound: Sound },
+  logger,
+});
+app.use(collections.router);
+
+// Multi-day programs of meditations with enrollment and progress
+const programs = createPrograms({
+  ...db,
+  auth,
+  audit,
+  users,
+  models: { Meditation },
+  logger,
+});
+app.use(programs.router);
+
+// Play events, listening history and resume positions
+const listening = createListening({
+  ...db,
+  auth,
+  models: { meditation: Meditation, sound: Sound },
+});
+app.use(listening.router);
+
+// Favorites, the library built from them and offline download manifests
+const favorites = createFavorites({
+  ...db,
+  auth,
+  uploads,
+  models: {
+    meditation: Meditation,
+    sound: Sound,
+    companion: CompanionApplication,
+    marketplaceItem: MarketplaceItem,
+  },
+});
+app.use(favorites.router);
+
+// Star ratings and reviews of meditations and sounds, with moderation
+const ratings = createRatings({
+  ...db,
+  auth,
+  audit,
+  users,
+  models: { meditation: Meditation, sound: Sound },
+  logger,
+});
+app.use(ratings.router);
+
+// Personalized, explained recommendations, precomputed nightly by Vercel
+// Cron through /api/cron/recommendations (see vercel.json).
+const recommendations = createRecommendations({
+  ...db,
+  auth,
+  models: { meditation: Meditation, sound: Sound },
+  logger,
+});
+app.use(recommendations.router);
+
+// Personal data export. On Vercel archives default to /tmp, which is per
+// instance; point EXPORT_DIR at shared storage for reliable downloads.
+const dataExport = createDataExport({
+  ...db,
+  auth,
+  users,
+  uploads,
+  models: { MarketplaceRequest, MarketplaceItem, CompanionApplication },
+  storage: fileStorage,
+  sources: [
+    {
+      name: "collections",
+      collect: (user) => collections.listByOwner(user.id),
+    },
+    {
+      name: "programEnrollments",
+      collect: (user) => programs.listByUser(user.id),
+    },
+    {
+      name: "listeningHistory",
+      collect: (user) => listening.listByUser(user.id),
+    },
+    {
+      name: "resumePositions",
+      collect: (user) => listening.listPositionsByUser(user.id),
+    },
+    {
+      name: "favorites",
+      collect: (user) => favorites.listByUser(user.id),
+    },
+    {
+      name: "ratings",
+      collect: (user) => ratings.listByUser(user.id),
+    },
+  ],
+  exportDir:
+    process.env.EXPORT_DIR ||
+    (process.env.VERCEL === "1" ? "/tmp/exports" : undefined),
+  logger,
+});
+app.use(dataExport.router);
+
+// Account deletion. Due deletions are run by Vercel Cron through
+// /api/cron/account-deletions (see vercel.json).
+const accountDeletion = createAccountDeletion({
+  ...db,
+  auth,
+  audit,
+  users,
+  uploads,
+  models: { User, MarketplaceRequest, MarketplaceItem, CompanionApplication },
+  storage: fileStorage,
+  purgers: [
+    sessions.purge,
+    tokens.purge,
+    dataExport.purge,
+    collections.purgeUser,
+    programs.purgeUser,
+    listening.purgeUser,
+    favorites.purgeUser,
+    ratings.purgeUser,
+    recommendations.purgeUser,
+    (userId, user) => loginThrottle.unlockAccount(user.email),
+  ],
+  logger,
+});
+app.use(accountDeletion.router);
+
+// Scoped API keys for partner integrations, accepted next to bearer tokens
+const apiKeys = createApiKeys({ ...db, auth, audit, logger });
+app.use(apiKeys.router);
+
+// Editorial workflow for meditations and sounds. Public listings only show
+// published items, with due schedules taken into account at read time;
+// /api/cron/editorial-schedule (see vercel.json) persists them.
+const editorial = createEditorial({
+  ...db,
+  auth,
+  audit,
+  models: { meditations: Meditation, sounds: Sound, programs: Program },
+  logger,
+});
+app.use(editorial.router);
+
+// Filtered, sorted and cursor-paginated listings. Every listing is paged;
+// only the admin routes can still ask for everything with ?all=true.
+const catalog = createCatalog({
+  ...db,
+  models: { meditations: Meditation, sounds: Sound },
+});
+
+async function listCatalog(kind, req, res, view, scope) {
+  const result = await catalog.list(kind, req.query, scope);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result, items: result.items.map(view) });
+}
+
+// Public list for a catalogue collection (published items only) and the
+// admin list with every item and its review details
+function catalogRoutes(kind, Model, label) {
+  app.get(
+    `/api/${kind}`,
+    apiKeys.allow("catalog:read", auth.optionalAuth),
+    asyncHandler(async (req, res) => {
+      try {
+        logger.debug(`Fetching ${kind}`);
+
+        await listCatalog(
+          kind,
+          req,
+          res,
+          publicView,
+          editorial.publicScope()
+        );
+      } catch (error) {
+        logger.error(`${label} fetch error`, error.message);
+        res.status(500).json({ error: error.message });
+      }
+    })
+  );
+
+  app.get(
+    `/api/admin/${kind}`,
+    auth.requireAdmin,
+    asyncHandler(async (req, res) => {
+      try {
+        if (req.query.all !== "true") {
+          return await listCatalog(kind, req, res, adminView, {});
+        }
+
+        if (!mongoConnected) {
+          return res.json(localDB[kind].map(adminView));
+        }
+
+        const items = await Model.find().lean();
+        res.json(items.map(adminView));
+      } catch (error) {
+        logger.error(`${label} fetch error`, error.message);
+        res.status(500).json({ error: error.message });
+      }
+    })
+  );
+}
+
+// ============================================
+// MEDITATION ROUTES
+// ============================================
+catalogRoutes("meditations", Meditation, "Meditation");
+
+// ============================================
+// SOUND ROUTES
+// ============================================
+catalogRoutes("sounds", Sound, "Sound");
+
 // ============================================
 // ERROR HANDLING
 // ============================================
@@ -765,8 +1127,13 @@ app.use((req, res) => {
 (async () => {
   try {
     logger.info("Initializing Nirvaha backend...");
+    logEncryptionStatus(logger);
     await connectMongo();
-    await initLocalAdminUser();
+    if (!mongoConnected) {
+      logger.info(`✓ Loaded ${loadLocalAdmins(localDB)} local admin(s)`);
+    }
+    await ratings.backfill();
+    await adminSetup.logStatus();
     logger.info("✓ Backend initialization complete");
   } catch (error) {
     logger.error("Initialization failed", error.message);
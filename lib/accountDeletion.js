@@ -0,0 +1,346 @@
+const path = require("path");
+const bcrypt = require("bcryptjs");
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { requireCronSecret } = require("./auth");
+const { isSuspended } = require("./users");
+
+// 0 deletes accounts as soon as they are requested
+const configuredGraceDays = Number.parseFloat(
+  process.env.ACCOUNT_DELETION_GRACE_DAYS,
+);
+const ACCOUNT_DELETION_GRACE_DAYS = Number.isFinite(configuredGraceDays)
+  ? configuredGraceDays
+  : 14;
+// Replaces the user id on records that outlive the account
+const DELETED_USER_ID = "deleted-user";
+
+// What remains of a deleted account: enough for signup counts in analytics,
+// nothing that identifies the person. The id is fresh, not the user's.
+const deletedAccountSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    role: { type: String, default: "user" },
+    signedUpAt: { type: Date, required: true, index: true },
+    deletedAt: { type: Date, default: Date.now },
+    initiatedBy: { type: String, enum: ["self", "admin"], required: true },
+  },
+  { timestamps: true },
+);
+
+const DeletedAccount =
+  mongoose.models.DeletedAccount ||
+  mongoose.model("DeletedAccount", deletedAccountSchema);
+
+function scheduledDeletion(user) {
+  return user.deletionScheduledFor
+    ? {
+        requestedAt: user.deletionRequestedAt,
+        scheduledFor: user.deletionScheduledFor,
+      }
+    : null;
+}
+
+// Account deletion with a grace period. `purgers` are async (userId, user)
+// callbacks that remove feature data tied to the account (sessions, tokens,
+// exports, ...); `models` carries the entry point's own MarketplaceRequest,
+// MarketplaceItem and CompanionApplication models.
+function createAccountDeletion({
+  auth,
+  audit,
+  users,
+  uploads,
+  models,
+  localDB,
+  isMongo,
+  storage,
+  purgers = [],
+  logger = console,
+}) {
+  localDB.deletedAccounts = localDB.deletedAccounts || [];
+
+  async function anonymizeMarketplace(userId) {
+    const itemScrub = {
+      userId: DELETED_USER_ID,
+      userName: "Deleted user",
+      userEmail: "",
+      contactInfo: "",
+    };
+
+    if (!isMongo()) {
+      for (const request of localDB.marketplaceRequests || []) {
+        if (request.userId === userId) request.userId = DELETED_USER_ID;
+      }
+      for (const item of localDB.marketplaceItems || []) {
+        if (item.userId === userId) Object.assign(item, itemScrub);
+      }
+      return;
+    }
+
+    // Fields missing from an entry point's schema are dropped by Mongoose
+    await Promise.all([
+      models.MarketplaceRequest.updateMany(
+        { userId },
+        { userId: DELETED_USER_ID },
+      ),
+      models.MarketplaceItem.updateMany({ userId }, itemScrub),
+    ]);
+  }
+
+  async function deleteUploads(userId) {
+    const removed = await uploads.removeByUser(userId);
+    for (const upload of removed) {
+      await storage
+        .remove(path.basename(upload.filename))
+        .catch((error) => logger.warn("Upload file not removed", error));
+    }
+    return removed.length;
+  }
+
+  // Irreversible: removes the account and everything identifying it, and
+  // leaves a tombstone behind.
+  async function deleteNow(user, initiatedBy) {
+    const tombstone = {
+      id: uuidv4(),
+      role: user.role || "user",
+      signedUpAt: user.createdAt ? new Date(user.createdAt) : new Date(),
+      deletedAt: new Date(),
+      initiatedBy,
+    };
+
+    await anonymizeMarketplace(user.id);
+    if (isMongo()) {
+      await models.CompanionApplication.deleteMany({
+        $or: [{ userId: user.id }, { email: user.email }],
+      });
+    }
+    const files = await deleteUploads(user.id);
+    for (const purge of purgers) {
+      await purge(user.id, user);
+    }
+
+    if (!isMongo()) {
+      localDB.deletedAccounts.push({ ...tombstone, createdAt: new Date() });
+    } else {
+      await DeletedAccount.create(tombstone);
+    }
+    await users.remove(user.id);
+    logger.info("Account deleted", { tombstoneId: tombstone.id, files });
+  }
+
+  // Marks the account for deletion, or deletes it straight away when there
+  // is no grace period. Sessions stay valid so the owner can still cancel.
+  async function schedule(user, { initiatedBy, immediate = false }) {
+    if (immediate || ACCOUNT_DELETION_GRACE_DAYS <= 0) {
+      await deleteNow(user, initiatedBy);
+      return null;
+    }
+
+    const requestedAt = new Date();
+    const updated = await users.update(user.id, {
+      deletionRequestedAt: requestedAt,
+      deletionScheduledFor: new Date(
+        requestedAt.getTime() +
+          ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000,
+      ),
+      deletionRequestedBy: initiatedBy,
+    });
+    logger.info("Account deletion scheduled", {
+      userId: user.id,
+      scheduledFor: updated.deletionScheduledFor,
+    });
+    return scheduledDeletion(updated);
+  }
+
+  async function cancel(user) {
+    return users.update(user.id, {
+      deletionRequestedAt: null,
+      deletionScheduledFor: null,
+      deletionRequestedBy: null,
+    });
+  }
+
+  // Deletes every account whose grace period has ended. Run on a timer by
+  // server.js and from the cron route on Vercel.
+  async function processDue(now = new Date()) {
+    let due;
+    if (!isMongo()) {
+      due = localDB.users.filter(
+        (u) =>
+          u.deletionScheduledFor && new Date(u.deletionScheduledFor) <= now,
+      );
+    } else {
+      due = await models.User.find({
+        deletionScheduledFor: { $ne: null, $lte: now },
+      }).lean();
+    }
+
+    let deleted = 0;
+    for (const user of due) {
+      try {
+        await deleteNow(user, user.deletionRequestedBy || "self");
+        deleted += 1;
+      } catch (error) {
+        logger.error("Scheduled account deletion failed", error);
+      }
+    }
+    return deleted;
+  }
+
+  // Whoever asks, the last active admin is never deleted
+  async function isLastAdmin(user) {
+    if (user.role !== "admin" || isSuspended(user)) return false;
+    return (await users.countActiveAdmins()) <= 1;
+  }
+
+  const router = express.Router();
+
+  router.delete("/api/me", auth.requireAuth, async (req, res) => {
+    try {
+      const user = await users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const { password } = req.body || {};
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({ error: "Password is incorrect" });
+      }
+      if (await isLastAdmin(user)) {
+        return res
+          .status(409)
+          .json({ error: "Cannot delete the last active admin" });
+      }
+
+      const deletion = await schedule(user, { initiatedBy: "self" });
+      if (!deletion) {
+        return res.json({ message: "Account deleted" });
+      }
+      res.status(202).json({ message: "Account deletion scheduled", deletion });
+    } catch (error) {
+      logger.error("Account deletion error", error);
+      res.status(500).json({ error: "Server error during account deletion" });
+    }
+  });
+
+  router.get("/api/me/deletion", auth.requireAuth, async (req, res) => {
+    try {
+      const user = await users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      res.json({ deletion: scheduledDeletion(user) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/api/me/deletion/cancel", auth.requireAuth, async (req, res) => {
+    try {
+      const user = await users.findById(req.user.id);
+      if (!user || !user.deletionScheduledFor) {
+        return res.status(400).json({ error: "No deletion is scheduled" });
+      }
+
+      await cancel(user);
+      logger.info("Account deletion cancelled", { userId: user.id });
+      res.json({ message: "Account deletion cancelled" });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Uses the same grace period unless ?immediate=true
+  router.delete("/api/admin/users/:id", auth.requireAdmin, async (req, res) => {
+    try {
+      if (req.params.id === req.user.id) {
+        return res
+          .status(400)
+          .json({ error: "Use DELETE /api/me to delete your own account" });
+      }
+
+      const user = await users.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      if (await isLastAdmin(user)) {
+        return res
+          .status(409)
+          .json({ error: "Cannot delete the last active admin" });
+      }
+
+      const deletion = await schedule(user, {
+        initiatedBy: "admin",
+        immediate: req.query.immediate === "true",
+      });
+      await audit.record(req, {
+        action: deletion ? "user.deletion.schedule" : "user.delete",
+        entityType: "user",
+        entityId: user.id,
+        before: user,
+        after: deletion ? await users.findById(user.id) : null,
+      });
+      logger.info("Admin account deletion", {
+        userId: user.id,
+        by: req.user.id,
+        immediate: !deletion,
+      });
+      if (!deletion) {
+        return res.json({ message: "Account deleted" });
+      }
+      res.status(202).json({ message: "Account deletion scheduled", deletion });
+    } catch (error) {
+      logger.error("Account deletion error", error);
+      res.status(500).json({ error: "Server error during account deletion" });
+    }
+  });
+
+  router.post(
+    "/api/admin/users/:id/deletion/cancel",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const user = await users.findById(req.params.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+        if (!user.deletionScheduledFor) {
+          return res.status(400).json({ error: "No deletion is scheduled" });
+        }
+
+        const updated = await cancel(user);
+        await audit.record(req, {
+          action: "user.deletion.cancel",
+          entityType: "user",
+          entityId: user.id,
+          before: user,
+          after: updated,
+        });
+        logger.info("Account deletion cancelled", {
+          userId: user.id,
+          by: req.user.id,
+        });
+        res.json({ message: "Account deletion cancelled" });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.get(
+    "/api/cron/account-deletions",
+    requireCronSecret,
+    async (req, res) => {
+      try {
+        res.json({ deleted: await processDue() });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { deleteNow, processDue, router };
+}
+
+module.exports = { DELETED_USER_ID, DeletedAccount, createAccountDeletion };
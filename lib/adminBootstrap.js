@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+
+// Without Mongo the server keeps users in memory, so admins created by
+// scripts/manage_admins.js are stored in this file and loaded at startup.
+const LOCAL_ADMINS_FILE =
+  process.env.LOCAL_ADMINS_FILE ||
+  path.join(__dirname, "..", "data", "local-admins.json");
+
+const SETUP_HINT =
+  "No admin account exists. Create one with: npm run admin -- create";
+
+function readLocalAdmins(file = LOCAL_ADMINS_FILE) {
+  if (!fs.existsSync(file)) return [];
+  const admins = JSON.parse(fs.readFileSync(file, "utf8"));
+  return admins.map((admin) => ({
+    ...admin,
+    createdAt: admin.createdAt ? new Date(admin.createdAt) : new Date(),
+    updatedAt: admin.updatedAt ? new Date(admin.updatedAt) : new Date(),
+  }));
+}
+
+function writeLocalAdmins(admins, file = LOCAL_ADMINS_FILE) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(admins, null, 2), { mode: 0o600 });
+}
+
+// Replaces any in-memory copy of the stored admins with the file contents
+function loadLocalAdmins(localDB, file = LOCAL_ADMINS_FILE) {
+  const admins = readLocalAdmins(file);
+  const ids = new Set(admins.map((admin) => admin.id));
+  localDB.users = [...localDB.users.filter((u) => !ids.has(u.id)), ...admins];
+  return admins.length;
+}
+
+// The server runs without any admin until one is created from the command
+// line; until then it says so in the logs and on /api/setup/status.
+function createAdminSetup({ users, logger = console }) {
+  async function status() {
+    const admins = await users.countActiveAdmins();
+    return admins > 0
+      ? { setupRequired: false }
+      : { setupRequired: true, message: SETUP_HINT };
+  }
+
+  async function logStatus() {
+    const current = await status();
+    if (current.setupRequired) logger.warn(`⚠️  ${SETUP_HINT}`);
+    return current;
+  }
+
+  const router = express.Router();
+
+  router.get("/api/setup/status", async (req, res) => {
+    try {
+      res.json(await status());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return { status, logStatus, router };
+}
+
+module.exports = {
+  LOCAL_ADMINS_FILE,
+  createAdminSetup,
+  loadLocalAdmins,
+  readLocalAdmins,
+  writeLocalAdmins,
+};
@@ -0,0 +1,228 @@
+const express = require("express");
+const { ROLES } = require("./auth");
+const { USER_STATUSES, isSuspended, toSafeUser } = require("./users");
+
+const MAX_PAGE_SIZE = 100;
+
+function parsePagination(query) {
+  const page = Math.max(Number.parseInt(query.page, 10) || 1, 1);
+  const limit = Math.min(
+    Math.max(Number.parseInt(query.limit, 10) || 20, 1),
+    MAX_PAGE_SIZE,
+  );
+  return { page, limit };
+}
+
+// Admin user management. `models` carries the entry point's own
+// MarketplaceRequest and CompanionApplication models, which are only
+// consulted when Mongo is connected.
+function createAdminUserRoutes({
+  auth,
+  audit,
+  users,
+  sessions,
+  models,
+  localDB,
+  isMongo,
+  logger = console,
+}) {
+  const router = express.Router();
+
+  async function findActivity(user) {
+    if (!isMongo()) {
+      return {
+        marketplaceRequests: (localDB.marketplaceRequests || []).filter(
+          (request) => request.userId === user.id,
+        ),
+        companionApplication: null,
+      };
+    }
+
+    const [marketplaceRequests, companionApplication] = await Promise.all([
+      models.MarketplaceRequest.find({ userId: user.id })
+        .sort({ createdAt: -1 })
+        .lean(),
+      // Older applications predate userId and are matched by email
+      models.CompanionApplication.findOne({
+        $or: [{ userId: user.id }, { email: user.email }],
+      })
+        .sort({ createdAt: -1 })
+        .lean(),
+    ]);
+    return { marketplaceRequests, companionApplication };
+  }
+
+  // Keeps at least one active admin so nobody can lock the panel out
+  async function wouldRemoveLastAdmin(user) {
+    if (user.role !== "admin" || isSuspended(user)) return false;
+    return (await users.countActiveAdmins()) <= 1;
+  }
+
+  router.get("/api/admin/users", auth.requireAdmin, async (req, res) => {
+    try {
+      const { search, role, status } = req.query;
+      if (role && !ROLES.includes(role)) {
+        return res.status(400).json({ error: "Unknown role" });
+      }
+      if (status && !USER_STATUSES.includes(status)) {
+        return res.status(400).json({ error: "Unknown status" });
+      }
+
+      const { page, limit } = parsePagination(req.query);
+      const result = await users.search({ search, role, status, page, limit });
+      res.json({
+        users: result.users.map(toSafeUser),
+        total: result.total,
+        page,
+        limit,
+        totalPages: Math.ceil(result.total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/admin/users/:id", auth.requireAdmin, async (req, res) => {
+    try {
+      const user = await users.findById(req.params.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      res.json({ user: toSafeUser(user), ...(await findActivity(user)) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.patch(
+    "/api/admin/users/:id/role",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const { role } = req.body || {};
+        if (!ROLES.includes(role)) {
+          return res
+            .status(400)
+            .json({ error: `role must be one of: ${ROLES.join(", ")}` });
+        }
+        if (req.params.id === req.user.id) {
+          return res
+            .status(400)
+            .json({ error: "You cannot change your own role" });
+        }
+
+        const user = await users.findById(req.params.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+        if (role !== "admin" && (await wouldRemoveLastAdmin(user))) {
+          return res
+            .status(409)
+            .json({ error: "Cannot demote the last active admin" });
+        }
+
+        const updated = await users.update(user.id, { role });
+        await audit.record(req, {
+          action: "user.role.update",
+          entityType: "user",
+          entityId: user.id,
+          before: user,
+          after: updated,
+        });
+        logger.info("User role changed", {
+          userId: user.id,
+          from: user.role,
+          to: role,
+          by: req.user.id,
+        });
+        res.json(toSafeUser(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // Suspended accounts cannot log in, refresh or use existing tokens
+  router.post(
+    "/api/admin/users/:id/suspend",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        if (req.params.id === req.user.id) {
+          return res
+            .status(400)
+            .json({ error: "You cannot suspend your own account" });
+        }
+
+        const user = await users.findById(req.params.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+        if (isSuspended(user)) {
+          return res.status(400).json({ error: "User is already suspended" });
+        }
+        if (await wouldRemoveLastAdmin(user)) {
+          return res
+            .status(409)
+            .json({ error: "Cannot suspend the last active admin" });
+        }
+
+        const updated = await users.update(user.id, {
+          status: "suspended",
+          suspendedAt: new Date(),
+          suspendedReason: String(req.body?.reason || ""),
+        });
+        await sessions.revokeAll(user.id, "suspended");
+        await audit.record(req, {
+          action: "user.suspend",
+          entityType: "user",
+          entityId: user.id,
+          before: user,
+          after: updated,
+        });
+        logger.info("User suspended", { userId: user.id, by: req.user.id });
+        res.json(toSafeUser(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.post(
+    "/api/admin/users/:id/reactivate",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const user = await users.findById(req.params.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+        if (!isSuspended(user)) {
+          return res.status(400).json({ error: "User is not suspended" });
+        }
+
+        const updated = await users.update(user.id, {
+          status: "active",
+          suspendedAt: null,
+          suspendedReason: "",
+        });
+        await audit.record(req, {
+          action: "user.reactivate",
+          entityType: "user",
+          entityId: user.id,
+          before: user,
+          after: updated,
+        });
+        logger.info("User reactivated", { userId: user.id, by: req.user.id });
+        res.json(toSafeUser(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return router;
+}
+
+module.exports = { createAdminUserRoutes, parsePagination };
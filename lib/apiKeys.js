@@ -0,0 +1,399 @@
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// What a key may be used for. Routes name the scope they need with allow().
+const API_KEY_SCOPES = [
+  "catalog:read",
+  "marketplace:read",
+  "marketplace:write",
+];
+const API_KEY_TTL_DAYS = Number(process.env.API_KEY_TTL_DAYS) || 365;
+// Keys look like nvk_<prefix>_<secret>; the prefix is stored in plaintext so
+// a key can be recognised in logs and the admin list, the whole key only as
+// a SHA-256 hash.
+const KEY_PATTERN = /^nvk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+// Requests made with a key act as this pseudo-user, e.g. as the owner of the
+// marketplace requests they create
+const API_KEY_USER_PREFIX = "api-key:";
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    name: { type: String, required: true },
+    prefix: { type: String, required: true, unique: true },
+    keyHash: { type: String, required: true },
+    scopes: { type: [String], enum: API_KEY_SCOPES, default: [] },
+    createdBy: { type: String, required: true },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedBy: { type: String, default: null },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: "" },
+    usageCount: { type: Number, default: 0 },
+  },
+  { timestamps: true },
+);
+
+const ApiKey = mongoose.models.ApiKey || mongoose.model("ApiKey", apiKeySchema);
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function keyStatus(record, now = new Date()) {
+  if (record.revokedAt) return "revoked";
+  if (new Date(record.expiresAt) <= now) return "expired";
+  return "active";
+}
+
+// Everything but the hash
+function toPublicKey(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    prefix: record.prefix,
+    scopes: record.scopes,
+    status: keyStatus(record),
+    createdBy: record.createdBy,
+    createdAt: record.createdAt,
+    expiresAt: record.expiresAt,
+    revokedAt: record.revokedAt,
+    lastUsedAt: record.lastUsedAt,
+    lastUsedIp: record.lastUsedIp,
+    usageCount: record.usageCount,
+  };
+}
+
+// Partners send the key in X-API-Key or as a bearer token
+function readApiKey(req) {
+  const header = req.get("x-api-key");
+  if (header) return header.trim();
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  return scheme === "Bearer" && token?.startsWith("nvk_") ? token : null;
+}
+
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return "At least one scope is required";
+  }
+  const unknown = scopes.filter((scope) => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(", ")}`;
+  }
+  return null;
+}
+
+// Returns the parsed date, null for "use the default", or an error string
+function parseExpiry(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) return "expiresAt must be a date";
+  if (date <= new Date()) return "expiresAt must be in the future";
+  return date;
+}
+
+// Runs a list of middleware as if it had been mounted on the route
+function runChain(chain, req, res, done) {
+  let index = 0;
+  const step = (error) => {
+    if (error || index >= chain.length) return done(error);
+    chain[index++](req, res, step);
+  };
+  step();
+}
+
+// Admin-managed API keys for partner integrations
+function createApiKeys({ auth, audit, localDB, isMongo, logger = console }) {
+  localDB.apiKeys = localDB.apiKeys || [];
+
+  async function findById(id) {
+    if (!isMongo()) {
+      return localDB.apiKeys.find((k) => k.id === id) || null;
+    }
+    return ApiKey.findOne({ id }).lean();
+  }
+
+  async function list() {
+    if (!isMongo()) {
+      return [...localDB.apiKeys].sort((a, b) => b.createdAt - a.createdAt);
+    }
+    return ApiKey.find().sort({ createdAt: -1 }).lean();
+  }
+
+  // Returns the stored record and the key itself, which is never shown again
+  async function create({ name, scopes, expiresAt, createdBy }) {
+    const prefix = crypto.randomBytes(6).toString("hex");
+    const key = `nvk_${prefix}_${crypto.randomBytes(32).toString("base64url")}`;
+    const now = new Date();
+    const record = {
+      id: uuidv4(),
+      name,
+      prefix,
+      keyHash: hashKey(key),
+      scopes,
+      createdBy,
+      expiresAt:
+        expiresAt ||
+        new Date(now.getTime() + API_KEY_TTL_DAYS * 24 * 60 * 60 * 1000),
+      revokedAt: null,
+      revokedBy: null,
+      lastUsedAt: null,
+      lastUsedIp: "",
+      usageCount: 0,
+    };
+
+    if (!isMongo()) {
+      const stored = { ...record, createdAt: now, updatedAt: now };
+      localDB.apiKeys.push(stored);
+      return { record: stored, key };
+    }
+    return { record: (await ApiKey.create(record)).toObject(), key };
+  }
+
+  async function update(id, changes) {
+    if (!isMongo()) {
+      const record = localDB.apiKeys.find((k) => k.id === id);
+      if (!record) return null;
+      Object.assign(record, changes, { updatedAt: new Date() });
+      return record;
+    }
+    return ApiKey.findOneAndUpdate({ id }, changes, { new: true }).lean();
+  }
+
+  // The active record for a presented key, or { error } saying why not
+  async function verify(key) {
+    const match = KEY_PATTERN.exec(String(key || ""));
+    if (!match) return { error: "Invalid API key" };
+
+    const record = !isMongo()
+      ? localDB.apiKeys.find((k) => k.prefix === match[1])
+      : await ApiKey.findOne({ prefix: match[1] }).lean();
+    const presented = Buffer.from(hashKey(key));
+    if (
+      !record ||
+      !crypto.timingSafeEqual(presented, Buffer.from(record.keyHash))
+    ) {
+      return { error: "Invalid API key" };
+    }
+
+    const status = keyStatus(record);
+    if (status === "revoked") return { error: "API key has been revoked" };
+    if (status === "expired") return { error: "API key has expired" };
+    return { record };
+  }
+
+  async function recordUse(record, req) {
+    const changes = { lastUsedAt: new Date(), lastUsedIp: req.ip || "" };
+    if (!isMongo()) {
+      Object.assign(record, changes);
+      record.usageCount = (record.usageCount || 0) + 1;
+      return;
+    }
+    await ApiKey.updateOne(
+      { id: record.id },
+      { $set: changes, $inc: { usageCount: 1 } },
+    );
+  }
+
+  // Lets a route accept an API key carrying `scope` in place of a bearer
+  // token. Requests without a key go through `fallback` (e.g. requireAuth);
+  // with no fallback the route stays open to anonymous callers.
+  function allow(scope, fallback = []) {
+    if (!API_KEY_SCOPES.includes(scope)) {
+      throw new Error(`Unknown API key scope: ${scope}`);
+    }
+    const chain = [fallback].flat(Infinity);
+
+    return async (req, res, next) => {
+      const key = readApiKey(req);
+      if (!key) return runChain(chain, req, res, next);
+
+      try {
+        const { record, error } = await verify(key);
+        if (error) {
+          return res.status(401).json({ error });
+        }
+        if (!record.scopes.includes(scope)) {
+          return res
+            .status(403)
+            .json({ error: `API key is missing the ${scope} scope` });
+        }
+
+        await recordUse(record, req);
+        req.apiKey = {
+          id: record.id,
+          name: record.name,
+          scopes: record.scopes,
+        };
+        req.user = {
+          id: `${API_KEY_USER_PREFIX}${record.id}`,
+          email: null,
+          role: null,
+        };
+        next();
+      } catch (error) {
+        logger.error("API key check failed", error.message);
+        res.status(500).json({ error: "Server error during authentication" });
+      }
+    };
+  }
+
+  const router = express.Router();
+
+  router.get("/api/admin/api-keys", auth.requireAdmin, async (req, res) => {
+    try {
+      res.json({ apiKeys: (await list()).map(toPublicKey) });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/api/admin/api-keys", auth.requireAdmin, async (req, res) => {
+    try {
+      const { name, scopes } = req.body || {};
+      if (!name || typeof name !== "string" || !name.trim()) {
+        return res.status(400).json({ error: "Name is required" });
+      }
+      const scopeError = validateScopes(scopes);
+      if (scopeError) {
+        return res.status(400).json({ error: scopeError });
+      }
+      const expiresAt = parseExpiry(req.body.expiresAt);
+      if (typeof expiresAt === "string") {
+        return res.status(400).json({ error: expiresAt });
+      }
+
+      const { record, key } = await create({
+        name: name.trim(),
+        scopes: [...new Set(scopes)],
+        expiresAt,
+        createdBy: req.user.id,
+      });
+      await audit.record(req, {
+        action: "api-key.create",
+        entityType: "api-key",
+        entityId: record.id,
+        after: record,
+      });
+      logger.info("API key created", {
+        keyId: record.id,
+        prefix: record.prefix,
+        by: req.user.id,
+      });
+      res.status(201).json({ apiKey: toPublicKey(record), key });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/admin/api-keys/:id", auth.requireAdmin, async (req, res) => {
+    try {
+      const record = await findById(req.params.id);
+      if (!record) {
+        return res.status(404).json({ error: "API key not found" });
+      }
+      res.json(toPublicKey(record));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Name, scopes and expiry can change; the key itself cannot
+  router.patch(
+    "/api/admin/api-keys/:id",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const { name, scopes, expiresAt } = req.body || {};
+        const changes = {};
+        if (name !== undefined) {
+          if (typeof name !== "string" || !name.trim()) {
+            return res.status(400).json({ error: "Name is required" });
+          }
+          changes.name = name.trim();
+        }
+        if (scopes !== undefined) {
+          const scopeError = validateScopes(scopes);
+          if (scopeError) {
+            return res.status(400).json({ error: scopeError });
+          }
+          changes.scopes = [...new Set(scopes)];
+        }
+        if (expiresAt !== undefined) {
+          const parsed = parseExpiry(expiresAt);
+          if (!(parsed instanceof Date)) {
+            return res
+              .status(400)
+              .json({ error: parsed || "expiresAt must be a date" });
+          }
+          changes.expiresAt = parsed;
+        }
+
+        const existing = await findById(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: "API key not found" });
+        }
+        if (existing.revokedAt) {
+          return res.status(409).json({ error: "API key has been revoked" });
+        }
+
+        const updated = await update(existing.id, changes);
+        await audit.record(req, {
+          action: "api-key.update",
+          entityType: "api-key",
+          entityId: existing.id,
+          before: existing,
+          after: updated,
+        });
+        logger.info("API key updated", { keyId: existing.id, by: req.user.id });
+        res.json(toPublicKey(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // Revoked keys stop working at once but stay listed with their usage
+  router.delete(
+    "/api/admin/api-keys/:id",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const existing = await findById(req.params.id);
+        if (!existing) {
+          return res.status(404).json({ error: "API key not found" });
+        }
+        if (existing.revokedAt) {
+          return res.json(toPublicKey(existing));
+        }
+
+        const updated = await update(existing.id, {
+          revokedAt: new Date(),
+          revokedBy: req.user.id,
+        });
+        await audit.record(req, {
+          action: "api-key.revoke",
+          entityType: "api-key",
+          entityId: existing.id,
+          before: existing,
+          after: updated,
+        });
+        logger.info("API key revoked", { keyId: existing.id, by: req.user.id });
+        res.json(toPublicKey(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { allow, verify, router };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  API_KEY_USER_PREFIX,
+  ApiKey,
+  createApiKeys,
+};
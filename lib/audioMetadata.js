@@ -0,0 +1,623 @@
+// Pure JavaScript metadata reader for uploaded audio: MP3 (ID3v1/v2 tags,
+// Xing/VBRI headers or constant bitrate), WAV (RIFF with LIST/INFO tags),
+// Ogg Vorbis and Opus (Vorbis comments) and WebM/Matroska. The format is
+// detected from the content, not the client-supplied mimetype. Values that
+// a file does not carry are null.
+
+const MPEG_VERSIONS = { 0: 2.5, 2: 2, 3: 1 };
+const MPEG_LAYERS = { 1: 3, 2: 2, 3: 1 };
+const MPEG_BITRATES = {
+  "1-1": [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+  "1-2": [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+  "1-3": [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  "2-1": [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+  "2-2": [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+};
+const MPEG_SAMPLE_RATES = {
+  1: [44100, 48000, 32000],
+  2: [22050, 24000, 16000],
+  2.5: [11025, 12000, 8000],
+};
+// Frames to scan for the first MPEG frame after the tags
+const MPEG_SYNC_SEARCH_BYTES = 64 * 1024;
+
+// ID3v2 text frames (v2.3/v2.4 and v2.2 ids) and RIFF INFO chunks we keep
+const ID3_FRAMES = {
+  TIT2: "title",
+  TT2: "title",
+  TPE1: "artist",
+  TP1: "artist",
+  TALB: "album",
+  TAL: "album",
+  TLEN: "lengthMs",
+  TLE: "lengthMs",
+};
+const RIFF_INFO = { INAM: "title", IART: "artist", IPRD: "album" };
+
+// Matroska element ids (with their length marker, as written in the file)
+const EBML = {
+  header: 0x1a45dfa3,
+  segment: 0x18538067,
+  info: 0x1549a966,
+  timecodeScale: 0x2ad7b1,
+  duration: 0x4489,
+  title: 0x7ba9,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackType: 0x83,
+  codecId: 0x86,
+  audio: 0xe1,
+  samplingFrequency: 0xb5,
+  channels: 0x9f,
+  tags: 0x1254c367,
+  tag: 0x7373,
+  simpleTag: 0x67c8,
+  tagName: 0x45a3,
+  tagString: 0x4487,
+  cluster: 0x1f43b675,
+};
+const EBML_MASTERS = new Set([
+  EBML.segment,
+  EBML.info,
+  EBML.tracks,
+  EBML.trackEntry,
+  EBML.audio,
+  EBML.tags,
+  EBML.tag,
+  EBML.simpleTag,
+]);
+
+function cleanText(text) {
+  const trimmed = text.replace(/\0+$/g, "").replace(/\0/g, " ").trim();
+  return trimmed || null;
+}
+
+function syncsafe(buffer, offset) {
+  return (
+    ((buffer[offset] & 0x7f) << 21) |
+    ((buffer[offset + 1] & 0x7f) << 14) |
+    ((buffer[offset + 2] & 0x7f) << 7) |
+    (buffer[offset + 3] & 0x7f)
+  );
+}
+
+// ID3v2 text: the first byte names the encoding
+function id3Text(data) {
+  const body = data.subarray(1);
+  switch (data[0]) {
+    case 1: {
+      if (body[0] === 0xfe && body[1] === 0xff) {
+        return cleanText(swapUtf16(body.subarray(2)).toString("utf16le"));
+      }
+      const start = body[0] === 0xff && body[1] === 0xfe ? 2 : 0;
+      return cleanText(body.subarray(start).toString("utf16le"));
+    }
+    case 2:
+      return cleanText(swapUtf16(body).toString("utf16le"));
+    case 3:
+      return cleanText(body.toString("utf8"));
+  }
+  return cleanText(body.toString("latin1"));
+}
+
+function swapUtf16(buffer) {
+  const swapped = Buffer.from(buffer.subarray(0, buffer.length & ~1));
+  return swapped.swap16();
+}
+
+// { size, tags } of an ID3v2 tag at the start of the file, or null
+function readId3v2(buffer) {
+  if (buffer.length < 10 || buffer.toString("latin1", 0, 3) !== "ID3") {
+    return null;
+  }
+  const major = buffer[3];
+  const flags = buffer[5];
+  const size = 10 + syncsafe(buffer, 6) + (flags & 0x10 ? 10 : 0);
+  const end = Math.min(size, buffer.length);
+  const tags = {};
+
+  let offset = 10;
+  if (flags & 0x40 && major >= 3) {
+    // Extended header, skipped
+    offset +=
+      major === 4 ? syncsafe(buffer, offset) : buffer.readUInt32BE(offset) + 4;
+  }
+  const idLength = major === 2 ? 3 : 4;
+  const headerLength = major === 2 ? 6 : 10;
+  while (offset + headerLength <= end) {
+    const id = buffer.toString("latin1", offset, offset + idLength);
+    if (!/^[A-Z0-9]+$/.test(id)) break;
+    let frameSize;
+    if (major === 2) frameSize = buffer.readUIntBE(offset + 3, 3);
+    else if (major === 4) frameSize = syncsafe(buffer, offset + 4);
+    else frameSize = buffer.readUInt32BE(offset + 4);
+    const dataStart = offset + headerLength;
+    if (frameSize <= 0 || dataStart + frameSize > end) break;
+    const field = ID3_FRAMES[id];
+    if (field && tags[field] === undefined) {
+      tags[field] = id3Text(buffer.subarray(dataStart, dataStart + frameSize));
+    }
+    offset = dataStart + frameSize;
+  }
+  return { size, tags };
+}
+
+// The 128-byte ID3v1 tag at the end of the file, or null
+function readId3v1(buffer) {
+  if (buffer.length < 128) return null;
+  const tag = buffer.subarray(buffer.length - 128);
+  if (tag.toString("latin1", 0, 3) !== "TAG") return null;
+  return {
+    title: cleanText(tag.toString("latin1", 3, 33)),
+    artist: cleanText(tag.toString("latin1", 33, 63)),
+    album: cleanText(tag.toString("latin1", 63, 93)),
+  };
+}
+
+function mpegFrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length) return null;
+  const [b0, b1, b2, b3] = buffer.subarray(offset, offset + 4);
+  if (b0 !== 0xff || (b1 & 0xe0) !== 0xe0) return null;
+  const version = MPEG_VERSIONS[(b1 >> 3) & 3];
+  const layer = MPEG_LAYERS[(b1 >> 1) & 3];
+  const bitrateIndex = b2 >> 4;
+  const sampleRateIndex = (b2 >> 2) & 3;
+  if (!version || !layer || bitrateIndex === 0 || bitrateIndex === 15) {
+    return null;
+  }
+  if (sampleRateIndex === 3) return null;
+
+  const table = version === 1 ? `1-${layer}` : layer === 1 ? "2-1" : "2-2";
+  const bitrate = MPEG_BITRATES[table][bitrateIndex] * 1000;
+  const sampleRate = MPEG_SAMPLE_RATES[version][sampleRateIndex];
+  const padding = (b2 >> 1) & 1;
+  const samplesPerFrame =
+    layer === 1 ? 384 : layer === 3 && version !== 1 ? 576 : 1152;
+  const frameLength =
+    layer === 1
+      ? (Math.floor((12 * bitrate) / sampleRate) + padding) * 4
+      : Math.floor(((samplesPerFrame / 8) * bitrate) / sampleRate) + padding;
+  return {
+    version,
+    layer,
+    bitrate,
+    sampleRate,
+    channels: b3 >> 6 === 3 ? 1 : 2,
+    samplesPerFrame,
+    frameLength,
+  };
+}
+
+// First frame header, confirmed by the frame that follows it
+function findMpegFrame(buffer, start) {
+  const end = Math.min(buffer.length - 4, start + MPEG_SYNC_SEARCH_BYTES);
+  for (let offset = start; offset < end; offset += 1) {
+    if (buffer[offset] !== 0xff) continue;
+    const header = mpegFrameHeader(buffer, offset);
+    if (!header) continue;
+    const next = offset + header.frameLength;
+    if (next + 4 <= buffer.length && !mpegFrameHeader(buffer, next)) continue;
+    return { offset, header };
+  }
+  return null;
+}
+
+// Frame and byte counts from a Xing/Info or VBRI header in the first frame
+function readVbrHeader(buffer, offset, header) {
+  const sideInfo =
+    header.version === 1
+      ? header.channels === 1
+        ? 17
+        : 32
+      : header.channels === 1
+        ? 9
+        : 17;
+  const xing = offset + 4 + sideInfo;
+  const xingId = buffer.toString("latin1", xing, xing + 4);
+  if (xingId === "Xing" || xingId === "Info") {
+    const flags = buffer.readUInt32BE(xing + 4);
+    let field = xing + 8;
+    const frames = flags & 1 ? buffer.readUInt32BE(field) : null;
+    if (flags & 1) field += 4;
+    const bytes = flags & 2 ? buffer.readUInt32BE(field) : null;
+    return { frames, bytes };
+  }
+  const vbri = offset + 4 + 32;
+  if (buffer.toString("latin1", vbri, vbri + 4) === "VBRI") {
+    return {
+      bytes: buffer.readUInt32BE(vbri + 10),
+      frames: buffer.readUInt32BE(vbri + 14),
+    };
+  }
+  return null;
+}
+
+function parseMp3(buffer) {
+  const id3v2 = readId3v2(buffer);
+  const start = id3v2 ? id3v2.size : 0;
+  const found = findMpegFrame(buffer, start);
+  if (!found) return null;
+  const { offset, header } = found;
+  const id3v1 = readId3v1(buffer);
+  const audioBytes = buffer.length - offset - (id3v1 ? 128 : 0);
+
+  let durationSeconds = null;
+  let bitrate = header.bitrate;
+  const vbr = readVbrHeader(buffer, offset, header);
+  if (vbr && vbr.frames) {
+    durationSeconds = (vbr.frames * header.samplesPerFrame) / header.sampleRate;
+    bitrate = ((vbr.bytes || audioBytes) * 8) / durationSeconds;
+  } else if (id3v2 && Number(id3v2.tags.lengthMs) > 0) {
+    durationSeconds = Number(id3v2.tags.lengthMs) / 1000;
+  } else {
+    durationSeconds = (audioBytes * 8) / header.bitrate;
+  }
+
+  const tags = { ...(id3v1 || {}) };
+  for (const field of ["title", "artist", "album"]) {
+    if (id3v2 && id3v2.tags[field]) tags[field] = id3v2.tags[field];
+  }
+  return {
+    format: "mp3",
+    codec: `MPEG-${header.version} Layer ${"I".repeat(header.layer)}`,
+    durationSeconds,
+    bitrate,
+    sampleRate: header.sampleRate,
+    channels: header.channels,
+    ...tags,
+  };
+}
+
+function parseWav(buffer) {
+  let format = null;
+  let dataSize = null;
+  const tags = {};
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString("latin1", offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const start = offset + 8;
+    // Streamed files leave the data size at 0 or 0xffffffff
+    const end = Math.min(start + size, buffer.length);
+
+    if (id === "fmt " && end - start >= 16) {
+      format = {
+        audioFormat: buffer.readUInt16LE(start),
+        channels: buffer.readUInt16LE(start + 2),
+        sampleRate: buffer.readUInt32LE(start + 4),
+        byteRate: buffer.readUInt32LE(start + 8),
+        bitsPerSample: buffer.readUInt16LE(start + 14),
+      };
+    } else if (id === "data") {
+      dataSize =
+        size > 0 && size < 0xffffffff ? end - start : buffer.length - start;
+    } else if (
+      id === "LIST" &&
+      buffer.toString("latin1", start, start + 4) === "INFO"
+    ) {
+      let item = start + 4;
+      while (item + 8 <= end) {
+        const itemId = buffer.toString("latin1", item, item + 4);
+        const itemSize = buffer.readUInt32LE(item + 4);
+        const field = RIFF_INFO[itemId];
+        if (field) {
+          tags[field] = cleanText(
+            buffer.toString(
+              "utf8",
+              item + 8,
+              Math.min(item + 8 + itemSize, end),
+            ),
+          );
+        }
+        item += 8 + itemSize + (itemSize & 1);
+      }
+    }
+    if (id === "data" && (size === 0 || size === 0xffffffff)) break;
+    offset = start + size + (size & 1);
+  }
+  if (!format) return null;
+
+  return {
+    format: "wav",
+    codec: format.audioFormat === 1 ? `PCM ${format.bitsPerSample}-bit` : null,
+    durationSeconds:
+      dataSize !== null && format.byteRate > 0
+        ? dataSize / format.byteRate
+        : null,
+    bitrate: format.byteRate * 8,
+    sampleRate: format.sampleRate,
+    channels: format.channels,
+    ...tags,
+  };
+}
+
+// Packets of the first logical stream, reassembled across pages, until
+// `count` packets are complete
+function oggPackets(buffer, count) {
+  const packets = [];
+  let current = [];
+  let serial = null;
+  let offset = 0;
+  while (packets.length < count && offset + 27 <= buffer.length) {
+    if (buffer.toString("latin1", offset, offset + 4) !== "OggS") break;
+    const segments = buffer[offset + 26];
+    const pageSerial = buffer.readUInt32LE(offset + 14);
+    let body = offset + 27 + segments;
+    if (serial === null) serial = pageSerial;
+    for (let i = 0; i < segments; i += 1) {
+      const length = buffer[offset + 27 + i];
+      if (pageSerial === serial) {
+        current.push(buffer.subarray(body, body + length));
+        if (length < 255) {
+          packets.push(Buffer.concat(current));
+          current = [];
+          if (packets.length === count) break;
+        }
+      }
+      body += length;
+    }
+    offset = body;
+  }
+  return { packets, serial };
+}
+
+// Granule position of the last page of `serial`
+function oggLastGranule(buffer, serial) {
+  let offset = buffer.lastIndexOf("OggS");
+  while (offset >= 0) {
+    if (
+      offset + 27 <= buffer.length &&
+      buffer.readUInt32LE(offset + 14) === serial
+    ) {
+      const granule = buffer.readBigInt64LE(offset + 6);
+      if (granule >= 0n) return Number(granule);
+    }
+    offset = offset > 0 ? buffer.lastIndexOf("OggS", offset - 1) : -1;
+  }
+  return null;
+}
+
+// Vendor string then KEY=value comments, as in Vorbis and Opus
+function vorbisComments(buffer, offset) {
+  const tags = {};
+  const vendorLength = buffer.readUInt32LE(offset);
+  let position = offset + 4 + vendorLength;
+  const count = buffer.readUInt32LE(position);
+  position += 4;
+  for (let i = 0; i < count && position + 4 <= buffer.length; i += 1) {
+    const length = buffer.readUInt32LE(position);
+    const comment = buffer.toString(
+      "utf8",
+      position + 4,
+      position + 4 + length,
+    );
+    position += 4 + length;
+    const separator = comment.indexOf("=");
+    const key = comment.slice(0, separator).toLowerCase();
+    if (["title", "artist", "album"].includes(key) && !tags[key]) {
+      tags[key] = cleanText(comment.slice(separator + 1));
+    }
+  }
+  return tags;
+}
+
+function parseOgg(buffer) {
+  const { packets, serial } = oggPackets(buffer, 2);
+  const [head, comments] = packets;
+  if (!head) return null;
+
+  let info;
+  let tags = {};
+  if (head.toString("latin1", 0, 7) === "\x01vorbis") {
+    info = {
+      format: "ogg",
+      codec: "Vorbis",
+      channels: head[11],
+      sampleRate: head.readUInt32LE(12),
+      granuleRate: head.readUInt32LE(12),
+      preSkip: 0,
+    };
+    if (comments && comments.toString("latin1", 0, 7) === "\x03vorbis") {
+      tags = vorbisComments(comments, 7);
+    }
+  } else if (head.toString("latin1", 0, 8) === "OpusHead") {
+    info = {
+      format: "opus",
+      codec: "Opus",
+      channels: head[9],
+      sampleRate: head.readUInt32LE(12) || 48000,
+      // Opus granule positions always count 48 kHz samples
+      granuleRate: 48000,
+      preSkip: head.readUInt16LE(10),
+    };
+    if (comments && comments.toString("latin1", 0, 8) === "OpusTags") {
+      tags = vorbisComments(comments, 8);
+    }
+  } else {
+    return null;
+  }
+
+  const granule = oggLastGranule(buffer, serial);
+  const durationSeconds =
+    granule !== null && info.granuleRate > 0
+      ? Math.max(granule - info.preSkip, 0) / info.granuleRate
+      : null;
+  return {
+    format: info.format,
+    codec: info.codec,
+    durationSeconds,
+    bitrate: durationSeconds ? (buffer.length * 8) / durationSeconds : null,
+    sampleRate: info.sampleRate,
+    channels: info.channels,
+    ...tags,
+  };
+}
+
+// EBML variable-length integer: { length, value }; ids keep the marker bit
+function readVint(buffer, offset, keepMarker) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
+  const length = Math.clz32(first) - 23;
+  if (offset + length > buffer.length) return null;
+  let value = keepMarker ? first : first & (0xff >> length);
+  let unknown = value === 0xff >> length;
+  for (let i = 1; i < length; i += 1) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) unknown = false;
+  }
+  return { length, value, unknown: !keepMarker && unknown };
+}
+
+function ebmlUint(data) {
+  return data.length > 0 ? data.readUIntBE(0, Math.min(data.length, 6)) : 0;
+}
+
+function ebmlFloat(data) {
+  if (data.length === 4) return data.readFloatBE(0);
+  if (data.length === 8) return data.readDoubleBE(0);
+  return null;
+}
+
+// Calls `visit(id, data)` for each element between start and end, entering
+// the master elements we read from. Stops at the first cluster: tags
+// written after the media are not reached in streamed files anyway.
+function walkEbml(buffer, start, end, visit) {
+  let offset = start;
+  while (offset < end) {
+    const id = readVint(buffer, offset, true);
+    if (!id) return false;
+    const size = readVint(buffer, offset + id.length, false);
+    if (!size) return false;
+    const dataStart = offset + id.length + size.length;
+    if (id.value === EBML.cluster) return false;
+    const dataEnd = size.unknown
+      ? end
+      : Math.min(dataStart + size.value, buffer.length);
+    if (EBML_MASTERS.has(id.value)) {
+      visit(id.value, null);
+      if (walkEbml(buffer, dataStart, dataEnd, visit) === false) return false;
+    } else {
+      visit(id.value, buffer.subarray(dataStart, dataEnd));
+    }
+    offset = dataEnd;
+  }
+  return true;
+}
+
+function parseWebm(buffer) {
+  let timecodeScale = 1000000;
+  let duration = null;
+  let title = null;
+  const tags = {};
+  let track = null;
+  let audio = null;
+  let tagName = null;
+
+  walkEbml(buffer, 0, buffer.length, (id, data) => {
+    switch (id) {
+      case EBML.timecodeScale:
+        timecodeScale = ebmlUint(data);
+        break;
+      case EBML.duration:
+        duration = ebmlFloat(data);
+        break;
+      case EBML.title:
+        title = cleanText(data.toString("utf8"));
+        break;
+      case EBML.trackEntry:
+        track = {};
+        break;
+      case EBML.trackType:
+        if (track) track.type = ebmlUint(data);
+        break;
+      case EBML.codecId:
+        if (track) track.codec = data.toString("latin1").replace(/\0+$/, "");
+        break;
+      case EBML.samplingFrequency:
+        if (track) track.sampleRate = ebmlFloat(data);
+        break;
+      case EBML.channels:
+        if (track) track.channels = ebmlUint(data);
+        break;
+      case EBML.audio:
+        if (track && !audio) audio = track;
+        break;
+      case EBML.simpleTag:
+        tagName = null;
+        break;
+      case EBML.tagName:
+        tagName = data.toString("utf8").toLowerCase();
+        break;
+      case EBML.tagString:
+        if (["title", "artist", "album"].includes(tagName) && !tags[tagName]) {
+          tags[tagName] = cleanText(data.toString("utf8"));
+        }
+        break;
+    }
+  });
+  if (!audio) return null;
+
+  // Recorders that stream the file (MediaRecorder) leave the duration out
+  const durationSeconds =
+    duration !== null ? (duration * timecodeScale) / 1e9 : null;
+  return {
+    format: "webm",
+    codec: audio.codec || null,
+    durationSeconds,
+    bitrate: durationSeconds ? (buffer.length * 8) / durationSeconds : null,
+    sampleRate: audio.sampleRate ? Math.round(audio.sampleRate) : null,
+    channels: audio.channels || 1,
+    title: tags.title || title,
+    artist: tags.artist,
+    album: tags.album,
+  };
+}
+
+function detect(buffer) {
+  const magic = buffer.toString("latin1", 0, 4);
+  if (magic === "RIFF" && buffer.toString("latin1", 8, 12) === "WAVE") {
+    return parseWav;
+  }
+  if (magic === "OggS") return parseOgg;
+  if (buffer.length >= 4 && buffer.readUInt32BE(0) === EBML.header) {
+    return parseWebm;
+  }
+  if (magic.startsWith("ID3") || (buffer[0] === 0xff && buffer[1] >= 0xe0)) {
+    return parseMp3;
+  }
+  return null;
+}
+
+// { format, codec, durationSeconds, bitrate (bits/s), sampleRate, channels,
+// title, artist, album }, or null when the file is not audio we can read
+function parseAudio(buffer) {
+  const parse = detect(buffer);
+  if (!parse) return null;
+  let parsed;
+  try {
+    parsed = parse(buffer);
+  } catch (error) {
+    // Truncated or corrupt files run past the end of the buffer
+    if (error instanceof RangeError) return null;
+    throw error;
+  }
+  if (!parsed) return null;
+
+  const round = (value, digits) =>
+    Number.isFinite(value) && value > 0
+      ? Math.round(value * 10 ** digits) / 10 ** digits
+      : null;
+  return {
+    format: parsed.format,
+    codec: parsed.codec || null,
+    durationSeconds: round(parsed.durationSeconds, 3),
+    bitrate: round(parsed.bitrate, 0),
+    sampleRate: round(parsed.sampleRate, 0),
+    channels: round(parsed.channels, 0),
+    title: parsed.title || null,
+    artist: parsed.artist || null,
+    album: parsed.album || null,
+  };
+}
+
+module.exports = { parseAudio };
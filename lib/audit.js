@@ -0,0 +1,407 @@
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { parsePagination } = require("./adminUsers");
+const { toCsv } = require("./dataExport");
+const { ENCRYPTED_PROFILE_FIELDS } = require("./fieldEncryption");
+
+const GENESIS_HASH = "0".repeat(64);
+const CSV_MAX_ROWS = 10000;
+// Never copied into the log; a change to them shows up as "[redacted]"
+const REDACTED_FIELDS = new Set([
+  "password",
+  "keyHash",
+  "tokenHash",
+  "secret",
+  "pendingSecret",
+  "recoveryCodes",
+  ...ENCRYPTED_PROFILE_FIELDS,
+]);
+// The log outlives deleted accounts, so it does not keep who they belonged to
+const REDACTED_USER_FIELDS = new Set([
+  ...REDACTED_FIELDS,
+  "name",
+  "email",
+  "identities",
+]);
+// Bookkeeping that changes on every write and says nothing about the action
+const IGNORED_FIELDS = new Set(["_id", "__v", "updatedAt"]);
+
+// Append-only: each entry carries the hash of the one before it, so an edited
+// or removed entry breaks the chain from that point on.
+const auditEntrySchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    seq: { type: Number, required: true, unique: true },
+    actorId: { type: String, required: true, index: true },
+    actorEmail: { type: String, default: "" },
+    actorType: { type: String, enum: ["user", "api-key"], default: "user" },
+    action: { type: String, required: true, index: true },
+    entityType: { type: String, required: true, index: true },
+    entityId: { type: String, default: "", index: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    changes: { type: mongoose.Schema.Types.Mixed, default: {} },
+    ip: { type: String, default: "" },
+    userAgent: { type: String, default: "" },
+    createdAt: { type: Date, required: true, index: true },
+    prevHash: { type: String, required: true },
+    hash: { type: String, required: true },
+  },
+  // Empty objects are part of the hashed contents and must survive a save
+  { minimize: false },
+);
+
+auditEntrySchema.pre("save", function rejectRewrite() {
+  if (!this.isNew) throw new Error("Audit entries cannot be changed");
+});
+auditEntrySchema.pre(
+  [
+    "updateOne",
+    "updateMany",
+    "findOneAndUpdate",
+    "replaceOne",
+    "findOneAndReplace",
+    "deleteOne",
+    "deleteMany",
+    "findOneAndDelete",
+  ],
+  function rejectChange() {
+    throw new Error("Audit entries cannot be changed");
+  },
+);
+
+const AuditEntry =
+  mongoose.models.AuditEntry || mongoose.model("AuditEntry", auditEntrySchema);
+
+// JSON with sorted keys, so the hash does not depend on how the database
+// happens to order fields
+function canonicalJson(value) {
+  if (Array.isArray(value)) return `[${value.map(canonicalJson).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+const HASHED_FIELDS = [
+  "id",
+  "seq",
+  "actorId",
+  "actorEmail",
+  "actorType",
+  "action",
+  "entityType",
+  "entityId",
+  "before",
+  "after",
+  "changes",
+  "ip",
+  "userAgent",
+];
+
+function hashEntry(entry) {
+  const payload = {};
+  for (const field of HASHED_FIELDS) payload[field] = entry[field];
+  payload.createdAt = new Date(entry.createdAt).toISOString();
+  return crypto
+    .createHash("sha256")
+    .update(`${entry.prevHash}\n${canonicalJson(payload)}`)
+    .digest("hex");
+}
+
+function redact(value, hidden) {
+  if (Array.isArray(value)) return value.map((item) => redact(item, hidden));
+  if (!value || typeof value !== "object") return value;
+  const out = {};
+  for (const [key, field] of Object.entries(value)) {
+    if (IGNORED_FIELDS.has(key)) continue;
+    out[key] = hidden.has(key) && field ? "[redacted]" : redact(field, hidden);
+  }
+  return out;
+}
+
+// A plain, JSON-safe copy of a document (Mongoose or not), or null
+function snapshot(doc) {
+  if (!doc) return null;
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  return JSON.parse(JSON.stringify(plain));
+}
+
+function flattenForDiff(value, prefix = "", out = {}) {
+  if (value && typeof value === "object" && !Array.isArray(value)) {
+    for (const [key, field] of Object.entries(value)) {
+      if (IGNORED_FIELDS.has(key)) continue;
+      flattenForDiff(field, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+// { "dotted.path": { from, to } } for every field that differs
+function diff(before, after, hidden) {
+  const from = flattenForDiff(before || {});
+  const to = flattenForDiff(after || {});
+  const changes = {};
+  for (const path of new Set([...Object.keys(from), ...Object.keys(to)])) {
+    if (JSON.stringify(from[path]) === JSON.stringify(to[path])) continue;
+    const redacted =
+      hidden.has(path.split(".")[0]) || hidden.has(path.split(".").pop());
+    changes[path] = {
+      from: redacted && from[path] ? "[redacted]" : (from[path] ?? null),
+      to: redacted && to[path] ? "[redacted]" : (to[path] ?? null),
+    };
+  }
+  return changes;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function toCsvRow(entry) {
+  return {
+    seq: entry.seq,
+    createdAt: new Date(entry.createdAt).toISOString(),
+    actorId: entry.actorId,
+    actorEmail: entry.actorEmail,
+    actorType: entry.actorType,
+    action: entry.action,
+    entityType: entry.entityType,
+    entityId: entry.entityId,
+    changes: JSON.stringify(entry.changes || {}),
+    before: JSON.stringify(entry.before),
+    after: JSON.stringify(entry.after),
+    ip: entry.ip,
+    userAgent: entry.userAgent,
+    hash: entry.hash,
+    prevHash: entry.prevHash,
+  };
+}
+
+function publicEntry(entry) {
+  const { _id, __v, ...rest } = entry;
+  return rest;
+}
+
+// Audit trail of admin actions. Routes call record(req, {...}) after a
+// change has been applied; failures are logged, never surfaced to the caller.
+function createAuditLog({ auth, localDB, isMongo, logger = console }) {
+  localDB.auditLog = localDB.auditLog || [];
+
+  function chain(fields, previous) {
+    const entry = {
+      ...fields,
+      seq: previous ? previous.seq + 1 : 1,
+      prevHash: previous ? previous.hash : GENESIS_HASH,
+    };
+    entry.hash = hashEntry(entry);
+    return entry;
+  }
+
+  async function append(fields) {
+    if (!isMongo()) {
+      const entry = Object.freeze(
+        chain(fields, localDB.auditLog[localDB.auditLog.length - 1]),
+      );
+      localDB.auditLog.push(entry);
+      return entry;
+    }
+
+    // seq is unique, so two writers racing for the same slot cannot fork
+    // the chain; the loser re-reads the tail and tries again
+    for (let attempt = 1; ; attempt += 1) {
+      const previous = await AuditEntry.findOne()
+        .sort({ seq: -1 })
+        .select("seq hash")
+        .lean();
+      const entry = chain(fields, previous);
+      try {
+        await AuditEntry.create(entry);
+        return entry;
+      } catch (error) {
+        if (error.code !== 11000 || attempt >= 5) throw error;
+      }
+    }
+  }
+
+  async function record(
+    req,
+    { action, entityType, entityId = "", before = null, after = null },
+  ) {
+    try {
+      const beforeSnapshot = snapshot(before);
+      const afterSnapshot = snapshot(after);
+      const hidden =
+        entityType === "user" ? REDACTED_USER_FIELDS : REDACTED_FIELDS;
+      return await append({
+        id: uuidv4(),
+        actorId: req.user?.id || "unknown",
+        actorEmail: req.user?.email || "",
+        actorType: req.apiKey ? "api-key" : "user",
+        action,
+        entityType,
+        entityId: String(entityId || ""),
+        before: redact(beforeSnapshot, hidden),
+        after: redact(afterSnapshot, hidden),
+        changes: diff(beforeSnapshot, afterSnapshot, hidden),
+        ip: req.ip || "",
+        userAgent: String(req.get("user-agent") || "").slice(0, 256),
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      logger.error("Audit log write failed", { action, error: error.message });
+      return null;
+    }
+  }
+
+  function buildFilter(query) {
+    const from = parseDate(query.from);
+    const to = parseDate(query.to);
+    if (from === undefined || to === undefined) {
+      return { error: "from and to must be dates" };
+    }
+    return {
+      actor: query.actor ? String(query.actor).toLowerCase() : null,
+      entityType: query.entityType || null,
+      entityId: query.entityId || null,
+      action: query.action || null,
+      from,
+      to,
+    };
+  }
+
+  async function search(filter, { skip = 0, limit = CSV_MAX_ROWS } = {}) {
+    if (!isMongo()) {
+      const matches = localDB.auditLog
+        .filter(
+          (e) =>
+            !filter.actor ||
+            e.actorId.toLowerCase() === filter.actor ||
+            e.actorEmail === filter.actor,
+        )
+        .filter((e) => !filter.entityType || e.entityType === filter.entityType)
+        .filter((e) => !filter.entityId || e.entityId === filter.entityId)
+        .filter((e) => !filter.action || e.action === filter.action)
+        .filter((e) => !filter.from || e.createdAt >= filter.from)
+        .filter((e) => !filter.to || e.createdAt <= filter.to)
+        .reverse();
+      return {
+        entries: matches.slice(skip, skip + limit),
+        total: matches.length,
+      };
+    }
+
+    const query = {};
+    if (filter.actor) {
+      query.$or = [{ actorId: filter.actor }, { actorEmail: filter.actor }];
+    }
+    if (filter.entityType) query.entityType = filter.entityType;
+    if (filter.entityId) query.entityId = filter.entityId;
+    if (filter.action) query.action = filter.action;
+    if (filter.from || filter.to) {
+      query.createdAt = {};
+      if (filter.from) query.createdAt.$gte = filter.from;
+      if (filter.to) query.createdAt.$lte = filter.to;
+    }
+
+    const [entries, total] = await Promise.all([
+      AuditEntry.find(query).sort({ seq: -1 }).skip(skip).limit(limit).lean(),
+      AuditEntry.countDocuments(query),
+    ]);
+    return { entries, total };
+  }
+
+  // Walks the whole chain; reports the first entry whose hash or link to
+  // its predecessor does not match
+  async function verify() {
+    let previous = null;
+    let checked = 0;
+
+    const check = (entry) => {
+      const expectedSeq = previous ? previous.seq + 1 : 1;
+      const expectedPrev = previous ? previous.hash : GENESIS_HASH;
+      if (entry.seq !== expectedSeq) {
+        return { reason: `expected entry ${expectedSeq}, found ${entry.seq}` };
+      }
+      if (entry.prevHash !== expectedPrev) {
+        return { reason: "link to the previous entry does not match" };
+      }
+      if (hashEntry(entry) !== entry.hash) {
+        return { reason: "entry contents do not match its hash" };
+      }
+      return null;
+    };
+
+    const entries = isMongo()
+      ? AuditEntry.find().sort({ seq: 1 }).lean().cursor()
+      : localDB.auditLog;
+    for await (const entry of entries) {
+      const problem = check(entry);
+      if (problem) {
+        return { valid: false, checked, brokenAt: entry.seq, ...problem };
+      }
+      previous = entry;
+      checked += 1;
+    }
+    return { valid: true, checked };
+  }
+
+  const router = express.Router();
+
+  // ?actor= (id or email), entityType, entityId, action, from, to;
+  // ?format=csv downloads up to CSV_MAX_ROWS matching entries
+  router.get("/api/admin/audit", auth.requireAdmin, async (req, res) => {
+    try {
+      const filter = buildFilter(req.query);
+      if (filter.error) {
+        return res.status(400).json({ error: filter.error });
+      }
+
+      if (req.query.format === "csv") {
+        const { entries } = await search(filter);
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader(
+          "Content-Disposition",
+          `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`,
+        );
+        return res.send(toCsv(entries.map(toCsvRow)));
+      }
+
+      const { page, limit } = parsePagination(req.query);
+      const { entries, total } = await search(filter, {
+        skip: (page - 1) * limit,
+        limit,
+      });
+      res.json({
+        entries: entries.map(publicEntry),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/admin/audit/verify", auth.requireAdmin, async (req, res) => {
+    try {
+      res.json(await verify());
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return { record, verify, router };
+}
+
+module.exports = { AuditEntry, createAuditLog };
@@ -0,0 +1,173 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { isSuspended } = require("./users");
+
+// Roles understood by the authorization layer. Every route declares which of
+// these it accepts; "admin" is never implied, it has to be listed.
+const ROLES = ["user", "companion", "admin"];
+
+// Access tokens are short-lived; clients renew them with a refresh token.
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+
+function getBearerToken(req) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+  if (scheme !== "Bearer" || !token) return null;
+  return token;
+}
+
+function createAuth({ jwtSecret, sessions, users, logger = console }) {
+  function signToken(user, { sessionId } = {}) {
+    return jwt.sign(
+      { id: user.id, email: user.email, role: user.role, sid: sessionId },
+      jwtSecret,
+      { expiresIn: ACCESS_TOKEN_TTL },
+    );
+  }
+
+  // Starts a new session for the user and returns the token pair that the
+  // login and register endpoints hand out.
+  async function issueTokens(user, req) {
+    const { refreshToken, sessionId } = await sessions.issue(user.id, {
+      userAgent: String(req.get("user-agent") || "").slice(0, 256),
+      ip: req.ip || "",
+    });
+    return {
+      token: signToken(user, { sessionId }),
+      refreshToken,
+      expiresIn: ACCESS_TOKEN_TTL,
+    };
+  }
+
+  // Decodes the bearer token without enforcing anything; null when absent or
+  // invalid.
+  function readToken(req) {
+    const token = getBearerToken(req);
+    if (!token) return null;
+    try {
+      return jwt.verify(token, jwtSecret);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Verifies the bearer token, its session and the account behind it. Role
+  // and email are read from the account so admin changes apply at once.
+  async function authenticate(req, res, next) {
+    const token = getBearerToken(req);
+    if (!token) {
+      return res.status(401).json({ error: "No token provided" });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, jwtSecret);
+    } catch (error) {
+      logger.warn("JWT authentication failed", error.message);
+      return res.status(401).json({ error: "Invalid token" });
+    }
+
+    let account;
+    try {
+      if (!(await sessions.isActive(decoded.sid))) {
+        return res.status(401).json({ error: "Session has been revoked" });
+      }
+      account = await users.findById(decoded.id);
+    } catch (error) {
+      logger.error("Session lookup failed", error.message);
+      return res
+        .status(500)
+        .json({ error: "Server error during authentication" });
+    }
+
+    if (!account) {
+      return res.status(401).json({ error: "Account no longer exists" });
+    }
+    if (isSuspended(account)) {
+      return res
+        .status(403)
+        .json({ error: "Account suspended", code: "ACCOUNT_SUSPENDED" });
+    }
+
+    req.user = {
+      id: account.id,
+      email: account.email,
+      role: account.role,
+      sid: decoded.sid,
+    };
+    next();
+  }
+
+  // For routes open to everyone that show more to signed-in callers: runs
+  // authenticate when a bearer token is sent, otherwise leaves req.user unset.
+  function optionalAuth(req, res, next) {
+    if (!getBearerToken(req)) return next();
+    return authenticate(req, res, next);
+  }
+
+  // Accepts the request only when the caller holds one of the given roles.
+  function requireRole(...roles) {
+    const unknown = roles.filter((role) => !ROLES.includes(role));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown role(s): ${unknown.join(", ")}`);
+    }
+
+    return [
+      authenticate,
+      (req, res, next) => {
+        if (!roles.includes(req.user.role)) {
+          return res.status(403).json({ error: "Insufficient permissions" });
+        }
+        next();
+      },
+    ];
+  }
+
+  // For per-user resources: the owner identified by req.params[param] or an
+  // admin may proceed.
+  function requireSelfOrAdmin(param = "id") {
+    return [
+      authenticate,
+      (req, res, next) => {
+        if (req.user.role !== "admin" && req.user.id !== req.params[param]) {
+          return res.status(403).json({ error: "Insufficient permissions" });
+        }
+        next();
+      },
+    ];
+  }
+
+  return {
+    accessTokenTtl: ACCESS_TOKEN_TTL,
+    signToken,
+    issueTokens,
+    readToken,
+    authenticate,
+    optionalAuth,
+    requireAuth: requireRole(...ROLES),
+    requireAdmin: requireRole("admin"),
+    requireRole,
+    requireSelfOrAdmin,
+  };
+}
+
+// Guards scheduled-job routes. Vercel Cron sends CRON_SECRET as a bearer
+// token; without the variable the routes stay closed.
+function requireCronSecret(req, res, next) {
+  const secret = process.env.CRON_SECRET;
+  if (!secret) {
+    return res.status(503).json({ error: "Scheduled jobs are not configured" });
+  }
+
+  const token = Buffer.from(getBearerToken(req) || "");
+  const expected = Buffer.from(secret);
+  if (
+    token.length !== expected.length ||
+    !crypto.timingSafeEqual(token, expected)
+  ) {
+    return res.status(401).json({ error: "Invalid cron secret" });
+  }
+  next();
+}
+
+module.exports = { ROLES, createAuth, getBearerToken, requireCronSecret };
@@ -0,0 +1,346 @@
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const COMMON_SORT_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "title",
+  "duration",
+  "category",
+  "status",
+  "ratingAverage",
+  "ratingCount",
+];
+const DATE_FIELDS = new Set(["createdAt", "updatedAt"]);
+
+// What can be filtered, sorted and searched per catalogue collection. The
+// text weights are used for both the Mongo text index and the localDB search.
+const CATALOG_KINDS = {
+  meditations: {
+    filters: ["category", "level", "status"],
+    sortFields: [...COMMON_SORT_FIELDS, "level"],
+    textWeights: { title: 10, description: 1 },
+  },
+  sounds: {
+    filters: ["category", "status", "artist", "frequency", "mood"],
+    sortFields: [...COMMON_SORT_FIELDS, "artist", "frequency"],
+    textWeights: { title: 10, artist: 5, description: 1 },
+  },
+};
+
+// Arguments for schema.index() creating the collection's text index
+function catalogTextIndex(kind) {
+  const { textWeights } = CATALOG_KINDS[kind];
+  const fields = {};
+  for (const field of Object.keys(textWeights)) fields[field] = "text";
+  return [fields, { weights: textWeights, name: `${kind}_text` }];
+}
+
+function encodeCursor(value) {
+  return Buffer.from(JSON.stringify(value)).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+}
+
+function listParam(value) {
+  return String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Validates the query string. Returns { error } or the parsed options:
+//   category=a,b  level=  status=  artist=  frequency=  mood=  (comma = any of)
+//   minDuration= maxDuration=  q=<text>  sort=-createdAt,title  limit=  cursor=
+function parseCatalogQuery(kind, query) {
+  const spec = CATALOG_KINDS[kind];
+  const filters = {};
+
+  for (const name of ["category", "level", "status", "artist", "frequency"]) {
+    if (query[name] === undefined) continue;
+    if (!spec.filters.includes(name)) {
+      return { error: `${name} is not a filter for ${kind}` };
+    }
+    filters[name] = listParam(query[name]);
+  }
+  if (query.mood !== undefined) {
+    if (!spec.filters.includes("mood")) {
+      return { error: `mood is not a filter for ${kind}` };
+    }
+    filters.mood = listParam(query.mood);
+  }
+
+  const duration = {};
+  for (const [param, bound] of [
+    ["minDuration", "min"],
+    ["maxDuration", "max"],
+  ]) {
+    if (query[param] === undefined) continue;
+    const value = Number(query[param]);
+    if (!Number.isFinite(value)) {
+      return { error: `${param} must be a number` };
+    }
+    duration[bound] = value;
+  }
+
+  const q = typeof query.q === "string" ? query.q.trim() : "";
+  const sort = [];
+  const sortParam = query.sort || (q ? "relevance" : "-createdAt");
+  for (const key of listParam(sortParam)) {
+    const direction = key.startsWith("-") ? -1 : 1;
+    const field = key.replace(/^[-+]/, "");
+    if (field === "relevance") {
+      if (!q) return { error: "Sorting by relevance needs a q search" };
+      sort.push({ field, direction: -1 });
+    } else if (spec.sortFields.includes(field)) {
+      sort.push({ field, direction });
+    } else {
+      return {
+        error: `sort must use: ${[...spec.sortFields, "relevance"].join(", ")}`,
+      };
+    }
+  }
+
+  const limit = Math.min(
+    Math.max(Number.parseInt(query.limit, 10) || DEFAULT_PAGE_SIZE, 1),
+    MAX_PAGE_SIZE,
+  );
+
+  // The cursor remembers the sort it was issued for
+  const sortKey = sort.map((s) => `${s.direction < 0 ? "-" : ""}${s.field}`);
+  let cursor = null;
+  if (query.cursor) {
+    cursor = decodeCursor(query.cursor);
+    if (!cursor || cursor.sort !== sortKey.join(",")) {
+      return { error: "Invalid cursor for this query" };
+    }
+  }
+
+  return {
+    filters,
+    duration,
+    q,
+    sort,
+    sortKey: sortKey.join(","),
+    limit,
+    cursor,
+  };
+}
+
+// Sorting by relevance pages by offset, everything else by the sort values
+// of the last item (with the id as tie-breaker)
+function usesOffset(options) {
+  return options.sort.some((s) => s.field === "relevance");
+}
+
+function cursorValue(field, value) {
+  if (value === undefined || value === null) return null;
+  return DATE_FIELDS.has(field) ? new Date(value).toISOString() : value;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return -1;
+  if (b === null || b === undefined) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+}
+
+// Words to match and words to exclude ("-word"), like Mongo's $text
+function parseSearch(q) {
+  const include = [];
+  const exclude = [];
+  for (const word of q.toLowerCase().split(/\s+/).filter(Boolean)) {
+    if (word.startsWith("-") && word.length > 1) exclude.push(word.slice(1));
+    else include.push(word.replace(/^"|"$/g, ""));
+  }
+  return { include: include.filter(Boolean), exclude };
+}
+
+function textScore(item, search, weights) {
+  let score = 0;
+  for (const [field, weight] of Object.entries(weights)) {
+    const text = String(item[field] || "").toLowerCase();
+    if (search.exclude.some((word) => text.includes(word))) return 0;
+    for (const word of search.include) {
+      score += weight * (text.split(word).length - 1);
+    }
+  }
+  return score;
+}
+
+// Cursor-paginated catalogue listing over Mongo or localDB. `models` maps
+// each kind to the entry point's Mongoose model.
+function createCatalog({ localDB, isMongo, models }) {
+  function mongoFilter(options, scope) {
+    const clauses = [];
+    if (scope.filter) clauses.push(scope.filter);
+    for (const [field, values] of Object.entries(options.filters)) {
+      clauses.push({ [field]: { $in: values } });
+    }
+    if (options.duration.min !== undefined) {
+      clauses.push({ duration: { $gte: options.duration.min } });
+    }
+    if (options.duration.max !== undefined) {
+      clauses.push({ duration: { $lte: options.duration.max } });
+    }
+    if (options.q) clauses.push({ $text: { $search: options.q } });
+    return clauses.length > 0 ? { $and: clauses } : {};
+  }
+
+  // Everything strictly after the cursor in sort order
+  function mongoAfter(options) {
+    const keys = [...options.sort, { field: "id", direction: 1 }];
+    const values = [...options.cursor.values, options.cursor.id];
+    const branches = keys.map((key, index) => {
+      const branch = {};
+      for (let i = 0; i < index; i += 1) {
+        branch[keys[i].field] = mongoValue(keys[i].field, values[i]);
+      }
+      branch[key.field] = {
+        [key.direction < 0 ? "$lt" : "$gt"]: mongoValue(
+          key.field,
+          values[index],
+        ),
+      };
+      return branch;
+    });
+    return { $or: branches };
+  }
+
+  function mongoValue(field, value) {
+    return DATE_FIELDS.has(field) && value ? new Date(value) : value;
+  }
+
+  async function listMongo(Model, options, scope) {
+    const filter = mongoFilter(options, scope);
+    const total = await Model.countDocuments(filter);
+
+    const query = { ...filter };
+    if (options.cursor && !usesOffset(options)) {
+      query.$and = [...(query.$and || []), mongoAfter(options)];
+    }
+
+    const sort = {};
+    for (const { field, direction } of options.sort) {
+      sort[field === "relevance" ? "score" : field] =
+        field === "relevance" ? { $meta: "textScore" } : direction;
+    }
+    sort.id = 1;
+
+    let find = Model.find(
+      query,
+      options.q ? { score: { $meta: "textScore" } } : {},
+    ).sort(sort);
+    if (usesOffset(options) && options.cursor) {
+      find = find.skip(options.cursor.offset || 0);
+    }
+    const items = await find.limit(options.limit + 1).lean();
+    return { items, total };
+  }
+
+  function listLocal(kind, options, scope) {
+    const { textWeights } = CATALOG_KINDS[kind];
+    const search = options.q ? parseSearch(options.q) : null;
+
+    let matches = (localDB[kind] || [])
+      .filter((item) => !scope.matches || scope.matches(item))
+      .filter((item) =>
+        Object.entries(options.filters).every(([field, values]) =>
+          field === "mood"
+            ? (item.mood || []).some((mood) => values.includes(mood))
+            : values.includes(item[field]),
+        ),
+      )
+      .filter(
+        (item) =>
+          (options.duration.min === undefined ||
+            item.duration >= options.duration.min) &&
+          (options.duration.max === undefined ||
+            item.duration <= options.duration.max),
+      );
+    if (search) {
+      matches = matches
+        .map((item) => ({
+          ...item,
+          score: textScore(item, search, textWeights),
+        }))
+        .filter((item) => item.score > 0);
+    }
+
+    const keyOf = (item) =>
+      options.sort.map(({ field }) =>
+        cursorValue(field, field === "relevance" ? item.score : item[field]),
+      );
+    const compare = (aKey, aId, bKey, bId) => {
+      for (let i = 0; i < options.sort.length; i += 1) {
+        const result = compareValues(aKey[i], bKey[i]);
+        if (result !== 0) return result * options.sort[i].direction;
+      }
+      return compareValues(aId, bId);
+    };
+    matches.sort((a, b) => compare(keyOf(a), a.id, keyOf(b), b.id));
+
+    const total = matches.length;
+    if (options.cursor && usesOffset(options)) {
+      matches = matches.slice(options.cursor.offset || 0);
+    } else if (options.cursor) {
+      matches = matches.filter(
+        (item) =>
+          compare(
+            keyOf(item),
+            item.id,
+            options.cursor.values,
+            options.cursor.id,
+          ) > 0,
+      );
+    }
+    return { items: matches.slice(0, options.limit + 1), total };
+  }
+
+  // Returns { error } for a bad query, else { items, total, nextCursor,
+  // limit }. `scope` limits what the caller may see at all, as a Mongo
+  // `filter` and the equivalent localDB predicate `matches`.
+  async function list(kind, query, scope = {}) {
+    const options = parseCatalogQuery(kind, query);
+    if (options.error) return options;
+
+    const { items, total } = isMongo()
+      ? await listMongo(models[kind], options, scope)
+      : listLocal(kind, options, scope);
+
+    const page = items.slice(0, options.limit);
+    let nextCursor = null;
+    if (items.length > options.limit) {
+      const last = page[page.length - 1];
+      nextCursor = encodeCursor(
+        usesOffset(options)
+          ? {
+              sort: options.sortKey,
+              offset: (options.cursor?.offset || 0) + options.limit,
+            }
+          : {
+              sort: options.sortKey,
+              values: options.sort.map(({ field }) =>
+                cursorValue(field, last[field]),
+              ),
+              id: last.id,
+            },
+      );
+    }
+    return { items: page, total, nextCursor, limit: options.limit };
+  }
+
+  return { list };
+}
+
+module.exports = {
+  CATALOG_KINDS,
+  catalogTextIndex,
+  createCatalog,
+  parseCatalogQuery,
+};
@@ -0,0 +1,574 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { DELETED_USER_ID } = require("./accountDeletion");
+const { parsePagination } = require("./adminUsers");
+const { adminView, isPublic, publicView } = require("./editorial");
+
+// Track kinds a collection can hold, with their localDB collection
+const TRACK_KINDS = { meditation: "meditations", sound: "sounds" };
+const VISIBILITIES = ["public", "private"];
+const MAX_COLLECTION_ITEMS = 200;
+
+const collectionItemSchema = new mongoose.Schema(
+  {
+    kind: { type: String, enum: Object.keys(TRACK_KINDS), required: true },
+    id: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+// Editorial collections ("Sleep Week") are public ones made by admins;
+// everyone else's are private playlists. Items keep their order.
+const collectionSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    coverImageUrl: { type: String, default: "" },
+    ownerId: { type: String, required: true, index: true },
+    visibility: { type: String, enum: VISIBILITIES, default: "private" },
+    featured: { type: Boolean, default: false },
+    // Position on the home screen, lowest first
+    featuredRank: { type: Number, default: 0 },
+    items: { type: [collectionItemSchema], default: [] },
+  },
+  { timestamps: true },
+);
+collectionSchema.index({ visibility: 1, featured: 1, featuredRank: 1 });
+collectionSchema.index({ "items.kind": 1, "items.id": 1 });
+
+const Collection =
+  mongoose.models.Collection || mongoose.model("Collection", collectionSchema);
+
+function trackKey(item) {
+  return `${item.kind}:${item.id}`;
+}
+
+function toCollectionResponse(collection, { withOwner = true } = {}) {
+  return {
+    id: collection.id,
+    title: collection.title,
+    description: collection.description || "",
+    coverImageUrl: collection.coverImageUrl || "",
+    ...(withOwner ? { ownerId: collection.ownerId } : {}),
+    visibility: collection.visibility,
+    featured: Boolean(collection.featured),
+    featuredRank: collection.featuredRank || 0,
+    items: (collection.items || []).map(({ kind, id }) => ({ kind, id })),
+    createdAt: collection.createdAt,
+    updatedAt: collection.updatedAt,
+  };
+}
+
+// Validates the editable fields present in `body`. Returns { error, code }
+// or { changes }. Only admins may make a collection public or featured.
+function parseChanges(body, { isAdmin, partial }) {
+  const changes = {};
+  const { title, description, coverImageUrl, visibility } = body;
+
+  if (title !== undefined || !partial) {
+    if (typeof title !== "string" || !title.trim()) {
+      return { code: 400, error: "Title is required" };
+    }
+    changes.title = title.trim().slice(0, 120);
+  }
+  if (description !== undefined) {
+    changes.description = String(description).slice(0, 2000);
+  }
+  if (coverImageUrl !== undefined) {
+    changes.coverImageUrl = String(coverImageUrl);
+  }
+  if (visibility !== undefined) {
+    if (!VISIBILITIES.includes(visibility)) {
+      return {
+        code: 400,
+        error: `visibility must be one of: ${VISIBILITIES.join(", ")}`,
+      };
+    }
+    changes.visibility = visibility;
+  }
+  if (body.featured !== undefined) {
+    changes.featured = body.featured === true;
+  }
+  if (body.featuredRank !== undefined) {
+    const rank = Number(body.featuredRank);
+    if (!Number.isFinite(rank)) {
+      return { code: 400, error: "featuredRank must be a number" };
+    }
+    changes.featuredRank = rank;
+  }
+
+  if (
+    !isAdmin &&
+    (changes.visibility === "public" || changes.featured !== undefined)
+  ) {
+    return {
+      code: 403,
+      error: "Only admins can publish or feature collections",
+    };
+  }
+  return { changes };
+}
+
+// Themed collections and personal playlists of meditations and sounds.
+// `models` maps each track kind to the entry point's Mongoose model.
+function createCollections({
+  auth,
+  audit,
+  models,
+  localDB,
+  isMongo,
+  logger = console,
+}) {
+  localDB.collections = localDB.collections || [];
+
+  function canEdit(collection, user) {
+    return user?.role === "admin" || collection.ownerId === user?.id;
+  }
+
+  function canView(collection, user) {
+    return collection.visibility === "public" || canEdit(collection, user);
+  }
+
+  async function findById(id) {
+    if (!isMongo()) {
+      const collection = localDB.collections.find((c) => c.id === id);
+      return collection ? { ...collection } : null;
+    }
+    return Collection.findOne({ id }).lean();
+  }
+
+  // Map of "kind:id" to the stored track for the given references
+  async function findTracks(items) {
+    const tracks = new Map();
+    for (const [kind, key] of Object.entries(TRACK_KINDS)) {
+      const ids = items.filter((item) => item.kind === kind).map((i) => i.id);
+      if (ids.length === 0) continue;
+
+      const found = !isMongo()
+        ? (localDB[key] || []).filter((track) => ids.includes(track.id))
+        : await models[kind].find({ id: { $in: ids } }).lean();
+      for (const track of found) tracks.set(`${kind}:${track.id}`, track);
+    }
+    return tracks;
+  }
+
+  // Normalises an items array; the tracks have to exist, and everyone but
+  // admins can only add tracks that are published. Tracks already in the
+  // collection (`existing`) may stay after they were unpublished.
+  async function parseItems(items, user, existing = []) {
+    if (!Array.isArray(items)) {
+      return { code: 400, error: "items must be an array" };
+    }
+    if (items.length > MAX_COLLECTION_ITEMS) {
+      return {
+        code: 400,
+        error: `A collection holds at most ${MAX_COLLECTION_ITEMS} items`,
+      };
+    }
+
+    const parsed = [];
+    for (const item of items) {
+      if (!item || !TRACK_KINDS[item.kind] || typeof item.id !== "string") {
+        return {
+          code: 400,
+          error: `Each item needs a kind (${Object.keys(TRACK_KINDS).join(", ")}) and an id`,
+        };
+      }
+      parsed.push({ kind: item.kind, id: item.id });
+    }
+    if (new Set(parsed.map(trackKey)).size !== parsed.length) {
+      return { code: 400, error: "A track can only appear once" };
+    }
+
+    const kept = new Set(existing.map(trackKey));
+    const tracks = await findTracks(parsed);
+    const unavailable = parsed.filter((item) => {
+      const track = tracks.get(trackKey(item));
+      if (!track) return true;
+      return (
+        user.role !== "admin" && !isPublic(track) && !kept.has(trackKey(item))
+      );
+    });
+    if (unavailable.length > 0) {
+      return {
+        code: 400,
+        error: `Unknown track(s): ${unavailable.map(trackKey).join(", ")}`,
+      };
+    }
+    return { items: parsed };
+  }
+
+  async function create(fields) {
+    const now = new Date();
+    const record = {
+      id: uuidv4(),
+      description: "",
+      coverImageUrl: "",
+      visibility: "private",
+      featured: false,
+      featuredRank: 0,
+      items: [],
+      ...fields,
+    };
+    if (!isMongo()) {
+      const stored = { ...record, createdAt: now, updatedAt: now };
+      localDB.collections.push(stored);
+      return { ...stored };
+    }
+    return (await Collection.create(record)).toObject();
+  }
+
+  async function update(id, changes) {
+    if (!isMongo()) {
+      const stored = localDB.collections.find((c) => c.id === id);
+      if (!stored) return null;
+      Object.assign(stored, changes, { updatedAt: new Date() });
+      return { ...stored };
+    }
+    return Collection.findOneAndUpdate({ id }, changes, { new: true }).lean();
+  }
+
+  async function remove(id) {
+    if (!isMongo()) {
+      const index = localDB.collections.findIndex((c) => c.id === id);
+      if (index === -1) return null;
+      return localDB.collections.splice(index, 1)[0];
+    }
+    return Collection.findOneAndDelete({ id }).lean();
+  }
+
+  async function list({ filter, matches, sort, page, limit }) {
+    if (!isMongo()) {
+      const all = localDB.collections.filter(matches).sort(sort);
+      return {
+        collections: all.slice((page - 1) * limit, page * limit),
+        total: all.length,
+      };
+    }
+    const [collections, total] = await Promise.all([
+      Collection.find(filter)
+        .sort({ featured: -1, featuredRank: 1, updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Collection.countDocuments(filter),
+    ]);
+    return { collections, total };
+  }
+
+  // Featured first (by rank), then most recently updated
+  function compareCollections(a, b) {
+    return (
+      Number(Boolean(b.featured)) - Number(Boolean(a.featured)) ||
+      (a.featuredRank || 0) - (b.featuredRank || 0) ||
+      new Date(b.updatedAt) - new Date(a.updatedAt)
+    );
+  }
+
+  // The collection with its tracks resolved. Tracks the viewer may not see
+  // (unpublished, or deleted in the meantime) are left out.
+  async function withTracks(collection, user) {
+    const isAdmin = user?.role === "admin";
+    const tracks = await findTracks(collection.items || []);
+    const items = [];
+    for (const item of collection.items || []) {
+      const track = tracks.get(trackKey(item));
+      if (!track || (!isAdmin && !isPublic(track))) continue;
+      items.push({
+        kind: item.kind,
+        ...(isAdmin ? adminView(track) : publicView(track)),
+      });
+    }
+    return {
+      ...toCollectionResponse(collection, {
+        withOwner: canEdit(collection, user),
+      }),
+      items,
+    };
+  }
+
+  async function recordAdminAction(req, action, before, after) {
+    if (req.user.role !== "admin") return;
+    await audit.record(req, {
+      action,
+      entityType: "collection",
+      entityId: (after || before).id,
+      before,
+      after,
+    });
+  }
+
+  // Called when a meditation or sound is deleted
+  async function removeTrack(kind, id) {
+    if (!isMongo()) {
+      let changed = 0;
+      for (const collection of localDB.collections) {
+        const items = collection.items.filter(
+          (item) => item.kind !== kind || item.id !== id,
+        );
+        if (items.length === collection.items.length) continue;
+        Object.assign(collection, { items, updatedAt: new Date() });
+        changed += 1;
+      }
+      return changed;
+    }
+    const result = await Collection.updateMany(
+      { items: { $elemMatch: { kind, id } } },
+      { $pull: { items: { kind, id } } },
+    );
+    return result.modifiedCount;
+  }
+
+  // Called when the whole catalogue is cleared
+  async function clearTracks() {
+    if (!isMongo()) {
+      for (const collection of localDB.collections) collection.items = [];
+      return;
+    }
+    await Collection.updateMany({}, { $set: { items: [] } });
+  }
+
+  // Account deletion: private playlists go, public collections stay
+  async function purgeUser(userId) {
+    if (!isMongo()) {
+      localDB.collections = localDB.collections.filter(
+        (c) => c.ownerId !== userId || c.visibility === "public",
+      );
+      for (const collection of localDB.collections) {
+        if (collection.ownerId === userId) collection.ownerId = DELETED_USER_ID;
+      }
+      return;
+    }
+    await Collection.deleteMany({ ownerId: userId, visibility: "private" });
+    await Collection.updateMany(
+      { ownerId: userId },
+      { $set: { ownerId: DELETED_USER_ID } },
+    );
+  }
+
+  // For the personal data export
+  async function listByOwner(userId) {
+    if (!isMongo()) {
+      return localDB.collections.filter((c) => c.ownerId === userId);
+    }
+    return Collection.find({ ownerId: userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  const router = express.Router();
+
+  // Public collections; featured=true for the home screen
+  router.get("/api/collections", async (req, res) => {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const featured = req.query.featured === "true";
+      const result = await list({
+        filter: { visibility: "public", ...(featured ? { featured } : {}) },
+        matches: (c) => c.visibility === "public" && (!featured || c.featured),
+        sort: compareCollections,
+        page,
+        limit,
+      });
+      res.json({
+        collections: result.collections.map((c) =>
+          toCollectionResponse(c, { withOwner: false }),
+        ),
+        total: result.total,
+        page,
+        limit,
+        totalPages: Math.ceil(result.total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/collections/mine", auth.requireAuth, async (req, res) => {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const result = await list({
+        filter: { ownerId: req.user.id },
+        matches: (c) => c.ownerId === req.user.id,
+        sort: compareCollections,
+        page,
+        limit,
+      });
+      res.json({
+        collections: result.collections.map((c) => toCollectionResponse(c)),
+        total: result.total,
+        page,
+        limit,
+        totalPages: Math.ceil(result.total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/collections/:id", auth.optionalAuth, async (req, res) => {
+    try {
+      const collection = await findById(req.params.id);
+      // Private collections look the same as missing ones to others
+      if (!collection || !canView(collection, req.user)) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+      res.json(await withTracks(collection, req.user));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/api/collections", auth.requireAuth, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const isAdmin = req.user.role === "admin";
+      const parsed = parseChanges(body, { isAdmin, partial: false });
+      if (parsed.error) {
+        return res.status(parsed.code).json({ error: parsed.error });
+      }
+      const items = await parseItems(body.items || [], req.user);
+      if (items.error) {
+        return res.status(items.code).json({ error: items.error });
+      }
+
+      const created = await create({
+        ...parsed.changes,
+        items: items.items,
+        ownerId: req.user.id,
+      });
+      await recordAdminAction(req, "collection.create", null, created);
+      res.status(201).json(toCollectionResponse(created));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Any editable field; sending items replaces the list, which is also how
+  // tracks are reordered
+  router.patch("/api/collections/:id", auth.requireAuth, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const collection = await findById(req.params.id);
+      if (!collection || !canView(collection, req.user)) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+      if (!canEdit(collection, req.user)) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      const isAdmin = req.user.role === "admin";
+      const parsed = parseChanges(body, { isAdmin, partial: true });
+      if (parsed.error) {
+        return res.status(parsed.code).json({ error: parsed.error });
+      }
+      const changes = parsed.changes;
+      if (body.items !== undefined) {
+        const items = await parseItems(body.items, req.user, collection.items);
+        if (items.error) {
+          return res.status(items.code).json({ error: items.error });
+        }
+        changes.items = items.items;
+      }
+
+      const updated = await update(collection.id, changes);
+      await recordAdminAction(req, "collection.update", collection, updated);
+      res.json(toCollectionResponse(updated));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Adds one track, at `position` (0-based) or at the end
+  router.post(
+    "/api/collections/:id/items",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { kind, id, position } = req.body || {};
+        const collection = await findById(req.params.id);
+        if (!collection || !canView(collection, req.user)) {
+          return res.status(404).json({ error: "Collection not found" });
+        }
+        if (!canEdit(collection, req.user)) {
+          return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
+        const current = collection.items || [];
+        const at = Number.isInteger(position)
+          ? Math.min(Math.max(position, 0), current.length)
+          : current.length;
+        const items = await parseItems(
+          [...current.slice(0, at), { kind, id }, ...current.slice(at)],
+          req.user,
+          current,
+        );
+        if (items.error) {
+          return res.status(items.code).json({ error: items.error });
+        }
+
+        const updated = await update(collection.id, { items: items.items });
+        await recordAdminAction(req, "collection.update", collection, updated);
+        res.status(201).json(toCollectionResponse(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.delete(
+    "/api/collections/:id/items/:kind/:itemId",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { kind, itemId } = req.params;
+        const collection = await findById(req.params.id);
+        if (!collection || !canView(collection, req.user)) {
+          return res.status(404).json({ error: "Collection not found" });
+        }
+        if (!canEdit(collection, req.user)) {
+          return res.status(403).json({ error: "Insufficient permissions" });
+        }
+
+        const items = (collection.items || []).filter(
+          (item) => item.kind !== kind || item.id !== itemId,
+        );
+        if (items.length === (collection.items || []).length) {
+          return res.status(404).json({ error: "Item not in collection" });
+        }
+
+        const updated = await update(collection.id, { items });
+        await recordAdminAction(req, "collection.update", collection, updated);
+        res.json(toCollectionResponse(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.delete("/api/collections/:id", auth.requireAuth, async (req, res) => {
+    try {
+      const collection = await findById(req.params.id);
+      if (!collection || !canView(collection, req.user)) {
+        return res.status(404).json({ error: "Collection not found" });
+      }
+      if (!canEdit(collection, req.user)) {
+        return res.status(403).json({ error: "Insufficient permissions" });
+      }
+
+      const deleted = await remove(collection.id);
+      await recordAdminAction(req, "collection.delete", deleted, null);
+      logger.info("Collection deleted", {
+        collectionId: collection.id,
+        by: req.user.id,
+      });
+      res.json({ ok: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return { clearTracks, listByOwner, purgeUser, removeTrack, router };
+}
+
+module.exports = { Collection, TRACK_KINDS, createCollections };
@@ -0,0 +1,483 @@
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { toSafeUser } = require("./users");
+const { writeZip } = require("./zip");
+
+const EXPORT_FORMATS = ["json", "zip"];
+const EXPORT_SYNC_MAX_BYTES =
+  Number(process.env.EXPORT_SYNC_MAX_BYTES) || 5 * 1024 * 1024;
+const EXPORT_TTL_HOURS = Number(process.env.EXPORT_TTL_HOURS) || 24;
+// A job stuck in "processing" this long is assumed to have died with its
+// instance and may be picked up again
+const STALE_JOB_MINUTES = 10;
+
+const dataExportSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    userId: { type: String, required: true, index: true },
+    format: { type: String, enum: EXPORT_FORMATS, required: true },
+    status: {
+      type: String,
+      enum: ["pending", "processing", "ready", "failed", "expired"],
+      default: "pending",
+    },
+    filename: { type: String, default: null },
+    size: { type: Number, default: 0 },
+    error: { type: String, default: null },
+    startedAt: { type: Date, default: null },
+    completedAt: { type: Date, default: null },
+    expiresAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+const DataExport =
+  mongoose.models.DataExport || mongoose.model("DataExport", dataExportSchema);
+
+// Drops Mongo internals so exported records look the same in both modes
+function clean(doc) {
+  if (!doc) return doc;
+  const plain = typeof doc.toObject === "function" ? doc.toObject() : doc;
+  const { _id, __v, ...rest } = plain;
+  return rest;
+}
+
+function flatten(value, prefix = "", out = {}) {
+  for (const [key, field] of Object.entries(value || {})) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (field instanceof Date) {
+      out[column] = field.toISOString();
+    } else if (Array.isArray(field)) {
+      out[column] = JSON.stringify(field);
+    } else if (field && typeof field === "object") {
+      flatten(field, column, out);
+    } else {
+      out[column] = field;
+    }
+  }
+  return out;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return "";
+  let text = String(value);
+  // Keep spreadsheet apps from evaluating user-entered text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Nested fields become dotted columns; every row shares the union of columns
+function toCsv(rows) {
+  const flat = rows.map((row) => flatten(row));
+  const columns = [...new Set(flat.flatMap((row) => Object.keys(row)))];
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of flat) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+// programEnrollments -> program_enrollments.csv
+function csvFileName(name) {
+  return `${name.replace(/[A-Z]/g, (c) => `_${c.toLowerCase()}`)}.csv`;
+}
+
+function publicJob(job) {
+  return {
+    id: job.id,
+    format: job.format,
+    status: job.status,
+    size: job.size,
+    error: job.error,
+    createdAt: job.createdAt,
+    completedAt: job.completedAt,
+    expiresAt: job.expiresAt,
+    downloadUrl:
+      job.status === "ready" ? `/api/me/exports/${job.id}/download` : null,
+  };
+}
+
+// Personal data export. `models` carries the entry point's own
+// MarketplaceRequest, MarketplaceItem and CompanionApplication models;
+// `sources` adds data kept by other features, as { name, collect(user) }
+// returning rows that are exported under data[name] and as <snake_name>.csv.
+function createDataExport({
+  auth,
+  users,
+  uploads,
+  models,
+  localDB,
+  isMongo,
+  storage,
+  sources = [],
+  exportDir = process.env.EXPORT_DIR ||
+    path.join(__dirname, "..", "data", "exports"),
+  logger = console,
+}) {
+  localDB.dataExports = localDB.dataExports || [];
+
+  // Everything stored about the user. Marketplace items are matched by owner
+  // or by the request they were approved from, depending on the schema.
+  async function collect(user) {
+    let marketplaceRequests;
+    let marketplaceItems;
+    let companionApplications;
+
+    if (!isMongo()) {
+      marketplaceRequests = (localDB.marketplaceRequests || []).filter(
+        (request) => request.userId === user.id,
+      );
+      const requestIds = new Set(marketplaceRequests.map((r) => r.id));
+      marketplaceItems = (localDB.marketplaceItems || []).filter(
+        (item) => item.userId === user.id || requestIds.has(item.requestId),
+      );
+      companionApplications = [];
+    } else {
+      marketplaceRequests = await models.MarketplaceRequest.find({
+        userId: user.id,
+      }).lean();
+      const requestIds = marketplaceRequests.map((r) => r.id);
+      [marketplaceItems, companionApplications] = await Promise.all([
+        models.MarketplaceItem.find({
+          $or: [{ userId: user.id }, { requestId: { $in: requestIds } }],
+        }).lean(),
+        models.CompanionApplication.find({
+          $or: [{ userId: user.id }, { email: user.email }],
+        }).lean(),
+      ]);
+    }
+
+    const data = {
+      exportedAt: new Date(),
+      user: clean(toSafeUser(user)),
+      marketplaceRequests: marketplaceRequests.map(clean),
+      marketplaceItems: marketplaceItems.map(clean),
+      companionApplications: companionApplications.map(clean),
+      uploads: (await uploads.listByUser(user.id)).map(clean),
+    };
+    for (const source of sources) {
+      data[source.name] = (await source.collect(user)).map(clean);
+    }
+    return data;
+  }
+
+  // Upload records whose file is no longer stored are still listed in
+  // uploads.csv, just without the file.
+  async function zipEntries(data) {
+    const entries = [
+      { name: "user.csv", data: toCsv([data.user]) },
+      {
+        name: "marketplace_requests.csv",
+        data: toCsv(data.marketplaceRequests),
+      },
+      { name: "marketplace_items.csv", data: toCsv(data.marketplaceItems) },
+      {
+        name: "companion_applications.csv",
+        data: toCsv(data.companionApplications),
+      },
+      { name: "uploads.csv", data: toCsv(data.uploads) },
+      ...sources.map((source) => ({
+        name: csvFileName(source.name),
+        data: toCsv(data[source.name]),
+      })),
+    ];
+    for (const upload of data.uploads) {
+      const key = path.basename(upload.filename);
+      if (await storage.stat(key)) {
+        entries.push({
+          name: `files/${key}`,
+          read: () => storage.read(key),
+        });
+      }
+    }
+    return entries;
+  }
+
+  function estimateSize(data) {
+    let size = Buffer.byteLength(JSON.stringify(data));
+    for (const upload of data.uploads) size += upload.size || 0;
+    return size;
+  }
+
+  async function writeArchive(data, format, target) {
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+    if (format === "json") {
+      const body = JSON.stringify(data, null, 2);
+      await fs.promises.writeFile(target, body);
+      return Buffer.byteLength(body);
+    }
+    return writeZip(target, await zipEntries(data));
+  }
+
+  async function findJob(id, userId) {
+    if (!isMongo()) {
+      return (
+        localDB.dataExports.find((j) => j.id === id && j.userId === userId) ||
+        null
+      );
+    }
+    return DataExport.findOne({ id, userId }).lean();
+  }
+
+  async function listJobs(userId) {
+    if (!isMongo()) {
+      return localDB.dataExports
+        .filter((j) => j.userId === userId)
+        .sort((a, b) => b.createdAt - a.createdAt);
+    }
+    return DataExport.find({ userId }).sort({ createdAt: -1 }).lean();
+  }
+
+  async function createJob(userId, format) {
+    if (!isMongo()) {
+      const now = new Date();
+      const job = {
+        id: uuidv4(),
+        userId,
+        format,
+        status: "pending",
+        filename: null,
+        size: 0,
+        error: null,
+        startedAt: null,
+        completedAt: null,
+        expiresAt: null,
+        createdAt: now,
+        updatedAt: now,
+      };
+      localDB.dataExports.push(job);
+      return job;
+    }
+    return (await DataExport.create({ userId, format })).toObject();
+  }
+
+  async function updateJob(id, changes) {
+    if (!isMongo()) {
+      const job = localDB.dataExports.find((j) => j.id === id);
+      if (job) Object.assign(job, changes, { updatedAt: new Date() });
+      return job || null;
+    }
+    return DataExport.findOneAndUpdate({ id }, changes, { new: true }).lean();
+  }
+
+  // Atomically moves a pending (or abandoned) job to "processing" so that
+  // two instances never build the same archive.
+  async function claimJob(id) {
+    const staleBefore = new Date(Date.now() - STALE_JOB_MINUTES * 60 * 1000);
+    if (!isMongo()) {
+      const job = localDB.dataExports.find((j) => j.id === id);
+      const claimable =
+        job &&
+        (job.status === "pending" ||
+          (job.status === "processing" && job.startedAt < staleBefore));
+      if (!claimable) return null;
+      return updateJob(id, { status: "processing", startedAt: new Date() });
+    }
+    return DataExport.findOneAndUpdate(
+      {
+        id,
+        $or: [
+          { status: "pending" },
+          { status: "processing", startedAt: { $lt: staleBefore } },
+        ],
+      },
+      { status: "processing", startedAt: new Date() },
+      { new: true },
+    ).lean();
+  }
+
+  async function runJob(id) {
+    let job = null;
+    try {
+      job = await claimJob(id);
+      if (!job) return;
+
+      const user = await users.findById(job.userId);
+      if (!user) throw new Error("User not found");
+
+      const filename = `${job.id}.${job.format}`;
+      const size = await writeArchive(
+        await collect(user),
+        job.format,
+        path.join(exportDir, filename),
+      );
+      await updateJob(job.id, {
+        status: "ready",
+        filename,
+        size,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_TTL_HOURS * 60 * 60 * 1000),
+      });
+      logger.info("Data export ready", { exportId: job.id, size });
+    } catch (error) {
+      logger.error("Data export failed", error);
+      // A job that could not be claimed is left for the next attempt
+      if (job) {
+        await updateJob(job.id, { status: "failed", error: error.message });
+      }
+    }
+  }
+
+  // Deletes archives past their expiry. Runs whenever a user touches their
+  // exports, which is enough to keep the directory from growing.
+  async function expireJobs(userId) {
+    const now = new Date();
+    const jobs = await listJobs(userId);
+    for (const job of jobs) {
+      if (job.status !== "ready" || !job.expiresAt || job.expiresAt > now) {
+        continue;
+      }
+      await fs.promises
+        .rm(path.join(exportDir, job.filename), { force: true })
+        .catch(() => {});
+      await updateJob(job.id, { status: "expired", filename: null });
+    }
+  }
+
+  // Deletes every export job and archive of a deleted account
+  async function purge(userId) {
+    for (const job of await listJobs(userId)) {
+      if (job.filename) {
+        await fs.promises
+          .rm(path.join(exportDir, job.filename), { force: true })
+          .catch(() => {});
+      }
+    }
+    if (!isMongo()) {
+      localDB.dataExports = localDB.dataExports.filter(
+        (j) => j.userId !== userId,
+      );
+      return;
+    }
+    await DataExport.deleteMany({ userId });
+  }
+
+  const router = express.Router();
+
+  // Small exports are returned directly; larger ones (or ?async=true) are
+  // queued and answered with 202 and the job to poll.
+  router.get("/api/me/export", auth.requireAuth, async (req, res) => {
+    try {
+      const format = String(req.query.format || "json").toLowerCase();
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          error: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+        });
+      }
+
+      const user = await users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      await expireJobs(user.id);
+      const data = await collect(user);
+      const queue =
+        req.query.async === "true" ||
+        estimateSize(data) > EXPORT_SYNC_MAX_BYTES;
+
+      if (!queue) {
+        const filename = `nirvaha-export-${user.id}.${format}`;
+        if (format === "json") {
+          res.attachment(filename);
+          return res.send(JSON.stringify(data, null, 2));
+        }
+
+        const target = path.join(exportDir, `${uuidv4()}.zip`);
+        await writeArchive(data, "zip", target);
+        return res.download(target, filename, () => {
+          fs.promises.rm(target, { force: true }).catch(() => {});
+        });
+      }
+
+      // Only one export per user is built at a time
+      const active = (await listJobs(user.id)).find(
+        (job) =>
+          job.format === format &&
+          ["pending", "processing"].includes(job.status),
+      );
+      const job = active || (await createJob(user.id, format));
+      if (!active) {
+        logger.info("Data export queued", { exportId: job.id, format });
+        setImmediate(() =>
+          runJob(job.id).catch((error) =>
+            logger.error("Data export failed", error),
+          ),
+        );
+      }
+
+      res.status(202).json({
+        ...publicJob(job),
+        statusUrl: `/api/me/exports/${job.id}`,
+      });
+    } catch (error) {
+      logger.error("Data export error", error);
+      res.status(500).json({ error: "Server error during data export" });
+    }
+  });
+
+  router.get("/api/me/exports", auth.requireAuth, async (req, res) => {
+    try {
+      await expireJobs(req.user.id);
+      res.json((await listJobs(req.user.id)).map(publicJob));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Polling also finishes queued jobs, since a serverless instance may be
+  // frozen before its background work runs.
+  router.get("/api/me/exports/:id", auth.requireAuth, async (req, res) => {
+    try {
+      let job = await findJob(req.params.id, req.user.id);
+      if (!job) {
+        return res.status(404).json({ error: "Export not found" });
+      }
+
+      if (["pending", "processing"].includes(job.status)) {
+        await runJob(job.id);
+        job = await findJob(job.id, req.user.id);
+      }
+      res.json(publicJob(job));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get(
+    "/api/me/exports/:id/download",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        await expireJobs(req.user.id);
+        const job = await findJob(req.params.id, req.user.id);
+        if (!job) {
+          return res.status(404).json({ error: "Export not found" });
+        }
+        if (job.status === "expired") {
+          return res.status(410).json({ error: "Export has expired" });
+        }
+        if (job.status !== "ready") {
+          return res.status(409).json({ error: "Export is not ready yet" });
+        }
+
+        const filePath = path.join(exportDir, job.filename);
+        if (!fs.existsSync(filePath)) {
+          return res
+            .status(410)
+            .json({ error: "Export file is no longer available" });
+        }
+        res.download(filePath, `nirvaha-export-${job.userId}.${job.format}`);
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { collect, purge, router };
+}
+
+module.exports = { DataExport, createDataExport, toCsv };
@@ -0,0 +1,360 @@
+const express = require("express");
+const { requireCronSecret } = require("./auth");
+
+const EDITORIAL_STATUSES = [
+  "Draft",
+  "In Review",
+  "Scheduled",
+  "Published",
+  "Archived",
+];
+// Allowed moves. In Review -> Draft sends an item back with changes
+// requested; Archived -> Draft reopens it for editing.
+const TRANSITIONS = {
+  Draft: ["In Review"],
+  "In Review": ["Draft", "Scheduled", "Published"],
+  Scheduled: ["Draft", "Published"],
+  Published: ["Archived"],
+  Archived: ["Draft"],
+};
+// Who submitted and who signed off; only shown to admins
+const REVIEW_FIELDS = [
+  "submittedBy",
+  "submittedAt",
+  "reviewedBy",
+  "reviewedAt",
+  "reviewNote",
+];
+// Collections that go through the workflow, with their audit entity type
+const EDITORIAL_KINDS = {
+  meditations: "meditation",
+  sounds: "sound",
+  programs: "program",
+};
+
+// Spread into the meditation and sound schemas
+const editorialSchemaFields = {
+  status: { type: String, enum: EDITORIAL_STATUSES, default: "Draft" },
+  publishAt: { type: Date, default: null },
+  unpublishAt: { type: Date, default: null },
+  submittedBy: { type: String, default: "" },
+  submittedAt: { type: Date, default: null },
+  reviewedBy: { type: String, default: "" },
+  reviewedAt: { type: Date, default: null },
+  reviewNote: { type: String, default: "" },
+};
+
+// Maps free-form statuses from before the workflow ("published", "") onto
+// the workflow when importing; anything unknown becomes Draft
+function normalizeStatus(value) {
+  const wanted = String(value || "").toLowerCase();
+  return EDITORIAL_STATUSES.find((s) => s.toLowerCase() === wanted) || "Draft";
+}
+
+// The status at `now`, counting schedules that are due but not yet applied
+// by applySchedule(). Stored values outside the workflow count as Draft.
+function currentStatus(item, now = new Date()) {
+  let status = EDITORIAL_STATUSES.includes(item.status) ? item.status : "Draft";
+  if (
+    status === "Scheduled" &&
+    item.publishAt &&
+    new Date(item.publishAt) <= now
+  ) {
+    status = "Published";
+  }
+  if (
+    status === "Published" &&
+    item.unpublishAt &&
+    new Date(item.unpublishAt) <= now
+  ) {
+    status = "Archived";
+  }
+  return status;
+}
+
+function isPublic(item, now = new Date()) {
+  return currentStatus(item, now) === "Published";
+}
+
+// Mongo equivalent of isPublic()
+function publicFilter(now = new Date()) {
+  return {
+    $or: [
+      { status: "Published" },
+      { status: "Scheduled", publishAt: { $lte: now } },
+    ],
+    $nor: [{ unpublishAt: { $lte: now } }],
+  };
+}
+
+function toPlain(item) {
+  return typeof item.toObject === "function" ? item.toObject() : { ...item };
+}
+
+function adminView(item) {
+  return { ...toPlain(item), status: currentStatus(item) };
+}
+
+function publicView(item) {
+  const view = adminView(item);
+  for (const field of REVIEW_FIELDS) delete view[field];
+  return view;
+}
+
+function reviewDetails(item) {
+  const details = {};
+  for (const field of REVIEW_FIELDS) details[field] = item[field] ?? null;
+  return details;
+}
+
+// undefined when absent, null when cleared, else a Date (or { error })
+function parseDate(value, name) {
+  if (value === undefined) return undefined;
+  if (value === null || value === "") return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime())
+    ? { error: `${name} must be a date` }
+    : date;
+}
+
+function selfReviewAllowed() {
+  return process.env.EDITORIAL_ALLOW_SELF_REVIEW === "true";
+}
+
+// Draft -> In Review -> Scheduled -> Published -> Archived for meditations,
+// sounds and programs. `models` maps each kind (a key of EDITORIAL_KINDS) to
+// its Mongoose model.
+function createEditorial({
+  auth,
+  audit,
+  models,
+  localDB,
+  isMongo,
+  logger = console,
+}) {
+  async function findById(kind, id) {
+    if (!isMongo()) {
+      const item = (localDB[kind] || []).find((i) => i.id === id);
+      return item ? { ...item } : null;
+    }
+    return models[kind].findOne({ id }).lean();
+  }
+
+  // Only applies when the item still has the status it was read with, so
+  // two admins moving the same item cannot both succeed
+  async function update(kind, item, changes) {
+    if (!isMongo()) {
+      const stored = (localDB[kind] || []).find((i) => i.id === item.id);
+      if (!stored || stored.status !== item.status) return null;
+      return Object.assign(stored, changes, { updatedAt: new Date() });
+    }
+    return models[kind]
+      .findOneAndUpdate({ id: item.id, status: item.status }, changes, {
+        new: true,
+      })
+      .lean();
+  }
+
+  // The changes for moving `item` to `status`, or { code, error }
+  function transition(item, status, body, actorId, now) {
+    const from = currentStatus(item, now);
+    if (!EDITORIAL_STATUSES.includes(status)) {
+      return {
+        code: 400,
+        error: `status must be one of: ${EDITORIAL_STATUSES.join(", ")}`,
+      };
+    }
+    if (!TRANSITIONS[from].includes(status)) {
+      return { code: 409, error: `Cannot move from ${from} to ${status}` };
+    }
+
+    const publishAt = parseDate(body.publishAt, "publishAt");
+    const unpublishAt = parseDate(body.unpublishAt, "unpublishAt");
+    for (const value of [publishAt, unpublishAt]) {
+      if (value?.error) return { code: 400, error: value.error };
+    }
+    const note = typeof body.note === "string" ? body.note.trim() : "";
+    const changes = { status };
+
+    // Sign-off has to come from someone other than the submitter
+    if (
+      from === "In Review" &&
+      status !== "Draft" &&
+      item.submittedBy === actorId &&
+      !selfReviewAllowed()
+    ) {
+      return {
+        code: 403,
+        error: "Another admin has to sign off on content you submitted",
+      };
+    }
+    if (from === "In Review") {
+      Object.assign(changes, {
+        reviewedBy: actorId,
+        reviewedAt: now,
+        reviewNote: note,
+      });
+    }
+
+    switch (status) {
+      case "In Review":
+        Object.assign(changes, {
+          submittedBy: actorId,
+          submittedAt: now,
+          reviewedBy: "",
+          reviewedAt: null,
+          reviewNote: "",
+        });
+        break;
+      case "Draft":
+        Object.assign(changes, { publishAt: null, unpublishAt: null });
+        break;
+      case "Scheduled":
+        if (!publishAt || publishAt <= now) {
+          return { code: 400, error: "publishAt must be in the future" };
+        }
+        changes.publishAt = publishAt;
+        break;
+      case "Published":
+        changes.publishAt = now;
+        break;
+      case "Archived":
+        changes.unpublishAt = now;
+        break;
+    }
+
+    if (status === "Scheduled" || status === "Published") {
+      if (unpublishAt !== undefined) changes.unpublishAt = unpublishAt;
+      const ends = changes.unpublishAt ?? item.unpublishAt;
+      if (ends && new Date(ends) <= changes.publishAt) {
+        return { code: 400, error: "unpublishAt must be after publishAt" };
+      }
+    }
+    return { changes };
+  }
+
+  // Persists due schedules: Scheduled items whose publishAt has passed are
+  // published, Published items whose unpublishAt has passed are archived.
+  // Reads do not depend on it (see currentStatus), it keeps stored statuses
+  // and filters on status in step.
+  async function applySchedule(now = new Date()) {
+    const counts = { published: 0, archived: 0 };
+    for (const kind of Object.keys(models)) {
+      if (!isMongo()) {
+        for (const item of localDB[kind] || []) {
+          const status = currentStatus(item, now);
+          if (status === item.status || status === "Draft") continue;
+          if (item.status === "Scheduled") counts.published += 1;
+          if (status === "Archived") counts.archived += 1;
+          Object.assign(item, { status, updatedAt: now });
+        }
+        continue;
+      }
+
+      const published = await models[kind].updateMany(
+        { status: "Scheduled", publishAt: { $lte: now } },
+        { status: "Published" },
+      );
+      const archived = await models[kind].updateMany(
+        { status: "Published", unpublishAt: { $lte: now } },
+        { status: "Archived" },
+      );
+      counts.published += published.modifiedCount;
+      counts.archived += archived.modifiedCount;
+    }
+    if (counts.published || counts.archived) {
+      logger.info("Editorial schedule applied", counts);
+    }
+    return counts;
+  }
+
+  // What a non-admin caller may see, for lib/catalog.js
+  function publicScope() {
+    const now = new Date();
+    return {
+      filter: publicFilter(now),
+      matches: (item) => isPublic(item, now),
+    };
+  }
+
+  const router = express.Router();
+
+  for (const [kind, entityType] of Object.entries(EDITORIAL_KINDS)) {
+    if (!models[kind]) continue;
+    router.patch(
+      `/api/${kind}/:id/status`,
+      auth.requireAdmin,
+      async (req, res) => {
+        try {
+          const item = await findById(kind, req.params.id);
+          if (!item) {
+            return res.status(404).json({ error: `${entityType} not found` });
+          }
+
+          const now = new Date();
+          const { changes, code, error } = transition(
+            item,
+            req.body?.status,
+            req.body || {},
+            req.user.id,
+            now,
+          );
+          if (error) {
+            return res.status(code).json({ error });
+          }
+
+          const updated = await update(kind, item, changes);
+          if (!updated) {
+            return res
+              .status(409)
+              .json({ error: `${entityType} was changed by someone else` });
+          }
+          await audit.record(req, {
+            action: `${entityType}.status`,
+            entityType,
+            entityId: item.id,
+            before: item,
+            after: updated,
+          });
+          logger.info("Editorial status changed", {
+            kind,
+            id: item.id,
+            from: currentStatus(item, now),
+            to: changes.status,
+            by: req.user.id,
+          });
+          res.json(adminView(updated));
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      },
+    );
+  }
+
+  router.get(
+    "/api/cron/editorial-schedule",
+    requireCronSecret,
+    async (req, res) => {
+      try {
+        res.json(await applySchedule());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { applySchedule, publicScope, router };
+}
+
+module.exports = {
+  EDITORIAL_STATUSES,
+  adminView,
+  createEditorial,
+  currentStatus,
+  editorialSchemaFields,
+  isPublic,
+  normalizeStatus,
+  publicFilter,
+  publicView,
+  reviewDetails,
+};
@@ -0,0 +1,366 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { currentStatus, publicView } = require("./editorial");
+
+// What can be favorited: the localDB collection, whether it has audio for
+// offline downloads, and why a favorite is no longer available
+const FAVORITE_KINDS = {
+  meditation: { collection: "meditations", audio: true },
+  sound: { collection: "sounds", audio: true },
+  companion: { collection: "companionApplications", audio: false },
+  marketplaceItem: { collection: "marketplaceItems", audio: false },
+};
+const UNAVAILABLE_REASONS = {
+  removed: "This content was removed",
+  unpublished: "This content is no longer published",
+  unlisted: "This companion is no longer listed",
+  ended: "This offer has ended",
+};
+const MAX_FAVORITES = 1000;
+// Offline copies have to be re-validated against the manifest within this
+// many days, so downloads of removed content do not stay playable forever
+const DOWNLOAD_ENTITLEMENT_DAYS =
+  Number(process.env.DOWNLOAD_ENTITLEMENT_DAYS) || 30;
+
+const favoriteSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    userId: { type: String, required: true },
+    kind: { type: String, enum: Object.keys(FAVORITE_KINDS), required: true },
+    itemId: { type: String, required: true },
+  },
+  { timestamps: true },
+);
+favoriteSchema.index({ userId: 1, kind: 1, itemId: 1 }, { unique: true });
+favoriteSchema.index({ kind: 1, itemId: 1 });
+
+const Favorite =
+  mongoose.models.Favorite || mongoose.model("Favorite", favoriteSchema);
+
+function itemKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+// null when `item` can be shown, else the reason it cannot
+function unavailableReason(kind, item) {
+  if (!item) return "removed";
+  switch (kind) {
+    case "meditation":
+    case "sound":
+      return currentStatus(item) === "Published" ? null : "unpublished";
+    case "companion":
+      return item.status === "approved" ? null : "unlisted";
+    case "marketplaceItem":
+      return item.status === "active" ? null : "ended";
+  }
+  return "removed";
+}
+
+// What a favorite shows of its item; companions without contact details
+function toItemView(kind, item) {
+  switch (kind) {
+    case "companion":
+      return {
+        id: item.id,
+        name: item.fullName,
+        title: item.title,
+        avatar: item.profileImage || "",
+        location: item.location || "",
+        hourlyRate: item.hourlyRate || 0,
+        callRate: item.callRate || 0,
+      };
+    case "marketplaceItem":
+      return {
+        id: item.id,
+        type: item.type,
+        status: item.status,
+        data: item.data,
+        createdAt: item.createdAt,
+      };
+  }
+  return publicView(item);
+}
+
+// ?type=meditation,sound; { kinds } or { error }
+function parseKinds(type) {
+  if (type === undefined || type === "") {
+    return { kinds: Object.keys(FAVORITE_KINDS) };
+  }
+  const kinds = [
+    ...new Set(
+      String(type)
+        .split(",")
+        .map((t) => t.trim()),
+    ),
+  ];
+  const unknown = kinds.filter((kind) => !FAVORITE_KINDS[kind]);
+  if (unknown.length > 0) {
+    return {
+      error: `type must be one of: ${Object.keys(FAVORITE_KINDS).join(", ")}`,
+    };
+  }
+  return { kinds };
+}
+
+// Per-user favorites of meditations, sounds, companions and marketplace
+// items, the library built from them and the offline download manifest.
+// `models` maps each kind to the entry point's model; `uploads` is the
+// upload store, whose records carry file sizes and checksums.
+function createFavorites({ auth, models, uploads, localDB, isMongo }) {
+  localDB.favorites = localDB.favorites || [];
+
+  async function findItems(kind, ids) {
+    if (ids.length === 0) return [];
+    if (!isMongo()) {
+      const { collection } = FAVORITE_KINDS[kind];
+      return (localDB[collection] || []).filter((item) =>
+        ids.includes(item.id),
+      );
+    }
+    return models[kind].find({ id: { $in: ids } }).lean();
+  }
+
+  async function listFavorites(userId, kinds) {
+    if (!isMongo()) {
+      return localDB.favorites
+        .filter((f) => f.userId === userId && kinds.includes(f.kind))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+    return Favorite.find({ userId, kind: { $in: kinds } })
+      .sort({ createdAt: -1 })
+      .lean();
+  }
+
+  async function countFavorites(userId) {
+    if (!isMongo()) {
+      return localDB.favorites.filter((f) => f.userId === userId).length;
+    }
+    return Favorite.countDocuments({ userId });
+  }
+
+  // Returns the favorite and whether it was created just now
+  async function add(userId, kind, itemId) {
+    if (!isMongo()) {
+      const existing = localDB.favorites.find(
+        (f) => f.userId === userId && f.kind === kind && f.itemId === itemId,
+      );
+      if (existing) return { favorite: existing, created: false };
+      const now = new Date();
+      const favorite = {
+        id: uuidv4(),
+        userId,
+        kind,
+        itemId,
+        createdAt: now,
+        updatedAt: now,
+      };
+      localDB.favorites.push(favorite);
+      return { favorite, created: true };
+    }
+    const result = await Favorite.findOneAndUpdate(
+      { userId, kind, itemId },
+      { $setOnInsert: { id: uuidv4() } },
+      { upsert: true, new: true, includeResultMetadata: true, lean: true },
+    );
+    return {
+      favorite: result.value,
+      created: !result.lastErrorObject?.updatedExisting,
+    };
+  }
+
+  async function remove(userId, kind, itemId) {
+    if (!isMongo()) {
+      const before = localDB.favorites.length;
+      localDB.favorites = localDB.favorites.filter(
+        (f) => f.userId !== userId || f.kind !== kind || f.itemId !== itemId,
+      );
+      return localDB.favorites.length < before;
+    }
+    const result = await Favorite.deleteOne({ userId, kind, itemId });
+    return result.deletedCount > 0;
+  }
+
+  // The caller's favorites split into what can still be shown and what
+  // dropped out, with the reason. Favorites of removed or unpublished
+  // content are kept, so they come back if the content does.
+  async function buildLibrary(userId, kinds) {
+    const favorites = await listFavorites(userId, kinds);
+    const items = new Map();
+    for (const kind of kinds) {
+      const ids = favorites.filter((f) => f.kind === kind).map((f) => f.itemId);
+      for (const item of await findItems(kind, ids)) {
+        items.set(itemKey(kind, item.id), item);
+      }
+    }
+
+    const available = [];
+    const unavailable = [];
+    for (const favorite of favorites) {
+      const item = items.get(itemKey(favorite.kind, favorite.itemId));
+      const reason = unavailableReason(favorite.kind, item);
+      const entry = {
+        kind: favorite.kind,
+        id: favorite.itemId,
+        favoritedAt: favorite.createdAt,
+      };
+      if (reason) {
+        unavailable.push({
+          ...entry,
+          reason,
+          message: UNAVAILABLE_REASONS[reason],
+        });
+      } else {
+        available.push({ ...entry, item });
+      }
+    }
+    return { available, unavailable };
+  }
+
+  // Account deletion
+  async function purgeUser(userId) {
+    if (!isMongo()) {
+      localDB.favorites = localDB.favorites.filter((f) => f.userId !== userId);
+      return;
+    }
+    await Favorite.deleteMany({ userId });
+  }
+
+  // For the personal data export
+  async function listByUser(userId) {
+    if (!isMongo()) {
+      return localDB.favorites.filter((f) => f.userId === userId);
+    }
+    return Favorite.find({ userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  const router = express.Router();
+
+  router.put(
+    "/api/me/favorites/:kind/:id",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { kind, id } = req.params;
+        if (!FAVORITE_KINDS[kind]) {
+          return res.status(404).json({ error: "Unknown content type" });
+        }
+        const [item] = await findItems(kind, [id]);
+        if (unavailableReason(kind, item)) {
+          return res.status(404).json({ error: `${kind} not found` });
+        }
+        if ((await countFavorites(req.user.id)) >= MAX_FAVORITES) {
+          return res
+            .status(409)
+            .json({ error: `At most ${MAX_FAVORITES} favorites` });
+        }
+
+        const { favorite, created } = await add(req.user.id, kind, id);
+        res.status(created ? 201 : 200).json({
+          kind,
+          id,
+          favoritedAt: favorite.createdAt,
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.delete(
+    "/api/me/favorites/:kind/:id",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { kind, id } = req.params;
+        if (!(await remove(req.user.id, kind, id))) {
+          return res.status(404).json({ error: "Favorite not found" });
+        }
+        res.json({ ok: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // ?type=meditation,sound limits the kinds
+  router.get("/api/me/library", auth.requireAuth, async (req, res) => {
+    try {
+      const { kinds, error } = parseKinds(req.query.type);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const { available, unavailable } = await buildLibrary(req.user.id, kinds);
+      res.json({
+        items: available.map(({ item, ...entry }) => ({
+          ...entry,
+          item: toItemView(entry.kind, item),
+          downloadable:
+            FAVORITE_KINDS[entry.kind].audio && Boolean(item.audioUrl),
+        })),
+        unavailable,
+        total: available.length,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // What the app may keep offline: audio of favorited meditations and
+  // sounds. Anything missing from `downloads` (see `revoked`) has to be
+  // deleted from the device.
+  router.get(
+    "/api/me/library/downloads",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const parsed = parseKinds(req.query.type);
+        if (parsed.error) {
+          return res.status(400).json({ error: parsed.error });
+        }
+        const kinds = parsed.kinds.filter((kind) => FAVORITE_KINDS[kind].audio);
+        const { available, unavailable } = await buildLibrary(
+          req.user.id,
+          kinds,
+        );
+        const audio = available.filter(({ item }) => item.audioUrl);
+        const files = await uploads.describe(
+          audio.map(({ item }) => item.audioUrl),
+        );
+
+        const now = new Date();
+        const entitledUntil = new Date(
+          now.getTime() + DOWNLOAD_ENTITLEMENT_DAYS * 24 * 60 * 60 * 1000,
+        );
+        res.json({
+          generatedAt: now,
+          entitledUntil,
+          downloads: audio.map(({ kind, id, item }) => {
+            const file = files.get(item.audioUrl);
+            return {
+              kind,
+              id,
+              title: item.title,
+              url: item.audioUrl,
+              mimetype: file?.mimetype || null,
+              size: file?.size ?? null,
+              checksum: file?.checksum ? `sha256:${file.checksum}` : null,
+              updatedAt: item.updatedAt,
+            };
+          }),
+          revoked: unavailable.map(({ kind, id, reason }) => ({
+            kind,
+            id,
+            reason,
+          })),
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { listByUser, purgeUser, router };
+}
+
+module.exports = { Favorite, createFavorites };
@@ -0,0 +1,191 @@
+const crypto = require("crypto");
+
+// Profile fields that are encrypted at rest. Email stays in plaintext so
+// lookups by email keep working.
+const ENCRYPTED_PROFILE_FIELDS = ["healthCondition", "mobile", "address"];
+
+const PREFIX = "enc:v1:";
+const KEY_ID_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// PROFILE_ENCRYPTION_KEYS is a comma-separated list of id:base64 pairs, each
+// key 32 bytes. The first key encrypts; the others only decrypt, so a new key
+// is rotated in by putting it first and re-running the migration script.
+function loadKeys(value = process.env.PROFILE_ENCRYPTION_KEYS) {
+  const keys = new Map();
+  for (const entry of String(value || "").split(",")) {
+    const trimmed = entry.trim();
+    if (!trimmed) continue;
+
+    const separator = trimmed.indexOf(":");
+    const id = trimmed.slice(0, separator);
+    const key = Buffer.from(trimmed.slice(separator + 1), "base64");
+    if (separator <= 0 || !KEY_ID_PATTERN.test(id)) {
+      throw new Error(`Invalid PROFILE_ENCRYPTION_KEYS entry "${id}"`);
+    }
+    if (key.length !== 32) {
+      throw new Error(`Profile encryption key "${id}" must be 32 bytes`);
+    }
+    if (keys.has(id)) {
+      throw new Error(`Duplicate profile encryption key id "${id}"`);
+    }
+    keys.set(id, key);
+  }
+  return keys;
+}
+
+// Read on first use, after the entry point has loaded .env
+let keyring = null;
+
+function keys() {
+  if (!keyring) keyring = loadKeys();
+  return keyring;
+}
+
+function currentKeyId() {
+  return keys().keys().next().value || null;
+}
+
+function isConfigured() {
+  return currentKeyId() !== null;
+}
+
+function isEncrypted(value) {
+  return typeof value === "string" && value.startsWith(PREFIX);
+}
+
+function keyIdOf(value) {
+  return isEncrypted(value) ? value.slice(PREFIX.length).split(":")[0] : null;
+}
+
+// AES-256-GCM, stored as enc:v1:<key id>:<iv>:<tag>:<ciphertext>. Empty
+// values and values that are already encrypted are returned unchanged, and
+// so is everything when no key is configured.
+function encryptValue(value) {
+  if (!isConfigured() || isEncrypted(value)) return value;
+  if (value === undefined || value === null || value === "") return value;
+
+  const iv = crypto.randomBytes(12);
+  const keyId = currentKeyId();
+  const cipher = crypto.createCipheriv("aes-256-gcm", keys().get(keyId), iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(String(value), "utf8"),
+    cipher.final(),
+  ]);
+  return `${PREFIX}${[
+    keyId,
+    iv.toString("base64url"),
+    cipher.getAuthTag().toString("base64url"),
+    ciphertext.toString("base64url"),
+  ].join(":")}`;
+}
+
+// Plaintext left over from before encryption was enabled passes through
+function decryptValue(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, iv, tag, ciphertext] = value.slice(PREFIX.length).split(":");
+  const key = keys().get(keyId);
+  if (!key) {
+    throw new Error(`Profile encryption key "${keyId}" is not configured`);
+  }
+  const decipher = crypto.createDecipheriv(
+    "aes-256-gcm",
+    key,
+    Buffer.from(iv, "base64url"),
+  );
+  decipher.setAuthTag(Buffer.from(tag, "base64url"));
+  return Buffer.concat([
+    decipher.update(Buffer.from(ciphertext, "base64url")),
+    decipher.final(),
+  ]).toString("utf8");
+}
+
+// True for plaintext and for values encrypted under an older key
+function needsEncryption(value) {
+  if (!isConfigured() || value === undefined || value === null) return false;
+  if (value === "") return false;
+  return !isEncrypted(value) || keyIdOf(value) !== currentKeyId();
+}
+
+function mapProfile(profile, transform) {
+  if (!profile) return profile;
+  const plain =
+    typeof profile.toObject === "function" ? profile.toObject() : profile;
+  const result = { ...plain };
+  for (const field of ENCRYPTED_PROFILE_FIELDS) {
+    if (field in result) result[field] = transform(result[field]);
+  }
+  return result;
+}
+
+function encryptProfile(profile) {
+  return mapProfile(profile, encryptValue);
+}
+
+// Only for responses to the profile's owner or an admin
+function decryptProfile(profile) {
+  return mapProfile(profile, decryptValue);
+}
+
+// Re-encrypts a stored value under the current key
+function reencryptValue(value) {
+  return encryptValue(decryptValue(value));
+}
+
+// Mongoose plugin for the user schemas: encrypts the profile fields on
+// save() and in update queries. Reads are left encrypted; callers decrypt
+// with decryptProfile() when the viewer may see the data.
+function profileEncryptionPlugin(schema) {
+  schema.pre("save", function encryptProfileOnSave() {
+    for (const field of ENCRYPTED_PROFILE_FIELDS) {
+      const pathName = `profile.${field}`;
+      if (this.isModified(pathName)) {
+        this.set(pathName, encryptValue(this.get(pathName)));
+      }
+    }
+  });
+
+  function encryptUpdate(update) {
+    if (!update) return;
+    if (update.profile) update.profile = encryptProfile(update.profile);
+    for (const field of ENCRYPTED_PROFILE_FIELDS) {
+      const pathName = `profile.${field}`;
+      if (pathName in update) {
+        update[pathName] = encryptValue(update[pathName]);
+      }
+    }
+  }
+
+  schema.pre(
+    ["findOneAndUpdate", "updateOne", "updateMany"],
+    function encryptProfileOnUpdate() {
+      const update = this.getUpdate();
+      encryptUpdate(update);
+      encryptUpdate(update?.$set);
+    },
+  );
+}
+
+function logEncryptionStatus(logger = console) {
+  if (!isConfigured()) {
+    logger.warn(
+      "⚠️  PROFILE_ENCRYPTION_KEYS is not set; profile fields are stored unencrypted",
+    );
+  }
+}
+
+module.exports = {
+  ENCRYPTED_PROFILE_FIELDS,
+  currentKeyId,
+  decryptProfile,
+  decryptValue,
+  encryptProfile,
+  encryptValue,
+  isConfigured,
+  isEncrypted,
+  loadKeys,
+  logEncryptionStatus,
+  needsEncryption,
+  profileEncryptionPlugin,
+  reencryptValue,
+};
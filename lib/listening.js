@@ -0,0 +1,640 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { parsePagination } = require("./adminUsers");
+const { isPublic, publicView } = require("./editorial");
+
+// Track kinds that can be played, with their localDB collection
+const TRACK_KINDS = { meditation: "meditations", sound: "sounds" };
+const EVENT_TYPES = ["start", "progress", "complete"];
+const MAX_BATCH_EVENTS = 100;
+// Clients queue events while offline; anything older is dropped
+const MAX_EVENT_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+// Listening time between two events is credited up to this gap, so a
+// paused player that wakes up later does not count the pause
+const MAX_HEARTBEAT_GAP_SECONDS = 120;
+const MAX_CONTINUE_LISTENING = 50;
+
+// One playback of a track, from start to its last heartbeat. `playId` is
+// chosen by the client so queued events can be sent before the start is
+// acknowledged.
+const playSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    playId: { type: String, required: true },
+    userId: { type: String, required: true },
+    kind: { type: String, enum: Object.keys(TRACK_KINDS), required: true },
+    trackId: { type: String, required: true },
+    startedAt: { type: Date, required: true },
+    lastEventAt: { type: Date, required: true },
+    positionSeconds: { type: Number, default: 0 },
+    durationSeconds: { type: Number, default: null },
+    listenedSeconds: { type: Number, default: 0 },
+    completed: { type: Boolean, default: false },
+    completedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+playSchema.index({ userId: 1, playId: 1 }, { unique: true });
+playSchema.index({ userId: 1, startedAt: -1 });
+
+// Per user and track: where to resume and how often it was played
+const trackProgressSchema = new mongoose.Schema(
+  {
+    userId: { type: String, required: true },
+    kind: { type: String, enum: Object.keys(TRACK_KINDS), required: true },
+    trackId: { type: String, required: true },
+    positionSeconds: { type: Number, default: 0 },
+    durationSeconds: { type: Number, default: null },
+    // The last play was listened to the end; the position is back at 0
+    completed: { type: Boolean, default: false },
+    playCount: { type: Number, default: 0 },
+    completionCount: { type: Number, default: 0 },
+    listenedSeconds: { type: Number, default: 0 },
+    lastPlayedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+trackProgressSchema.index({ userId: 1, kind: 1, trackId: 1 }, { unique: true });
+trackProgressSchema.index({ userId: 1, lastPlayedAt: -1 });
+
+const Play = mongoose.models.Play || mongoose.model("Play", playSchema);
+const TrackProgress =
+  mongoose.models.TrackProgress ||
+  mongoose.model("TrackProgress", trackProgressSchema);
+
+function trackKey(kind, trackId) {
+  return `${kind}:${trackId}`;
+}
+
+function parseSeconds(value, name, { required = false } = {}) {
+  if (value === undefined || value === null) {
+    return required ? { error: `${name} is required` } : { value: undefined };
+  }
+  const seconds = Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    return { error: `${name} must be a non-negative number` };
+  }
+  return { value: Math.round(seconds * 10) / 10 };
+}
+
+// Validates one incoming event; { error } or { event }
+function parseEvent(raw, now) {
+  if (!raw || typeof raw !== "object") return { error: "Invalid event" };
+  const { type, playId, kind, trackId } = raw;
+  if (!EVENT_TYPES.includes(type)) {
+    return { error: `type must be one of: ${EVENT_TYPES.join(", ")}` };
+  }
+  if (typeof playId !== "string" || !playId || playId.length > 100) {
+    return { error: "playId is required" };
+  }
+  if (!TRACK_KINDS[kind] || typeof trackId !== "string" || !trackId) {
+    return { error: "kind and trackId are required" };
+  }
+
+  const position = parseSeconds(raw.positionSeconds, "positionSeconds", {
+    required: type === "progress",
+  });
+  const duration = parseSeconds(raw.durationSeconds, "durationSeconds");
+  for (const parsed of [position, duration]) {
+    if (parsed.error) return { error: parsed.error };
+  }
+
+  let at = now;
+  if (raw.at !== undefined) {
+    at = new Date(raw.at);
+    if (Number.isNaN(at.getTime())) return { error: "at must be a date" };
+    if (at > now) at = now;
+    if (now - at > MAX_EVENT_AGE_MS) return { error: "Event is too old" };
+  }
+
+  return {
+    event: {
+      type,
+      playId,
+      kind,
+      trackId,
+      positionSeconds: position.value,
+      durationSeconds: duration.value,
+      at,
+    },
+  };
+}
+
+function toPlayResponse(play, track) {
+  return {
+    playId: play.playId,
+    kind: play.kind,
+    trackId: play.trackId,
+    track: track && isPublic(track) ? publicView(track) : null,
+    startedAt: play.startedAt,
+    lastEventAt: play.lastEventAt,
+    positionSeconds: play.positionSeconds,
+    durationSeconds: play.durationSeconds ?? null,
+    listenedSeconds: play.listenedSeconds,
+    completed: Boolean(play.completed),
+    completedAt: play.completedAt || null,
+  };
+}
+
+function toPosition(kind, trackId, progress) {
+  return {
+    kind,
+    trackId,
+    positionSeconds: progress?.positionSeconds || 0,
+    durationSeconds: progress?.durationSeconds ?? null,
+    completed: Boolean(progress?.completed),
+    playCount: progress?.playCount || 0,
+    lastPlayedAt: progress?.lastPlayedAt || null,
+  };
+}
+
+// Play events (start, progress heartbeats, complete) for meditations and
+// sounds, the listening history built from them and resume positions per
+// track. `models` maps each track kind to the entry point's model.
+function createListening({ auth, models, localDB, isMongo }) {
+  localDB.plays = localDB.plays || [];
+  localDB.trackProgress = localDB.trackProgress || [];
+
+  // Map of "kind:id" to the tracks that exist among `keys`
+  async function findTracks(keys) {
+    const tracks = new Map();
+    for (const [kind, collection] of Object.entries(TRACK_KINDS)) {
+      const ids = keys.filter((key) => key.kind === kind).map((k) => k.id);
+      if (ids.length === 0) continue;
+
+      const found = !isMongo()
+        ? (localDB[collection] || []).filter((track) => ids.includes(track.id))
+        : await models[kind].find({ id: { $in: ids } }).lean();
+      for (const track of found) tracks.set(trackKey(kind, track.id), track);
+    }
+    return tracks;
+  }
+
+  async function findPlays(userId, playIds) {
+    if (!isMongo()) {
+      return localDB.plays
+        .filter((p) => p.userId === userId && playIds.includes(p.playId))
+        .map((p) => ({ ...p }));
+    }
+    return Play.find({ userId, playId: { $in: playIds } }).lean();
+  }
+
+  async function findProgress(userId, trackIds) {
+    if (!isMongo()) {
+      return localDB.trackProgress
+        .filter((p) => p.userId === userId && trackIds.includes(p.trackId))
+        .map((p) => ({ ...p }));
+    }
+    return TrackProgress.find({ userId, trackId: { $in: trackIds } }).lean();
+  }
+
+  // Writes the plays and progress touched by a batch. Counters are sent as
+  // increments so two batches for the same user do not overwrite each other.
+  async function save(userId, plays, progress, now) {
+    if (!isMongo()) {
+      for (const play of plays) {
+        const stored = localDB.plays.find(
+          (p) => p.userId === userId && p.playId === play.playId,
+        );
+        if (stored) Object.assign(stored, play, { updatedAt: now });
+        else localDB.plays.push({ ...play, createdAt: now, updatedAt: now });
+      }
+      for (const { state, increments } of progress) {
+        let stored = localDB.trackProgress.find(
+          (p) =>
+            p.userId === userId &&
+            p.kind === state.kind &&
+            p.trackId === state.trackId,
+        );
+        if (!stored) {
+          stored = { userId, createdAt: now };
+          localDB.trackProgress.push(stored);
+        }
+        Object.assign(stored, state, { updatedAt: now });
+        for (const [field, amount] of Object.entries(increments)) {
+          stored[field] = (stored[field] || 0) + amount;
+        }
+      }
+      return;
+    }
+
+    if (plays.length > 0) {
+      await Play.bulkWrite(
+        plays.map(({ id, ...play }) => ({
+          updateOne: {
+            filter: { userId, playId: play.playId },
+            update: { $set: play, $setOnInsert: { id } },
+            upsert: true,
+          },
+        })),
+        { ordered: false },
+      );
+    }
+    if (progress.length > 0) {
+      await TrackProgress.bulkWrite(
+        progress.map(({ state, increments }) => ({
+          updateOne: {
+            filter: { userId, kind: state.kind, trackId: state.trackId },
+            update: {
+              $set: state,
+              ...(Object.keys(increments).length ? { $inc: increments } : {}),
+            },
+            upsert: true,
+          },
+        })),
+        { ordered: false },
+      );
+    }
+  }
+
+  // Applies a batch of events for one user with a handful of queries,
+  // whatever the batch size. Events are applied in `at` order; events
+  // older than what a play already has, and events after its completion,
+  // are ignored.
+  async function ingest(userId, rawEvents, now = new Date()) {
+    const rejected = [];
+    const parsed = [];
+    rawEvents.forEach((raw, index) => {
+      const { event, error } = parseEvent(raw, now);
+      if (error) rejected.push({ index, error });
+      else parsed.push({ index, event });
+    });
+
+    const tracks = await findTracks(
+      parsed.map(({ event }) => ({ kind: event.kind, id: event.trackId })),
+    );
+    const valid = parsed.filter(({ index, event }) => {
+      if (tracks.has(trackKey(event.kind, event.trackId))) return true;
+      rejected.push({ index, error: `${event.kind} not found` });
+      return false;
+    });
+    valid.sort((a, b) => a.event.at - b.event.at || a.index - b.index);
+
+    const plays = new Map(
+      (
+        await findPlays(userId, [...new Set(valid.map((v) => v.event.playId))])
+      ).map((play) => [play.playId, play]),
+    );
+    const progress = new Map(
+      (
+        await findProgress(userId, [
+          ...new Set(valid.map((v) => v.event.trackId)),
+        ])
+      ).map((p) => [
+        trackKey(p.kind, p.trackId),
+        { state: p, increments: {}, dirty: false },
+      ]),
+    );
+    const dirtyPlays = new Set();
+    let ignored = 0;
+
+    for (const { index, event } of valid) {
+      const key = trackKey(event.kind, event.trackId);
+      let play = plays.get(event.playId);
+      if (
+        play &&
+        (play.kind !== event.kind || play.trackId !== event.trackId)
+      ) {
+        rejected.push({ index, error: "playId belongs to another track" });
+        continue;
+      }
+      if (play && (play.completed || event.at < play.lastEventAt)) {
+        ignored += 1;
+        continue;
+      }
+
+      if (!progress.has(key)) {
+        progress.set(key, {
+          state: { userId, kind: event.kind, trackId: event.trackId },
+          increments: {},
+          dirty: false,
+        });
+      }
+      const track = progress.get(key);
+      const increment = (field, amount) => {
+        track.increments[field] = (track.increments[field] || 0) + amount;
+      };
+
+      // A heartbeat whose start got lost still opens the play
+      if (!play) {
+        play = {
+          id: uuidv4(),
+          playId: event.playId,
+          userId,
+          kind: event.kind,
+          trackId: event.trackId,
+          startedAt: event.at,
+          lastEventAt: event.at,
+          positionSeconds: event.positionSeconds ?? 0,
+          durationSeconds: null,
+          listenedSeconds: 0,
+          completed: false,
+          completedAt: null,
+        };
+        plays.set(event.playId, play);
+        increment("playCount", 1);
+      }
+
+      const durationSeconds = event.durationSeconds ?? play.durationSeconds;
+      const position =
+        event.positionSeconds ??
+        (event.type === "complete" && durationSeconds
+          ? durationSeconds
+          : play.positionSeconds);
+      const elapsed = (event.at - new Date(play.lastEventAt)) / 1000;
+      const listened = Math.max(
+        0,
+        Math.min(
+          position - play.positionSeconds,
+          elapsed,
+          MAX_HEARTBEAT_GAP_SECONDS,
+        ),
+      );
+
+      Object.assign(play, {
+        lastEventAt: event.at,
+        positionSeconds: position,
+        durationSeconds: durationSeconds ?? null,
+        listenedSeconds:
+          Math.round((play.listenedSeconds + listened) * 10) / 10,
+      });
+      if (event.type === "complete") {
+        Object.assign(play, { completed: true, completedAt: event.at });
+        increment("completionCount", 1);
+      }
+      dirtyPlays.add(play);
+      if (listened > 0) {
+        increment("listenedSeconds", Math.round(listened * 10) / 10);
+      }
+
+      // Another device may have played the track more recently
+      const last = track.state.lastPlayedAt;
+      if (!last || event.at >= new Date(last)) {
+        Object.assign(track.state, {
+          positionSeconds: event.type === "complete" ? 0 : position,
+          durationSeconds: durationSeconds ?? track.state.durationSeconds,
+          completed: event.type === "complete",
+          lastPlayedAt: event.at,
+        });
+      }
+      track.dirty = true;
+    }
+
+    const changedProgress = [...progress.values()]
+      .filter((track) => track.dirty)
+      .map(({ state, increments }) => ({
+        state: {
+          kind: state.kind,
+          trackId: state.trackId,
+          positionSeconds: state.positionSeconds || 0,
+          durationSeconds: state.durationSeconds ?? null,
+          completed: Boolean(state.completed),
+          lastPlayedAt: state.lastPlayedAt,
+        },
+        increments,
+      }));
+    await save(
+      userId,
+      [...dirtyPlays].map(
+        ({ _id, __v, createdAt, updatedAt, ...play }) => play,
+      ),
+      changedProgress,
+      now,
+    );
+
+    rejected.sort((a, b) => a.index - b.index);
+    return {
+      accepted: rawEvents.length - rejected.length - ignored,
+      ignored,
+      rejected,
+    };
+  }
+
+  async function listHistory(userId, { kind, page, limit }) {
+    if (!isMongo()) {
+      const all = localDB.plays
+        .filter((p) => p.userId === userId && (!kind || p.kind === kind))
+        .sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+      return {
+        plays: all.slice((page - 1) * limit, page * limit),
+        total: all.length,
+      };
+    }
+    const filter = { userId, ...(kind ? { kind } : {}) };
+    const [plays, total] = await Promise.all([
+      Play.find(filter)
+        .sort({ startedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Play.countDocuments(filter),
+    ]);
+    return { plays, total };
+  }
+
+  // Tracks played partway, most recent first
+  async function listUnfinished(userId, { kind, limit }) {
+    if (!isMongo()) {
+      return localDB.trackProgress
+        .filter(
+          (p) =>
+            p.userId === userId &&
+            (!kind || p.kind === kind) &&
+            !p.completed &&
+            p.positionSeconds > 0,
+        )
+        .sort((a, b) => new Date(b.lastPlayedAt) - new Date(a.lastPlayedAt))
+        .slice(0, limit);
+    }
+    return TrackProgress.find({
+      userId,
+      ...(kind ? { kind } : {}),
+      completed: false,
+      positionSeconds: { $gt: 0 },
+    })
+      .sort({ lastPlayedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  // Account deletion
+  async function purgeUser(userId) {
+    if (!isMongo()) {
+      localDB.plays = localDB.plays.filter((p) => p.userId !== userId);
+      localDB.trackProgress = localDB.trackProgress.filter(
+        (p) => p.userId !== userId,
+      );
+      return;
+    }
+    await Play.deleteMany({ userId });
+    await TrackProgress.deleteMany({ userId });
+  }
+
+  // For the personal data export
+  async function listByUser(userId) {
+    if (!isMongo()) {
+      return localDB.plays.filter((p) => p.userId === userId);
+    }
+    return Play.find({ userId }).sort({ startedAt: 1 }).lean();
+  }
+
+  async function listPositionsByUser(userId) {
+    if (!isMongo()) {
+      return localDB.trackProgress.filter((p) => p.userId === userId);
+    }
+    return TrackProgress.find({ userId }).sort({ lastPlayedAt: 1 }).lean();
+  }
+
+  const router = express.Router();
+
+  // Batched ingestion: { events: [{ type, playId, kind, trackId,
+  // positionSeconds, durationSeconds, at }] }, in any order
+  router.post(
+    "/api/me/listening/events",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const events = Array.isArray(req.body) ? req.body : req.body?.events;
+        if (!Array.isArray(events) || events.length === 0) {
+          return res
+            .status(400)
+            .json({ error: "events must be a non-empty array" });
+        }
+        if (events.length > MAX_BATCH_EVENTS) {
+          return res.status(400).json({
+            error: `At most ${MAX_BATCH_EVENTS} events per request`,
+          });
+        }
+        res.json(await ingest(req.user.id, events));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.get("/api/me/history", auth.requireAuth, async (req, res) => {
+    try {
+      const { kind } = req.query;
+      if (kind !== undefined && !TRACK_KINDS[kind]) {
+        return res.status(400).json({
+          error: `kind must be one of: ${Object.keys(TRACK_KINDS).join(", ")}`,
+        });
+      }
+      const { page, limit } = parsePagination(req.query);
+      const { plays, total } = await listHistory(req.user.id, {
+        kind,
+        page,
+        limit,
+      });
+      const tracks = await findTracks(
+        plays.map((play) => ({ kind: play.kind, id: play.trackId })),
+      );
+      res.json({
+        history: plays.map((play) =>
+          toPlayResponse(play, tracks.get(trackKey(play.kind, play.trackId))),
+        ),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Resume positions for a list of tracks: ?kind=sound&ids=a,b,c
+  router.get("/api/me/positions", auth.requireAuth, async (req, res) => {
+    try {
+      const { kind } = req.query;
+      const ids = String(req.query.ids || "")
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+      if (!TRACK_KINDS[kind] || ids.length === 0) {
+        return res.status(400).json({ error: "kind and ids are required" });
+      }
+      if (ids.length > MAX_BATCH_EVENTS) {
+        return res
+          .status(400)
+          .json({ error: `At most ${MAX_BATCH_EVENTS} ids per request` });
+      }
+      const stored = new Map(
+        (await findProgress(req.user.id, ids))
+          .filter((p) => p.kind === kind)
+          .map((p) => [p.trackId, p]),
+      );
+      res.json({
+        positions: ids.map((id) => toPosition(kind, id, stored.get(id))),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get(
+    "/api/me/positions/:kind/:trackId",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { kind, trackId } = req.params;
+        if (!TRACK_KINDS[kind]) {
+          return res.status(404).json({ error: "Unknown track kind" });
+        }
+        const [stored] = (await findProgress(req.user.id, [trackId])).filter(
+          (p) => p.kind === kind,
+        );
+        res.json(toPosition(kind, trackId, stored));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // Unfinished tracks that are still published, most recent first
+  router.get(
+    "/api/me/continue-listening",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { kind } = req.query;
+        if (kind !== undefined && !TRACK_KINDS[kind]) {
+          return res.status(400).json({
+            error: `kind must be one of: ${Object.keys(TRACK_KINDS).join(", ")}`,
+          });
+        }
+        const limit = Math.min(
+          Math.max(Number.parseInt(req.query.limit, 10) || 10, 1),
+          MAX_CONTINUE_LISTENING,
+        );
+        // Fetch the whole window so unpublished tracks do not shorten it
+        const unfinished = await listUnfinished(req.user.id, {
+          kind,
+          limit: MAX_CONTINUE_LISTENING,
+        });
+        const tracks = await findTracks(
+          unfinished.map((p) => ({ kind: p.kind, id: p.trackId })),
+        );
+        const items = [];
+        for (const progress of unfinished) {
+          const track = tracks.get(trackKey(progress.kind, progress.trackId));
+          if (!track || !isPublic(track)) continue;
+          items.push({
+            kind: progress.kind,
+            ...publicView(track),
+            resume: toPosition(progress.kind, progress.trackId, progress),
+          });
+          if (items.length === limit) break;
+        }
+        res.json({ items });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { ingest, listByUser, listPositionsByUser, purgeUser, router };
+}
+
+module.exports = { Play, TrackProgress, createListening };
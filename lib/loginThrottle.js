@@ -0,0 +1,309 @@
+const express = require("express");
+const mongoose = require("mongoose");
+
+const MAX_ACCOUNT_FAILURES = Number(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const MAX_IP_FAILURES = Number(process.env.LOGIN_IP_MAX_ATTEMPTS) || 20;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const WINDOW_MINUTES = Number(process.env.LOGIN_ATTEMPT_WINDOW_MINUTES) || 15;
+// Failures below the lock threshold start slowing the account down from here
+const DELAY_AFTER_FAILURES = 3;
+const MAX_LOCK_MINUTES = 24 * 60;
+
+// Failed-attempt counters keyed by "account:<email>" or "ip:<address>". They
+// live in the database, not in process memory, so serverless instances share
+// them.
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, index: true },
+    failures: { type: Number, default: 0 },
+    lastFailureAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    lockCount: { type: Number, default: 0 },
+  },
+  { timestamps: true },
+);
+loginAttemptSchema.index(
+  { updatedAt: 1 },
+  { expireAfterSeconds: 7 * 24 * 60 * 60 },
+);
+
+const LoginAttempt =
+  mongoose.models.LoginAttempt ||
+  mongoose.model("LoginAttempt", loginAttemptSchema);
+
+function accountKey(email) {
+  return `account:${String(email || "").toLowerCase()}`;
+}
+
+function ipKey(ip) {
+  return `ip:${ip || "unknown"}`;
+}
+
+function emptyRecord(key) {
+  return {
+    key,
+    failures: 0,
+    lastFailureAt: null,
+    lockedUntil: null,
+    lockCount: 0,
+  };
+}
+
+// Seconds the caller must still wait, or 0 when an attempt is allowed.
+function waitSeconds(record, now = Date.now()) {
+  if (!record) return 0;
+  if (record.lockedUntil && new Date(record.lockedUntil).getTime() > now) {
+    return Math.ceil((new Date(record.lockedUntil).getTime() - now) / 1000);
+  }
+  if (record.failures >= DELAY_AFTER_FAILURES && record.lastFailureAt) {
+    const delayMs = 2 ** (record.failures - DELAY_AFTER_FAILURES) * 1000;
+    const readyAt = new Date(record.lastFailureAt).getTime() + delayMs;
+    if (readyAt > now) return Math.ceil((readyAt - now) / 1000);
+  }
+  return 0;
+}
+
+function createLoginThrottle({ localDB, isMongo, logger = console }) {
+  localDB.loginAttempts = localDB.loginAttempts || [];
+
+  async function read(key) {
+    if (!isMongo()) {
+      return localDB.loginAttempts.find((r) => r.key === key) || null;
+    }
+    return LoginAttempt.findOne({ key }).lean();
+  }
+
+  async function remove(key) {
+    if (!isMongo()) {
+      const before = localDB.loginAttempts.length;
+      localDB.loginAttempts = localDB.loginAttempts.filter(
+        (r) => r.key !== key,
+      );
+      return before !== localDB.loginAttempts.length;
+    }
+    const result = await LoginAttempt.deleteOne({ key });
+    return result.deletedCount > 0;
+  }
+
+  // Each lock in a row lasts twice as long as the previous one
+  function lockMinutes(lockCount) {
+    return Math.min(LOCK_MINUTES * 2 ** (lockCount - 1), MAX_LOCK_MINUTES);
+  }
+
+  // In memory the read and write below run without yielding, so they cannot
+  // interleave with another failure
+  function bumpLocal(key, maxFailures, now, windowStart) {
+    const index = localDB.loginAttempts.findIndex((r) => r.key === key);
+    const existing =
+      index === -1 ? emptyRecord(key) : localDB.loginAttempts[index];
+    const stale =
+      !existing.lastFailureAt ||
+      new Date(existing.lastFailureAt).getTime() < windowStart;
+
+    const record = {
+      ...existing,
+      failures: (stale ? 0 : existing.failures) + 1,
+      lastFailureAt: now,
+      updatedAt: now,
+    };
+    if (record.failures >= maxFailures) {
+      record.lockCount = (existing.lockCount || 0) + 1;
+      record.lockedUntil = new Date(
+        now.getTime() + lockMinutes(record.lockCount) * 60 * 1000,
+      );
+      record.failures = 0;
+      logger.warn("Login locked", {
+        key,
+        minutes: lockMinutes(record.lockCount),
+      });
+    }
+
+    if (index === -1) localDB.loginAttempts.push(record);
+    else localDB.loginAttempts[index] = record;
+    return record;
+  }
+
+  // Atomic updates only, so parallel failures all count. A count from before
+  // the window starts over; once a failure has been counted lastFailureAt is
+  // recent, so the reset cannot undo it.
+  async function bumpMongo(key, maxFailures, now, windowStart) {
+    await LoginAttempt.updateOne(
+      { key, lastFailureAt: { $lt: new Date(windowStart) } },
+      { $set: { failures: 0 } },
+    );
+    const record = await LoginAttempt.findOneAndUpdate(
+      { key },
+      { $inc: { failures: 1 }, $set: { lastFailureAt: now } },
+      { upsert: true, new: true, lean: true },
+    );
+    if (record.failures < maxFailures) return record;
+
+    // Only the request that resets the count engages the lock
+    const locked = await LoginAttempt.findOneAndUpdate(
+      { key, failures: { $gte: maxFailures } },
+      { $set: { failures: 0 }, $inc: { lockCount: 1 } },
+      { new: true, lean: true },
+    );
+    if (!locked) return record;
+    const minutes = lockMinutes(locked.lockCount);
+    locked.lockedUntil = new Date(now.getTime() + minutes * 60 * 1000);
+    await LoginAttempt.updateOne(
+      { key },
+      { $set: { lockedUntil: locked.lockedUntil } },
+    );
+    logger.warn("Login locked", { key, minutes });
+    return locked;
+  }
+
+  async function bump(key, maxFailures) {
+    const now = new Date();
+    const windowStart = now.getTime() - WINDOW_MINUTES * 60 * 1000;
+    return isMongo()
+      ? bumpMongo(key, maxFailures, now, windowStart)
+      : bumpLocal(key, maxFailures, now, windowStart);
+  }
+
+  // Seconds until the account/IP pair may try again (0 = allowed)
+  async function check({ email, ip }) {
+    const [account, address] = await Promise.all([
+      read(accountKey(email)),
+      read(ipKey(ip)),
+    ]);
+    return Math.max(waitSeconds(account), waitSeconds(address));
+  }
+
+  async function recordFailure({ email, ip }) {
+    await Promise.all([
+      bump(accountKey(email), MAX_ACCOUNT_FAILURES),
+      bump(ipKey(ip), MAX_IP_FAILURES),
+    ]);
+  }
+
+  async function recordSuccess({ email }) {
+    await remove(accountKey(email));
+  }
+
+  async function listLocked() {
+    const now = new Date();
+    if (!isMongo()) {
+      return localDB.loginAttempts.filter(
+        (r) => r.lockedUntil && new Date(r.lockedUntil) > now,
+      );
+    }
+    return LoginAttempt.find({ lockedUntil: { $gt: now } })
+      .sort({ lockedUntil: -1 })
+      .lean();
+  }
+
+  // Middleware for the login route: refuses early while locked or delayed
+  async function guard(req, res, next) {
+    try {
+      const email = req.body?.email;
+      const retryAfter = await check({ email, ip: req.ip });
+      if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Too many failed login attempts. Try again later.",
+          retryAfter,
+        });
+      }
+      next();
+    } catch (error) {
+      logger.error("Login throttle check failed", error);
+      res.status(500).json({ error: "Server error during login" });
+    }
+  }
+
+  // Records the failure and sends the generic credentials error
+  async function rejectLogin(req, res) {
+    await recordFailure({ email: req.body?.email, ip: req.ip });
+    return res.status(401).json({ error: "Invalid email or password" });
+  }
+
+  return {
+    check,
+    recordFailure,
+    recordSuccess,
+    listLocked,
+    guard,
+    rejectLogin,
+    unlockAccount: (email) => remove(accountKey(email)),
+    unlockIp: (ip) => remove(ipKey(ip)),
+  };
+}
+
+function createLoginThrottleRoutes({ auth, audit, throttle, users }) {
+  const router = express.Router();
+
+  router.get("/api/admin/login-locks", auth.requireAdmin, async (req, res) => {
+    try {
+      const locks = await throttle.listLocked();
+      res.json(
+        locks.map((record) => ({
+          key: record.key,
+          lockedUntil: record.lockedUntil,
+          lockCount: record.lockCount,
+        })),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post(
+    "/api/admin/users/:id/unlock",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const user = await users.findById(req.params.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+
+        const unlocked = await throttle.unlockAccount(user.email);
+        if (unlocked) {
+          await audit.record(req, {
+            action: "login-lock.unlock-account",
+            entityType: "user",
+            entityId: user.id,
+          });
+        }
+        res.json({ message: "Account unlocked", unlocked });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.post(
+    "/api/admin/login-locks/unlock-ip",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const { ip } = req.body || {};
+        if (!ip) {
+          return res.status(400).json({ error: "ip is required" });
+        }
+        const unlocked = await throttle.unlockIp(ip);
+        if (unlocked) {
+          await audit.record(req, {
+            action: "login-lock.unlock-ip",
+            entityType: "ip",
+            entityId: ip,
+          });
+        }
+        res.json({ message: "IP address unlocked", unlocked });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return router;
+}
+
+module.exports = {
+  LoginAttempt,
+  createLoginThrottle,
+  createLoginThrottleRoutes,
+};
@@ -0,0 +1,51 @@
+const fs = require("fs");
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+
+// Stand-in transports so the email flows work offline. A real provider can be
+// plugged in by passing any object with an async send(message) method.
+const transports = {
+  console: ({ logger }) => ({
+    async send(message) {
+      logger.info(`[mail] To: ${message.to} | Subject: ${message.subject}`);
+      logger.info(`[mail] ${message.text}`);
+    },
+  }),
+
+  // Writes each message as JSON into an outbox directory
+  file: ({ outboxDir }) => ({
+    async send(message) {
+      await fs.promises.mkdir(outboxDir, { recursive: true });
+      const filename = `${Date.now()}-${uuidv4()}.json`;
+      await fs.promises.writeFile(
+        path.join(outboxDir, filename),
+        JSON.stringify(message, null, 2),
+      );
+    },
+  }),
+};
+
+function createMailer({
+  transport = process.env.MAIL_TRANSPORT || "console",
+  from = process.env.MAIL_FROM || "Nirvaha <no-reply@nirvaha.com>",
+  outboxDir = process.env.MAIL_OUTBOX_DIR ||
+    path.join(__dirname, "..", "data", "outbox"),
+  logger = console,
+} = {}) {
+  let driver = transport;
+  if (typeof transport === "string") {
+    const factory = transports[transport];
+    if (!factory) {
+      throw new Error(`Unknown mail transport: ${transport}`);
+    }
+    driver = factory({ outboxDir, logger });
+  }
+
+  async function send({ to, subject, text }) {
+    await driver.send({ from, to, subject, text, sentAt: new Date() });
+  }
+
+  return { send };
+}
+
+module.exports = { createMailer };
@@ -0,0 +1,370 @@
+const crypto = require("crypto");
+const bcrypt = require("bcryptjs");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const { decryptProfile } = require("./fieldEncryption");
+const totp = require("./totp");
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || "Nirvaha";
+const CHALLENGE_TTL = "5m";
+const RECOVERY_CODE_COUNT = 10;
+
+// Admins must use a second factor unless REQUIRE_ADMIN_2FA=false.
+function isTwoFactorRequired(user) {
+  return user.role === "admin" && process.env.REQUIRE_ADMIN_2FA !== "false";
+}
+
+function hashRecoveryCode(code) {
+  const normalized = String(code)
+    .toLowerCase()
+    .replace(/[^a-f0-9]/g, "");
+  return crypto.createHash("sha256").update(normalized).digest("hex");
+}
+
+function generateRecoveryCodes() {
+  const codes = [];
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i += 1) {
+    const raw = crypto.randomBytes(5).toString("hex");
+    codes.push(`${raw.slice(0, 5)}-${raw.slice(5)}`);
+  }
+  return codes;
+}
+
+function twoFactorState(user) {
+  return {
+    enabled: false,
+    secret: null,
+    pendingSecret: null,
+    recoveryCodes: [],
+    lastUsedStep: 0,
+    enabledAt: null,
+    ...(user.twoFactor || {}),
+  };
+}
+
+function createTwoFactor({
+  jwtSecret,
+  auth,
+  users,
+  throttle,
+  logger = console,
+}) {
+  function signChallenge(user, purpose) {
+    return jwt.sign({ id: user.id, purpose }, jwtSecret, {
+      expiresIn: CHALLENGE_TTL,
+    });
+  }
+
+  function readChallenge(token, purpose) {
+    try {
+      const claims = jwt.verify(String(token), jwtSecret);
+      return claims.purpose === purpose ? claims : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Called by the login handlers once the password checks out. Returns the
+  // response body for the second step, or null when tokens can be issued.
+  function challengeFor(user) {
+    const plain = typeof user.toObject === "function" ? user.toObject() : user;
+    const state = twoFactorState(plain);
+    if (state.enabled) {
+      return {
+        message: "Two-factor authentication required",
+        twoFactorRequired: true,
+        challengeToken: signChallenge(user, "2fa"),
+      };
+    }
+    if (isTwoFactorRequired(user)) {
+      return {
+        message: "Two-factor authentication must be set up for this account",
+        twoFactorSetupRequired: true,
+        challengeToken: signChallenge(user, "2fa-setup"),
+      };
+    }
+    return null;
+  }
+
+  // Checks a TOTP code, falling back to a one-time recovery code. On success
+  // the new state (with replay step or spent recovery code) is persisted.
+  async function verifySecondFactor(user, { code, recoveryCode }) {
+    const state = twoFactorState(user);
+    if (!state.enabled || !state.secret) return false;
+
+    if (code) {
+      const step = totp.verifyCode(state.secret, code, {
+        afterStep: state.lastUsedStep,
+      });
+      if (step === null) return false;
+      await users.update(user.id, {
+        twoFactor: { ...state, lastUsedStep: step },
+      });
+      return true;
+    }
+
+    if (recoveryCode) {
+      const hashed = hashRecoveryCode(recoveryCode);
+      if (!state.recoveryCodes.includes(hashed)) return false;
+      await users.update(user.id, {
+        twoFactor: {
+          ...state,
+          recoveryCodes: state.recoveryCodes.filter((c) => c !== hashed),
+        },
+      });
+      logger.warn("Recovery code used", { userId: user.id });
+      return true;
+    }
+
+    return false;
+  }
+
+  async function loginResponse(user, req) {
+    const issued = await auth.issueTokens(user, req);
+    return {
+      message: "Login successful",
+      ...issued,
+      user: {
+        id: user.id,
+        name: user.name,
+        email: user.email,
+        role: user.role,
+        emailVerified: Boolean(user.emailVerified),
+        profile: decryptProfile(user.profile),
+      },
+    };
+  }
+
+  // Enrollment can happen from a normal session or, for admins who must
+  // enroll before they can log in, with the setup challenge from /login.
+  function authenticateForSetup(req, res, next) {
+    const { challengeToken } = req.body || {};
+    if (!challengeToken) return auth.authenticate(req, res, next);
+
+    const claims = readChallenge(challengeToken, "2fa-setup");
+    if (!claims) {
+      return res.status(401).json({ error: "Invalid or expired challenge" });
+    }
+    req.user = { id: claims.id };
+    req.viaChallenge = true;
+    next();
+  }
+
+  const router = express.Router();
+
+  router.post("/api/auth/2fa/verify", async (req, res) => {
+    try {
+      const { challengeToken, code, recoveryCode } = req.body || {};
+      if (!challengeToken || (!code && !recoveryCode)) {
+        return res.status(400).json({
+          error: "challengeToken and a code or recoveryCode are required",
+        });
+      }
+
+      const claims = readChallenge(challengeToken, "2fa");
+      const user = claims ? await users.findById(claims.id) : null;
+      if (!user) {
+        return res.status(401).json({ error: "Invalid or expired challenge" });
+      }
+
+      // Code guesses count towards the same lockout as password guesses
+      const attempt = { email: user.email, ip: req.ip };
+      const retryAfter = await throttle.check(attempt);
+      if (retryAfter > 0) {
+        res.set("Retry-After", String(retryAfter));
+        return res.status(429).json({
+          error: "Too many failed login attempts. Try again later.",
+          retryAfter,
+        });
+      }
+
+      if (!(await verifySecondFactor(user, { code, recoveryCode }))) {
+        await throttle.recordFailure(attempt);
+        return res.status(401).json({ error: "Invalid authentication code" });
+      }
+
+      await throttle.recordSuccess(attempt);
+      res.json(await loginResponse(user, req));
+    } catch (error) {
+      logger.error("2FA verification error", error);
+      res.status(500).json({ error: "Server error during login" });
+    }
+  });
+
+  router.get("/api/auth/2fa/status", auth.requireAuth, async (req, res) => {
+    try {
+      const user = await users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+      const state = twoFactorState(user);
+      res.json({
+        enabled: state.enabled,
+        required: isTwoFactorRequired(user),
+        enabledAt: state.enabledAt,
+        recoveryCodesRemaining: state.recoveryCodes.length,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/api/auth/2fa/setup", authenticateForSetup, async (req, res) => {
+    try {
+      const user = await users.findById(req.user.id);
+      if (!user) {
+        return res.status(404).json({ error: "User not found" });
+      }
+
+      const state = twoFactorState(user);
+      if (state.enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is already enabled" });
+      }
+
+      const secret = totp.generateSecret();
+      await users.update(user.id, {
+        twoFactor: { ...state, pendingSecret: secret },
+      });
+
+      res.json({
+        secret,
+        otpauthUri: totp.otpauthUri({
+          secret,
+          accountName: user.email,
+          issuer: TOTP_ISSUER,
+        }),
+      });
+    } catch (error) {
+      logger.error("2FA setup error", error);
+      res.status(500).json({ error: "Server error during 2FA setup" });
+    }
+  });
+
+  // Confirms enrollment with a first code and returns the recovery codes,
+  // which are only ever shown here.
+  router.post(
+    "/api/auth/2fa/enable",
+    authenticateForSetup,
+    async (req, res) => {
+      try {
+        const { code } = req.body || {};
+        const user = await users.findById(req.user.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+
+        const state = twoFactorState(user);
+        if (state.enabled) {
+          return res
+            .status(400)
+            .json({ error: "Two-factor authentication is already enabled" });
+        }
+        if (!state.pendingSecret) {
+          return res.status(400).json({ error: "Start setup first" });
+        }
+
+        const step = totp.verifyCode(state.pendingSecret, code);
+        if (step === null) {
+          return res.status(400).json({ error: "Invalid authentication code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        const updated = await users.update(user.id, {
+          twoFactor: {
+            enabled: true,
+            secret: state.pendingSecret,
+            pendingSecret: null,
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+            lastUsedStep: step,
+            enabledAt: new Date(),
+          },
+        });
+        logger.info("2FA enabled", { userId: user.id });
+
+        const body = {
+          message: "Two-factor authentication enabled",
+          recoveryCodes,
+        };
+        if (req.viaChallenge) {
+          // Setup during login completes it, as in /api/auth/2fa/verify
+          await throttle.recordSuccess({ email: updated.email });
+          Object.assign(body, await loginResponse(updated, req));
+        }
+        res.json(body);
+      } catch (error) {
+        logger.error("2FA enable error", error);
+        res.status(500).json({ error: "Server error during 2FA setup" });
+      }
+    },
+  );
+
+  router.post(
+    "/api/auth/2fa/recovery-codes",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { code } = req.body || {};
+        const user = await users.findById(req.user.id);
+        if (!user || !twoFactorState(user).enabled) {
+          return res
+            .status(400)
+            .json({ error: "Two-factor authentication is not enabled" });
+        }
+        if (!(await verifySecondFactor(user, { code }))) {
+          return res.status(401).json({ error: "Invalid authentication code" });
+        }
+
+        const recoveryCodes = generateRecoveryCodes();
+        const fresh = await users.findById(user.id);
+        await users.update(user.id, {
+          twoFactor: {
+            ...twoFactorState(fresh),
+            recoveryCodes: recoveryCodes.map(hashRecoveryCode),
+          },
+        });
+        res.json({ recoveryCodes });
+      } catch (error) {
+        logger.error("Recovery code regeneration error", error);
+        res.status(500).json({ error: "Server error" });
+      }
+    },
+  );
+
+  router.post("/api/auth/2fa/disable", auth.requireAuth, async (req, res) => {
+    try {
+      const { password, code } = req.body || {};
+      const user = await users.findById(req.user.id);
+      if (!user || !twoFactorState(user).enabled) {
+        return res
+          .status(400)
+          .json({ error: "Two-factor authentication is not enabled" });
+      }
+      if (isTwoFactorRequired(user)) {
+        return res.status(403).json({
+          error: "Two-factor authentication is mandatory for admin accounts",
+        });
+      }
+      if (!password || !(await bcrypt.compare(password, user.password))) {
+        return res.status(401).json({ error: "Password is incorrect" });
+      }
+      if (!(await verifySecondFactor(user, { code }))) {
+        return res.status(401).json({ error: "Invalid authentication code" });
+      }
+
+      await users.update(user.id, {
+        twoFactor: twoFactorState({}),
+      });
+      logger.info("2FA disabled", { userId: user.id });
+      res.json({ message: "Two-factor authentication disabled" });
+    } catch (error) {
+      logger.error("2FA disable error", error);
+      res.status(500).json({ error: "Server error" });
+    }
+  });
+
+  return { challengeFor, loginResponse, router };
+}
+
+module.exports = { createTwoFactor, isTwoFactorRequired };
@@ -0,0 +1,454 @@
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+const mongoose = require("mongoose");
+const { isSuspended } = require("./users");
+const { frontendUrl, hashPassword } = require("./passwords");
+
+const OIDC_LOGIN_PURPOSE = "oidc-login";
+const STATE_TTL_MINUTES = 10;
+const LOGIN_CODE_TTL_MINUTES = 2;
+const JWKS_CACHE_MS = 10 * 60 * 1000;
+const STATE_COOKIE = "nirvaha_oidc";
+const ID_TOKEN_ALGORITHMS = ["RS256", "RS384", "RS512", "ES256", "ES384"];
+
+// Providers come from the environment: OIDC_PROVIDERS lists their ids and
+// each one reads OIDC_<ID>_ISSUER, _CLIENT_ID, _CLIENT_SECRET and optionally
+// _NAME and _SCOPES.
+function loadProviders(env = process.env) {
+  const providers = new Map();
+  for (const id of String(env.OIDC_PROVIDERS || "")
+    .split(",")
+    .map((item) => item.trim().toLowerCase())
+    .filter(Boolean)) {
+    const prefix = `OIDC_${id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`;
+    const issuer = env[`${prefix}ISSUER`];
+    const clientId = env[`${prefix}CLIENT_ID`];
+    if (!issuer || !clientId) {
+      throw new Error(
+        `OIDC provider "${id}" needs ${prefix}ISSUER and ${prefix}CLIENT_ID`,
+      );
+    }
+    providers.set(id, {
+      id,
+      name: env[`${prefix}NAME`] || id,
+      issuer: issuer.replace(/\/$/, ""),
+      clientId,
+      clientSecret: env[`${prefix}CLIENT_SECRET`] || "",
+      scopes: env[`${prefix}SCOPES`] || "openid email profile",
+    });
+  }
+  return providers;
+}
+
+// Pending authorization requests. The PKCE verifier and nonce never leave
+// the server; the browser only carries the state and a binding cookie.
+const oidcStateSchema = new mongoose.Schema(
+  {
+    stateHash: { type: String, required: true, unique: true },
+    bindingHash: { type: String, required: true },
+    provider: { type: String, required: true },
+    codeVerifier: { type: String, required: true },
+    nonce: { type: String, required: true },
+    returnTo: { type: String, default: "/" },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true },
+);
+oidcStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const OidcState =
+  mongoose.models.OidcState || mongoose.model("OidcState", oidcStateSchema);
+
+function randomToken() {
+  return crypto.randomBytes(32).toString("base64url");
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(String(value)).digest("base64url");
+}
+
+function readCookie(req, name) {
+  for (const part of String(req.headers.cookie || "").split(";")) {
+    const [key, ...rest] = part.trim().split("=");
+    if (key === name) return decodeURIComponent(rest.join("="));
+  }
+  return null;
+}
+
+// Only same-site paths, so the login cannot bounce users to another origin
+function safeReturnTo(value) {
+  const path = String(value || "/");
+  return path.startsWith("/") && !path.startsWith("//") ? path : "/";
+}
+
+async function fetchJson(url, options) {
+  const response = await fetch(url, options);
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    const reason = body.error_description || body.error || response.status;
+    throw new Error(`OIDC request to ${url} failed: ${reason}`);
+  }
+  return body;
+}
+
+function createOidcLogin({
+  users,
+  tokens,
+  twoFactor,
+  localDB,
+  isMongo,
+  providers = loadProviders(),
+  logger = console,
+}) {
+  localDB.oidcStates = localDB.oidcStates || [];
+  const discovery = new Map();
+  const keySets = new Map();
+
+  async function metadata(provider) {
+    if (!discovery.has(provider.id)) {
+      const config = await fetchJson(
+        `${provider.issuer}/.well-known/openid-configuration`,
+      );
+      if (String(config.issuer || "").replace(/\/$/, "") !== provider.issuer) {
+        throw new Error(`Issuer mismatch for OIDC provider ${provider.id}`);
+      }
+      discovery.set(provider.id, config);
+    }
+    return discovery.get(provider.id);
+  }
+
+  // Keys are cached; an unknown kid triggers one refetch to pick up rotation
+  async function signingKey(provider, kid) {
+    const config = await metadata(provider);
+    let cached = keySets.get(provider.id);
+    const find = () => cached.keys.find((k) => !kid || k.kid === kid) || null;
+
+    if (!cached || Date.now() - cached.fetchedAt > JWKS_CACHE_MS || !find()) {
+      const { keys = [] } = await fetchJson(config.jwks_uri);
+      cached = { keys, fetchedAt: Date.now() };
+      keySets.set(provider.id, cached);
+    }
+    const jwk = find();
+    if (!jwk) throw new Error("No matching signing key for ID token");
+    return crypto.createPublicKey({ key: jwk, format: "jwk" });
+  }
+
+  async function verifyIdToken(provider, idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded) throw new Error("Malformed ID token");
+
+    const key = await signingKey(provider, decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: ID_TOKEN_ALGORITHMS,
+      audience: provider.clientId,
+      issuer: [provider.issuer, `${provider.issuer}/`],
+    });
+    if (claims.nonce !== nonce) throw new Error("ID token nonce mismatch");
+    return claims;
+  }
+
+  async function saveState(record) {
+    if (!isMongo()) {
+      const now = Date.now();
+      localDB.oidcStates = localDB.oidcStates.filter(
+        (s) => s.expiresAt.getTime() > now,
+      );
+      localDB.oidcStates.push(record);
+      return;
+    }
+    await OidcState.create(record);
+  }
+
+  // Single use: the state is removed as it is read
+  async function takeState(state) {
+    const stateHash = sha256(state);
+    if (!isMongo()) {
+      const index = localDB.oidcStates.findIndex(
+        (s) => s.stateHash === stateHash,
+      );
+      if (index === -1) return null;
+      const [record] = localDB.oidcStates.splice(index, 1);
+      return record.expiresAt > new Date() ? record : null;
+    }
+    return OidcState.findOneAndDelete({
+      stateHash,
+      expiresAt: { $gt: new Date() },
+    }).lean();
+  }
+
+  function redirectUri(req, provider) {
+    const base =
+      process.env.OIDC_REDIRECT_BASE_URL ||
+      `${req.protocol}://${req.get("host")}`;
+    return `${base.replace(/\/$/, "")}/api/auth/oidc/${provider.id}/callback`;
+  }
+
+  async function exchangeCode(provider, req, code, codeVerifier) {
+    const config = await metadata(provider);
+    const body = new URLSearchParams({
+      grant_type: "authorization_code",
+      code,
+      redirect_uri: redirectUri(req, provider),
+      code_verifier: codeVerifier,
+      client_id: provider.clientId,
+    });
+    const headers = { "content-type": "application/x-www-form-urlencoded" };
+
+    // client_secret_basic is the spec default; fall back to the form body
+    // for providers that only accept client_secret_post
+    const methods = config.token_endpoint_auth_methods_supported || [
+      "client_secret_basic",
+    ];
+    if (provider.clientSecret) {
+      if (methods.includes("client_secret_basic")) {
+        const credentials = `${encodeURIComponent(provider.clientId)}:${encodeURIComponent(provider.clientSecret)}`;
+        headers.authorization = `Basic ${Buffer.from(credentials).toString("base64")}`;
+      } else {
+        body.set("client_secret", provider.clientSecret);
+      }
+    }
+
+    return fetchJson(config.token_endpoint, { method: "POST", headers, body });
+  }
+
+  // ID tokens don't always carry the email; the userinfo endpoint does
+  async function identityClaims(provider, tokenSet, nonce) {
+    const claims = await verifyIdToken(provider, tokenSet.id_token, nonce);
+    if (claims.email) return claims;
+
+    const config = await metadata(provider);
+    if (!config.userinfo_endpoint || !tokenSet.access_token) return claims;
+    const info = await fetchJson(config.userinfo_endpoint, {
+      headers: { authorization: `Bearer ${tokenSet.access_token}` },
+    });
+    if (info.sub !== claims.sub) throw new Error("userinfo subject mismatch");
+    return {
+      ...claims,
+      email: info.email,
+      email_verified: info.email_verified,
+      name: claims.name || info.name,
+    };
+  }
+
+  // Known identity → that user. Otherwise a verified email links to the
+  // existing account or creates a new one. Unverified emails never link.
+  async function resolveUser(provider, claims) {
+    const existing = await users.findByIdentity(provider.id, claims.sub);
+    if (existing) return existing;
+
+    const emailVerified =
+      claims.email_verified === true || claims.email_verified === "true";
+    if (!claims.email || !emailVerified) {
+      const error = new Error(
+        "The provider did not confirm your email address",
+      );
+      error.code = "EMAIL_NOT_VERIFIED";
+      throw error;
+    }
+
+    const email = String(claims.email).toLowerCase();
+    const identity = {
+      provider: provider.id,
+      subject: claims.sub,
+      email,
+      linkedAt: new Date(),
+    };
+
+    const user = await users.findByEmail(email);
+    if (user) {
+      logger.info("OIDC identity linked", {
+        userId: user.id,
+        provider: provider.id,
+      });
+      return users.update(user.id, {
+        identities: [...(user.identities || []), identity],
+        emailVerified: true,
+        emailVerifiedAt: user.emailVerifiedAt || new Date(),
+      });
+    }
+
+    // Accounts created here get an unusable random password; the owner can
+    // set a real one through forgot-password
+    const created = await users.create({
+      name: claims.name || email.split("@")[0],
+      email,
+      password: await hashPassword(randomToken()),
+      role: "user",
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+      identities: [identity],
+      profile: {
+        mobile: "",
+        age: "",
+        gender: "",
+        address: "",
+        education: "",
+        healthCondition: "",
+      },
+    });
+    logger.info("OIDC user created", {
+      userId: created.id,
+      provider: provider.id,
+    });
+    return created;
+  }
+
+  function finish(res, params) {
+    const query = new URLSearchParams(params).toString();
+    const target =
+      process.env.OIDC_FRONTEND_CALLBACK_URL ||
+      frontendUrl("/auth/oidc/callback");
+    res.clearCookie(STATE_COOKIE, { path: "/api/auth/oidc" });
+    res.redirect(`${target}?${query}`);
+  }
+
+  const router = express.Router();
+
+  router.get("/api/auth/oidc/providers", (req, res) => {
+    res.json(
+      [...providers.values()].map(({ id, name }) => ({
+        id,
+        name,
+        loginUrl: `/api/auth/oidc/${id}/start`,
+      })),
+    );
+  });
+
+  router.get("/api/auth/oidc/:provider/start", async (req, res) => {
+    try {
+      const provider = providers.get(req.params.provider);
+      if (!provider) {
+        return res.status(404).json({ error: "Unknown login provider" });
+      }
+
+      const config = await metadata(provider);
+      const state = randomToken();
+      const binding = randomToken();
+      const codeVerifier = randomToken();
+      const nonce = randomToken();
+      await saveState({
+        stateHash: sha256(state),
+        bindingHash: sha256(binding),
+        provider: provider.id,
+        codeVerifier,
+        nonce,
+        returnTo: safeReturnTo(req.query.returnTo),
+        expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000),
+      });
+
+      // Ties the callback to the browser that started the login
+      res.cookie(STATE_COOKIE, binding, {
+        httpOnly: true,
+        secure: req.secure,
+        sameSite: "lax",
+        path: "/api/auth/oidc",
+        maxAge: STATE_TTL_MINUTES * 60 * 1000,
+      });
+
+      const params = new URLSearchParams({
+        response_type: "code",
+        client_id: provider.clientId,
+        redirect_uri: redirectUri(req, provider),
+        scope: provider.scopes,
+        state,
+        nonce,
+        code_challenge: sha256(codeVerifier),
+        code_challenge_method: "S256",
+      });
+      res.redirect(`${config.authorization_endpoint}?${params.toString()}`);
+    } catch (error) {
+      logger.error("OIDC start error", error);
+      res.status(502).json({ error: "Login provider is unavailable" });
+    }
+  });
+
+  // The provider redirects the browser here. Tokens are not put in the URL;
+  // the frontend gets a short-lived code to trade at /api/auth/oidc/exchange.
+  router.get("/api/auth/oidc/:provider/callback", async (req, res) => {
+    const provider = providers.get(req.params.provider);
+    if (!provider) {
+      return res.status(404).json({ error: "Unknown login provider" });
+    }
+
+    try {
+      const { code, state, error } = req.query;
+      const record = state ? await takeState(String(state)) : null;
+      const binding = readCookie(req, STATE_COOKIE);
+      if (
+        !record ||
+        record.provider !== provider.id ||
+        !binding ||
+        sha256(binding) !== record.bindingHash
+      ) {
+        return finish(res, { error: "invalid_state" });
+      }
+      if (error || !code) {
+        return finish(res, { error: String(error || "access_denied") });
+      }
+
+      const tokenSet = await exchangeCode(
+        provider,
+        req,
+        String(code),
+        record.codeVerifier,
+      );
+      const claims = await identityClaims(provider, tokenSet, record.nonce);
+      const user = await resolveUser(provider, claims);
+      if (isSuspended(user)) {
+        return finish(res, { error: "account_suspended" });
+      }
+
+      const loginCode = await tokens.issue(
+        OIDC_LOGIN_PURPOSE,
+        user.id,
+        LOGIN_CODE_TTL_MINUTES,
+      );
+      finish(res, { code: loginCode, returnTo: record.returnTo });
+    } catch (error) {
+      logger.error("OIDC callback error", error);
+      finish(res, {
+        error:
+          error.code === "EMAIL_NOT_VERIFIED"
+            ? "email_not_verified"
+            : "login_failed",
+      });
+    }
+  });
+
+  // Same response as /api/auth/login, including the 2FA challenge
+  router.post("/api/auth/oidc/exchange", async (req, res) => {
+    try {
+      const { code } = req.body || {};
+      if (!code) {
+        return res.status(400).json({ error: "Code is required" });
+      }
+
+      const userId = await tokens.consume(OIDC_LOGIN_PURPOSE, code);
+      const user = userId ? await users.findById(userId) : null;
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "Login code is invalid or has expired" });
+      }
+      if (isSuspended(user)) {
+        return res
+          .status(403)
+          .json({ error: "Account suspended", code: "ACCOUNT_SUSPENDED" });
+      }
+
+      const challenge = twoFactor.challengeFor(user);
+      if (challenge) {
+        return res.json(challenge);
+      }
+      res.json(await twoFactor.loginResponse(user, req));
+    } catch (error) {
+      logger.error("OIDC exchange error", error);
+      res.status(500).json({ error: "Server error during login" });
+    }
+  });
+
+  return { providers, router };
+}
+
+module.exports = { createOidcLogin, loadProviders };
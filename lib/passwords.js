@@ -0,0 +1,163 @@
+const bcrypt = require("bcryptjs");
+const express = require("express");
+
+const PASSWORD_RESET_PURPOSE = "password-reset";
+const PASSWORD_RESET_TTL_MINUTES =
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+const MIN_PASSWORD_LENGTH = 6;
+
+function validatePassword(password) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters long`;
+  }
+  return null;
+}
+
+function hashPassword(password) {
+  return bcrypt.hash(password, 10);
+}
+
+function frontendUrl(pathname) {
+  const base = process.env.FRONTEND_URL || "http://localhost:5173";
+  return `${base.replace(/\/$/, "")}${pathname}`;
+}
+
+function createPasswordRoutes({
+  auth,
+  users,
+  sessions,
+  tokens,
+  mailer,
+  logger = console,
+}) {
+  const router = express.Router();
+
+  // Always answers the same way so the endpoint cannot be used to find out
+  // which emails have accounts.
+  router.post("/api/auth/forgot-password", async (req, res) => {
+    try {
+      const { email } = req.body || {};
+      if (!email) {
+        return res.status(400).json({ error: "Email is required" });
+      }
+
+      const user = await users.findByEmail(email);
+      if (user) {
+        const token = await tokens.issue(
+          PASSWORD_RESET_PURPOSE,
+          user.id,
+          PASSWORD_RESET_TTL_MINUTES,
+        );
+        await mailer.send({
+          to: user.email,
+          subject: "Reset your Nirvaha password",
+          text:
+            `Use the link below to choose a new password. It expires in ` +
+            `${PASSWORD_RESET_TTL_MINUTES} minutes and can be used once.\n\n` +
+            frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+        });
+        logger.info("Password reset requested", { userId: user.id });
+      }
+
+      res.json({
+        message: "If an account exists for that email, a reset link was sent",
+      });
+    } catch (error) {
+      logger.error("Forgot password error", error);
+      res.status(500).json({ error: "Server error during password reset" });
+    }
+  });
+
+  router.post("/api/auth/reset-password", async (req, res) => {
+    try {
+      const { token, password } = req.body || {};
+      if (!token || !password) {
+        return res
+          .status(400)
+          .json({ error: "Token and password are required" });
+      }
+
+      const invalid = validatePassword(password);
+      if (invalid) {
+        return res.status(400).json({ error: invalid });
+      }
+
+      const userId = await tokens.consume(PASSWORD_RESET_PURPOSE, token);
+      const user = userId ? await users.findById(userId) : null;
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "Reset link is invalid or has expired" });
+      }
+
+      await users.update(user.id, {
+        password: await hashPassword(password),
+        passwordChangedAt: new Date(),
+      });
+      await sessions.revokeAll(user.id, "password-reset");
+      logger.info("Password reset completed", { userId: user.id });
+
+      res.json({ message: "Password has been reset. Please log in again." });
+    } catch (error) {
+      logger.error("Reset password error", error);
+      res.status(500).json({ error: "Server error during password reset" });
+    }
+  });
+
+  // Signs out every session, then starts a fresh one for the caller so they
+  // stay logged in on this device.
+  router.post(
+    "/api/auth/change-password",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const { currentPassword, newPassword } = req.body || {};
+        if (!currentPassword || !newPassword) {
+          return res
+            .status(400)
+            .json({ error: "Current and new password are required" });
+        }
+
+        const invalid = validatePassword(newPassword);
+        if (invalid) {
+          return res.status(400).json({ error: invalid });
+        }
+
+        const user = await users.findById(req.user.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+
+        const matches = await bcrypt.compare(currentPassword, user.password);
+        if (!matches) {
+          return res
+            .status(401)
+            .json({ error: "Current password is incorrect" });
+        }
+
+        await users.update(user.id, {
+          password: await hashPassword(newPassword),
+          passwordChangedAt: new Date(),
+        });
+        await sessions.revokeAll(user.id, "password-change");
+        logger.info("Password changed", { userId: user.id });
+
+        const issued = await auth.issueTokens(user, req);
+        res.json({ message: "Password changed successfully", ...issued });
+      } catch (error) {
+        logger.error("Change password error", error);
+        res.status(500).json({ error: "Server error during password change" });
+      }
+    },
+  );
+
+  return router;
+}
+
+module.exports = {
+  MIN_PASSWORD_LENGTH,
+  validatePassword,
+  hashPassword,
+  frontendUrl,
+  createPasswordRoutes,
+};
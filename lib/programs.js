@@ -0,0 +1,969 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { parsePagination } = require("./adminUsers");
+const {
+  adminView,
+  currentStatus,
+  editorialSchemaFields,
+  isPublic,
+  publicFilter,
+  publicView,
+  reviewDetails,
+} = require("./editorial");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// calendar: day N opens N-1 days after enrolling; completion: day N opens
+// once day N-1 is done
+const UNLOCK_RULES = ["calendar", "completion"];
+const ENROLLMENT_STATUSES = ["active", "completed", "left"];
+const MAX_PROGRAM_DAYS = 365;
+// Unfinished enrollments without activity for this long count as dropped
+// off in the admin statistics
+const PROGRAM_INACTIVE_DAYS = Number(process.env.PROGRAM_INACTIVE_DAYS) || 7;
+
+const programDaySchema = new mongoose.Schema(
+  {
+    title: { type: String, default: "" },
+    description: { type: String, default: "" },
+    meditationId: { type: String, required: true },
+  },
+  { _id: false },
+);
+
+// A multi-day course of meditations, one session per day. Goes through the
+// editorial workflow like meditations and sounds.
+const programSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    title: { type: String, required: true },
+    description: { type: String, default: "" },
+    coverImageUrl: { type: String, default: "" },
+    category: { type: String, default: "" },
+    level: { type: String, default: "" },
+    unlockRule: { type: String, enum: UNLOCK_RULES, default: "calendar" },
+    days: { type: [programDaySchema], default: [] },
+    ...editorialSchemaFields,
+  },
+  { timestamps: true },
+);
+programSchema.index({ "days.meditationId": 1 });
+
+const enrollmentSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    programId: { type: String, required: true, index: true },
+    userId: { type: String, required: true, index: true },
+    status: { type: String, enum: ENROLLMENT_STATUSES, default: "active" },
+    startedAt: { type: Date, default: Date.now },
+    completedDays: {
+      type: [
+        {
+          _id: false,
+          day: { type: Number, required: true },
+          meditationId: { type: String, default: "" },
+          completedAt: { type: Date, required: true },
+        },
+      ],
+      default: [],
+    },
+    // Where to pick up again: the day and the position in its session
+    resume: {
+      day: { type: Number, default: 1 },
+      positionSeconds: { type: Number, default: 0 },
+      updatedAt: { type: Date, default: null },
+    },
+    lastActivityAt: { type: Date, default: Date.now },
+    completedAt: { type: Date, default: null },
+    certificateId: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+enrollmentSchema.index({ programId: 1, userId: 1 }, { unique: true });
+enrollmentSchema.index(
+  { certificateId: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { certificateId: { $type: "string" } },
+  },
+);
+
+const Program =
+  mongoose.models.Program || mongoose.model("Program", programSchema);
+const ProgramEnrollment =
+  mongoose.models.ProgramEnrollment ||
+  mongoose.model("ProgramEnrollment", enrollmentSchema);
+
+// When `day` (1-based) opens for this enrollment; null while it waits for
+// the previous day to be completed
+function unlockTime(program, enrollment, day) {
+  if (program.unlockRule === "completion") {
+    if (day === 1) return new Date(enrollment.startedAt);
+    const previous = (enrollment.completedDays || []).find(
+      (entry) => entry.day === day - 1,
+    );
+    return previous ? new Date(previous.completedAt) : null;
+  }
+  return new Date(
+    new Date(enrollment.startedAt).getTime() + (day - 1) * DAY_MS,
+  );
+}
+
+function isUnlocked(program, enrollment, day, now = new Date()) {
+  const opens = unlockTime(program, enrollment, day);
+  return Boolean(opens) && opens <= now;
+}
+
+// The enrollment as the user sees it: per-day state and where to continue
+function toProgress(program, enrollment, now = new Date()) {
+  const completed = new Map(
+    (enrollment.completedDays || []).map((entry) => [entry.day, entry]),
+  );
+  const days = (program.days || []).map((programDay, index) => {
+    const day = index + 1;
+    const opens = unlockTime(program, enrollment, day);
+    return {
+      day,
+      title: programDay.title || "",
+      meditationId: programDay.meditationId,
+      unlocked: Boolean(opens) && opens <= now,
+      unlocksAt: opens,
+      completed: completed.has(day),
+      completedAt: completed.get(day)?.completedAt || null,
+    };
+  });
+  const next = days.find((day) => day.unlocked && !day.completed);
+
+  return {
+    programId: program.id,
+    programTitle: program.title,
+    unlockRule: program.unlockRule,
+    status: enrollment.status,
+    startedAt: enrollment.startedAt,
+    completedAt: enrollment.completedAt,
+    certificateId: enrollment.certificateId,
+    completedDays: completed.size,
+    totalDays: days.length,
+    percent: days.length ? Math.round((completed.size / days.length) * 100) : 0,
+    nextDay: next ? next.day : null,
+    resume: {
+      day: enrollment.resume?.day || 1,
+      positionSeconds: enrollment.resume?.positionSeconds || 0,
+      updatedAt: enrollment.resume?.updatedAt || null,
+    },
+    days,
+  };
+}
+
+function toProgramSummary(program, { admin = false } = {}) {
+  return {
+    id: program.id,
+    title: program.title,
+    description: program.description || "",
+    coverImageUrl: program.coverImageUrl || "",
+    category: program.category || "",
+    level: program.level || "",
+    unlockRule: program.unlockRule,
+    totalDays: (program.days || []).length,
+    status: currentStatus(program),
+    publishAt: program.publishAt || null,
+    unpublishAt: program.unpublishAt || null,
+    ...(admin ? reviewDetails(program) : {}),
+    createdAt: program.createdAt,
+    updatedAt: program.updatedAt,
+  };
+}
+
+// Enrollments for the admin statistics: totals plus, per day, how many
+// enrollees had it unlocked, completed it and dropped off right before it
+function programStats(program, enrollments, now = new Date()) {
+  const inactiveSince = new Date(
+    now.getTime() - PROGRAM_INACTIVE_DAYS * DAY_MS,
+  );
+  const totals = {
+    enrolled: enrollments.length,
+    active: 0,
+    completed: 0,
+    left: 0,
+  };
+  const days = (program.days || []).map((programDay, index) => ({
+    day: index + 1,
+    title: programDay.title || "",
+    reached: 0,
+    completed: 0,
+    droppedOff: 0,
+  }));
+
+  for (const enrollment of enrollments) {
+    totals[enrollment.status] += 1;
+    const done = new Set((enrollment.completedDays || []).map((e) => e.day));
+    for (const day of days) {
+      if (isUnlocked(program, enrollment, day.day, now)) day.reached += 1;
+      if (done.has(day.day)) day.completed += 1;
+    }
+
+    const stopped =
+      enrollment.status === "left" ||
+      (enrollment.status === "active" &&
+        new Date(enrollment.lastActivityAt) < inactiveSince);
+    if (stopped) {
+      const furthest = Math.max(0, ...done);
+      if (days[furthest]) days[furthest].droppedOff += 1;
+    }
+  }
+
+  return {
+    programId: program.id,
+    ...totals,
+    completionRate: totals.enrolled
+      ? Math.round((totals.completed / totals.enrolled) * 1000) / 1000
+      : 0,
+    inactiveAfterDays: PROGRAM_INACTIVE_DAYS,
+    days: days.map((day) => ({
+      ...day,
+      dropOffRate: day.reached
+        ? Math.round((day.droppedOff / day.reached) * 1000) / 1000
+        : 0,
+    })),
+  };
+}
+
+// Validates the editable fields present in `body`; { error } or { changes }
+function parseProgram(body, { partial }) {
+  const changes = {};
+  if (body.title !== undefined || !partial) {
+    if (typeof body.title !== "string" || !body.title.trim()) {
+      return { error: "Title is required" };
+    }
+    changes.title = body.title.trim();
+  }
+  for (const field of ["description", "coverImageUrl", "category", "level"]) {
+    if (body[field] !== undefined) changes[field] = String(body[field]);
+  }
+  if (body.unlockRule !== undefined) {
+    if (!UNLOCK_RULES.includes(body.unlockRule)) {
+      return { error: `unlockRule must be one of: ${UNLOCK_RULES.join(", ")}` };
+    }
+    changes.unlockRule = body.unlockRule;
+  }
+  if (body.days !== undefined || !partial) {
+    const { days } = body;
+    if (!Array.isArray(days) || days.length === 0) {
+      return { error: "A program needs at least one day" };
+    }
+    if (days.length > MAX_PROGRAM_DAYS) {
+      return { error: `A program has at most ${MAX_PROGRAM_DAYS} days` };
+    }
+    if (days.some((day) => !day || typeof day.meditationId !== "string")) {
+      return { error: "Each day needs a meditationId" };
+    }
+    changes.days = days.map((day) => ({
+      title: String(day.title || ""),
+      description: String(day.description || ""),
+      meditationId: day.meditationId,
+    }));
+  }
+  return { changes };
+}
+
+// Multi-day programs built from meditations, with enrollment, progress,
+// certificates and per-day statistics. `models.Meditation` is the entry
+// point's meditation model.
+function createPrograms({
+  auth,
+  audit,
+  users,
+  models,
+  localDB,
+  isMongo,
+  logger = console,
+}) {
+  localDB.programs = localDB.programs || [];
+  localDB.programEnrollments = localDB.programEnrollments || [];
+
+  async function findProgram(id) {
+    if (!isMongo()) {
+      const program = localDB.programs.find((p) => p.id === id);
+      return program ? { ...program } : null;
+    }
+    return Program.findOne({ id }).lean();
+  }
+
+  // Published programs for everyone, any program for admins
+  async function findVisibleProgram(id, user) {
+    const program = await findProgram(id);
+    if (!program) return null;
+    return user?.role === "admin" || isPublic(program) ? program : null;
+  }
+
+  async function findMeditations(ids) {
+    if (!isMongo()) {
+      return (localDB.meditations || []).filter((m) => ids.includes(m.id));
+    }
+    return models.Meditation.find({ id: { $in: ids } }).lean();
+  }
+
+  async function missingMeditations(days) {
+    const ids = [...new Set(days.map((day) => day.meditationId))];
+    const found = new Set((await findMeditations(ids)).map((m) => m.id));
+    return ids.filter((id) => !found.has(id));
+  }
+
+  async function listPrograms({ publicOnly, page, limit }) {
+    if (!isMongo()) {
+      const all = localDB.programs
+        .filter((program) => !publicOnly || isPublic(program))
+        .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+      return {
+        programs: all.slice((page - 1) * limit, page * limit),
+        total: all.length,
+      };
+    }
+    const filter = publicOnly ? publicFilter() : {};
+    const [programs, total] = await Promise.all([
+      Program.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Program.countDocuments(filter),
+    ]);
+    return { programs, total };
+  }
+
+  async function findEnrollment(programId, userId) {
+    if (!isMongo()) {
+      const enrollment = localDB.programEnrollments.find(
+        (e) => e.programId === programId && e.userId === userId,
+      );
+      return enrollment ? { ...enrollment } : null;
+    }
+    return ProgramEnrollment.findOne({ programId, userId }).lean();
+  }
+
+  async function listEnrollments(filter) {
+    if (!isMongo()) {
+      return localDB.programEnrollments.filter((e) =>
+        Object.entries(filter).every(([field, value]) => e[field] === value),
+      );
+    }
+    return ProgramEnrollment.find(filter).lean();
+  }
+
+  async function saveEnrollment(enrollment, changes) {
+    if (!isMongo()) {
+      const stored = localDB.programEnrollments.find(
+        (e) => e.id === enrollment.id,
+      );
+      Object.assign(stored, changes, { updatedAt: new Date() });
+      return { ...stored };
+    }
+    return ProgramEnrollment.findOneAndUpdate({ id: enrollment.id }, changes, {
+      new: true,
+    }).lean();
+  }
+
+  // Adds `entry` to the completed days in the same write that checks the
+  // day is not there yet, so concurrent completions cannot overwrite each
+  // other. The updated enrollment, or null when the day was already done.
+  async function addCompletedDay(enrollment, entry, changes) {
+    if (!isMongo()) {
+      const stored = localDB.programEnrollments.find(
+        (e) => e.id === enrollment.id,
+      );
+      if (stored.completedDays.some((e) => e.day === entry.day)) return null;
+      Object.assign(stored, changes, {
+        completedDays: [...stored.completedDays, entry].sort(
+          (a, b) => a.day - b.day,
+        ),
+        updatedAt: new Date(),
+      });
+      return { ...stored };
+    }
+    return ProgramEnrollment.findOneAndUpdate(
+      { id: enrollment.id, "completedDays.day": { $ne: entry.day } },
+      {
+        $push: { completedDays: { $each: [entry], $sort: { day: 1 } } },
+        $set: changes,
+      },
+      { new: true },
+    ).lean();
+  }
+
+  // Completes an active enrollment whose `dayCount` days are all done. Null
+  // when days are missing or another request completed it first, so only
+  // one certificate is issued.
+  async function completeEnrollment(enrollment, dayCount, changes) {
+    if (!isMongo()) {
+      const stored = localDB.programEnrollments.find(
+        (e) => e.id === enrollment.id,
+      );
+      if (
+        stored.status !== "active" ||
+        stored.completedDays.length < dayCount
+      ) {
+        return null;
+      }
+      Object.assign(stored, changes, { updatedAt: new Date() });
+      return { ...stored };
+    }
+    return ProgramEnrollment.findOneAndUpdate(
+      {
+        id: enrollment.id,
+        status: "active",
+        // Days are unique, so an entry at the last index means all are done
+        [`completedDays.${dayCount - 1}`]: { $exists: true },
+      },
+      { $set: changes },
+      { new: true },
+    ).lean();
+  }
+
+  async function enroll(program, userId) {
+    const now = new Date();
+    const existing = await findEnrollment(program.id, userId);
+    if (existing) {
+      // Coming back after leaving picks up where the user stopped
+      if (existing.status !== "left") return { enrollment: existing };
+      return {
+        enrollment: await saveEnrollment(existing, {
+          status: "active",
+          lastActivityAt: now,
+        }),
+      };
+    }
+
+    const record = {
+      id: uuidv4(),
+      programId: program.id,
+      userId,
+      status: "active",
+      startedAt: now,
+      completedDays: [],
+      resume: { day: 1, positionSeconds: 0, updatedAt: null },
+      lastActivityAt: now,
+      completedAt: null,
+      certificateId: null,
+    };
+    if (!isMongo()) {
+      const stored = { ...record, createdAt: now, updatedAt: now };
+      localDB.programEnrollments.push(stored);
+      return { enrollment: { ...stored }, created: true };
+    }
+    return {
+      enrollment: (await ProgramEnrollment.create(record)).toObject(),
+      created: true,
+    };
+  }
+
+  async function saveProgram(id, changes) {
+    if (!isMongo()) {
+      const stored = localDB.programs.find((p) => p.id === id);
+      if (!stored) return null;
+      Object.assign(stored, changes, { updatedAt: new Date() });
+      return { ...stored };
+    }
+    return Program.findOneAndUpdate({ id }, changes, {
+      new: true,
+      runValidators: true,
+    }).lean();
+  }
+
+  // Programs whose days use the meditation, so it is not deleted from under
+  // them
+  async function programsUsing(meditationId) {
+    if (!isMongo()) {
+      return localDB.programs.filter((program) =>
+        (program.days || []).some((day) => day.meditationId === meditationId),
+      );
+    }
+    return Program.find({ "days.meditationId": meditationId }).lean();
+  }
+
+  async function purgeUser(userId) {
+    if (!isMongo()) {
+      localDB.programEnrollments = localDB.programEnrollments.filter(
+        (e) => e.userId !== userId,
+      );
+      return;
+    }
+    await ProgramEnrollment.deleteMany({ userId });
+  }
+
+  async function listByUser(userId) {
+    return listEnrollments({ userId });
+  }
+
+  // Shared checks for the per-enrollment routes: a visible program and the
+  // caller's active (or finished) enrollment in it
+  async function loadEnrollment(req, res) {
+    const program = await findVisibleProgram(req.params.id, req.user);
+    if (!program) {
+      res.status(404).json({ error: "Program not found" });
+      return null;
+    }
+    const enrollment = await findEnrollment(program.id, req.user.id);
+    if (!enrollment || enrollment.status === "left") {
+      res.status(404).json({ error: "You are not enrolled in this program" });
+      return null;
+    }
+    return { program, enrollment };
+  }
+
+  function parseDay(program, value) {
+    const day = Number.parseInt(value, 10);
+    return day >= 1 && day <= (program.days || []).length ? day : null;
+  }
+
+  const router = express.Router();
+
+  router.get("/api/programs", async (req, res) => {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const result = await listPrograms({ publicOnly: true, page, limit });
+      res.json({
+        programs: result.programs.map((p) => toProgramSummary(p)),
+        total: result.total,
+        page,
+        limit,
+        totalPages: Math.ceil(result.total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/admin/programs", auth.requireAdmin, async (req, res) => {
+    try {
+      const { page, limit } = parsePagination(req.query);
+      const result = await listPrograms({ publicOnly: false, page, limit });
+      res.json({
+        programs: result.programs.map((p) =>
+          toProgramSummary(p, { admin: true }),
+        ),
+        total: result.total,
+        page,
+        limit,
+        totalPages: Math.ceil(result.total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // The program with its days and their meditations; signed-in callers
+  // also get their progress
+  router.get("/api/programs/:id", auth.optionalAuth, async (req, res) => {
+    try {
+      const program = await findVisibleProgram(req.params.id, req.user);
+      if (!program) {
+        return res.status(404).json({ error: "Program not found" });
+      }
+
+      const isAdmin = req.user?.role === "admin";
+      const meditations = new Map(
+        (
+          await findMeditations(program.days.map((day) => day.meditationId))
+        ).map((m) => [m.id, m]),
+      );
+      const days = program.days.map((programDay, index) => {
+        const meditation = meditations.get(programDay.meditationId);
+        const visible = meditation && (isAdmin || isPublic(meditation));
+        return {
+          day: index + 1,
+          title: programDay.title || "",
+          description: programDay.description || "",
+          meditationId: programDay.meditationId,
+          meditation: visible
+            ? isAdmin
+              ? adminView(meditation)
+              : publicView(meditation)
+            : null,
+        };
+      });
+      const enrollment = req.user
+        ? await findEnrollment(program.id, req.user.id)
+        : null;
+
+      res.json({
+        ...toProgramSummary(program, { admin: isAdmin }),
+        days,
+        progress:
+          enrollment && enrollment.status !== "left"
+            ? toProgress(program, enrollment)
+            : null,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post("/api/programs", auth.requireAdmin, async (req, res) => {
+    try {
+      const { changes, error } = parseProgram(req.body || {}, {
+        partial: false,
+      });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const missing = await missingMeditations(changes.days);
+      if (missing.length > 0) {
+        return res
+          .status(400)
+          .json({ error: `Unknown meditation(s): ${missing.join(", ")}` });
+      }
+
+      const now = new Date();
+      const record = {
+        id: uuidv4(),
+        description: "",
+        coverImageUrl: "",
+        category: "",
+        level: "",
+        unlockRule: "calendar",
+        ...changes,
+        status: "Draft",
+      };
+      let created;
+      if (!isMongo()) {
+        created = { ...record, createdAt: now, updatedAt: now };
+        localDB.programs.push(created);
+      } else {
+        created = (await Program.create(record)).toObject();
+      }
+      await audit.record(req, {
+        action: "program.create",
+        entityType: "program",
+        entityId: created.id,
+        after: created,
+      });
+      res.status(201).json(toProgramSummary(created, { admin: true }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Status changes go through PATCH /api/programs/:id/status (editorial)
+  router.put("/api/programs/:id", auth.requireAdmin, async (req, res) => {
+    try {
+      const body = req.body || {};
+      const { changes, error } = parseProgram(body, { partial: true });
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      const before = await findProgram(req.params.id);
+      if (!before) {
+        return res.status(404).json({ error: "Program not found" });
+      }
+      if (body.status !== undefined && body.status !== currentStatus(before)) {
+        return res.status(400).json({
+          error: "Change the status with PATCH /api/programs/:id/status",
+        });
+      }
+      if (changes.days) {
+        const missing = await missingMeditations(changes.days);
+        if (missing.length > 0) {
+          return res
+            .status(400)
+            .json({ error: `Unknown meditation(s): ${missing.join(", ")}` });
+        }
+      }
+
+      const updated = await saveProgram(before.id, changes);
+      await audit.record(req, {
+        action: "program.update",
+        entityType: "program",
+        entityId: before.id,
+        before,
+        after: updated,
+      });
+      res.json(toProgramSummary(updated, { admin: true }));
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Enrollments go with the program
+  router.delete("/api/programs/:id", auth.requireAdmin, async (req, res) => {
+    try {
+      let deleted;
+      if (!isMongo()) {
+        const index = localDB.programs.findIndex((p) => p.id === req.params.id);
+        deleted = index === -1 ? null : localDB.programs.splice(index, 1)[0];
+        localDB.programEnrollments = localDB.programEnrollments.filter(
+          (e) => e.programId !== req.params.id,
+        );
+      } else {
+        deleted = await Program.findOneAndDelete({ id: req.params.id }).lean();
+        if (deleted) {
+          await ProgramEnrollment.deleteMany({ programId: deleted.id });
+        }
+      }
+      if (!deleted) {
+        return res.status(404).json({ error: "Program not found" });
+      }
+      await audit.record(req, {
+        action: "program.delete",
+        entityType: "program",
+        entityId: deleted.id,
+        before: deleted,
+      });
+      res.json({ ok: true });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.post(
+    "/api/programs/:id/enroll",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const program = await findVisibleProgram(req.params.id, req.user);
+        if (!program) {
+          return res.status(404).json({ error: "Program not found" });
+        }
+        const { enrollment, created } = await enroll(program, req.user.id);
+        res.status(created ? 201 : 200).json(toProgress(program, enrollment));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.delete(
+    "/api/programs/:id/enrollment",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const loaded = await loadEnrollment(req, res);
+        if (!loaded) return;
+        if (loaded.enrollment.status === "completed") {
+          return res.status(409).json({ error: "Program already completed" });
+        }
+        await saveEnrollment(loaded.enrollment, { status: "left" });
+        res.json({ ok: true });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.get(
+    "/api/programs/:id/progress",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const loaded = await loadEnrollment(req, res);
+        if (!loaded) return;
+        res.json(toProgress(loaded.program, loaded.enrollment));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // Remembers the position in a day's session so the app can resume there
+  router.put(
+    "/api/programs/:id/days/:day/position",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const loaded = await loadEnrollment(req, res);
+        if (!loaded) return;
+        const { program, enrollment } = loaded;
+        const day = parseDay(program, req.params.day);
+        if (!day) {
+          return res.status(404).json({ error: "Day not found" });
+        }
+        if (!isUnlocked(program, enrollment, day)) {
+          return res.status(403).json({ error: "This day is still locked" });
+        }
+        const positionSeconds = Number(req.body?.positionSeconds);
+        if (!Number.isFinite(positionSeconds) || positionSeconds < 0) {
+          return res
+            .status(400)
+            .json({ error: "positionSeconds must be a positive number" });
+        }
+
+        const now = new Date();
+        const updated = await saveEnrollment(enrollment, {
+          resume: { day, positionSeconds, updatedAt: now },
+          lastActivityAt: now,
+        });
+        res.json(toProgress(program, updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // Marks a day as done; the last one completes the program and issues the
+  // certificate
+  router.post(
+    "/api/programs/:id/days/:day/complete",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const loaded = await loadEnrollment(req, res);
+        if (!loaded) return;
+        const { program, enrollment } = loaded;
+        const day = parseDay(program, req.params.day);
+        if (!day) {
+          return res.status(404).json({ error: "Day not found" });
+        }
+        if (!isUnlocked(program, enrollment, day)) {
+          return res.status(403).json({ error: "This day is still locked" });
+        }
+        if (enrollment.completedDays.some((entry) => entry.day === day)) {
+          return res.json(toProgress(program, enrollment));
+        }
+
+        const now = new Date();
+        const added = await addCompletedDay(
+          enrollment,
+          {
+            day,
+            meditationId: program.days[day - 1].meditationId,
+            completedAt: now,
+          },
+          {
+            lastActivityAt: now,
+            resume: {
+              day: Math.min(day + 1, program.days.length),
+              positionSeconds: 0,
+              updatedAt: now,
+            },
+          },
+        );
+        if (!added) {
+          // Completed by a request that came in meanwhile
+          const current = await findEnrollment(program.id, req.user.id);
+          return res.json(toProgress(program, current));
+        }
+        if (added.completedDays.length < program.days.length) {
+          return res.json(toProgress(program, added));
+        }
+
+        const completed = await completeEnrollment(added, program.days.length, {
+          status: "completed",
+          completedAt: now,
+          certificateId: uuidv4(),
+        });
+        if (completed) {
+          logger.info("Program completed", {
+            programId: program.id,
+            userId: req.user.id,
+          });
+        }
+        res.json(
+          toProgress(
+            program,
+            completed || (await findEnrollment(program.id, req.user.id)),
+          ),
+        );
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  router.get(
+    "/api/programs/:id/certificate",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const loaded = await loadEnrollment(req, res);
+        if (!loaded) return;
+        const { program, enrollment } = loaded;
+        if (!enrollment.certificateId) {
+          return res
+            .status(404)
+            .json({ error: "The program has not been completed yet" });
+        }
+
+        const user = await users.findById(req.user.id);
+        res.json({
+          certificateId: enrollment.certificateId,
+          recipientName: user?.name || "",
+          programId: program.id,
+          programTitle: program.title,
+          days: program.days.length,
+          startedAt: enrollment.startedAt,
+          completedAt: enrollment.completedAt,
+          verifyUrl: `/api/certificates/${enrollment.certificateId}`,
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  // Lets anyone holding a certificate id check it; no personal data
+  router.get("/api/certificates/:id", async (req, res) => {
+    try {
+      const [enrollment] = await listEnrollments({
+        certificateId: req.params.id,
+      });
+      const program = enrollment && (await findProgram(enrollment.programId));
+      if (!enrollment || !program) {
+        return res.status(404).json({ error: "Certificate not found" });
+      }
+      res.json({
+        certificateId: enrollment.certificateId,
+        valid: true,
+        programTitle: program.title,
+        days: program.days.length,
+        completedAt: enrollment.completedAt,
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get("/api/me/programs", auth.requireAuth, async (req, res) => {
+    try {
+      const enrollments = (await listByUser(req.user.id)).filter(
+        (e) => e.status !== "left",
+      );
+      const programs = [];
+      for (const enrollment of enrollments) {
+        const program = await findProgram(enrollment.programId);
+        if (!program) continue;
+        const { days, ...summary } = toProgress(program, enrollment);
+        programs.push(summary);
+      }
+      res.json({ programs });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get(
+    "/api/admin/programs/:id/stats",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const program = await findProgram(req.params.id);
+        if (!program) {
+          return res.status(404).json({ error: "Program not found" });
+        }
+        const enrollments = await listEnrollments({ programId: program.id });
+        res.json(programStats(program, enrollments));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { listByUser, programsUsing, purgeUser, router };
+}
+
+module.exports = {
+  Program,
+  ProgramEnrollment,
+  UNLOCK_RULES,
+  createPrograms,
+  programStats,
+  toProgress,
+};
@@ -0,0 +1,565 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { parsePagination } = require("./adminUsers");
+const { isPublic } = require("./editorial");
+
+// Catalogue collections that can be rated, with their entity type
+const RATING_KINDS = { meditations: "meditation", sounds: "sound" };
+const MAX_REVIEW_LENGTH = 2000;
+
+// Spread into the meditation and sound schemas. Kept up to date from the
+// visible ratings; hidden reviews do not count.
+const ratingSchemaFields = {
+  ratingAverage: { type: Number, default: 0 },
+  ratingCount: { type: Number, default: 0 },
+};
+
+const ratingSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    userId: { type: String, required: true },
+    kind: { type: String, enum: Object.values(RATING_KINDS), required: true },
+    itemId: { type: String, required: true },
+    stars: { type: Number, min: 1, max: 5, required: true },
+    review: { type: String, default: "" },
+    // Set by moderation; hidden ratings are left out of lists and averages
+    hidden: { type: Boolean, default: false },
+    hiddenBy: { type: String, default: null },
+    hiddenAt: { type: Date, default: null },
+    hiddenReason: { type: String, default: "" },
+  },
+  { timestamps: true },
+);
+ratingSchema.index({ userId: 1, kind: 1, itemId: 1 }, { unique: true });
+ratingSchema.index({ kind: 1, itemId: 1, hidden: 1, updatedAt: -1 });
+
+const Rating = mongoose.models.Rating || mongoose.model("Rating", ratingSchema);
+
+function toAggregate(stats) {
+  const count = stats?.count || 0;
+  return {
+    ratingAverage: count ? Math.round((stats.sum / count) * 100) / 100 : 0,
+    ratingCount: count,
+  };
+}
+
+// "Jane Doe" -> "Jane D."; reviews are public
+function displayName(name) {
+  const [first, ...rest] = String(name || "")
+    .trim()
+    .split(/\s+/);
+  if (!first) return "Anonymous";
+  const last = rest.pop();
+  return last ? `${first} ${last[0].toUpperCase()}.` : first;
+}
+
+function toRatingResponse(rating) {
+  return {
+    id: rating.id,
+    kind: rating.kind,
+    itemId: rating.itemId,
+    stars: rating.stars,
+    review: rating.review || "",
+    hidden: Boolean(rating.hidden),
+    createdAt: rating.createdAt,
+    updatedAt: rating.updatedAt,
+  };
+}
+
+function toModerationResponse(rating) {
+  return {
+    ...toRatingResponse(rating),
+    userId: rating.userId,
+    hiddenBy: rating.hiddenBy || null,
+    hiddenAt: rating.hiddenAt || null,
+    hiddenReason: rating.hiddenReason || "",
+  };
+}
+
+// { stars, review } from a request body, or { error }
+function parseRating(body) {
+  const stars = Number(body.stars);
+  if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+    return { error: "stars must be a whole number from 1 to 5" };
+  }
+  if (body.review !== undefined && typeof body.review !== "string") {
+    return { error: "review must be a string" };
+  }
+  const review = (body.review || "").trim();
+  if (review.length > MAX_REVIEW_LENGTH) {
+    return { error: `review is limited to ${MAX_REVIEW_LENGTH} characters` };
+  }
+  return { stars, review };
+}
+
+// Star ratings with optional reviews for meditations and sounds, one per
+// user and item, plus moderation. Every change recomputes the item's
+// ratingAverage and ratingCount in the same transaction. `models` maps
+// each entity type to the entry point's model.
+function createRatings({
+  auth,
+  audit,
+  users,
+  models,
+  localDB,
+  isMongo,
+  logger = console,
+}) {
+  localDB.ratings = localDB.ratings || [];
+  let transactionsUnsupported = false;
+
+  // Runs `work(session)` in a transaction. Standalone Mongo servers do not
+  // have transactions; there the writes run one after the other, which is
+  // still self-correcting since every write recomputes the aggregate.
+  async function inTransaction(work) {
+    if (transactionsUnsupported) return work(null);
+    const session = await mongoose.startSession();
+    try {
+      let result;
+      await session.withTransaction(async () => {
+        result = await work(session);
+      });
+      return result;
+    } catch (error) {
+      if (error.code !== 20 && error.codeName !== "IllegalOperation") {
+        throw error;
+      }
+      transactionsUnsupported = true;
+      logger.warn("MongoDB has no transactions; ratings are written without");
+      return work(null);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  function localItem(kind, itemId) {
+    const collection = kind === "meditation" ? "meditations" : "sounds";
+    return (localDB[collection] || []).find((item) => item.id === itemId);
+  }
+
+  async function findItem(kind, itemId) {
+    if (!isMongo()) return localItem(kind, itemId) || null;
+    return models[kind].findOne({ id: itemId }).lean();
+  }
+
+  // Recomputes the item's aggregate from its visible ratings
+  async function refreshAggregate(kind, itemId, session = null) {
+    if (!isMongo()) {
+      const stars = localDB.ratings
+        .filter((r) => r.kind === kind && r.itemId === itemId && !r.hidden)
+        .map((r) => r.stars);
+      const aggregate = toAggregate({
+        count: stars.length,
+        sum: stars.reduce((sum, value) => sum + value, 0),
+      });
+      const item = localItem(kind, itemId);
+      if (item) Object.assign(item, aggregate);
+      return aggregate;
+    }
+    const [stats] = await Rating.aggregate([
+      { $match: { kind, itemId, hidden: false } },
+      { $group: { _id: null, count: { $sum: 1 }, sum: { $sum: "$stars" } } },
+    ]).session(session);
+    const aggregate = toAggregate(stats);
+    await models[kind].updateOne(
+      { id: itemId },
+      { $set: aggregate },
+      { session, timestamps: false },
+    );
+    return aggregate;
+  }
+
+  async function findOwn(userId, kind, itemId) {
+    if (!isMongo()) {
+      return (
+        localDB.ratings.find(
+          (r) => r.userId === userId && r.kind === kind && r.itemId === itemId,
+        ) || null
+      );
+    }
+    return Rating.findOne({ userId, kind, itemId }).lean();
+  }
+
+  async function findById(id) {
+    if (!isMongo()) {
+      const rating = localDB.ratings.find((r) => r.id === id);
+      return rating ? { ...rating } : null;
+    }
+    return Rating.findOne({ id }).lean();
+  }
+
+  // Creates or edits the caller's rating; returns it and whether it is new.
+  // Editing a hidden review keeps it hidden.
+  async function upsert(userId, kind, itemId, { stars, review }) {
+    if (!isMongo()) {
+      const now = new Date();
+      let rating = await findOwn(userId, kind, itemId);
+      const created = !rating;
+      if (created) {
+        rating = {
+          id: uuidv4(),
+          userId,
+          kind,
+          itemId,
+          hidden: false,
+          createdAt: now,
+        };
+        localDB.ratings.push(rating);
+      }
+      Object.assign(rating, { stars, review, updatedAt: now });
+      const aggregate = await refreshAggregate(kind, itemId);
+      return { rating: { ...rating }, created, aggregate };
+    }
+    return inTransaction(async (session) => {
+      const result = await Rating.findOneAndUpdate(
+        { userId, kind, itemId },
+        { $set: { stars, review }, $setOnInsert: { id: uuidv4() } },
+        {
+          upsert: true,
+          new: true,
+          runValidators: true,
+          includeResultMetadata: true,
+          lean: true,
+          session,
+        },
+      );
+      const aggregate = await refreshAggregate(kind, itemId, session);
+      return {
+        rating: result.value,
+        created: !result.lastErrorObject?.updatedExisting,
+        aggregate,
+      };
+    });
+  }
+
+  async function removeOwn(userId, kind, itemId) {
+    if (!isMongo()) {
+      const rating = await findOwn(userId, kind, itemId);
+      if (!rating) return null;
+      localDB.ratings = localDB.ratings.filter((r) => r !== rating);
+      return refreshAggregate(kind, itemId);
+    }
+    return inTransaction(async (session) => {
+      const deleted = await Rating.findOneAndDelete(
+        { userId, kind, itemId },
+        { session },
+      ).lean();
+      if (!deleted) return null;
+      return refreshAggregate(kind, itemId, session);
+    });
+  }
+
+  async function setHidden(rating, changes) {
+    if (!isMongo()) {
+      const stored = localDB.ratings.find((r) => r.id === rating.id);
+      Object.assign(stored, changes, { updatedAt: new Date() });
+      await refreshAggregate(rating.kind, rating.itemId);
+      return { ...stored };
+    }
+    return inTransaction(async (session) => {
+      const updated = await Rating.findOneAndUpdate(
+        { id: rating.id },
+        { $set: changes },
+        { new: true, session },
+      ).lean();
+      await refreshAggregate(rating.kind, rating.itemId, session);
+      return updated;
+    });
+  }
+
+  async function listRatings({ filter, matches, page, limit }) {
+    if (!isMongo()) {
+      const all = localDB.ratings
+        .filter(matches)
+        .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+      return {
+        ratings: all.slice((page - 1) * limit, page * limit),
+        total: all.length,
+      };
+    }
+    const [ratings, total] = await Promise.all([
+      Rating.find(filter)
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      Rating.countDocuments(filter),
+    ]);
+    return { ratings, total };
+  }
+
+  // How many visible ratings have each number of stars
+  async function distribution(kind, itemId) {
+    const counts = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    const rows = !isMongo()
+      ? localDB.ratings
+          .filter((r) => r.kind === kind && r.itemId === itemId && !r.hidden)
+          .map((r) => ({ _id: r.stars, count: 1 }))
+      : await Rating.aggregate([
+          { $match: { kind, itemId, hidden: false } },
+          { $group: { _id: "$stars", count: { $sum: 1 } } },
+        ]);
+    for (const row of rows) counts[row._id] += row.count;
+    return counts;
+  }
+
+  // Called when a meditation or sound is deleted
+  async function removeItem(kind, itemId) {
+    if (!isMongo()) {
+      localDB.ratings = localDB.ratings.filter(
+        (r) => r.kind !== kind || r.itemId !== itemId,
+      );
+      return;
+    }
+    await Rating.deleteMany({ kind, itemId });
+  }
+
+  // Called when the whole catalogue is cleared
+  async function clearItems() {
+    if (!isMongo()) {
+      localDB.ratings = [];
+      return;
+    }
+    await Rating.deleteMany({});
+  }
+
+  // Account deletion: the user's ratings go and the averages they were
+  // part of are recomputed
+  async function purgeUser(userId) {
+    const ratings = await listByUser(userId);
+    if (!isMongo()) {
+      localDB.ratings = localDB.ratings.filter((r) => r.userId !== userId);
+    } else {
+      await Rating.deleteMany({ userId });
+    }
+    for (const rating of ratings) {
+      await refreshAggregate(rating.kind, rating.itemId);
+    }
+  }
+
+  // For the personal data export
+  async function listByUser(userId) {
+    if (!isMongo()) {
+      return localDB.ratings.filter((r) => r.userId === userId);
+    }
+    return Rating.find({ userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  // Gives catalogue items from before ratings the aggregate fields, so
+  // sorting and cursor pagination on them see a number
+  async function backfill() {
+    if (!isMongo()) return;
+    for (const Model of Object.values(models)) {
+      await Model.updateMany(
+        { ratingCount: { $exists: false } },
+        { $set: { ratingAverage: 0, ratingCount: 0 } },
+        { timestamps: false },
+      );
+    }
+  }
+
+  const router = express.Router();
+
+  // Only published items can be rated and have public reviews
+  async function findRateable(kind, req, res) {
+    const item = await findItem(kind, req.params.id);
+    if (!item || !isPublic(item)) {
+      res.status(404).json({ error: `${kind} not found` });
+      return null;
+    }
+    return item;
+  }
+
+  for (const [collection, kind] of Object.entries(RATING_KINDS)) {
+    router.get(`/api/${collection}/:id/reviews`, async (req, res) => {
+      try {
+        const item = await findRateable(kind, req, res);
+        if (!item) return;
+        const { page, limit } = parsePagination(req.query);
+        const { ratings, total } = await listRatings({
+          filter: { kind, itemId: item.id, hidden: false, review: { $ne: "" } },
+          matches: (r) =>
+            r.kind === kind && r.itemId === item.id && !r.hidden && r.review,
+          page,
+          limit,
+        });
+
+        const authors = new Map(
+          (
+            await users.findByIds([...new Set(ratings.map((r) => r.userId))])
+          ).map((user) => [user.id, user]),
+        );
+        const reviews = ratings.map((rating) => ({
+          id: rating.id,
+          stars: rating.stars,
+          review: rating.review,
+          authorName: displayName(authors.get(rating.userId)?.name),
+          createdAt: rating.createdAt,
+          updatedAt: rating.updatedAt,
+        }));
+        res.json({
+          summary: {
+            ratingAverage: item.ratingAverage || 0,
+            ratingCount: item.ratingCount || 0,
+            distribution: await distribution(kind, item.id),
+          },
+          reviews,
+          total,
+          page,
+          limit,
+          totalPages: Math.ceil(total / limit),
+        });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    });
+
+    router.get(
+      `/api/${collection}/:id/rating`,
+      auth.requireAuth,
+      async (req, res) => {
+        try {
+          const rating = await findOwn(req.user.id, kind, req.params.id);
+          if (!rating) {
+            return res.status(404).json({ error: "Rating not found" });
+          }
+          res.json(toRatingResponse(rating));
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      },
+    );
+
+    router.put(
+      `/api/${collection}/:id/rating`,
+      auth.requireAuth,
+      async (req, res) => {
+        try {
+          const { stars, review, error } = parseRating(req.body || {});
+          if (error) {
+            return res.status(400).json({ error });
+          }
+          const item = await findRateable(kind, req, res);
+          if (!item) return;
+
+          const { rating, created, aggregate } = await upsert(
+            req.user.id,
+            kind,
+            item.id,
+            { stars, review },
+          );
+          res
+            .status(created ? 201 : 200)
+            .json({ ...toRatingResponse(rating), item: aggregate });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      },
+    );
+
+    router.delete(
+      `/api/${collection}/:id/rating`,
+      auth.requireAuth,
+      async (req, res) => {
+        try {
+          const aggregate = await removeOwn(req.user.id, kind, req.params.id);
+          if (!aggregate) {
+            return res.status(404).json({ error: "Rating not found" });
+          }
+          res.json({ ok: true, item: aggregate });
+        } catch (error) {
+          res.status(500).json({ error: error.message });
+        }
+      },
+    );
+  }
+
+  // Moderation queue: ?hidden=true|false&kind=&itemId=&userId=, and
+  // reviewed=true for ratings with review text only
+  router.get("/api/admin/reviews", auth.requireAdmin, async (req, res) => {
+    try {
+      const { hidden, kind, itemId, userId } = req.query;
+      if (kind !== undefined && !Object.values(RATING_KINDS).includes(kind)) {
+        return res.status(400).json({
+          error: `kind must be one of: ${Object.values(RATING_KINDS).join(", ")}`,
+        });
+      }
+      const filter = {};
+      if (hidden === "true" || hidden === "false") {
+        filter.hidden = hidden === "true";
+      }
+      if (kind) filter.kind = kind;
+      if (itemId) filter.itemId = String(itemId);
+      if (userId) filter.userId = String(userId);
+      if (req.query.reviewed === "true") filter.review = { $ne: "" };
+
+      const { page, limit } = parsePagination(req.query);
+      const { ratings, total } = await listRatings({
+        filter,
+        matches: (r) =>
+          Object.entries(filter).every(([field, value]) =>
+            field === "review" ? Boolean(r.review) : r[field] === value,
+          ),
+        page,
+        limit,
+      });
+      res.json({
+        reviews: ratings.map(toModerationResponse),
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+      });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // { hidden: true, reason } hides a review, { hidden: false } restores it
+  router.patch(
+    "/api/admin/reviews/:id",
+    auth.requireAdmin,
+    async (req, res) => {
+      try {
+        const { hidden, reason } = req.body || {};
+        if (typeof hidden !== "boolean") {
+          return res.status(400).json({ error: "hidden must be a boolean" });
+        }
+        const rating = await findById(req.params.id);
+        if (!rating) {
+          return res.status(404).json({ error: "Review not found" });
+        }
+
+        const changes = hidden
+          ? {
+              hidden: true,
+              hiddenBy: req.user.id,
+              hiddenAt: new Date(),
+              hiddenReason: String(reason || "").slice(0, 500),
+            }
+          : { hidden: false, hiddenBy: null, hiddenAt: null, hiddenReason: "" };
+        const updated = await setHidden(rating, changes);
+        await audit.record(req, {
+          action: hidden ? "review.hide" : "review.unhide",
+          entityType: "review",
+          entityId: rating.id,
+          before: rating,
+          after: updated,
+        });
+        logger.info("Review moderated", {
+          id: rating.id,
+          hidden,
+          by: req.user.id,
+        });
+        res.json(toModerationResponse(updated));
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { backfill, clearItems, listByUser, purgeUser, removeItem, router };
+}
+
+module.exports = { Rating, createRatings, ratingSchemaFields };
@@ -0,0 +1,687 @@
+const express = require("express");
+const mongoose = require("mongoose");
+const { requireCronSecret } = require("./auth");
+const { isPublic, publicFilter, publicView } = require("./editorial");
+const { Favorite } = require("./favorites");
+const { Play, TrackProgress } = require("./listening");
+const { Rating } = require("./ratings");
+
+// Track kinds that are recommended, with their localDB collection
+const TRACK_KINDS = { meditation: "meditations", sound: "sounds" };
+// Stored picks older than this are recomputed on request
+const RECOMMENDATIONS_MAX_AGE_HOURS =
+  Number(process.env.RECOMMENDATIONS_MAX_AGE_HOURS) || 36;
+// Off-peak hour (UTC) at which server.js rebuilds the picks; vercel.json
+// schedules /api/cron/recommendations at the default
+const configuredHour = Number.parseInt(
+  process.env.RECOMMENDATIONS_HOUR_UTC,
+  10,
+);
+const RECOMMENDATIONS_HOUR_UTC =
+  configuredHour >= 0 && configuredHour <= 23 ? configuredHour : 4;
+const CANDIDATES_PER_USER = 100;
+const NEIGHBOURS_PER_TRACK = 20;
+// Two tracks count as co-listened once this many users played both
+const MIN_CO_LISTENERS = 2;
+// Most recent tracks per user used for co-listening and similarity
+const MAX_TRACKS_PER_USER = 50;
+const POPULAR_WINDOW_DAYS = 30;
+const PROFILE_WINDOW_DAYS = 90;
+const MAX_PROFILE_PLAYS = 500;
+// Plays around the current hour needed before the user's own habits count
+const MIN_PLAYS_FOR_HABITS = 3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEIGHTS = { similar: 1, coListened: 1.5, timeOfDay: 0.5, popular: 0.3 };
+// Words in the category, moods or title that suit the listener's local time
+// of day, for listeners without enough history of their own
+const TIME_OF_DAY_HINTS = {
+  morning: ["morning", "energy", "energizing", "focus", "gratitude", "awaken"],
+  afternoon: ["focus", "stress", "break", "productivity", "anxiety"],
+  evening: ["relax", "calm", "unwind", "evening", "stress"],
+  night: ["sleep", "night", "rain", "deep", "insomnia", "relax"],
+};
+
+// Precomputed picks: "global" holds the co-listening neighbours and the
+// popularity ranking, "user:<id>" one user's candidates and listening
+// hours. Keyed data is stored as [key, value] pairs since track ids and
+// categories are not safe as field names.
+const recommendationSetSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true, unique: true, index: true },
+    computedAt: { type: Date, required: true },
+    data: { type: mongoose.Schema.Types.Mixed, default: {} },
+  },
+  { timestamps: true, minimize: false },
+);
+
+const RecommendationSet =
+  mongoose.models.RecommendationSet ||
+  mongoose.model("RecommendationSet", recommendationSetSchema);
+
+function trackKey(kind, id) {
+  return `${kind}:${id}`;
+}
+
+function splitKey(key) {
+  const separator = key.indexOf(":");
+  return { kind: key.slice(0, separator), id: key.slice(separator + 1) };
+}
+
+function timeOfDay(hour) {
+  if (hour >= 5 && hour < 12) return "morning";
+  if (hour >= 12 && hour < 17) return "afternoon";
+  if (hour >= 17 && hour < 21) return "evening";
+  return "night";
+}
+
+// What a track is for, for listening habits: category and moods
+function trackTags(track) {
+  const tags = [];
+  if (track.category) tags.push(`category:${track.category.toLowerCase()}`);
+  for (const mood of track.mood || []) {
+    tags.push(`mood:${String(mood).toLowerCase()}`);
+  }
+  return tags;
+}
+
+function tagLabel(tag) {
+  return tag.slice(tag.indexOf(":") + 1);
+}
+
+// 0..1: same category, level, artist and overlapping moods
+function contentSimilarity(a, b) {
+  let score = 0;
+  if (a.category && a.category === b.category) score += 0.5;
+  if (a.level && a.level === b.level) score += 0.2;
+  if (a.artist && a.artist === b.artist) score += 0.2;
+  const moodsA = new Set(a.mood || []);
+  const moodsB = new Set(b.mood || []);
+  if (moodsA.size > 0 && moodsB.size > 0) {
+    const shared = [...moodsA].filter((mood) => moodsB.has(mood)).length;
+    score += (0.6 * shared) / new Set([...moodsA, ...moodsB]).size;
+  }
+  return Math.min(score, 1);
+}
+
+// How strongly a user likes each track they interacted with; negative for
+// low ratings. `source` names the strongest signal for the explanation.
+function userAffinities({ progress, favorites, ratings }) {
+  const affinities = new Map();
+  const entry = (kind, id) => {
+    const key = trackKey(kind, id);
+    if (!affinities.has(key)) {
+      affinities.set(key, { weight: 0, source: "listened", lastAt: 0 });
+    }
+    return affinities.get(key);
+  };
+  for (const row of progress) {
+    const track = entry(row.kind, row.trackId);
+    track.weight += 1 + 0.5 * Math.min(row.completionCount || 0, 4);
+    track.lastAt = Math.max(track.lastAt, new Date(row.lastPlayedAt || 0));
+  }
+  for (const row of favorites) {
+    const track = entry(row.kind, row.itemId);
+    track.weight += 2;
+    track.source = "favorited";
+    track.lastAt = Math.max(track.lastAt, new Date(row.createdAt || 0));
+  }
+  for (const row of ratings) {
+    const track = entry(row.kind, row.itemId);
+    track.weight += row.stars - 3;
+    if (row.stars >= 4 && track.source !== "favorited") track.source = "rated";
+    track.lastAt = Math.max(track.lastAt, new Date(row.updatedAt || 0));
+  }
+  return affinities;
+}
+
+function becauseMessage(source, title) {
+  switch (source) {
+    case "favorited":
+      return `Because you favorited "${title}"`;
+    case "rated":
+      return `Because you rated "${title}" highly`;
+  }
+  return `Because you listened to "${title}"`;
+}
+
+// Co-listening neighbours (cosine over listeners) and the popularity
+// ranking, from every user's track progress
+function buildGlobalModel(catalog, progress, now) {
+  const byUser = new Map();
+  const listeners = new Map();
+  const recentListeners = new Map();
+  const recentSince = now.getTime() - POPULAR_WINDOW_DAYS * DAY_MS;
+
+  for (const row of progress) {
+    const key = trackKey(row.kind, row.trackId);
+    if (!catalog.has(key)) continue;
+    if (!byUser.has(row.userId)) byUser.set(row.userId, []);
+    byUser.get(row.userId).push(row);
+    listeners.set(key, (listeners.get(key) || 0) + 1);
+    if (new Date(row.lastPlayedAt || 0).getTime() >= recentSince) {
+      recentListeners.set(key, (recentListeners.get(key) || 0) + 1);
+    }
+  }
+
+  const coListens = new Map();
+  for (const rows of byUser.values()) {
+    const keys = rows
+      .sort((a, b) => new Date(b.lastPlayedAt) - new Date(a.lastPlayedAt))
+      .slice(0, MAX_TRACKS_PER_USER)
+      .map((row) => trackKey(row.kind, row.trackId));
+    for (const a of keys) {
+      for (const b of keys) {
+        if (a === b) continue;
+        if (!coListens.has(a)) coListens.set(a, new Map());
+        const counts = coListens.get(a);
+        counts.set(b, (counts.get(b) || 0) + 1);
+      }
+    }
+  }
+
+  const neighbours = [];
+  for (const [a, counts] of coListens) {
+    const similar = [...counts]
+      .filter(([, count]) => count >= MIN_CO_LISTENERS)
+      .map(([b, count]) => [
+        b,
+        Math.round(
+          (count / Math.sqrt(listeners.get(a) * listeners.get(b))) * 1000,
+        ) / 1000,
+      ])
+      .sort((x, y) => y[1] - x[1])
+      .slice(0, NEIGHBOURS_PER_TRACK);
+    if (similar.length > 0) neighbours.push([a, similar]);
+  }
+
+  // Recent listeners, plus the rating shrunk towards 3.5 stars so a single
+  // five-star rating does not top the list
+  const maxRecent = Math.max(1, ...recentListeners.values());
+  const popular = [...catalog.values()]
+    .map((track) => {
+      const key = trackKey(track.kind, track.id);
+      const count = track.ratingCount || 0;
+      const rating =
+        (3.5 * 5 + (track.ratingAverage || 0) * count) / (5 + count);
+      const plays = Math.log1p(recentListeners.get(key) || 0);
+      return {
+        key,
+        score:
+          Math.round(
+            ((0.7 * plays) / Math.log1p(maxRecent) + (0.3 * (rating - 1)) / 4) *
+              1000,
+          ) / 1000,
+        listeners: recentListeners.get(key) || 0,
+        highlyRated: count >= 3 && track.ratingAverage >= 4.5,
+      };
+    })
+    .sort(
+      (a, b) =>
+        b.score - a.score ||
+        new Date(catalog.get(b.key).createdAt || 0) -
+          new Date(catalog.get(a.key).createdAt || 0),
+    )
+    .slice(0, CANDIDATES_PER_USER);
+
+  return { neighbours, popular };
+}
+
+// Per UTC hour, how many plays a user started and the tags they played.
+// Habits are kept in UTC, which matches the user's local hour as long as
+// they stay in one place.
+function listeningHours(plays, catalog) {
+  const hours = Array.from({ length: 24 }, () => ({
+    plays: 0,
+    tags: new Map(),
+  }));
+  for (const play of plays) {
+    const track = catalog.get(trackKey(play.kind, play.trackId));
+    if (!track) continue;
+    const hour = hours[new Date(play.startedAt).getUTCHours()];
+    hour.plays += 1;
+    for (const tag of trackTags(track)) {
+      hour.tags.set(tag, (hour.tags.get(tag) || 0) + 1);
+    }
+  }
+  return hours.map((hour) => ({ plays: hour.plays, tags: [...hour.tags] }));
+}
+
+// One user's candidates: tracks they have not interacted with yet, scored
+// by content similarity and co-listening to what they like, plus
+// popularity. The time of day is applied per request.
+function scoreUser(signals, catalog, global) {
+  const affinities = userAffinities(signals);
+  const liked = [...affinities]
+    .filter(([key]) => catalog.has(key))
+    .sort((a, b) => b[1].lastAt - a[1].lastAt)
+    .slice(0, MAX_TRACKS_PER_USER);
+  const norm = liked.reduce((sum, [, a]) => sum + Math.max(a.weight, 0), 0);
+  if (norm === 0) return [];
+  const popularity = new Map(global.popular.map((p) => [p.key, p.score]));
+  const neighbours = new Map(global.neighbours);
+
+  const candidates = [];
+  for (const [key, track] of catalog) {
+    if (affinities.has(key)) continue;
+    const because = { similar: null, coListened: null };
+    const best = { similar: 0, coListened: 0 };
+    let similar = 0;
+    let coListened = 0;
+
+    for (const [likedKey, affinity] of liked) {
+      const likedTrack = catalog.get(likedKey);
+      const contribution =
+        affinity.weight * contentSimilarity(likedTrack, track);
+      similar += contribution;
+      if (contribution > best.similar) {
+        best.similar = contribution;
+        because.similar = { key: likedKey, affinity };
+      }
+      const neighbour = (neighbours.get(likedKey) || []).find(
+        ([other]) => other === key,
+      );
+      if (neighbour) {
+        const weighted = affinity.weight * neighbour[1];
+        coListened += weighted;
+        if (weighted > best.coListened) {
+          best.coListened = weighted;
+          because.coListened = { key: likedKey, affinity };
+        }
+      }
+    }
+
+    const components = {
+      similar: (WEIGHTS.similar * similar) / norm,
+      coListened: (WEIGHTS.coListened * coListened) / norm,
+      popular: WEIGHTS.popular * (popularity.get(key) || 0),
+    };
+    const score = components.similar + components.coListened;
+    if (score <= 0) continue;
+
+    const [strongest] = Object.entries(components).sort((a, b) => b[1] - a[1]);
+    const basedOn = because[strongest[0]];
+    candidates.push({
+      key,
+      score: Math.round((score + components.popular) * 1000) / 1000,
+      reason: basedOn
+        ? {
+            type: strongest[0],
+            source: basedOn.affinity.source,
+            basedOn: basedOn.key,
+          }
+        : { type: "popular" },
+    });
+  }
+  return candidates
+    .sort((a, b) => b.score - a.score)
+    .slice(0, CANDIDATES_PER_USER);
+}
+
+// Milliseconds from `now` until the next nightly rebuild
+function msUntilPrecompute(now = new Date()) {
+  const next = new Date(now);
+  next.setUTCHours(RECOMMENDATIONS_HOUR_UTC, 0, 0, 0);
+  if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+  return next.getTime() - now.getTime();
+}
+
+// Ranked, explained recommendations of published meditations and sounds
+// from play history, favorites, ratings, the time of day and co-listening
+// across users. A nightly job (precompute) stores each user's candidates so
+// requests only re-rank them. `models` maps each track kind to the entry
+// point's model.
+function createRecommendations({
+  auth,
+  models,
+  localDB,
+  isMongo,
+  logger = console,
+}) {
+  localDB.recommendationSets = localDB.recommendationSets || [];
+
+  async function readSet(key) {
+    if (!isMongo()) {
+      return localDB.recommendationSets.find((set) => set.key === key) || null;
+    }
+    return RecommendationSet.findOne({ key }).lean();
+  }
+
+  async function writeSet(key, data, now) {
+    if (!isMongo()) {
+      localDB.recommendationSets = localDB.recommendationSets.filter(
+        (set) => set.key !== key,
+      );
+      const set = { key, computedAt: now, data };
+      localDB.recommendationSets.push(set);
+      return set;
+    }
+    return RecommendationSet.findOneAndUpdate(
+      { key },
+      { $set: { computedAt: now, data } },
+      { upsert: true, new: true, lean: true },
+    );
+  }
+
+  // Published tracks by "kind:id"
+  async function loadCatalog() {
+    const catalog = new Map();
+    for (const [kind, collection] of Object.entries(TRACK_KINDS)) {
+      const tracks = !isMongo()
+        ? (localDB[collection] || []).filter((track) => isPublic(track))
+        : await models[kind].find(publicFilter()).lean();
+      for (const track of tracks) {
+        catalog.set(trackKey(kind, track.id), { ...track, kind });
+      }
+    }
+    return catalog;
+  }
+
+  // Every user's track progress, for the global model
+  async function loadProgress() {
+    if (!isMongo()) return localDB.trackProgress || [];
+    return TrackProgress.find({})
+      .select("userId kind trackId playCount completionCount lastPlayedAt")
+      .lean();
+  }
+
+  async function loadSignals(userId, now) {
+    const since = new Date(now.getTime() - PROFILE_WINDOW_DAYS * DAY_MS);
+    if (!isMongo()) {
+      const own = (rows) => (rows || []).filter((r) => r.userId === userId);
+      return {
+        progress: own(localDB.trackProgress),
+        favorites: own(localDB.favorites).filter((f) => TRACK_KINDS[f.kind]),
+        ratings: own(localDB.ratings),
+        plays: own(localDB.plays)
+          .filter((play) => new Date(play.startedAt) >= since)
+          .slice(-MAX_PROFILE_PLAYS),
+      };
+    }
+    const [progress, favorites, ratings, plays] = await Promise.all([
+      TrackProgress.find({ userId }).lean(),
+      Favorite.find({ userId, kind: { $in: Object.keys(TRACK_KINDS) } }).lean(),
+      Rating.find({ userId }).lean(),
+      Play.find({ userId, startedAt: { $gte: since } })
+        .sort({ startedAt: -1 })
+        .limit(MAX_PROFILE_PLAYS)
+        .select("kind trackId startedAt")
+        .lean(),
+    ]);
+    return { progress, favorites, ratings, plays };
+  }
+
+  async function computeGlobal(catalog, now) {
+    const global = buildGlobalModel(catalog, await loadProgress(), now);
+    await writeSet("global", global, now);
+    return global;
+  }
+
+  async function computeUser(userId, catalog, global, now) {
+    const signals = await loadSignals(userId, now);
+    const data = {
+      candidates: scoreUser(signals, catalog, global),
+      hours: listeningHours(signals.plays, catalog),
+    };
+    // Users without signals get the popular picks; nothing to store
+    if (data.candidates.length === 0) return data;
+    await writeSet(`user:${userId}`, data, now);
+    return data;
+  }
+
+  // Everyone with listening history, favorites or ratings
+  async function activeUserIds() {
+    if (!isMongo()) {
+      return [
+        ...new Set(
+          [
+            ...(localDB.trackProgress || []),
+            ...(localDB.favorites || []),
+            ...(localDB.ratings || []),
+          ].map((row) => row.userId),
+        ),
+      ];
+    }
+    const ids = await Promise.all([
+      TrackProgress.distinct("userId"),
+      Favorite.distinct("userId", { kind: { $in: Object.keys(TRACK_KINDS) } }),
+      Rating.distinct("userId"),
+    ]);
+    return [...new Set(ids.flat())];
+  }
+
+  // The nightly job: rebuilds the global model, then every active user's
+  // candidates. Sets of users who are no longer active are dropped.
+  async function precompute(now = new Date()) {
+    const started = Date.now();
+    const catalog = await loadCatalog();
+    const global = await computeGlobal(catalog, now);
+    const userIds = await activeUserIds();
+    let stored = 0;
+    for (const userId of userIds) {
+      const { candidates } = await computeUser(userId, catalog, global, now);
+      if (candidates.length > 0) stored += 1;
+    }
+
+    if (!isMongo()) {
+      localDB.recommendationSets = localDB.recommendationSets.filter(
+        (set) => set.key === "global" || set.computedAt >= now,
+      );
+    } else {
+      await RecommendationSet.deleteMany({
+        key: { $ne: "global" },
+        computedAt: { $lt: now },
+      });
+    }
+    const summary = {
+      tracks: catalog.size,
+      users: stored,
+      durationMs: Date.now() - started,
+    };
+    logger.info("Recommendations precomputed", summary);
+    return summary;
+  }
+
+  function isFresh(set, now) {
+    return (
+      set &&
+      now - new Date(set.computedAt) <
+        RECOMMENDATIONS_MAX_AGE_HOURS * 60 * 60 * 1000
+    );
+  }
+
+  // The user's stored candidates and hours, computed now when missing or
+  // stale (and the global model with them if needed)
+  async function userData(userId, now) {
+    const stored = await readSet(`user:${userId}`);
+    let global = await readSet("global");
+    if (isFresh(stored, now) && global) {
+      return { data: stored.data, global: global.data };
+    }
+    const catalog = await loadCatalog();
+    global = isFresh(global, now)
+      ? global.data
+      : await computeGlobal(catalog, now);
+    return { data: await computeUser(userId, catalog, global, now), global };
+  }
+
+  async function findTracks(keys) {
+    const tracks = new Map();
+    for (const [kind, collection] of Object.entries(TRACK_KINDS)) {
+      const ids = keys.map(splitKey).filter((k) => k.kind === kind);
+      if (ids.length === 0) continue;
+      const wanted = ids.map((k) => k.id);
+      const found = !isMongo()
+        ? (localDB[collection] || []).filter((t) => wanted.includes(t.id))
+        : await models[kind].find({ id: { $in: wanted } }).lean();
+      for (const track of found) {
+        tracks.set(trackKey(kind, track.id), { ...track, kind });
+      }
+    }
+    return tracks;
+  }
+
+  // Boost from the user's own habits around this UTC hour, or else from
+  // tracks suiting the local time of day when the client sends its hour
+  function timeOfDayBoost(track, hours, now, localHour) {
+    const utcHour = now.getUTCHours();
+    const window = [23, 0, 1].map((offset) => hours[(utcHour + offset) % 24]);
+    const plays = window.reduce((sum, hour) => sum + (hour?.plays || 0), 0);
+
+    if (plays >= MIN_PLAYS_FOR_HABITS) {
+      const counts = new Map();
+      for (const hour of window) {
+        for (const [tag, count] of hour?.tags || []) {
+          counts.set(tag, (counts.get(tag) || 0) + count);
+        }
+      }
+      let best = { share: 0, tag: null };
+      for (const tag of trackTags(track)) {
+        const count = counts.get(tag) || 0;
+        if (count / plays > best.share) best = { share: count / plays, tag };
+      }
+      return best.tag
+        ? {
+            boost: WEIGHTS.timeOfDay * best.share,
+            message: `You often listen to ${tagLabel(best.tag)} tracks around this time`,
+          }
+        : { boost: 0 };
+    }
+
+    if (localHour === null) return { boost: 0 };
+    const period = timeOfDay(localHour);
+    const text = [track.category, track.title, ...(track.mood || [])]
+      .join(" ")
+      .toLowerCase();
+    return TIME_OF_DAY_HINTS[period].some((word) => text.includes(word))
+      ? { boost: WEIGHTS.timeOfDay / 2, message: `Good for the ${period}` }
+      : { boost: 0 };
+  }
+
+  function popularMessage(entry) {
+    if (entry.highlyRated) return "Highly rated by listeners";
+    return entry.listeners > 0 ? "Popular with listeners" : "In the catalogue";
+  }
+
+  async function recommend(userId, { kind, limit, localHour, now }) {
+    const { data, global } = await userData(userId, now);
+    const personalized = data.candidates.length > 0;
+    const picks = personalized
+      ? data.candidates
+      : global.popular.map((entry) => ({
+          key: entry.key,
+          score: entry.score * WEIGHTS.popular,
+          reason: { type: "popular", message: popularMessage(entry) },
+        }));
+
+    const keys = picks
+      .map((pick) => pick.key)
+      .filter((key) => !kind || splitKey(key).kind === kind);
+    const tracks = await findTracks([
+      ...keys,
+      ...picks.map((p) => p.reason.basedOn).filter(Boolean),
+    ]);
+
+    const ranked = [];
+    for (const pick of picks) {
+      const track = tracks.get(pick.key);
+      if (!track || !isPublic(track, now)) continue;
+      if (kind && track.kind !== kind) continue;
+
+      const time = timeOfDayBoost(track, data.hours || [], now, localHour);
+      const basedOn = pick.reason.basedOn && tracks.get(pick.reason.basedOn);
+      let reason;
+      if (time.boost > 0 && time.boost >= pick.score / 2) {
+        reason = { type: "timeOfDay", message: time.message };
+      } else if (pick.reason.type === "popular" || !basedOn) {
+        reason = {
+          type: "popular",
+          message: pick.reason.message || "Popular with listeners",
+        };
+      } else {
+        reason = {
+          type: pick.reason.type,
+          message:
+            pick.reason.type === "coListened"
+              ? `Listeners of "${basedOn.title}" also played this`
+              : becauseMessage(pick.reason.source, basedOn.title),
+          basedOn: { kind: basedOn.kind, id: basedOn.id, title: basedOn.title },
+        };
+      }
+      ranked.push({
+        kind: track.kind,
+        ...publicView(track),
+        score: Math.round((pick.score + time.boost) * 1000) / 1000,
+        reason,
+      });
+    }
+    ranked.sort((a, b) => b.score - a.score);
+    return { items: ranked.slice(0, limit), personalized };
+  }
+
+  // Account deletion
+  async function purgeUser(userId) {
+    if (!isMongo()) {
+      localDB.recommendationSets = localDB.recommendationSets.filter(
+        (set) => set.key !== `user:${userId}`,
+      );
+      return;
+    }
+    await RecommendationSet.deleteOne({ key: `user:${userId}` });
+  }
+
+  const router = express.Router();
+
+  // ?kind=meditation|sound&limit=&hour=<local hour 0-23>
+  router.get("/api/me/recommendations", auth.requireAuth, async (req, res) => {
+    try {
+      const { kind } = req.query;
+      if (kind !== undefined && !TRACK_KINDS[kind]) {
+        return res.status(400).json({
+          error: `kind must be one of: ${Object.keys(TRACK_KINDS).join(", ")}`,
+        });
+      }
+      let localHour = null;
+      if (req.query.hour !== undefined) {
+        localHour = Number(req.query.hour);
+        if (!Number.isInteger(localHour) || localHour < 0 || localHour > 23) {
+          return res.status(400).json({ error: "hour must be 0-23" });
+        }
+      }
+      const limit = Math.min(
+        Math.max(Number.parseInt(req.query.limit, 10) || 20, 1),
+        50,
+      );
+
+      const now = new Date();
+      const { items, personalized } = await recommend(req.user.id, {
+        kind,
+        limit,
+        localHour,
+        now,
+      });
+      res.json({ items, personalized, generatedAt: now });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.get(
+    "/api/cron/recommendations",
+    requireCronSecret,
+    async (req, res) => {
+      try {
+        res.json(await precompute());
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return { precompute, purgeUser, recommend, router };
+}
+
+module.exports = {
+  RecommendationSet,
+  createRecommendations,
+  msUntilPrecompute,
+};
@@ -0,0 +1,369 @@
+const crypto = require("crypto");
+const express = require("express");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { isSuspended } = require("./users");
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+// One document per refresh token. Tokens issued from the same login share a
+// `family`, which is what clients see as a session (one per device).
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    family: { type: String, required: true, index: true },
+    userId: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    userAgent: { type: String, default: "" },
+    ip: { type: String, default: "" },
+    sessionStartedAt: { type: Date, required: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: null },
+  },
+  { timestamps: true },
+);
+
+const RefreshToken =
+  mongoose.models.RefreshToken ||
+  mongoose.model("RefreshToken", refreshTokenSchema);
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+function isLive(record, now = new Date()) {
+  return !record.revokedAt && new Date(record.expiresAt) > now;
+}
+
+function createSessionStore({ localDB, isMongo }) {
+  localDB.refreshTokens = localDB.refreshTokens || [];
+
+  async function insert(record) {
+    if (!isMongo()) {
+      localDB.refreshTokens.push(record);
+      return record;
+    }
+    await RefreshToken.create(record);
+    return record;
+  }
+
+  async function findByHash(tokenHash) {
+    if (!isMongo()) {
+      return localDB.refreshTokens.find((t) => t.tokenHash === tokenHash);
+    }
+    return RefreshToken.findOne({ tokenHash }).lean();
+  }
+
+  async function markUsed(id) {
+    const usedAt = new Date();
+    if (!isMongo()) {
+      const record = localDB.refreshTokens.find((t) => t.id === id);
+      if (!record || record.usedAt) return false;
+      record.usedAt = usedAt;
+      return true;
+    }
+    // Conditional update so two concurrent refreshes cannot both rotate
+    const result = await RefreshToken.updateOne(
+      { id, usedAt: null },
+      { usedAt },
+    );
+    return result.modifiedCount === 1;
+  }
+
+  function revokeLocal(match, reason) {
+    const revokedAt = new Date();
+    let count = 0;
+    for (const record of localDB.refreshTokens) {
+      if (!record.revokedAt && match(record)) {
+        record.revokedAt = revokedAt;
+        record.revokedReason = reason;
+        count += 1;
+      }
+    }
+    return count;
+  }
+
+  async function issue(userId, { userAgent = "", ip = "", family } = {}) {
+    const token = crypto.randomBytes(48).toString("base64url");
+    const now = new Date();
+    const record = {
+      id: uuidv4(),
+      family: family ? family.id : uuidv4(),
+      userId,
+      tokenHash: hashToken(token),
+      userAgent,
+      ip,
+      sessionStartedAt: family ? family.sessionStartedAt : now,
+      expiresAt: new Date(
+        now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000,
+      ),
+      usedAt: null,
+      revokedAt: null,
+      revokedReason: null,
+      createdAt: now,
+    };
+    await insert(record);
+    return { refreshToken: token, sessionId: record.family };
+  }
+
+  // Exchanges a refresh token for a new one in the same family. Presenting a
+  // token that was already rotated or revoked is treated as theft: the whole
+  // family is revoked so neither party can keep using it.
+  async function rotate(token, meta = {}) {
+    const record = await findByHash(hashToken(String(token)));
+    if (!record) return { status: "invalid" };
+
+    if (record.usedAt || record.revokedAt) {
+      await revokeSession(record.userId, record.family, "reuse-detected");
+      return { status: "reused", userId: record.userId };
+    }
+    if (!isLive(record)) return { status: "invalid" };
+
+    const claimed = await markUsed(record.id);
+    if (!claimed) {
+      await revokeSession(record.userId, record.family, "reuse-detected");
+      return { status: "reused", userId: record.userId };
+    }
+
+    const next = await issue(record.userId, {
+      userAgent: meta.userAgent || record.userAgent,
+      ip: meta.ip || record.ip,
+      family: { id: record.family, sessionStartedAt: record.sessionStartedAt },
+    });
+    return { status: "ok", userId: record.userId, ...next };
+  }
+
+  async function findSessionByToken(token) {
+    const record = await findByHash(hashToken(String(token)));
+    return record ? { userId: record.userId, sessionId: record.family } : null;
+  }
+
+  async function revokeSession(userId, sessionId, reason = "logout") {
+    if (!isMongo()) {
+      return revokeLocal(
+        (t) => t.userId === userId && t.family === sessionId,
+        reason,
+      );
+    }
+    const result = await RefreshToken.updateMany(
+      { userId, family: sessionId, revokedAt: null },
+      { revokedAt: new Date(), revokedReason: reason },
+    );
+    return result.modifiedCount;
+  }
+
+  async function revokeAll(userId, reason = "logout-all", { except } = {}) {
+    if (!isMongo()) {
+      return revokeLocal(
+        (t) => t.userId === userId && t.family !== except,
+        reason,
+      );
+    }
+    const filter = { userId, revokedAt: null };
+    if (except) filter.family = { $ne: except };
+    const result = await RefreshToken.updateMany(filter, {
+      revokedAt: new Date(),
+      revokedReason: reason,
+    });
+    return result.modifiedCount;
+  }
+
+  // A session stays active while its newest refresh token is unrevoked and
+  // unexpired; access tokens carry the session id so they die with it.
+  async function isActive(sessionId) {
+    if (!sessionId) return false;
+    const now = new Date();
+    if (!isMongo()) {
+      return localDB.refreshTokens.some(
+        (t) => t.family === sessionId && !t.usedAt && isLive(t, now),
+      );
+    }
+    const count = await RefreshToken.countDocuments({
+      family: sessionId,
+      usedAt: null,
+      revokedAt: null,
+      expiresAt: { $gt: now },
+    });
+    return count > 0;
+  }
+
+  async function list(userId) {
+    const now = new Date();
+    let active;
+    if (!isMongo()) {
+      active = localDB.refreshTokens.filter(
+        (t) => t.userId === userId && !t.usedAt && isLive(t, now),
+      );
+    } else {
+      active = await RefreshToken.find({
+        userId,
+        usedAt: null,
+        revokedAt: null,
+        expiresAt: { $gt: now },
+      })
+        .sort({ createdAt: -1 })
+        .lean();
+    }
+
+    return active.map((t) => ({
+      id: t.family,
+      userAgent: t.userAgent,
+      ip: t.ip,
+      createdAt: t.sessionStartedAt,
+      lastUsedAt: t.createdAt,
+      expiresAt: t.expiresAt,
+    }));
+  }
+
+  // Removes every refresh token of a deleted account, including the
+  // user agent and IP history kept with them
+  async function purge(userId) {
+    if (!isMongo()) {
+      localDB.refreshTokens = localDB.refreshTokens.filter(
+        (t) => t.userId !== userId,
+      );
+      return;
+    }
+    await RefreshToken.deleteMany({ userId });
+  }
+
+  return {
+    issue,
+    rotate,
+    findSessionByToken,
+    revokeSession,
+    revokeAll,
+    isActive,
+    list,
+    purge,
+  };
+}
+
+function requestMeta(req) {
+  return {
+    userAgent: String(req.get("user-agent") || "").slice(0, 256),
+    ip: req.ip || "",
+  };
+}
+
+function createSessionRoutes({ auth, sessions, users, logger = console }) {
+  const router = express.Router();
+
+  router.post("/api/auth/refresh", async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      if (!refreshToken) {
+        return res.status(400).json({ error: "refreshToken is required" });
+      }
+
+      const result = await sessions.rotate(refreshToken, requestMeta(req));
+      if (result.status === "reused") {
+        logger.warn("Refresh token reuse detected", { userId: result.userId });
+        return res.status(401).json({ error: "Refresh token reuse detected" });
+      }
+      if (result.status !== "ok") {
+        return res.status(401).json({ error: "Invalid refresh token" });
+      }
+
+      const user = await users.findById(result.userId);
+      if (!user || isSuspended(user)) {
+        await sessions.revokeSession(result.userId, result.sessionId);
+        return res.status(401).json({ error: "Invalid refresh token" });
+      }
+
+      res.json({
+        token: auth.signToken(user, { sessionId: result.sessionId }),
+        refreshToken: result.refreshToken,
+        expiresIn: auth.accessTokenTtl,
+      });
+    } catch (error) {
+      logger.error("Token refresh error", error);
+      res.status(500).json({ error: "Server error during token refresh" });
+    }
+  });
+
+  // Ends one session. The refresh token is enough so that clients holding an
+  // expired access token can still log out.
+  router.post("/api/auth/logout", async (req, res) => {
+    try {
+      const { refreshToken } = req.body || {};
+      let session = refreshToken
+        ? await sessions.findSessionByToken(refreshToken)
+        : null;
+
+      if (!session) {
+        const claims = auth.readToken(req);
+        if (claims && claims.sid) {
+          session = { userId: claims.id, sessionId: claims.sid };
+        }
+      }
+
+      if (!session) {
+        return res
+          .status(400)
+          .json({ error: "A refresh token or access token is required" });
+      }
+
+      await sessions.revokeSession(session.userId, session.sessionId);
+      res.json({ message: "Logged out successfully" });
+    } catch (error) {
+      logger.error("Logout error", error);
+      res.status(500).json({ error: "Server error during logout" });
+    }
+  });
+
+  router.get("/api/auth/sessions", auth.requireAuth, async (req, res) => {
+    try {
+      const list = await sessions.list(req.user.id);
+      res.json(
+        list.map((session) => ({
+          ...session,
+          current: session.id === req.user.sid,
+        })),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  // Signs out every other device, keeping the caller's own session
+  router.delete("/api/auth/sessions", auth.requireAuth, async (req, res) => {
+    try {
+      const revoked = await sessions.revokeAll(req.user.id, "logout-all", {
+        except: req.user.sid,
+      });
+      res.json({ revoked });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  router.delete(
+    "/api/auth/sessions/:sessionId",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const revoked = await sessions.revokeSession(
+          req.user.id,
+          req.params.sessionId,
+        );
+        if (!revoked) {
+          return res.status(404).json({ error: "Session not found" });
+        }
+        res.json({ revoked });
+      } catch (error) {
+        res.status(500).json({ error: error.message });
+      }
+    },
+  );
+
+  return router;
+}
+
+module.exports = {
+  RefreshToken,
+  createSessionStore,
+  createSessionRoutes,
+};
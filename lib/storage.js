@@ -0,0 +1,470 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const { Readable, Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+
+// Storage of uploaded files behind one interface, so the same code runs on
+// local disk and on S3-compatible object storage (AWS S3, MinIO,
+// scripts/mock_s3_server.js). Files are addressed by key, the upload's
+// filename; stored URLs stay "/uploads/<key>" whatever the backend, so files
+// can move between backends without touching the database.
+//
+// A driver has put(key, body, { contentType }) -> { size },
+// stat(key) -> { size, lastModified, etag, contentType } or null,
+// createReadStream(key, { start, end }), read(key), remove(key) and keys(),
+// an async iterator over every stored key. Reads of missing keys reject
+// with code ENOENT, as fs does.
+
+const STORAGE_DRIVERS = ["local", "s3"];
+
+function notFound(key) {
+  const error = new Error(`No stored file ${key}`);
+  error.code = "ENOENT";
+  return error;
+}
+
+async function streamToBuffer(stream) {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function createLocalDriver({ dir }) {
+  fs.mkdirSync(dir, { recursive: true });
+  const filePath = (key) => path.join(dir, path.basename(key));
+
+  async function put(key, body) {
+    const target = filePath(key);
+    if (Buffer.isBuffer(body)) {
+      await fs.promises.writeFile(target, body);
+      return { size: body.length };
+    }
+    await pipeline(body, fs.createWriteStream(target));
+    return { size: (await fs.promises.stat(target)).size };
+  }
+
+  async function stat(key) {
+    try {
+      const stats = await fs.promises.stat(filePath(key));
+      if (!stats.isFile()) return null;
+      return {
+        size: stats.size,
+        lastModified: stats.mtime,
+        etag: `"${stats.size.toString(16)}-${stats.mtimeMs.toString(16)}"`,
+        contentType: null,
+      };
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  async function createReadStream(key, range = {}) {
+    const stream = fs.createReadStream(filePath(key), range);
+    // Surface a missing file here rather than on the first read
+    await new Promise((resolve, reject) => {
+      stream.once("open", resolve).once("error", reject);
+    });
+    return stream;
+  }
+
+  async function read(key) {
+    return fs.promises.readFile(filePath(key));
+  }
+
+  async function remove(key) {
+    await fs.promises.rm(filePath(key), { force: true });
+  }
+
+  async function* keys() {
+    for (const entry of await fs.promises.readdir(dir, {
+      withFileTypes: true,
+    })) {
+      if (entry.isFile() && !entry.name.startsWith(".")) yield entry.name;
+    }
+  }
+
+  return { name: "local", put, stat, createReadStream, read, remove, keys };
+}
+
+function sha256(value) {
+  return crypto.createHash("sha256").update(value).digest("hex");
+}
+
+function hmac(key, value) {
+  return crypto.createHmac("sha256", key).update(value).digest();
+}
+
+// RFC 3986 encoding as Signature Version 4 expects it
+function awsEncode(value) {
+  return encodeURIComponent(value).replace(
+    /[!'()*]/g,
+    (c) => `%${c.charCodeAt(0).toString(16).toUpperCase()}`,
+  );
+}
+
+function awsEncodePath(value) {
+  return value.split("/").map(awsEncode).join("/");
+}
+
+// AWS Signature Version 4 for one request; returns the headers to send.
+// `headers` must use lower-case names. Exported for the mock S3 server,
+// which checks signatures the same way.
+function signV4({
+  method,
+  url,
+  headers,
+  payloadHash,
+  region,
+  accessKeyId,
+  secretAccessKey,
+  date = new Date(),
+}) {
+  const amzDate = date.toISOString().replace(/[-:]|\.\d{3}/g, "");
+  const day = amzDate.slice(0, 8);
+  const all = {
+    ...headers,
+    host: url.host,
+    "x-amz-content-sha256": payloadHash,
+    "x-amz-date": amzDate,
+  };
+  const names = Object.keys(all).sort();
+  const query = [...url.searchParams]
+    .map(([key, value]) => [awsEncode(key), awsEncode(value)])
+    .sort((a, b) =>
+      a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : a[0] < b[0] ? -1 : 1,
+    )
+    .map(([key, value]) => `${key}=${value}`)
+    .join("&");
+  const canonical = [
+    method,
+    awsEncodePath(decodeURIComponent(url.pathname)),
+    query,
+    names.map((name) => `${name}:${String(all[name]).trim()}\n`).join(""),
+    names.join(";"),
+    payloadHash,
+  ].join("\n");
+
+  const scope = `${day}/${region}/s3/aws4_request`;
+  const toSign = ["AWS4-HMAC-SHA256", amzDate, scope, sha256(canonical)].join(
+    "\n",
+  );
+  const key = ["s3", "aws4_request"].reduce(
+    (signing, part) => hmac(signing, part),
+    hmac(hmac(`AWS4${secretAccessKey}`, day), region),
+  );
+  const signature = crypto
+    .createHmac("sha256", key)
+    .update(toSign)
+    .digest("hex");
+  return {
+    ...all,
+    authorization: `AWS4-HMAC-SHA256 Credential=${accessKeyId}/${scope}, SignedHeaders=${names.join(";")}, Signature=${signature}`,
+  };
+}
+
+function xmlText(value) {
+  return value
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// S3 REST API over fetch, signed with SigV4. Path-style addressing
+// (endpoint/bucket/key) is used with a custom endpoint, as MinIO expects;
+// AWS without an endpoint uses bucket.s3.<region>.amazonaws.com. Keys are
+// stored under `prefix` in the bucket.
+function createS3Driver({
+  endpoint,
+  bucket,
+  region = "us-east-1",
+  accessKeyId,
+  secretAccessKey,
+  prefix = "",
+  forcePathStyle = Boolean(endpoint),
+}) {
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error(
+      "S3 storage needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY",
+    );
+  }
+  const base = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+  if (!forcePathStyle) base.host = `${bucket}.${base.host}`;
+  const bucketPath = forcePathStyle ? `/${awsEncode(bucket)}` : "";
+
+  function objectUrl(key = "") {
+    const url = new URL(base);
+    url.pathname = `${bucketPath}/${awsEncodePath(`${prefix}${key}`)}`;
+    return url;
+  }
+
+  async function request(method, url, { headers = {}, body } = {}) {
+    const signed = signV4({
+      method,
+      url,
+      headers,
+      payloadHash: sha256(body || ""),
+      region,
+      accessKeyId,
+      secretAccessKey,
+    });
+    delete signed.host;
+    const response = await fetch(url, { method, headers: signed, body });
+    if (!response.ok && response.status !== 404) {
+      const text = await response.text().catch(() => "");
+      const code = /<Code>(.*?)<\/Code>/.exec(text)?.[1];
+      throw new Error(
+        `S3 ${method} failed with ${response.status}${code ? ` ${code}` : ""}`,
+      );
+    }
+    return response;
+  }
+
+  // Objects are sent with their length and hash, so streamed uploads are
+  // buffered first; multer's file size limit bounds them.
+  async function put(key, body, { contentType } = {}) {
+    const data = Buffer.isBuffer(body) ? body : await streamToBuffer(body);
+    await request("PUT", objectUrl(key), {
+      headers: contentType ? { "content-type": contentType } : {},
+      body: data,
+    });
+    return { size: data.length };
+  }
+
+  async function stat(key) {
+    const response = await request("HEAD", objectUrl(key));
+    if (response.status === 404) return null;
+    return {
+      size: Number(response.headers.get("content-length")),
+      lastModified: new Date(response.headers.get("last-modified")),
+      etag: response.headers.get("etag"),
+      contentType: response.headers.get("content-type"),
+    };
+  }
+
+  async function createReadStream(key, { start, end } = {}) {
+    const ranged = start !== undefined || end !== undefined;
+    const response = await request("GET", objectUrl(key), {
+      headers: ranged ? { range: `bytes=${start || 0}-${end ?? ""}` } : {},
+    });
+    if (response.status === 404) throw notFound(key);
+    return Readable.fromWeb(response.body);
+  }
+
+  async function read(key) {
+    return streamToBuffer(await createReadStream(key));
+  }
+
+  async function remove(key) {
+    await request("DELETE", objectUrl(key));
+  }
+
+  async function* keys() {
+    let token = null;
+    do {
+      const url = new URL(base);
+      url.pathname = forcePathStyle ? bucketPath : "/";
+      url.searchParams.set("list-type", "2");
+      if (prefix) url.searchParams.set("prefix", prefix);
+      if (token) url.searchParams.set("continuation-token", token);
+      const response = await request("GET", url);
+      if (response.status === 404) throw new Error(`No bucket ${bucket}`);
+      const xml = await response.text();
+      for (const [, key] of xml.matchAll(/<Key>(.*?)<\/Key>/g)) {
+        yield xmlText(key).slice(prefix.length);
+      }
+      token = /<IsTruncated>true<\/IsTruncated>/.test(xml)
+        ? xmlText(/<NextContinuationToken>(.*?)</.exec(xml)?.[1] || "")
+        : null;
+    } while (token);
+  }
+
+  return { name: "s3", put, stat, createReadStream, read, remove, keys };
+}
+
+// The driver named `name`, configured from the environment. `localDir` is
+// the entry point's uploads directory, used unless UPLOADS_DIR is set.
+function createDriver(name, { localDir } = {}) {
+  switch (name) {
+    case "local":
+      return createLocalDriver({ dir: process.env.UPLOADS_DIR || localDir });
+    case "s3":
+      return createS3Driver({
+        endpoint: process.env.S3_ENDPOINT || undefined,
+        bucket: process.env.S3_BUCKET,
+        region: process.env.S3_REGION || "us-east-1",
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: process.env.S3_PREFIX || "",
+        forcePathStyle:
+          process.env.S3_FORCE_PATH_STYLE !== undefined
+            ? process.env.S3_FORCE_PATH_STYLE === "true"
+            : Boolean(process.env.S3_ENDPOINT),
+      });
+  }
+  throw new Error(
+    `Unknown storage driver "${name}"; use one of: ${STORAGE_DRIVERS.join(", ")}`,
+  );
+}
+
+// RFC 9110 If-Match / If-None-Match lists
+function etagMatches(header, etag, weak) {
+  if (header.trim() === "*") return true;
+  const strip = (tag) => (weak ? tag.replace(/^W\//, "") : tag);
+  return header
+    .split(",")
+    .map((tag) => strip(tag.trim()))
+    .includes(strip(etag));
+}
+
+// Uploaded files: the driver (STORAGE_DRIVER, "local" by default), a multer
+// storage engine writing to it and serve(), which answers GET and HEAD for
+// a stored file with Range/206, ETag and conditional request support.
+function createStorage({ localDir, driver, logger = console }) {
+  const backend =
+    driver || createDriver(process.env.STORAGE_DRIVER || "local", { localDir });
+
+  // multer StorageEngine; `filename(file)` picks the key. The SHA-256 of
+  // the contents is taken on the way to the backend and reported as
+  // `checksum`, so nothing has to be read back. Files for which
+  // `keepBuffer(file)` is true also get their contents as `buffer`, as with
+  // multer's memory storage.
+  function multerStorage({ filename, keepBuffer = () => false }) {
+    return {
+      _handleFile(req, file, cb) {
+        const key = filename(file);
+        const hash = crypto.createHash("sha256");
+        const chunks = keepBuffer(file) ? [] : null;
+        const inspected = new Transform({
+          transform(chunk, encoding, done) {
+            hash.update(chunk);
+            if (chunks) chunks.push(chunk);
+            done(null, chunk);
+          },
+        });
+        file.stream.once("error", (error) => inspected.destroy(error));
+        backend
+          .put(key, file.stream.pipe(inspected), {
+            contentType: file.mimetype,
+          })
+          .then(({ size }) =>
+            cb(null, {
+              filename: key,
+              size,
+              checksum: hash.digest("hex"),
+              ...(chunks ? { buffer: Buffer.concat(chunks) } : {}),
+            }),
+          )
+          .catch(cb);
+      },
+      _removeFile(req, file, cb) {
+        backend.remove(file.filename).then(() => cb(null), cb);
+      },
+    };
+  }
+
+  // Resolves with the status sent: 200, 206, 304, 404, 412 or 416
+  async function serve(req, res, key, { headers = {} } = {}) {
+    const stats = await backend.stat(key);
+    if (!stats) {
+      res.status(404).json({ error: "Not found" });
+      return 404;
+    }
+
+    res.set({
+      "Accept-Ranges": "bytes",
+      ETag: stats.etag,
+      "Last-Modified": stats.lastModified.toUTCString(),
+      ...headers,
+    });
+    // Keys keep the upload's extension, which also covers objects copied in
+    // without a content type
+    res.type(path.extname(key) || stats.contentType || "bin");
+
+    const ifMatch = req.get("If-Match");
+    const ifUnmodifiedSince = Date.parse(req.get("If-Unmodified-Since"));
+    if (
+      (ifMatch && !etagMatches(ifMatch, stats.etag, false)) ||
+      (!ifMatch &&
+        ifUnmodifiedSince &&
+        Math.floor(stats.lastModified / 1000) * 1000 > ifUnmodifiedSince)
+    ) {
+      res.status(412).json({ error: "Precondition Failed" });
+      return 412;
+    }
+    if (req.fresh) {
+      res.status(304).end();
+      return 304;
+    }
+
+    // A Range is honoured when If-Range (an ETag or a date) still matches
+    let range = null;
+    const ifRange = req.get("If-Range");
+    const rangeValid =
+      !ifRange ||
+      (ifRange.startsWith('"') || ifRange.startsWith("W/")
+        ? ifRange === stats.etag
+        : Math.floor(stats.lastModified / 1000) * 1000 <= Date.parse(ifRange));
+    if (req.get("Range") && rangeValid) {
+      const ranges = req.range(stats.size, { combine: true });
+      if (ranges === -1) {
+        res.set("Content-Range", `bytes */${stats.size}`);
+        res.status(416).json({ error: "Range Not Satisfiable" });
+        return 416;
+      }
+      // Malformed and multipart ranges get the whole file
+      if (Array.isArray(ranges) && ranges.length === 1) range = ranges[0];
+    }
+
+    const status = range ? 206 : 200;
+    res.status(status);
+    if (range) {
+      res.set(
+        "Content-Range",
+        `bytes ${range.start}-${range.end}/${stats.size}`,
+      );
+    }
+    res.set(
+      "Content-Length",
+      String(range ? range.end - range.start + 1 : stats.size),
+    );
+    if (req.method === "HEAD" || stats.size === 0) {
+      res.end();
+      return status;
+    }
+
+    const stream = await backend.createReadStream(key, range || {});
+    try {
+      await pipeline(stream, res);
+    } catch (error) {
+      // Players abort requests when they seek; anything else is logged
+      if (error.code !== "ERR_STREAM_PREMATURE_CLOSE") {
+        logger.error("File stream failed", error.message);
+      }
+    }
+    return status;
+  }
+
+  return {
+    driver: backend,
+    multerStorage,
+    serve,
+    put: backend.put,
+    stat: backend.stat,
+    createReadStream: backend.createReadStream,
+    read: backend.read,
+    remove: backend.remove,
+  };
+}
+
+module.exports = {
+  STORAGE_DRIVERS,
+  createDriver,
+  createLocalDriver,
+  createS3Driver,
+  createStorage,
+  signV4,
+};
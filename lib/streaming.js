@@ -0,0 +1,265 @@
+const crypto = require("crypto");
+const path = require("path");
+const express = require("express");
+
+// Signed stream URLs stay valid this long; players that outlive them fetch
+// the item again for a fresh URL
+const STREAM_URL_TTL_MINUTES =
+  Number(process.env.STREAM_URL_TTL_MINUTES) || 120;
+// Expiry times are rounded up to this step so repeated responses hand out
+// the same URL and clients can cache the audio
+const EXPIRY_STEP_SECONDS = 5 * 60;
+// Requests from the first byte of a file by the same user within this many
+// seconds of each other are one playback: players probe with "bytes=0-1"
+// before asking for the rest, and retry from the start when a request fails
+const PLAY_REPEAT_SECONDS = 30;
+// Uploads still served as plain static files; everything else (audio) is
+// only served through signed stream URLs
+const PUBLIC_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp", ".gif"]);
+const UPLOAD_PREFIX = "/uploads/";
+const STREAM_PREFIX = "/api/stream/";
+// Routes whose JSON carries audio URLs: the catalogue, collections,
+// programs, the library, listening history and recommendations. Other
+// responses (audit log, exports, users) are sent as stored.
+const AUDIO_URL_ROUTES = [
+  "/api/meditations",
+  "/api/sounds",
+  "/api/admin/meditations",
+  "/api/admin/sounds",
+  "/api/programs",
+  "/api/admin/programs",
+  "/api/collections",
+  "/api/me/library",
+  "/api/me/history",
+  "/api/me/continue-listening",
+  "/api/me/recommendations",
+  "/api/upload",
+];
+
+// Stored form of an audio upload: "/uploads/<filename>"; null otherwise
+function uploadFilename(value) {
+  if (typeof value !== "string" || !value.startsWith(UPLOAD_PREFIX)) {
+    return null;
+  }
+  const filename = value.slice(UPLOAD_PREFIX.length);
+  if (!filename || filename !== path.basename(filename)) return null;
+  if (PUBLIC_EXTENSIONS.has(path.extname(filename).toLowerCase())) return null;
+  return filename;
+}
+
+function isPlainObject(value) {
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+// Streaming of uploaded audio. Audio is served only at
+// /api/stream/:filename, with Range/206, ETag and conditional request
+// support, through HMAC-signed URLs that expire after
+// STREAM_URL_TTL_MINUTES and name the user they were issued to. JSON
+// responses get signed URLs in place of stored "/uploads/..." audio paths
+// (empty for anonymous callers), and request bodies get stored paths back,
+// so admin forms can save what they were sent; audioUrls is mounted on
+// AUDIO_URL_ROUTES. `playHooks` are called with { userId, filename, url,
+// req } once per playback of a verified stream URL, e.g. to count plays;
+// later Range requests of the same playback do not call them. Files are
+// read through `storage` (see storage.js).
+function createStreaming({
+  secret,
+  storage,
+  playHooks = [],
+  logger = console,
+}) {
+  // "<user id>\n<filename>" -> when that user last started that file
+  const playStarts = new Map();
+
+  function signature(filename, userId, expires) {
+    return crypto
+      .createHmac("sha256", secret)
+      .update(`${filename}\n${userId}\n${expires}`)
+      .digest("base64url");
+  }
+
+  function signUrl(storedUrl, userId, now = new Date()) {
+    const filename = uploadFilename(storedUrl);
+    if (!filename) return storedUrl;
+    const expires =
+      Math.ceil(
+        (now.getTime() / 1000 + STREAM_URL_TTL_MINUTES * 60) /
+          EXPIRY_STEP_SECONDS,
+      ) * EXPIRY_STEP_SECONDS;
+    const query = new URLSearchParams({
+      u: userId,
+      exp: String(expires),
+      sig: signature(filename, userId, expires),
+    });
+    return `${STREAM_PREFIX}${encodeURIComponent(filename)}?${query}`;
+  }
+
+  // "/api/stream/<filename>?..." back to "/uploads/<filename>"; other values
+  // are returned as they are
+  function storedUrl(value) {
+    if (typeof value !== "string" || !value.startsWith(STREAM_PREFIX)) {
+      return value;
+    }
+    let filename;
+    try {
+      filename = decodeURIComponent(
+        value.slice(STREAM_PREFIX.length).split("?")[0],
+      );
+    } catch (error) {
+      return value;
+    }
+    const stored = `${UPLOAD_PREFIX}${filename}`;
+    return uploadFilename(stored) ? stored : value;
+  }
+
+  // { userId, expires } of a valid, unexpired signed request, or { error }
+  function verify(filename, query, now = new Date()) {
+    const { u: userId, exp, sig } = query;
+    if (typeof userId !== "string" || !userId || typeof sig !== "string") {
+      return { error: "Signed URL required" };
+    }
+    const expires = Number(exp);
+    if (!Number.isInteger(expires) || expires * 1000 <= now.getTime()) {
+      return { error: "URL has expired" };
+    }
+    const expected = Buffer.from(signature(filename, userId, expires));
+    const given = Buffer.from(sig);
+    if (
+      given.length !== expected.length ||
+      !crypto.timingSafeEqual(given, expected)
+    ) {
+      return { error: "Invalid signature" };
+    }
+    return { userId, expires };
+  }
+
+  function signValue(value, userId, now) {
+    if (typeof value === "string") {
+      if (!uploadFilename(value)) return value;
+      return userId ? signUrl(value, userId, now) : "";
+    }
+    if (value === null || typeof value !== "object") return value;
+    if (typeof value.toJSON === "function") {
+      return signValue(value.toJSON(), userId, now);
+    }
+    if (Array.isArray(value)) {
+      return value.map((item) => signValue(item, userId, now));
+    }
+    if (!isPlainObject(value)) return value;
+    const signed = {};
+    for (const [key, item] of Object.entries(value)) {
+      signed[key] = signValue(item, userId, now);
+    }
+    return signed;
+  }
+
+  // Signs audio paths in JSON responses for the caller and restores stored
+  // paths in request bodies
+  function audioUrls(req, res, next) {
+    if (req.body && typeof req.body.audioUrl === "string") {
+      req.body.audioUrl = storedUrl(req.body.audioUrl);
+    }
+    const json = res.json.bind(res);
+    res.json = (body) => json(signValue(body, req.user?.id, new Date()));
+    next();
+  }
+
+  // Whether a request from the first byte starts a new playback
+  function startsPlayback(userId, filename, now) {
+    for (const [key, startedAt] of playStarts) {
+      if (now - startedAt >= PLAY_REPEAT_SECONDS * 1000) playStarts.delete(key);
+    }
+    const key = `${userId}\n${filename}`;
+    const repeated = playStarts.has(key);
+    playStarts.set(key, now);
+    return !repeated;
+  }
+
+  function runPlayHooks(event) {
+    for (const hook of playHooks) {
+      Promise.resolve()
+        .then(() => hook(event))
+        .catch((error) => logger.error("Play hook failed", error.message));
+    }
+  }
+
+  function serveFailed(res, error) {
+    logger.error("Stream failed", error.message);
+    if (!res.headersSent) res.status(500).json({ error: "Stream failed" });
+  }
+
+  // Images under /uploads as before; audio only through /api/stream
+  function publicUploads(req, res) {
+    if (!["GET", "HEAD"].includes(req.method)) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    let filename;
+    try {
+      filename = decodeURIComponent(req.path).slice(1);
+    } catch (error) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    if (
+      filename !== path.basename(filename) ||
+      filename.startsWith(".") ||
+      !PUBLIC_EXTENSIONS.has(path.extname(filename).toLowerCase())
+    ) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    storage
+      .serve(req, res, filename, {
+        headers: { "Cache-Control": "public, max-age=0" },
+      })
+      .catch((error) => serveFailed(res, error));
+  }
+
+  const router = express.Router();
+
+  // ?u=<user id>&exp=<unix seconds>&sig=<HMAC>, as issued by signUrl
+  router.get(`${STREAM_PREFIX}:filename`, async (req, res) => {
+    const { filename } = req.params;
+    if (!uploadFilename(`${UPLOAD_PREFIX}${filename}`)) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    const { userId, expires, error } = verify(filename, req.query);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+
+    const range = req.headers.range;
+    const fromStart = !range || /^bytes=0-/.test(range.trim());
+    try {
+      const status = await storage.serve(req, res, filename, {
+        headers: {
+          "Cache-Control": `private, max-age=${Math.max(
+            expires - Math.floor(Date.now() / 1000),
+            0,
+          )}`,
+        },
+      });
+      // HEAD requests, 304 answers, failed preconditions and requests past
+      // the first byte are not new playbacks
+      if (
+        req.method === "GET" &&
+        status < 300 &&
+        fromStart &&
+        playHooks.length > 0 &&
+        startsPlayback(userId, filename, Date.now())
+      ) {
+        runPlayHooks({
+          userId,
+          filename,
+          url: `${UPLOAD_PREFIX}${filename}`,
+          req,
+        });
+      }
+    } catch (serveError) {
+      serveFailed(res, serveError);
+    }
+  });
+
+  return { audioUrls, publicUploads, router, signUrl, storedUrl, verify };
+}
+
+module.exports = { AUDIO_URL_ROUTES, createStreaming };
@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+
+// Single-use tokens sent by email (password reset and similar). Only the
+// SHA-256 hash is stored, so a database leak does not expose usable links.
+const oneTimeTokenSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    purpose: { type: String, required: true, index: true },
+    userId: { type: String, required: true, index: true },
+    tokenHash: { type: String, required: true, unique: true },
+    expiresAt: { type: Date, required: true },
+    usedAt: { type: Date, default: null },
+  },
+  { timestamps: true },
+);
+
+const OneTimeToken =
+  mongoose.models.OneTimeToken ||
+  mongoose.model("OneTimeToken", oneTimeTokenSchema);
+
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function createOneTimeTokenStore({ localDB, isMongo }) {
+  localDB.oneTimeTokens = localDB.oneTimeTokens || [];
+
+  // Issues a new token and retires any earlier unused one for the same
+  // purpose, so only the latest emailed link works.
+  async function issue(purpose, userId, ttlMinutes) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const now = new Date();
+    const record = {
+      id: uuidv4(),
+      purpose,
+      userId,
+      tokenHash: hashToken(token),
+      expiresAt: new Date(now.getTime() + ttlMinutes * 60 * 1000),
+      usedAt: null,
+      createdAt: now,
+    };
+
+    if (!isMongo()) {
+      for (const existing of localDB.oneTimeTokens) {
+        if (
+          existing.purpose === purpose &&
+          existing.userId === userId &&
+          !existing.usedAt
+        ) {
+          existing.usedAt = now;
+        }
+      }
+      localDB.oneTimeTokens.push(record);
+      return token;
+    }
+
+    await OneTimeToken.updateMany(
+      { purpose, userId, usedAt: null },
+      { usedAt: now },
+    );
+    await OneTimeToken.create(record);
+    return token;
+  }
+
+  // Marks the token used and returns its userId, or null when the token is
+  // unknown, expired or already consumed.
+  async function consume(purpose, token) {
+    const tokenHash = hashToken(token);
+    const now = new Date();
+
+    if (!isMongo()) {
+      const record = localDB.oneTimeTokens.find(
+        (t) => t.purpose === purpose && t.tokenHash === tokenHash,
+      );
+      if (!record || record.usedAt || new Date(record.expiresAt) <= now) {
+        return null;
+      }
+      record.usedAt = now;
+      return record.userId;
+    }
+
+    const record = await OneTimeToken.findOneAndUpdate(
+      { purpose, tokenHash, usedAt: null, expiresAt: { $gt: now } },
+      { usedAt: now },
+      { new: true },
+    ).lean();
+    return record ? record.userId : null;
+  }
+
+  async function purge(userId) {
+    if (!isMongo()) {
+      localDB.oneTimeTokens = localDB.oneTimeTokens.filter(
+        (t) => t.userId !== userId,
+      );
+      return;
+    }
+    await OneTimeToken.deleteMany({ userId });
+  }
+
+  return { issue, consume, purge };
+}
+
+module.exports = { OneTimeToken, createOneTimeTokenStore };
@@ -0,0 +1,168 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { parseAudio } = require("./audioMetadata");
+
+// What the server read from an uploaded audio file (see audioMetadata.js)
+const audioMetadataSchema = new mongoose.Schema(
+  {
+    format: { type: String, default: null },
+    codec: { type: String, default: null },
+    durationSeconds: { type: Number, default: null },
+    bitrate: { type: Number, default: null },
+    sampleRate: { type: Number, default: null },
+    channels: { type: Number, default: null },
+    title: { type: String, default: null },
+    artist: { type: String, default: null },
+    album: { type: String, default: null },
+  },
+  { _id: false },
+);
+
+// One record per file stored through the upload routes, so files can be
+// traced back to the account that uploaded them.
+const uploadSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    userId: { type: String, required: true, index: true },
+    filename: { type: String, required: true, unique: true },
+    originalName: { type: String, default: "" },
+    mimetype: { type: String, default: "" },
+    size: { type: Number, default: 0 },
+    // SHA-256 of the file, hex; empty for records from before it was kept
+    checksum: { type: String, default: "" },
+    url: { type: String, required: true, index: true },
+    // Audio files only; null when the file could not be read as audio
+    audio: { type: audioMetadataSchema, default: undefined },
+  },
+  { timestamps: true },
+);
+
+const Upload = mongoose.models.Upload || mongoose.model("Upload", uploadSchema);
+
+// Also the keepBuffer test for storage.multerStorage(), so audio metadata
+// is read from the upload as it arrives
+function isAudio(upload) {
+  return String(upload.mimetype || "").startsWith("audio/");
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+// Files are read through `storage` (see storage.js), keyed by filename
+function createUploadStore({ localDB, isMongo, storage }) {
+  localDB.uploads = localDB.uploads || [];
+
+  // The checksum and, for audio, the metadata an upload is missing, from
+  // one read of the stored file. A file that is gone keeps an empty
+  // checksum and gets null metadata.
+  async function inspectStored(upload) {
+    let data = null;
+    try {
+      data = await storage.read(upload.filename);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    const found = {};
+    if (data && !upload.checksum) found.checksum = sha256(data);
+    if (isAudio(upload) && upload.audio === undefined) {
+      found.audio = data ? parseAudio(data) : null;
+    }
+    return found;
+  }
+
+  // Fills in and stores what inspectStored() finds for a recorded upload
+  async function backfill(upload) {
+    const found = await inspectStored(upload);
+    Object.assign(upload, found);
+    if (isMongo() && Object.keys(found).length > 0) {
+      await Upload.updateOne({ id: upload.id }, { $set: found });
+    }
+  }
+
+  // Takes the multer file object of a finished upload. Files stored through
+  // storage.multerStorage() come with their checksum and, for audio, their
+  // contents; anything else is read back once.
+  async function record(userId, file) {
+    const upload = {
+      id: uuidv4(),
+      userId,
+      filename: file.filename,
+      originalName: file.originalname,
+      mimetype: file.mimetype,
+      size: file.size,
+      checksum: file.checksum || "",
+      url: `/uploads/${file.filename}`,
+    };
+    if (isAudio(upload) && file.buffer) {
+      upload.audio = parseAudio(file.buffer);
+    }
+    if (!upload.checksum || (isAudio(upload) && upload.audio === undefined)) {
+      Object.assign(upload, await inspectStored(upload));
+    }
+
+    if (!isMongo()) {
+      const now = new Date();
+      const stored = { ...upload, createdAt: now, updatedAt: now };
+      localDB.uploads.push(stored);
+      return stored;
+    }
+    return (await Upload.create(upload)).toObject();
+  }
+
+  async function listByUser(userId) {
+    if (!isMongo()) {
+      return localDB.uploads.filter((u) => u.userId === userId);
+    }
+    return Upload.find({ userId }).sort({ createdAt: 1 }).lean();
+  }
+
+  // Drops the records of a user's uploads and returns them so the caller
+  // can delete the files
+  async function removeByUser(userId) {
+    const removed = await listByUser(userId);
+    if (!isMongo()) {
+      localDB.uploads = localDB.uploads.filter((u) => u.userId !== userId);
+    } else {
+      await Upload.deleteMany({ userId });
+    }
+    return removed;
+  }
+
+  // The upload records behind `urls`, keyed by url. Records without a
+  // checksum get one from the stored file the first time they are asked
+  // for (see backfill()).
+  async function describe(urls) {
+    const found = !isMongo()
+      ? localDB.uploads.filter((u) => urls.includes(u.url))
+      : await Upload.find({ url: { $in: urls } }).lean();
+
+    const described = new Map();
+    for (const upload of found) {
+      if (!upload.checksum) await backfill(upload);
+      described.set(upload.url, upload);
+    }
+    return described;
+  }
+
+  // The upload behind `id` or else `url`, with its audio metadata. Audio
+  // uploads from before metadata was kept are read the first time they are
+  // asked for.
+  async function findAudio({ id, url }) {
+    if (!id && !url) return null;
+    const upload = !isMongo()
+      ? localDB.uploads.find((u) => (id ? u.id === id : u.url === url))
+      : await Upload.findOne(id ? { id } : { url }).lean();
+    if (!upload || !isAudio(upload) || upload.audio !== undefined) {
+      return upload || null;
+    }
+
+    await backfill(upload);
+    return upload;
+  }
+
+  return { describe, findAudio, record, listByUser, removeByUser };
+}
+
+module.exports = { Upload, createUploadStore, isAudio };
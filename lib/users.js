@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require("uuid");
+const { decryptProfile, encryptProfile } = require("./fieldEncryption");
+
+const USER_STATUSES = ["active", "suspended"];
+
+function escapeRegExp(value) {
+  return String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function isSuspended(user) {
+  return user?.status === "suspended";
+}
+
+// Read/write access to users that works against both MongoDB and the
+// in-memory localDB used when Mongo is unavailable. Profile fields are
+// encrypted on write (by the schema plugin in Mongo) and returned encrypted.
+function createUserStore({ User, localDB, isMongo }) {
+  async function findById(id) {
+    if (!id) return null;
+    if (!isMongo()) {
+      return localDB.users.find((u) => u.id === id) || null;
+    }
+    return User.findOne({ id }).lean();
+  }
+
+  // The users behind `ids` in one read; unknown ids are left out
+  async function findByIds(ids) {
+    if (ids.length === 0) return [];
+    if (!isMongo()) {
+      return localDB.users.filter((u) => ids.includes(u.id));
+    }
+    return User.find({ id: { $in: ids } }).lean();
+  }
+
+  async function findByEmail(email) {
+    if (!email) return null;
+    const normalized = String(email).toLowerCase();
+    if (!isMongo()) {
+      return localDB.users.find((u) => u.email === normalized) || null;
+    }
+    return User.findOne({ email: normalized }).lean();
+  }
+
+  // Users that log in through an external provider, keyed by its subject
+  async function findByIdentity(provider, subject) {
+    if (!isMongo()) {
+      return (
+        localDB.users.find((u) =>
+          (u.identities || []).some(
+            (i) => i.provider === provider && i.subject === subject,
+          ),
+        ) || null
+      );
+    }
+    return User.findOne({
+      identities: { $elemMatch: { provider, subject } },
+    }).lean();
+  }
+
+  async function create(data) {
+    if (!isMongo()) {
+      const now = new Date();
+      const user = {
+        id: uuidv4(),
+        role: "user",
+        status: "active",
+        ...data,
+        ...(data.profile ? { profile: encryptProfile(data.profile) } : {}),
+        createdAt: now,
+        updatedAt: now,
+      };
+      localDB.users.push(user);
+      return user;
+    }
+    return (await User.create(data)).toObject();
+  }
+
+  async function update(id, changes) {
+    if (!isMongo()) {
+      const index = localDB.users.findIndex((u) => u.id === id);
+      if (index === -1) return null;
+      localDB.users[index] = {
+        ...localDB.users[index],
+        ...changes,
+        ...(changes.profile
+          ? { profile: encryptProfile(changes.profile) }
+          : {}),
+        updatedAt: new Date(),
+      };
+      return localDB.users[index];
+    }
+    return User.findOneAndUpdate({ id }, changes, { new: true }).lean();
+  }
+
+  // Admin listing: case-insensitive name/email search, role and status
+  // filters, newest first, page-based.
+  async function search({ search, role, status, page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    if (!isMongo()) {
+      const needle = search ? String(search).toLowerCase() : "";
+      const matches = localDB.users
+        .filter((u) => !role || u.role === role)
+        .filter((u) => !status || (u.status || "active") === status)
+        .filter(
+          (u) =>
+            !needle ||
+            String(u.name || "")
+              .toLowerCase()
+              .includes(needle) ||
+            u.email.includes(needle),
+        )
+        .sort(
+          (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+        );
+      return {
+        users: matches.slice(skip, skip + limit),
+        total: matches.length,
+      };
+    }
+
+    const filter = {};
+    if (role) filter.role = role;
+    // Accounts created before suspension existed have no status field
+    if (status === "active") filter.status = { $ne: "suspended" };
+    else if (status) filter.status = status;
+    if (search) {
+      const pattern = new RegExp(escapeRegExp(search), "i");
+      filter.$or = [{ name: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      User.countDocuments(filter),
+    ]);
+    return { users, total };
+  }
+
+  async function remove(id) {
+    if (!isMongo()) {
+      const before = localDB.users.length;
+      localDB.users = localDB.users.filter((u) => u.id !== id);
+      return before !== localDB.users.length;
+    }
+    const result = await User.deleteOne({ id });
+    return result.deletedCount > 0;
+  }
+
+  async function countActiveAdmins() {
+    if (!isMongo()) {
+      return localDB.users.filter((u) => u.role === "admin" && !isSuspended(u))
+        .length;
+    }
+    return User.countDocuments({ role: "admin", status: { $ne: "suspended" } });
+  }
+
+  return {
+    findById,
+    findByIds,
+    findByEmail,
+    findByIdentity,
+    create,
+    update,
+    remove,
+    search,
+    countActiveAdmins,
+  };
+}
+
+// Strips credentials and second-factor secrets before a user leaves the API.
+// The profile comes back decrypted, so only send it to the owner or an admin.
+function toSafeUser(user) {
+  const { password, twoFactor, profile, ...rest } = user;
+  return {
+    ...rest,
+    ...(profile ? { profile: decryptProfile(profile) } : {}),
+    twoFactor: { enabled: Boolean(twoFactor?.enabled) },
+  };
+}
+
+module.exports = {
+  USER_STATUSES,
+  createUserStore,
+  escapeRegExp,
+  isSuspended,
+  toSafeUser,
+};
@@ -0,0 +1,124 @@
+const express = require("express");
+const { frontendUrl } = require("./passwords");
+
+const EMAIL_VERIFICATION_PURPOSE = "email-verification";
+const EMAIL_VERIFICATION_TTL_MINUTES =
+  Number(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+
+// Actions that unverified accounts may not perform. Configured as a comma
+// separated list; an empty value disables the policy.
+const VERIFIED_EMAIL_ACTIONS = ["marketplace-request", "companion-application"];
+
+function verifiedEmailPolicy() {
+  const configured = process.env.REQUIRE_VERIFIED_EMAIL_FOR;
+  if (configured === undefined) return VERIFIED_EMAIL_ACTIONS;
+  return configured
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+function createEmailVerification({
+  auth,
+  users,
+  tokens,
+  mailer,
+  logger = console,
+}) {
+  async function sendVerification(user) {
+    const token = await tokens.issue(
+      EMAIL_VERIFICATION_PURPOSE,
+      user.id,
+      EMAIL_VERIFICATION_TTL_MINUTES,
+    );
+    await mailer.send({
+      to: user.email,
+      subject: "Verify your Nirvaha email address",
+      text:
+        `Confirm this address to finish setting up your account:\n\n` +
+        frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+    });
+  }
+
+  // Must run after auth.authenticate. Looks the account up rather than
+  // trusting the token so that a freshly verified email takes effect at once.
+  function requireVerifiedEmail(action) {
+    if (!VERIFIED_EMAIL_ACTIONS.includes(action)) {
+      throw new Error(`Unknown verified-email action: ${action}`);
+    }
+
+    return async (req, res, next) => {
+      if (!verifiedEmailPolicy().includes(action)) return next();
+
+      try {
+        const user = await users.findById(req.user.id);
+        if (!user || !user.emailVerified) {
+          return res.status(403).json({
+            error: "Email address must be verified",
+            code: "EMAIL_NOT_VERIFIED",
+          });
+        }
+        next();
+      } catch (error) {
+        logger.error("Email verification check failed", error);
+        res.status(500).json({ error: "Server error" });
+      }
+    };
+  }
+
+  const router = express.Router();
+
+  router.post("/api/auth/verify-email", async (req, res) => {
+    try {
+      const { token } = req.body || {};
+      if (!token) {
+        return res.status(400).json({ error: "Token is required" });
+      }
+
+      const userId = await tokens.consume(EMAIL_VERIFICATION_PURPOSE, token);
+      const user = userId
+        ? await users.update(userId, {
+            emailVerified: true,
+            emailVerifiedAt: new Date(),
+          })
+        : null;
+      if (!user) {
+        return res
+          .status(400)
+          .json({ error: "Verification link is invalid or has expired" });
+      }
+
+      logger.info("Email verified", { userId: user.id });
+      res.json({ message: "Email verified successfully", emailVerified: true });
+    } catch (error) {
+      logger.error("Email verification error", error);
+      res.status(500).json({ error: "Server error during email verification" });
+    }
+  });
+
+  router.post(
+    "/api/auth/verify-email/resend",
+    auth.requireAuth,
+    async (req, res) => {
+      try {
+        const user = await users.findById(req.user.id);
+        if (!user) {
+          return res.status(404).json({ error: "User not found" });
+        }
+        if (user.emailVerified) {
+          return res.status(400).json({ error: "Email is already verified" });
+        }
+
+        await sendVerification(user);
+        res.json({ message: "Verification email sent" });
+      } catch (error) {
+        logger.error("Resend verification error", error);
+        res.status(500).json({ error: "Server error" });
+      }
+    },
+  );
+
+  return { sendVerification, requireVerifiedEmail, router };
+}
+
+module.exports = { VERIFIED_EMAIL_ACTIONS, createEmailVerification };
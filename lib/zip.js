@@ -0,0 +1,113 @@
+const fs = require("fs");
+const zlib = require("zlib");
+
+// Minimal ZIP writer (deflate, no zip64) for the data export archives. Entries
+// are compressed one at a time so only a single file is held in memory.
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k += 1) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+function dosDateTime(date) {
+  return {
+    time:
+      (date.getHours() << 11) |
+      (date.getMinutes() << 5) |
+      Math.floor(date.getSeconds() / 2),
+    date:
+      ((date.getFullYear() - 1980) << 9) |
+      ((date.getMonth() + 1) << 5) |
+      date.getDate(),
+  };
+}
+
+// Each entry is { name, data }, { name, path } for a file on disk or
+// { name, read } where read() resolves with the contents. Resolves with the
+// archive size in bytes.
+async function writeZip(filePath, entries) {
+  const handle = await fs.promises.open(filePath, "w");
+  const records = [];
+  let offset = 0;
+
+  try {
+    for (const entry of entries) {
+      let data;
+      if (entry.read) data = await entry.read();
+      else if (entry.path) data = await fs.promises.readFile(entry.path);
+      else data = Buffer.from(entry.data);
+      const compressed = zlib.deflateRawSync(data);
+      const name = Buffer.from(entry.name, "utf8");
+      const { time, date } = dosDateTime(entry.date || new Date());
+      const record = {
+        name,
+        time,
+        date,
+        crc: crc32(data),
+        compressedSize: compressed.length,
+        size: data.length,
+        offset,
+      };
+
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0x0800, 6); // UTF-8 file names
+      header.writeUInt16LE(8, 8); // deflate
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt32LE(record.crc, 14);
+      header.writeUInt32LE(record.compressedSize, 18);
+      header.writeUInt32LE(record.size, 22);
+      header.writeUInt16LE(name.length, 26);
+      header.writeUInt16LE(0, 28);
+
+      await handle.write(Buffer.concat([header, name, compressed]));
+      offset += header.length + name.length + compressed.length;
+      records.push(record);
+    }
+
+    const directory = records.map((record) => {
+      const header = Buffer.alloc(46);
+      header.writeUInt32LE(0x02014b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(20, 6);
+      header.writeUInt16LE(0x0800, 8);
+      header.writeUInt16LE(8, 10);
+      header.writeUInt16LE(record.time, 12);
+      header.writeUInt16LE(record.date, 14);
+      header.writeUInt32LE(record.crc, 16);
+      header.writeUInt32LE(record.compressedSize, 20);
+      header.writeUInt32LE(record.size, 24);
+      header.writeUInt16LE(record.name.length, 28);
+      header.writeUInt32LE(record.offset, 42);
+      return Buffer.concat([header, record.name]);
+    });
+    const directorySize = directory.reduce((sum, b) => sum + b.length, 0);
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(records.length, 8);
+    end.writeUInt16LE(records.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(offset, 16);
+
+    await handle.write(Buffer.concat([...directory, end]));
+    return offset + directorySize + end.length;
+  } finally {
+    await handle.close();
+  }
+}
+
+module.exports = { crc32, writeZip };
@@ -0,0 +1,99 @@
+// Encrypts profile fields stored in plaintext and re-encrypts values written
+// under an older key, so an old key can be dropped from
+// PROFILE_ENCRYPTION_KEYS once this has run. Safe to run more than once.
+//
+//   npm run encrypt:profiles [-- --dry-run]
+//
+// Works on MongoDB when MONGODB_URI is set (and USE_LOCAL_DB is not true),
+// otherwise on the admins stored in LOCAL_ADMINS_FILE.
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const {
+  ENCRYPTED_PROFILE_FIELDS,
+  currentKeyId,
+  isConfigured,
+  needsEncryption,
+  reencryptValue,
+} = require("../lib/fieldEncryption");
+const {
+  LOCAL_ADMINS_FILE,
+  readLocalAdmins,
+  writeLocalAdmins,
+} = require("../lib/adminBootstrap");
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const USE_LOCAL_DB = process.env.USE_LOCAL_DB === "true" || !MONGODB_URI;
+const DRY_RUN = process.argv.includes("--dry-run");
+
+// The profile changes one user needs, as { "profile.<field>": value }
+function pendingChanges(user) {
+  const changes = {};
+  for (const field of ENCRYPTED_PROFILE_FIELDS) {
+    const value = user.profile?.[field];
+    if (needsEncryption(value)) {
+      changes[`profile.${field}`] = reencryptValue(value);
+    }
+  }
+  return changes;
+}
+
+async function migrateMongo() {
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  // The raw collection, so no schema hooks run on the values written here
+  const collection = mongoose.connection.collection("users");
+  const stats = { scanned: 0, updated: 0 };
+
+  const cursor = collection.find({}, { projection: { profile: 1 } });
+  for await (const user of cursor) {
+    stats.scanned += 1;
+    const changes = pendingChanges(user);
+    if (Object.keys(changes).length === 0) continue;
+
+    stats.updated += 1;
+    if (!DRY_RUN) {
+      await collection.updateOne({ _id: user._id }, { $set: changes });
+    }
+  }
+  return stats;
+}
+
+function migrateLocal() {
+  const admins = readLocalAdmins();
+  const stats = { scanned: admins.length, updated: 0 };
+
+  for (const admin of admins) {
+    const changes = pendingChanges(admin);
+    if (Object.keys(changes).length === 0) continue;
+
+    stats.updated += 1;
+    for (const [pathName, value] of Object.entries(changes)) {
+      admin.profile[pathName.slice("profile.".length)] = value;
+    }
+  }
+  if (!DRY_RUN && stats.updated > 0) writeLocalAdmins(admins);
+  return stats;
+}
+
+async function main() {
+  if (!isConfigured()) {
+    throw new Error("PROFILE_ENCRYPTION_KEYS is not set");
+  }
+
+  console.log(
+    `Using ${USE_LOCAL_DB ? `local file ${LOCAL_ADMINS_FILE}` : "MongoDB"}, key "${currentKeyId()}"`,
+  );
+  try {
+    const stats = USE_LOCAL_DB ? migrateLocal() : await migrateMongo();
+    const verb = DRY_RUN ? "Would update" : "Updated";
+    console.log(`✓ ${verb} ${stats.updated} of ${stats.scanned} user(s)`);
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,279 @@
+// Creates, lists and rotates admin accounts. There are no default admin
+// credentials; the first admin is created here.
+//
+//   npm run admin -- create --email ops@example.com --name "Ops"
+//   npm run admin -- list
+//   npm run admin -- rotate --email ops@example.com [--reset-2fa]
+//
+// The password is read from stdin with --password-stdin, from ADMIN_PASSWORD,
+// or prompted for. Without MONGODB_URI (or with USE_LOCAL_DB=true) admins are
+// written to LOCAL_ADMINS_FILE, which the server loads when it starts.
+const readline = require("readline");
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const { v4: uuidv4 } = require("uuid");
+const { createUserStore } = require("../lib/users");
+const { createSessionStore } = require("../lib/sessions");
+const { hashPassword } = require("../lib/passwords");
+const {
+  LOCAL_ADMINS_FILE,
+  readLocalAdmins,
+  writeLocalAdmins,
+} = require("../lib/adminBootstrap");
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const USE_LOCAL_DB = process.env.USE_LOCAL_DB === "true" || !MONGODB_URI;
+const MIN_ADMIN_PASSWORD_LENGTH = 12;
+
+// Only the fields this script writes; the server's schema fills in the rest
+const userSchema = new mongoose.Schema(
+  {
+    id: { type: String, default: uuidv4, unique: true, index: true },
+    name: { type: String, required: true },
+    email: { type: String, required: true, unique: true, lowercase: true },
+    password: { type: String, required: true },
+    role: { type: String, default: "user" },
+    status: { type: String, default: "active" },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    passwordChangedAt: { type: Date, default: null },
+    twoFactor: { type: mongoose.Schema.Types.Mixed },
+    profile: { type: mongoose.Schema.Types.Mixed },
+  },
+  { timestamps: true },
+);
+
+const User = mongoose.models.User || mongoose.model("User", userSchema);
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = {};
+  for (let i = 0; i < rest.length; i += 1) {
+    const arg = rest[i];
+    if (!arg.startsWith("--")) continue;
+    const key = arg.slice(2);
+    const next = rest[i + 1];
+    if (next === undefined || next.startsWith("--")) {
+      options[key] = true;
+    } else {
+      options[key] = next;
+      i += 1;
+    }
+  }
+  return { command, options };
+}
+
+function ask(question, { hidden = false } = {}) {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: true,
+  });
+  if (hidden) {
+    // Echo nothing but the prompt itself while the password is typed
+    rl._writeToOutput = (text) => {
+      if (text.includes(question)) process.stdout.write(question);
+    };
+  }
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      if (hidden) process.stdout.write("\n");
+      resolve(answer.trim());
+    });
+  });
+}
+
+async function readStdin() {
+  let data = "";
+  for await (const chunk of process.stdin) data += chunk;
+  return data.split(/\r?\n/)[0];
+}
+
+async function readPassword(options) {
+  if (options["password-stdin"]) return readStdin();
+  if (process.env.ADMIN_PASSWORD) return process.env.ADMIN_PASSWORD;
+  if (!process.stdin.isTTY) {
+    throw new Error(
+      "No password given: use --password-stdin or ADMIN_PASSWORD",
+    );
+  }
+
+  const password = await ask("Password: ", { hidden: true });
+  const confirmation = await ask("Repeat password: ", { hidden: true });
+  if (password !== confirmation) throw new Error("Passwords do not match");
+  return password;
+}
+
+async function readOption(options, key, question) {
+  if (typeof options[key] === "string") return options[key].trim();
+  if (!process.stdin.isTTY) throw new Error(`--${key} is required`);
+  return ask(question);
+}
+
+function checkPassword(password) {
+  if (!password || password.length < MIN_ADMIN_PASSWORD_LENGTH) {
+    throw new Error(
+      `Admin passwords must be at least ${MIN_ADMIN_PASSWORD_LENGTH} characters`,
+    );
+  }
+}
+
+// Returns the user store plus a save() that persists local-mode changes
+async function openStore() {
+  if (USE_LOCAL_DB) {
+    const localDB = { users: readLocalAdmins() };
+    return {
+      mode: `local file ${LOCAL_ADMINS_FILE}`,
+      users: createUserStore({ User, localDB, isMongo: () => false }),
+      sessions: null,
+      list: async () => localDB.users.filter((u) => u.role === "admin"),
+      save: async () =>
+        writeLocalAdmins(localDB.users.filter((u) => u.role === "admin")),
+    };
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  const db = { localDB: {}, isMongo: () => true };
+  return {
+    mode: "MongoDB",
+    users: createUserStore({ ...db, User }),
+    sessions: createSessionStore(db),
+    list: () => User.find({ role: "admin" }).sort({ createdAt: 1 }).lean(),
+    save: async () => {},
+  };
+}
+
+async function createAdmin(store, options) {
+  const email = (await readOption(options, "email", "Email: ")).toLowerCase();
+  if (!email.includes("@")) throw new Error("A valid email is required");
+
+  const existing = await store.users.findByEmail(email);
+  if (existing && existing.role === "admin") {
+    throw new Error(`${email} is already an admin; use rotate to reset it`);
+  }
+  if (existing && !options.promote) {
+    throw new Error(
+      `${email} already has an account; pass --promote to make it an admin`,
+    );
+  }
+
+  if (existing) {
+    await store.users.update(existing.id, { role: "admin" });
+    console.log(`✓ Promoted ${email} to admin`);
+    return;
+  }
+
+  const name =
+    (await readOption(options, "name", "Name: ")) || "Nirvaha Administrator";
+  const password = await readPassword(options);
+  checkPassword(password);
+
+  await store.users.create({
+    name,
+    email,
+    password: await hashPassword(password),
+    role: "admin",
+    status: "active",
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    passwordChangedAt: new Date(),
+    profile: {
+      mobile: "",
+      age: "",
+      gender: "",
+      address: "",
+      education: "",
+      healthCondition: "",
+    },
+  });
+  console.log(`✓ Created admin ${email}`);
+  console.log("  Two-factor setup is required at first login.");
+}
+
+async function listAdmins(store) {
+  const admins = await store.list();
+  if (admins.length === 0) {
+    console.log("No admin accounts.");
+    return;
+  }
+  console.table(
+    admins.map((admin) => ({
+      id: admin.id,
+      email: admin.email,
+      name: admin.name,
+      status: admin.status || "active",
+      twoFactor: Boolean(admin.twoFactor?.enabled),
+      createdAt: new Date(admin.createdAt).toISOString(),
+    })),
+  );
+}
+
+// New password, every session signed out; --reset-2fa also clears the second
+// factor for an admin who lost their authenticator
+async function rotateAdmin(store, options) {
+  const email = (await readOption(options, "email", "Email: ")).toLowerCase();
+  const admin = await store.users.findByEmail(email);
+  if (!admin || admin.role !== "admin") {
+    throw new Error(`No admin account for ${email}`);
+  }
+
+  const password = await readPassword(options);
+  checkPassword(password);
+
+  const changes = {
+    password: await hashPassword(password),
+    passwordChangedAt: new Date(),
+  };
+  if (options["reset-2fa"]) {
+    changes.twoFactor = {
+      enabled: false,
+      secret: null,
+      pendingSecret: null,
+      recoveryCodes: [],
+      lastUsedStep: 0,
+      enabledAt: null,
+    };
+  }
+  await store.users.update(admin.id, changes);
+  if (store.sessions) {
+    await store.sessions.revokeAll(admin.id, "password-reset");
+  }
+
+  console.log(`✓ Rotated password for ${email}`);
+  if (options["reset-2fa"]) {
+    console.log("  Two-factor authentication was reset.");
+  }
+}
+
+const COMMANDS = { create: createAdmin, list: listAdmins, rotate: rotateAdmin };
+
+async function main() {
+  const { command, options } = parseArgs(process.argv.slice(2));
+  const run = COMMANDS[command];
+  if (!run) {
+    console.log("Usage: npm run admin -- <create|list|rotate> [options]");
+    console.log("  create  --email <email> --name <name> [--promote]");
+    console.log("  list");
+    console.log("  rotate  --email <email> [--reset-2fa]");
+    console.log("Password: --password-stdin, ADMIN_PASSWORD, or prompt");
+    process.exitCode = command ? 1 : 0;
+    return;
+  }
+
+  const store = await openStore();
+  console.log(`Using ${store.mode}`);
+  try {
+    await run(store, options);
+    await store.save();
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -4,6 +4,7 @@ const dotenv = require("dotenv");
 const mongoose = require("mongoose");
 const Database = require("better-sqlite3");
 const { v4: uuidv4 } = require("uuid");
+const { normalizeStatus } = require("../lib/editorial");
 
 dotenv.config();
 
@@ -76,7 +77,7 @@ function readMeditations(sqliteDb) {
     level: row.level || "",
     category: row.category || "",
     description: row.description || "",
-    status: row.status || "Draft",
+    status: normalizeStatus(row.status),
     thumbnailUrl: row.thumbnail_url || "",
     bannerUrl: row.banner_url || "",
     audioUrl: row.audio_url || "",
@@ -105,7 +106,7 @@ function readSounds(sqliteDb) {
       duration: row.duration_minutes,
       category: row.category || "",
       description: row.description || "",
-      status: row.status || "Draft",
+      status: normalizeStatus(row.status),
       thumbnailUrl: row.thumbnail_url || "",
       bannerUrl: row.banner_url || "",
       audioUrl: row.audio_url || "",
@@ -0,0 +1,80 @@
+// Copies uploaded files from one storage backend to another, e.g. from the
+// local uploads directory to S3-compatible storage before switching
+// STORAGE_DRIVER. Stored URLs are "/uploads/<filename>" on every backend,
+// so the database is not touched. Files already at the target with the same
+// size are skipped, so the copy can be resumed.
+//
+//   npm run migrate:uploads -- --from local --to s3 [--delete-source] [--dry-run]
+//
+// Both backends are configured from the environment as the server does
+// (UPLOADS_DIR, S3_*); the local directory defaults to ./uploads.
+const path = require("path");
+const dotenv = require("dotenv");
+const { STORAGE_DRIVERS, createDriver } = require("../lib/storage");
+
+dotenv.config();
+
+const DRY_RUN = process.argv.includes("--dry-run");
+const DELETE_SOURCE = process.argv.includes("--delete-source");
+const LOCAL_DIR = path.join(__dirname, "..", "uploads");
+
+function option(name) {
+  const index = process.argv.indexOf(`--${name}`);
+  return index === -1 ? undefined : process.argv[index + 1];
+}
+
+async function main() {
+  const from = option("from");
+  const to = option("to");
+  if (!STORAGE_DRIVERS.includes(from) || !STORAGE_DRIVERS.includes(to)) {
+    throw new Error(
+      `Usage: --from <driver> --to <driver>, drivers: ${STORAGE_DRIVERS.join(", ")}`,
+    );
+  }
+  if (from === to) {
+    throw new Error("--from and --to must name different drivers");
+  }
+
+  const source = createDriver(from, { localDir: LOCAL_DIR });
+  const target = createDriver(to, { localDir: LOCAL_DIR });
+  console.log(`Copying uploads from ${from} to ${to}`);
+
+  const stats = { scanned: 0, copied: 0, skipped: 0, failed: 0 };
+  for await (const key of source.keys()) {
+    stats.scanned += 1;
+    try {
+      const [stored, existing] = await Promise.all([
+        source.stat(key),
+        target.stat(key),
+      ]);
+      if (!stored) continue;
+      if (existing && existing.size === stored.size) {
+        stats.skipped += 1;
+      } else {
+        stats.copied += 1;
+        if (!DRY_RUN) {
+          await target.put(key, await source.createReadStream(key), {
+            contentType: stored.contentType || undefined,
+          });
+        }
+      }
+      if (DELETE_SOURCE && !DRY_RUN) await source.remove(key);
+    } catch (error) {
+      stats.failed += 1;
+      console.error(`✗ ${key}: ${error.message}`);
+    }
+  }
+
+  const verb = DRY_RUN ? "Would copy" : "Copied";
+  console.log(
+    `✓ ${verb} ${stats.copied} of ${stats.scanned} file(s), ${stats.skipped} already present`,
+  );
+  if (stats.failed > 0) {
+    throw new Error(`${stats.failed} file(s) failed; run again to retry`);
+  }
+}
+
+main().catch((error) => {
+  console.error(`✗ ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,205 @@
+// Local stand-in for an OpenID Connect provider, for trying the OIDC login
+// without real credentials. Authorization requests are approved straight
+// away for the email in ?login_hint= (or MOCK_OIDC_EMAIL).
+//
+//   npm run mock:oidc
+//   OIDC_PROVIDERS=mock OIDC_MOCK_ISSUER=http://localhost:9400 \
+//   OIDC_MOCK_CLIENT_ID=nirvaha-local OIDC_MOCK_CLIENT_SECRET=local-secret \
+//   npm run dev
+//
+// createMockIssuer() builds the same issuer for the tests in test/.
+const crypto = require("crypto");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+function base64urlSha256(value) {
+  return crypto.createHash("sha256").update(value).digest("base64url");
+}
+
+function clientCredentials(req) {
+  const header = req.headers.authorization || "";
+  if (header.startsWith("Basic ")) {
+    const decoded = Buffer.from(header.slice(6), "base64").toString();
+    const [id, secret] = decoded.split(":").map(decodeURIComponent);
+    return { id, secret };
+  }
+  return { id: req.body.client_id, secret: req.body.client_secret };
+}
+
+// `setSigningKey(privateKey)` makes the issuer sign tokens with another key
+// while still publishing the original one, as a forged token would look;
+// null goes back to the issuer's own key.
+function createMockIssuer({
+  issuer,
+  clientId = "nirvaha-local",
+  clientSecret = "local-secret",
+  defaultEmail = "oidc.user@example.com",
+  emailVerified = true,
+  logger = console,
+}) {
+  const { privateKey, publicKey } = crypto.generateKeyPairSync("rsa", {
+    modulusLength: 2048,
+  });
+  const keyId = crypto.randomBytes(8).toString("hex");
+  let signingKey = privateKey;
+  const codes = new Map();
+
+  const app = express();
+  app.use(express.urlencoded({ extended: false }));
+
+  app.get("/.well-known/openid-configuration", (req, res) => {
+    res.json({
+      issuer,
+      authorization_endpoint: `${issuer}/authorize`,
+      token_endpoint: `${issuer}/token`,
+      userinfo_endpoint: `${issuer}/userinfo`,
+      jwks_uri: `${issuer}/jwks`,
+      response_types_supported: ["code"],
+      subject_types_supported: ["public"],
+      id_token_signing_alg_values_supported: ["RS256"],
+      code_challenge_methods_supported: ["S256"],
+      token_endpoint_auth_methods_supported: [
+        "client_secret_basic",
+        "client_secret_post",
+      ],
+    });
+  });
+
+  app.get("/jwks", (req, res) => {
+    const jwk = publicKey.export({ format: "jwk" });
+    res.json({ keys: [{ ...jwk, kid: keyId, use: "sig", alg: "RS256" }] });
+  });
+
+  app.get("/authorize", (req, res) => {
+    const {
+      client_id: clientId,
+      redirect_uri: redirectUri,
+      response_type: responseType,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: challengeMethod,
+      login_hint: loginHint,
+    } = req.query;
+
+    if (clientId !== clientId || responseType !== "code" || !redirectUri) {
+      return res.status(400).send("invalid_request");
+    }
+    if (!codeChallenge || challengeMethod !== "S256") {
+      return res.status(400).send("PKCE with S256 is required");
+    }
+
+    const email = String(loginHint || defaultEmail).toLowerCase();
+    const code = crypto.randomBytes(16).toString("hex");
+    codes.set(code, {
+      email,
+      nonce,
+      redirectUri,
+      codeChallenge,
+      expiresAt: Date.now() + 60 * 1000,
+    });
+    logger.log(`Authorized ${email}`);
+
+    const target = new URL(redirectUri);
+    target.searchParams.set("code", code);
+    if (state) target.searchParams.set("state", state);
+    res.redirect(target.toString());
+  });
+
+  app.post("/token", (req, res) => {
+    const client = clientCredentials(req);
+    if (client.id !== clientId || client.secret !== clientSecret) {
+      return res.status(401).json({ error: "invalid_client" });
+    }
+
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+    if (
+      req.body.grant_type !== "authorization_code" ||
+      !grant ||
+      grant.expiresAt < Date.now() ||
+      grant.redirectUri !== req.body.redirect_uri ||
+      base64urlSha256(String(req.body.code_verifier || "")) !==
+        grant.codeChallenge
+    ) {
+      return res.status(400).json({ error: "invalid_grant" });
+    }
+
+    const claims = {
+      sub: base64urlSha256(grant.email).slice(0, 24),
+      email: grant.email,
+      email_verified: emailVerified,
+      name: grant.email.split("@")[0],
+      nonce: grant.nonce,
+    };
+    const idToken = jwt.sign(claims, signingKey, {
+      algorithm: "RS256",
+      keyid: keyId,
+      issuer,
+      audience: clientId,
+      expiresIn: "5m",
+    });
+    const { nonce, ...profile } = claims;
+    const accessToken = jwt.sign(profile, signingKey, {
+      algorithm: "RS256",
+      keyid: keyId,
+      issuer,
+      expiresIn: "5m",
+    });
+
+    res.json({
+      token_type: "Bearer",
+      access_token: accessToken,
+      id_token: idToken,
+      expires_in: 300,
+    });
+  });
+
+  app.get("/userinfo", (req, res) => {
+    try {
+      const token = String(req.headers.authorization || "").replace(
+        /^Bearer /,
+        "",
+      );
+      const {
+        sub,
+        email,
+        email_verified: emailVerified,
+        name,
+      } = jwt.verify(token, publicKey, {
+        algorithms: ["RS256"],
+        issuer,
+      });
+      res.json({ sub, email, email_verified: emailVerified, name });
+    } catch (error) {
+      res.status(401).json({ error: "invalid_token" });
+    }
+  });
+
+  return {
+    app,
+    setSigningKey(key) {
+      signingKey = key || privateKey;
+    },
+  };
+}
+
+if (require.main === module) {
+  const port = Number(process.env.MOCK_OIDC_PORT) || 9400;
+  const issuer = process.env.MOCK_OIDC_ISSUER || `http://localhost:${port}`;
+  const clientId = process.env.MOCK_OIDC_CLIENT_ID || "nirvaha-local";
+  const clientSecret = process.env.MOCK_OIDC_CLIENT_SECRET || "local-secret";
+  const { app } = createMockIssuer({
+    issuer,
+    clientId,
+    clientSecret,
+    defaultEmail: process.env.MOCK_OIDC_EMAIL || "oidc.user@example.com",
+    emailVerified: process.env.MOCK_OIDC_EMAIL_VERIFIED !== "false",
+  });
+  app.listen(port, () => {
+    console.log(`Mock OIDC issuer running at ${issuer}`);
+    console.log(`Client id: ${clientId} / secret: ${clientSecret}`);
+  });
+}
+
+module.exports = { createMockIssuer };
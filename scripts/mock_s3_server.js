@@ -0,0 +1,191 @@
+// Local stand-in for S3-compatible object storage, for trying
+// STORAGE_DRIVER=s3 and the uploads migration without a cloud account or
+// MinIO. Objects are kept as files under MOCK_S3_DIR; buckets are created
+// on first write. Requests must carry a valid Signature Version 4.
+//
+//   npm run mock:s3
+//   STORAGE_DRIVER=s3 S3_ENDPOINT=http://localhost:9500 S3_BUCKET=nirvaha \
+//   S3_ACCESS_KEY_ID=local-access-key S3_SECRET_ACCESS_KEY=local-secret-key \
+//   npm run dev
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const express = require("express");
+const { signV4 } = require("../lib/storage");
+
+const PORT = Number(process.env.MOCK_S3_PORT) || 9500;
+const DIR =
+  process.env.MOCK_S3_DIR || path.join(__dirname, "..", "data", "mock-s3");
+const ACCESS_KEY_ID = process.env.MOCK_S3_ACCESS_KEY_ID || "local-access-key";
+const SECRET_ACCESS_KEY =
+  process.env.MOCK_S3_SECRET_ACCESS_KEY || "local-secret-key";
+const MAX_KEYS = 1000;
+
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function s3Error(res, status, code) {
+  res
+    .status(status)
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`,
+    );
+}
+
+// Keys may contain slashes, so each object is one encoded file next to its
+// metadata
+function objectPath(bucket, key) {
+  return path.join(DIR, bucket, encodeURIComponent(key));
+}
+
+function readMetadata(file) {
+  try {
+    return JSON.parse(fs.readFileSync(`${file}.meta.json`, "utf8"));
+  } catch (error) {
+    return null;
+  }
+}
+
+function checkSignature(req) {
+  const match =
+    /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]+)$/.exec(
+      req.get("authorization") || "",
+    );
+  if (!match) return "AccessDenied";
+  const [, accessKeyId, , region, signedHeaders, signature] = match;
+  if (accessKeyId !== ACCESS_KEY_ID) return "InvalidAccessKeyId";
+
+  const payloadHash = req.get("x-amz-content-sha256");
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  if (
+    payloadHash !== "UNSIGNED-PAYLOAD" &&
+    payloadHash !== crypto.createHash("sha256").update(body).digest("hex")
+  ) {
+    return "XAmzContentSHA256Mismatch";
+  }
+  const amzDate = req.get("x-amz-date") || "";
+  const date = new Date(
+    amzDate.replace(
+      /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/,
+      "$1-$2-$3T$4:$5:$6Z",
+    ),
+  );
+  if (!(Math.abs(Date.now() - date) < 15 * 60 * 1000)) {
+    return "RequestTimeTooSkewed";
+  }
+
+  const headers = {};
+  for (const name of signedHeaders.split(";")) {
+    if (!["host", "x-amz-date", "x-amz-content-sha256"].includes(name)) {
+      headers[name] = req.get(name) || "";
+    }
+  }
+  const expected = signV4({
+    method: req.method,
+    url: new URL(req.originalUrl, `http://${req.get("host")}`),
+    headers,
+    payloadHash,
+    region,
+    accessKeyId,
+    secretAccessKey: SECRET_ACCESS_KEY,
+    date,
+  }).authorization.split("Signature=")[1];
+  return expected === signature ? null : "SignatureDoesNotMatch";
+}
+
+const app = express();
+app.use(express.raw({ type: () => true, limit: "100mb" }));
+
+app.use((req, res, next) => {
+  const [bucket, ...key] = req.path.slice(1).split("/");
+  if (
+    !/^[a-z0-9][a-z0-9-]{1,62}$/.test(bucket) ||
+    [".", ".."].includes(decodeURIComponent(key.join("/")))
+  ) {
+    return s3Error(res, 400, "InvalidRequest");
+  }
+  const error = checkSignature(req);
+  if (error) return s3Error(res, 403, error);
+  next();
+});
+
+// ListObjectsV2
+app.get("/:bucket", (req, res) => {
+  const dir = path.join(DIR, req.params.bucket);
+  if (!fs.existsSync(dir)) return s3Error(res, 404, "NoSuchBucket");
+  const prefix = req.query.prefix || "";
+  const after = req.query["continuation-token"]
+    ? Buffer.from(req.query["continuation-token"], "base64url").toString()
+    : req.query["start-after"] || "";
+  const keys = fs
+    .readdirSync(dir)
+    .filter((name) => !name.endsWith(".meta.json"))
+    .map((name) => decodeURIComponent(name))
+    .filter((key) => key.startsWith(prefix) && key > after)
+    .sort();
+  const page = keys.slice(0, MAX_KEYS);
+  const truncated = keys.length > page.length;
+
+  const contents = page.map((key) => {
+    const file = objectPath(req.params.bucket, key);
+    const stats = fs.statSync(file);
+    return `<Contents><Key>${xmlEscape(key)}</Key><LastModified>${stats.mtime.toISOString()}</LastModified><ETag>${xmlEscape(readMetadata(file)?.etag || "")}</ETag><Size>${stats.size}</Size></Contents>`;
+  });
+  res
+    .type("application/xml")
+    .send(
+      `<?xml version="1.0" encoding="UTF-8"?><ListBucketResult><Name>${xmlEscape(req.params.bucket)}</Name><Prefix>${xmlEscape(prefix)}</Prefix><KeyCount>${page.length}</KeyCount><IsTruncated>${truncated}</IsTruncated>${
+        truncated
+          ? `<NextContinuationToken>${Buffer.from(page[page.length - 1]).toString("base64url")}</NextContinuationToken>`
+          : ""
+      }${contents.join("")}</ListBucketResult>`,
+    );
+});
+
+app.put("/:bucket/*", (req, res) => {
+  const file = objectPath(req.params.bucket, req.params[0]);
+  const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+  const etag = `"${crypto.createHash("md5").update(body).digest("hex")}"`;
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, body);
+  fs.writeFileSync(
+    `${file}.meta.json`,
+    JSON.stringify({
+      etag,
+      contentType: req.get("content-type") || "application/octet-stream",
+    }),
+  );
+  res.set("ETag", etag).end();
+});
+
+// GET and HEAD, with Range support from sendFile
+app.get("/:bucket/*", (req, res) => {
+  const file = objectPath(req.params.bucket, req.params[0]);
+  const metadata = readMetadata(file);
+  if (!metadata || !fs.existsSync(file)) {
+    return s3Error(res, 404, "NoSuchKey");
+  }
+  res.sendFile(file, {
+    etag: false,
+    headers: { ETag: metadata.etag, "Content-Type": metadata.contentType },
+  });
+});
+
+app.delete("/:bucket/*", (req, res) => {
+  const file = objectPath(req.params.bucket, req.params[0]);
+  fs.rmSync(file, { force: true });
+  fs.rmSync(`${file}.meta.json`, { force: true });
+  res.status(204).end();
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock S3 server running at http://localhost:${PORT}`);
+  console.log(`Access key: ${ACCESS_KEY_ID} / secret: ${SECRET_ACCESS_KEY}`);
+  console.log(`Objects are stored in ${DIR}`);
+});
@@ -0,0 +1,71 @@
+// Maps the free-form statuses meditations and sounds had before the
+// editorial workflow ("published", "active", "") onto the workflow's
+// statuses, as the SQLite import does. Until then such items are hidden
+// from public listings and fail validation when they are next saved. Safe
+// to run more than once.
+//
+//   npm run migrate:statuses [-- --dry-run]
+//
+// Works on MongoDB (MONGODB_URI); the in-memory mode starts empty.
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const { EDITORIAL_STATUSES, normalizeStatus } = require("../lib/editorial");
+
+dotenv.config();
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes("--dry-run");
+const COLLECTIONS = ["meditations", "sounds"];
+
+// Normalizes the statuses of one raw collection, so items the schema would
+// reject can be read
+async function normalizeCollection(collection, { dryRun = false } = {}) {
+  const stats = { updated: 0, changes: {} };
+
+  const cursor = collection.find(
+    { status: { $nin: EDITORIAL_STATUSES } },
+    { projection: { status: 1 } },
+  );
+  for await (const item of cursor) {
+    const status = normalizeStatus(item.status);
+    const change = `${JSON.stringify(item.status ?? null)} -> ${status}`;
+    stats.changes[change] = (stats.changes[change] || 0) + 1;
+    stats.updated += 1;
+    if (!dryRun) {
+      await collection.updateOne({ _id: item._id }, { $set: { status } });
+    }
+  }
+  return stats;
+}
+
+async function main() {
+  if (!MONGODB_URI) {
+    throw new Error("MONGODB_URI is not set");
+  }
+
+  await mongoose.connect(MONGODB_URI, { serverSelectionTimeoutMS: 5000 });
+  try {
+    const verb = DRY_RUN ? "Would update" : "Updated";
+    for (const name of COLLECTIONS) {
+      const stats = await normalizeCollection(
+        mongoose.connection.collection(name),
+        { dryRun: DRY_RUN },
+      );
+      console.log(`✓ ${verb} ${stats.updated} ${name}`);
+      for (const [change, count] of Object.entries(stats.changes)) {
+        console.log(`  ${change}: ${count}`);
+      }
+    }
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(`✗ ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = { normalizeCollection };
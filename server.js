@@ -1,7 +1,6 @@
 const express = require("express");
 const cors = require("cors");
 const path = require("path");
-const fs = require("fs");
 const multer = require("multer");
 const mongoose = require("mongoose");
 const dotenv = require("dotenv");
@@ -9,7 +8,52 @@ const { v4: uuidv4 } = require("uuid");
 const http = require("http");
 const { Server } = require("socket.io");
 const bcrypt = require("bcryptjs");
-const jwt = require("jsonwebtoken");
+const { ROLES, createAuth } = require("./lib/auth");
+const { createSessionStore, createSessionRoutes } = require("./lib/sessions");
+const { USER_STATUSES, createUserStore, isSuspended } = require("./lib/users");
+const { createMailer } = require("./lib/mailer");
+const { createOneTimeTokenStore } = require("./lib/tokens");
+const { createPasswordRoutes } = require("./lib/passwords");
+const { createEmailVerification } = require("./lib/verification");
+const { createTwoFactor } = require("./lib/mfa");
+const {
+  createLoginThrottle,
+  createLoginThrottleRoutes,
+} = require("./lib/loginThrottle");
+const { createAdminUserRoutes } = require("./lib/adminUsers");
+const { createUploadStore, isAudio } = require("./lib/uploads");
+const { createStorage } = require("./lib/storage");
+const { AUDIO_URL_ROUTES, createStreaming } = require("./lib/streaming");
+const { createDataExport } = require("./lib/dataExport");
+const { createOidcLogin } = require("./lib/oidc");
+const { createAdminSetup, loadLocalAdmins } = require("./lib/adminBootstrap");
+const {
+  DeletedAccount,
+  createAccountDeletion,
+} = require("./lib/accountDeletion");
+const { createApiKeys } = require("./lib/apiKeys");
+const { createAuditLog } = require("./lib/audit");
+const { catalogTextIndex, createCatalog } = require("./lib/catalog");
+const { createCollections } = require("./lib/collections");
+const { Program, createPrograms } = require("./lib/programs");
+const { createListening } = require("./lib/listening");
+const { createFavorites } = require("./lib/favorites");
+const { createRatings, ratingSchemaFields } = require("./lib/ratings");
+const {
+  createRecommendations,
+  msUntilPrecompute,
+} = require("./lib/recommendations");
+const {
+  createEditorial,
+  currentStatus,
+  editorialSchemaFields,
+  reviewDetails,
+} = require("./lib/editorial");
+const {
+  decryptProfile,
+  logEncryptionStatus,
+  profileEncryptionPlugin,
+} = require("./lib/fieldEncryption");
 
 dotenv.config();
 
@@ -42,7 +86,7 @@ const corsOptions = {
     "X-Requested-With",
     "Accept",
   ],
-  exposedHeaders: ["Content-Range", "X-Content-Range"],
+  exposedHeaders: ["Content-Range", "X-Content-Range", "Accept-Ranges", "ETag"],
   credentials: true,
   maxAge: 86400, // 24 hours
 };
@@ -56,19 +100,18 @@ const MONGODB_URI = process.env.MONGODB_URI;
 
 const UPLOADS_DIR = path.join(__dirname, "uploads");
 
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
+// Uploaded files live on the STORAGE_DRIVER backend (local disk by default)
+const fileStorage = createStorage({ localDir: UPLOADS_DIR });
 
-const storage = multer.diskStorage({
-  destination: function (req, file, cb) {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: function (req, file, cb) {
+const storage = fileStorage.multerStorage({
+  filename: function (file) {
     const uniqueSuffix = Date.now() + "-" + uuidv4();
     const ext = path.extname(file.originalname);
-    cb(null, uniqueSuffix + ext);
+    return uniqueSuffix + ext;
   },
+  // Audio is kept in memory as it is stored so its metadata can be read
+  // without fetching the file back (see lib/uploads.js)
+  keepBuffer: isAudio,
 });
 
 const upload = multer({
@@ -109,37 +152,24 @@ const localDB = {
   sounds: [],
   marketplaceRequests: [],
   marketplaceItems: [],
+  refreshTokens: [],
+  oneTimeTokens: [],
+  loginAttempts: [],
+  uploads: [],
+  dataExports: [],
+  deletedAccounts: [],
+  apiKeys: [],
+  auditLog: [],
+  collections: [],
+  programs: [],
+  programEnrollments: [],
+  plays: [],
+  trackProgress: [],
+  favorites: [],
+  ratings: [],
+  recommendationSets: [],
 };
 
-// Initialize local admin user for development
-async function initLocalAdminUser() {
-  const adminEmail = "admin@nirvaha.com";
-  const adminExists = localDB.users.find((u) => u.email === adminEmail);
-
-  if (!adminExists) {
-    const adminPassword = "N1rv@h@Adm!n#2025@Secure";
-    const hashedPassword = await bcrypt.hash(adminPassword, 12);
-
-    localDB.users.push({
-      id: uuidv4(),
-      name: "Nirvaha Administrator",
-      email: adminEmail,
-      password: hashedPassword,
-      role: "admin",
-      profile: {
-        mobile: "+1-ADMIN-001",
-        age: "",
-        gender: "Not Specified",
-        address: "Nirvaha Headquarters",
-        education: "Administrator",
-        healthCondition: "Not Applicable",
-      },
-    });
-
-    console.log("✓ Local admin user initialized for development");
-  }
-}
-
 async function connectMongo() {
   if (!MONGODB_URI) {
     console.warn(
@@ -173,13 +203,15 @@ const meditationSchema = new mongoose.Schema(
     level: { type: String, default: "" },
     category: { type: String, default: "" },
     description: { type: String, default: "" },
-    status: { type: String, default: "Draft" },
+    ...editorialSchemaFields,
+    ...ratingSchemaFields,
     thumbnailUrl: { type: String, default: "" },
     bannerUrl: { type: String, default: "" },
     audioUrl: { type: String, default: "" },
   },
   { timestamps: true },
 );
+meditationSchema.index(...catalogTextIndex("meditations"));
 
 const soundSchema = new mongoose.Schema(
   {
@@ -190,7 +222,8 @@ const soundSchema = new mongoose.Schema(
     duration: { type: Number, required: true },
     category: { type: String, default: "" },
     description: { type: String, default: "" },
-    status: { type: String, default: "Draft" },
+    ...editorialSchemaFields,
+    ...ratingSchemaFields,
     thumbnailUrl: { type: String, default: "" },
     bannerUrl: { type: String, default: "" },
     audioUrl: { type: String, default: "" },
@@ -198,10 +231,12 @@ const soundSchema = new mongoose.Schema(
   },
   { timestamps: true },
 );
+soundSchema.index(...catalogTextIndex("sounds"));
 
 const companionApplicationSchema = new mongoose.Schema(
   {
     id: { type: String, default: uuidv4, unique: true, index: true },
+    userId: { type: String, default: "", index: true },
     fullName: { type: String, required: true },
     email: { type: String, required: true },
     phone: { type: String, default: "" },
@@ -306,7 +341,37 @@ const userSchema = new mongoose.Schema(
     name: { type: String, required: true },
     email: { type: String, required: true, unique: true, index: true },
     password: { type: String, required: true },
-    role: { type: String, enum: ["user", "admin"], default: "user" },
+    role: { type: String, enum: ROLES, default: "user" },
+    passwordChangedAt: { type: Date, default: null },
+    emailVerified: { type: Boolean, default: false },
+    emailVerifiedAt: { type: Date, default: null },
+    status: { type: String, enum: USER_STATUSES, default: "active" },
+    suspendedAt: { type: Date, default: null },
+    suspendedReason: { type: String, default: "" },
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null, index: true },
+    deletionRequestedBy: { type: String, default: null },
+    // External OpenID Connect logins linked to this account
+    identities: {
+      type: [
+        {
+          _id: false,
+          provider: { type: String, required: true },
+          subject: { type: String, required: true },
+          email: { type: String, default: "" },
+          linkedAt: { type: Date, default: Date.now },
+        },
+      ],
+      default: [],
+    },
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null },
+      pendingSecret: { type: String, default: null },
+      recoveryCodes: { type: [String], default: [] },
+      lastUsedStep: { type: Number, default: 0 },
+      enabledAt: { type: Date, default: null },
+    },
     profile: {
       mobile: { type: String, default: "" },
       age: { type: String, default: "" },
@@ -319,8 +384,17 @@ const userSchema = new mongoose.Schema(
   { timestamps: true },
 );
 
+// mobile, address and healthCondition are encrypted at rest
+userSchema.plugin(profileEncryptionPlugin);
+
 const User = mongoose.model("User", userSchema);
 
+// Admins created with scripts/manage_admins.js while running without Mongo
+function loadStoredAdmins() {
+  if (mongoConnected) return;
+  console.log(`✓ Loaded ${loadLocalAdmins(localDB)} local admin(s)`);
+}
+
 async function seedMongo() {
   // Skip seeding if MongoDB not connected
   if (!mongoConnected) {
@@ -328,48 +402,13 @@ async function seedMongo() {
     return;
   }
 
-  // Seed default admin user
-  const adminEmail = "admin@nirvaha.com";
-  const adminExists = await User.findOne({ email: adminEmail });
-
-  if (!adminExists) {
-    const adminPassword = "N1rv@h@Adm!n#2025@Secure"; // Strong default password
-    const hashedPassword = await bcrypt.hash(adminPassword, 12); // Higher salt rounds for security
-
-    const adminUser = new User({
-      id: uuidv4(),
-      name: "Nirvaha Administrator",
-      email: adminEmail,
-      password: hashedPassword,
-      role: "admin",
-      profile: {
-        mobile: "+1-ADMIN-001",
-        age: "",
-        gender: "Not Specified",
-        address: "Nirvaha Headquarters",
-        education: "Administrator",
-        healthCondition: "Not Applicable",
-      },
-    });
-
-    await adminUser.save();
-    console.log("✓ Default admin user created successfully");
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log("📧 ADMIN CREDENTIALS:");
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log(`Email:    ${adminEmail}`);
-    console.log(`Password: ${adminPassword}`);
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-    console.log("⚠️  IMPORTANT: Change this password immediately!");
-    console.log("⚠️  This is a TEMPORARY credential for development.");
-    console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
-  }
-
   const meditationCount = await Meditation.countDocuments();
   // Sample meditation data removed - admin panel starts empty
 
   const soundCount = await Sound.countDocuments();
   // Sample sound data removed - admin panel starts empty
+
+  await ratings.backfill();
 }
 
 // Socket.IO connection handling
@@ -400,18 +439,208 @@ app.use(express.urlencoded({ extended: true }));
 // Make io accessible to routes
 app.set("io", io);
 
-app.use("/uploads", express.static(UPLOADS_DIR));
-
 // ============================================
 // AUTHENTICATION ROUTES
 // ============================================
 const JWT_SECRET =
   process.env.JWT_SECRET || "nirvaha-secret-key-please-change-in-production";
 
+// Audio is streamed through signed, expiring URLs; /uploads serves images
+const streaming = createStreaming({
+  secret: process.env.STREAM_URL_SECRET || JWT_SECRET,
+  storage: fileStorage,
+});
+app.use(AUDIO_URL_ROUTES, streaming.audioUrls);
+app.use("/uploads", streaming.publicUploads);
+app.use(streaming.router);
+
+const db = { localDB, isMongo: () => mongoConnected };
+const users = createUserStore({ ...db, User });
+const sessions = createSessionStore(db);
+const auth = createAuth({ jwtSecret: JWT_SECRET, sessions, users });
+const { requireAuth, requireAdmin } = auth;
+
+// Append-only, hash-chained record of admin actions
+const audit = createAuditLog({ ...db, auth });
+app.use(audit.router);
+
+const tokens = createOneTimeTokenStore(db);
+const mailer = createMailer();
+
+// First-admin setup status (admins are created with scripts/manage_admins.js)
+const adminSetup = createAdminSetup({ users });
+app.use(adminSetup.router);
+
+// Refresh, logout and session management
+app.use(createSessionRoutes({ auth, sessions, users }));
+
+// Forgot, reset and change password
+app.use(createPasswordRoutes({ auth, users, sessions, tokens, mailer }));
+
+// Email verification
+const verification = createEmailVerification({ auth, users, tokens, mailer });
+app.use(verification.router);
+
+// TOTP second factor, mandatory for admins
+const loginThrottle = createLoginThrottle(db);
+const twoFactor = createTwoFactor({
+  jwtSecret: JWT_SECRET,
+  auth,
+  users,
+  throttle: loginThrottle,
+});
+app.use(twoFactor.router);
+
+// Sign in with external OpenID Connect providers (OIDC_PROVIDERS)
+app.use(createOidcLogin({ ...db, users, tokens, twoFactor }).router);
+
+// Brute-force protection: lock inspection and admin unlock
+app.use(
+  createLoginThrottleRoutes({ auth, audit, throttle: loginThrottle, users }),
+);
+
+// Admin user management
+app.use(
+  createAdminUserRoutes({
+    ...db,
+    auth,
+    audit,
+    users,
+    sessions,
+    models: { MarketplaceRequest, CompanionApplication },
+  }),
+);
+
+// Which account uploaded which file, with checksums and audio metadata
+const uploads = createUploadStore({ ...db, storage: fileStorage });
+// Curated collections and personal playlists of meditations and sounds
+const collections = createCollections({
+  ...db,
+  auth,
+  audit,
+  models: { meditation: Meditation, sound: Sound },
+});
+app.use(collections.router);
+
+// Multi-day programs of meditations with enrollment and progress
+const programs = createPrograms({
+  ...db,
+  auth,
+  audit,
+  users,
+  models: { Meditation },
+});
+app.use(programs.router);
+
+// Play events, listening history and resume positions
+const listening = createListening({
+  ...db,
+  auth,
+  models: { meditation: Meditation, sound: Sound },
+});
+app.use(listening.router);
+
+// Favorites, the library built from them and offline download manifests
+const favorites = createFavorites({
+  ...db,
+  auth,
+  uploads,
+  models: {
+    meditation: Meditation,
+    sound: Sound,
+    companion: CompanionApplication,
+    marketplaceItem: MarketplaceItem,
+  },
+});
+app.use(favorites.router);
+
+// Star ratings and reviews of meditations and sounds, with moderation
+const ratings = createRatings({
+  ...db,
+  auth,
+  audit,
+  users,
+  models: { meditation: Meditation, sound: Sound },
+});
+app.use(ratings.router);
+
+// Personalized, explained recommendations, precomputed nightly
+const recommendations = createRecommendations({
+  ...db,
+  auth,
+  models: { meditation: Meditation, sound: Sound },
+});
+app.use(recommendations.router);
+
+// Personal data export (JSON or zipped CSV with uploaded files)
+const dataExport = createDataExport({
+  ...db,
+  auth,
+  users,
+  uploads,
+  models: { MarketplaceRequest, MarketplaceItem, CompanionApplication },
+  storage: fileStorage,
+  sources: [
+    {
+      name: "collections",
+      collect: (user) => collections.listByOwner(user.id),
+    },
+    {
+      name: "programEnrollments",
+      collect: (user) => programs.listByUser(user.id),
+    },
+    {
+      name: "listeningHistory",
+      collect: (user) => listening.listByUser(user.id),
+    },
+    {
+      name: "resumePositions",
+      collect: (user) => listening.listPositionsByUser(user.id),
+    },
+    {
+      name: "favorites",
+      collect: (user) => favorites.listByUser(user.id),
+    },
+    {
+      name: "ratings",
+      collect: (user) => ratings.listByUser(user.id),
+    },
+  ],
+});
+app.use(dataExport.router);
+
+// Account deletion with grace period, anonymization and tombstones
+const accountDeletion = createAccountDeletion({
+  ...db,
+  auth,
+  audit,
+  users,
+  uploads,
+  models: { User, MarketplaceRequest, MarketplaceItem, CompanionApplication },
+  storage: fileStorage,
+  purgers: [
+    sessions.purge,
+    tokens.purge,
+    dataExport.purge,
+    collections.purgeUser,
+    programs.purgeUser,
+    listening.purgeUser,
+    favorites.purgeUser,
+    ratings.purgeUser,
+    recommendations.purgeUser,
+    (userId, user) => loginThrottle.unlockAccount(user.email),
+  ],
+});
+app.use(accountDeletion.router);
+
+// Scoped API keys for partner integrations, accepted next to bearer tokens
+const apiKeys = createApiKeys({ ...db, auth, audit });
+app.use(apiKeys.router);
+
 // Register new user
 app.post("/api/auth/register", async (req, res) => {
   try {
-    const { name, email, password, role } = req.body;
+    const { name, email, password } = req.body;
 
     // Validation
     if (!name || !email || !password) {
@@ -443,7 +672,8 @@ app.post("/api/auth/register", async (req, res) => {
       name,
       email: email.toLowerCase(),
       password: hashedPassword,
-      role: role || "user",
+      // Roles are granted by admins only, never chosen at sign-up
+      role: "user",
       profile: {
         mobile: "",
         age: "",
@@ -456,23 +686,27 @@ app.post("/api/auth/register", async (req, res) => {
 
     await newUser.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: newUser.id, email: newUser.email, role: newUser.role },
-      JWT_SECRET,
-      { expiresIn: "7d" },
-    );
+    try {
+      await verification.sendVerification(newUser);
+    } catch (error) {
+      // The user can request a new link, so registration still succeeds
+      console.error("Verification email error:", error);
+    }
+
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await auth.issueTokens(newUser, req);
 
     // Return user data (without password)
     res.status(201).json({
       message: "User registered successfully",
-      token,
+      ...tokens,
       user: {
         id: newUser.id,
         name: newUser.name,
         email: newUser.email,
         role: newUser.role,
-        profile: newUser.profile,
+        emailVerified: newUser.emailVerified,
+        profile: decryptProfile(newUser.profile),
       },
     });
   } catch (error) {
@@ -482,7 +716,7 @@ app.post("/api/auth/register", async (req, res) => {
 });
 
 // Login user
-app.post("/api/auth/login", async (req, res) => {
+app.post("/api/auth/login", loginThrottle.guard, async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -497,45 +731,57 @@ app.post("/api/auth/login", async (req, res) => {
     if (!mongoConnected) {
       user = localDB.users.find((u) => u.email === email.toLowerCase());
       if (!user) {
-        return res.status(401).json({ error: "Invalid email or password" });
+        return loginThrottle.rejectLogin(req, res);
       }
 
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
-        return res.status(401).json({ error: "Invalid email or password" });
+        return loginThrottle.rejectLogin(req, res);
       }
     } else {
       // Use MongoDB database
       user = await User.findOne({ email: email.toLowerCase() });
       if (!user) {
-        return res.status(401).json({ error: "Invalid email or password" });
+        return loginThrottle.rejectLogin(req, res);
       }
 
       // Verify password
       const isPasswordValid = await bcrypt.compare(password, user.password);
       if (!isPasswordValid) {
-        return res.status(401).json({ error: "Invalid email or password" });
+        return loginThrottle.rejectLogin(req, res);
       }
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user.id, email: user.email, role: user.role },
-      JWT_SECRET,
-      { expiresIn: "7d" },
-    );
+    if (isSuspended(user)) {
+      return res
+        .status(403)
+        .json({ error: "Account suspended", code: "ACCOUNT_SUSPENDED" });
+    }
+
+    // Accounts with 2FA get a challenge instead of tokens. The failure
+    // counter is only cleared once the login is complete, so a known
+    // password cannot reset the lockout for second-factor guesses.
+    const challenge = twoFactor.challengeFor(user);
+    if (challenge) {
+      return res.status(200).json(challenge);
+    }
+    await loginThrottle.recordSuccess({ email });
+
+    // Start a session: short-lived access token plus refresh token
+    const tokens = await auth.issueTokens(user, req);
 
     // Return user data (without password)
     res.status(200).json({
       message: "Login successful",
-      token,
+      ...tokens,
       user: {
         id: user.id,
         name: user.name,
         email: user.email,
         role: user.role,
-        profile: user.profile,
+        emailVerified: Boolean(user.emailVerified),
+        profile: decryptProfile(user.profile),
       },
     });
   } catch (error) {
@@ -548,28 +794,39 @@ app.post("/api/auth/login", async (req, res) => {
 // END AUTHENTICATION ROUTES
 // ============================================
 
-app.post("/api/upload", upload.single("file"), (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
-    }
+app.post(
+  "/api/upload",
+  requireAuth,
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
 
-    const fileUrl = `/uploads/${req.file.filename}`;
-    res.json({
-      success: true,
-      url: fileUrl,
-      filename: req.file.filename,
-      originalName: req.file.originalname,
-      mimetype: req.file.mimetype,
-      size: req.file.size,
-    });
-  } catch (error) {
-    console.error("Upload error:", error);
-    res
-      .status(500)
-      .json({ error: "File upload failed", message: error.message });
-  }
-});
+      // Ownership record, used by the personal data export, with the
+      // metadata read from audio files
+      const recorded = await uploads.record(req.user.id, req.file);
+
+      const fileUrl = `/uploads/${req.file.filename}`;
+      res.json({
+        success: true,
+        id: recorded.id,
+        url: fileUrl,
+        filename: req.file.filename,
+        originalName: req.file.originalname,
+        mimetype: req.file.mimetype,
+        size: req.file.size,
+        ...(recorded.audio !== undefined ? { audio: recorded.audio } : {}),
+      });
+    } catch (error) {
+      console.error("Upload error:", error);
+      res
+        .status(500)
+        .json({ error: "File upload failed", message: error.message });
+    }
+  },
+);
 
 app.get("/api/health", (req, res) => {
   res.json({ ok: true });
@@ -622,7 +879,7 @@ function getItemAmount(item) {
   return 0;
 }
 
-app.get("/api/analytics", async (req, res) => {
+app.get("/api/analytics", requireAdmin, async (req, res) => {
   try {
     const range = typeof req.query.range === "string" ? req.query.range : "7d";
     const days = parseRangeDays(range);
@@ -636,20 +893,36 @@ app.get("/api/analytics", async (req, res) => {
     let usersInRange = [];
     let baseUserCount = 0;
 
+    // Deleted accounts keep counting as past signups through their tombstones
     if (!mongoConnected) {
-      const users = localDB.users.map((user) => ({
-        createdAt: user.createdAt ? new Date(user.createdAt) : new Date(),
+      const users = [
+        ...localDB.users.map((user) => user.createdAt),
+        ...localDB.deletedAccounts.map((account) => account.signedUpAt),
+      ].map((createdAt) => ({
+        createdAt: createdAt ? new Date(createdAt) : new Date(),
       }));
       baseUserCount = users.filter((u) => u.createdAt < start).length;
       usersInRange = users.filter(
         (u) => u.createdAt >= start && u.createdAt <= end,
       );
     } else {
-      baseUserCount = await User.countDocuments({ createdAt: { $lt: start } });
-      usersInRange = await User.find(
-        { createdAt: { $gte: start, $lte: end } },
-        { createdAt: 1 },
-      ).lean();
+      const [liveBefore, deletedBefore, live, deleted] = await Promise.all([
+        User.countDocuments({ createdAt: { $lt: start } }),
+        DeletedAccount.countDocuments({ signedUpAt: { $lt: start } }),
+        User.find(
+          { createdAt: { $gte: start, $lte: end } },
+          { createdAt: 1 },
+        ).lean(),
+        DeletedAccount.find(
+          { signedUpAt: { $gte: start, $lte: end } },
+          { signedUpAt: 1 },
+        ).lean(),
+      ]);
+      baseUserCount = liveBefore + deletedBefore;
+      usersInRange = [
+        ...live,
+        ...deleted.map((account) => ({ createdAt: account.signedUpAt })),
+      ];
     }
 
     const userCounts = usersInRange.reduce((acc, item) => {
@@ -765,6 +1038,9 @@ app.get("/api/analytics", async (req, res) => {
         totalUsers: mongoConnected
           ? await User.countDocuments()
           : localDB.users.length,
+        deletedUsers: mongoConnected
+          ? await DeletedAccount.countDocuments()
+          : localDB.deletedAccounts.length,
         activeSessions,
         totalBookings,
         revenueMTD,
@@ -828,7 +1104,7 @@ function toPublicCompanion(app) {
   };
 }
 
-app.get("/api/companion-applications", async (req, res) => {
+app.get("/api/companion-applications", requireAdmin, async (req, res) => {
   const { status } = req.query;
   const filter = {};
   if (status && status !== "all") {
@@ -841,7 +1117,7 @@ app.get("/api/companion-applications", async (req, res) => {
   res.json(applications.map(toAdminCompanion));
 });
 
-app.get("/api/companion-applications/:id", async (req, res) => {
+app.get("/api/companion-applications/:id", requireAdmin, async (req, res) => {
   const { id } = req.params;
   const application = await CompanionApplication.findOne({ id }).lean();
   if (!application) {
@@ -874,75 +1150,82 @@ app.get("/api/companion-applications/:id", async (req, res) => {
   });
 });
 
-app.post("/api/companion-applications", async (req, res) => {
-  const payload = req.body || {};
-  const requiredFields = [
-    "fullName",
-    "email",
-    "phone",
-    "title",
-    "bio",
-    "experience",
-    "location",
-    "languages",
-    "specialties",
-    "hourlyRate",
-    "callRate",
-    "whyJoin",
-  ];
-  const missing = requiredFields.filter((field) => !payload[field]);
-  if (missing.length > 0) {
-    return res.status(400).json({
-      error: "Missing required fields",
-      fields: missing,
-    });
-  }
+app.post(
+  "/api/companion-applications",
+  requireAuth,
+  verification.requireVerifiedEmail("companion-application"),
+  async (req, res) => {
+    const payload = req.body || {};
+    const requiredFields = [
+      "fullName",
+      "phone",
+      "title",
+      "bio",
+      "experience",
+      "location",
+      "languages",
+      "specialties",
+      "hourlyRate",
+      "callRate",
+      "whyJoin",
+    ];
+    const missing = requiredFields.filter((field) => !payload[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: "Missing required fields",
+        fields: missing,
+      });
+    }
 
-  const application = await CompanionApplication.create({
-    fullName: payload.fullName,
-    email: payload.email,
-    phone: payload.phone,
-    title: payload.title,
-    bio: payload.bio,
-    experience: payload.experience,
-    location: payload.location,
-    languages: payload.languages,
-    specialties: payload.specialties,
-    certifications: payload.certifications || "",
-    hourlyRate: Number(payload.hourlyRate) || 0,
-    callRate: Number(payload.callRate) || 0,
-    availability: payload.availability || "",
-    profileImage: payload.profileImage || "",
-    coverImage: payload.coverImage || "",
-    website: payload.website || "",
-    socialLinks: payload.socialLinks || "",
-    whyJoin: payload.whyJoin,
-    status: "pending",
-    submittedAt: new Date(),
-  });
+    // Applications are tied to the caller's verified account address
+    const application = await CompanionApplication.create({
+      userId: req.user.id,
+      fullName: payload.fullName,
+      email: req.user.email,
+      phone: payload.phone,
+      title: payload.title,
+      bio: payload.bio,
+      experience: payload.experience,
+      location: payload.location,
+      languages: payload.languages,
+      specialties: payload.specialties,
+      certifications: payload.certifications || "",
+      hourlyRate: Number(payload.hourlyRate) || 0,
+      callRate: Number(payload.callRate) || 0,
+      availability: payload.availability || "",
+      profileImage: payload.profileImage || "",
+      coverImage: payload.coverImage || "",
+      website: payload.website || "",
+      socialLinks: payload.socialLinks || "",
+      whyJoin: payload.whyJoin,
+      status: "pending",
+      submittedAt: new Date(),
+    });
 
-  // Emit real-time event for admin
-  const io = req.app.get("io");
-  io.emit("new-companion-request", {
-    id: application.id,
-    fullName: application.fullName,
-    email: application.email,
-    title: application.title,
-    status: application.status,
-    submittedAt: application.submittedAt,
-  });
+    // Emit real-time event for admin
+    const io = req.app.get("io");
+    io.emit("new-companion-request", {
+      id: application.id,
+      fullName: application.fullName,
+      email: application.email,
+      title: application.title,
+      status: application.status,
+      submittedAt: application.submittedAt,
+    });
 
-  res.status(201).json({
-    id: application.id,
-    status: application.status,
-    submittedAt: application.submittedAt,
-  });
-});
+    res.status(201).json({
+      id: application.id,
+      status: application.status,
+      submittedAt: application.submittedAt,
+    });
+  },
+);
 
-app.put("/api/companion-applications/:id", async (req, res) => {
+app.put("/api/companion-applications/:id", requireAdmin, async (req, res) => {
   const { id } = req.params;
   const payload = req.body || {};
 
+  const before = await CompanionApplication.findOne({ id }).lean();
   const updated = await CompanionApplication.findOneAndUpdate(
     { id },
     {
@@ -1001,46 +1284,76 @@ app.put("/api/companion-applications/:id", async (req, res) => {
     return res.status(404).json({ error: "application not found" });
   }
 
+  await audit.record(req, {
+    action: "companion-application.update",
+    entityType: "companion-application",
+    entityId: id,
+    before,
+    after: updated,
+  });
   res.json(toAdminCompanion(updated));
 });
 
-app.patch("/api/companion-applications/:id/status", async (req, res) => {
-  const { id } = req.params;
-  const { status } = req.body || {};
-  if (!status) {
-    return res.status(400).json({ error: "status is required" });
-  }
+app.patch(
+  "/api/companion-applications/:id/status",
+  requireAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const { status } = req.body || {};
+    if (!status) {
+      return res.status(400).json({ error: "status is required" });
+    }
 
-  const updated = await CompanionApplication.findOneAndUpdate(
-    { id },
-    { status },
-    { new: true, runValidators: true },
-  );
+    const before = await CompanionApplication.findOne({ id }).lean();
+    const updated = await CompanionApplication.findOneAndUpdate(
+      { id },
+      { status },
+      { new: true, runValidators: true },
+    );
 
-  if (!updated) {
-    return res.status(404).json({ error: "application not found" });
-  }
+    if (!updated) {
+      return res.status(404).json({ error: "application not found" });
+    }
 
-  // Emit real-time status update
-  const io = req.app.get("io");
-  io.emit("request-status-updated", {
-    id: updated.id,
-    status: updated.status,
-    fullName: updated.fullName,
-    updatedAt: updated.updatedAt,
-  });
+    await audit.record(req, {
+      action: "companion-application.status",
+      entityType: "companion-application",
+      entityId: id,
+      before,
+      after: updated,
+    });
 
-  res.json(toAdminCompanion(updated));
-});
+    // Emit real-time status update
+    const io = req.app.get("io");
+    io.emit("request-status-updated", {
+      id: updated.id,
+      status: updated.status,
+      fullName: updated.fullName,
+      updatedAt: updated.updatedAt,
+    });
 
-app.delete("/api/companion-applications/:id", async (req, res) => {
-  const { id } = req.params;
-  const deleted = await CompanionApplication.deleteOne({ id });
-  if (deleted.deletedCount === 0) {
-    return res.status(404).json({ error: "application not found" });
-  }
-  res.json({ ok: true });
-});
+    res.json(toAdminCompanion(updated));
+  },
+);
+
+app.delete(
+  "/api/companion-applications/:id",
+  requireAdmin,
+  async (req, res) => {
+    const { id } = req.params;
+    const deleted = await CompanionApplication.findOneAndDelete({ id }).lean();
+    if (!deleted) {
+      return res.status(404).json({ error: "application not found" });
+    }
+    await audit.record(req, {
+      action: "companion-application.delete",
+      entityType: "companion-application",
+      entityId: id,
+      before: deleted,
+    });
+    res.json({ ok: true });
+  },
+);
 
 app.get("/api/companions", async (req, res) => {
   const approved = await CompanionApplication.find({ status: "approved" })
@@ -1052,81 +1365,192 @@ app.get("/api/companions", async (req, res) => {
   });
 });
 
-app.get("/api/meditations", async (req, res) => {
+// Draft -> In Review -> Scheduled -> Published -> Archived; see
+// lib/editorial.js. Public listings only show published items.
+const editorial = createEditorial({
+  ...db,
+  auth,
+  audit,
+  models: { meditations: Meditation, sounds: Sound, programs: Program },
+});
+app.use(editorial.router);
+
+// Filtered, sorted and cursor-paginated listings; see lib/catalog.js
+const catalog = createCatalog({
+  ...db,
+  models: { meditations: Meditation, sounds: Sound },
+});
+
+// Every listing is paginated, with the default page size when no limit is
+// given. Only the admin routes can still ask for everything with ?all=true.
+async function listCatalog(kind, req, res, toResponse, scope) {
+  const result = await catalog.list(kind, req.query, scope);
+  if (result.error) {
+    return res.status(400).json({ error: result.error });
+  }
+  res.json({ ...result, items: result.items.map(toResponse) });
+}
+
+function toMeditationResponse(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    duration: item.duration,
+    level: item.level || "",
+    category: item.category || "",
+    description: item.description || "",
+    status: currentStatus(item),
+    publishAt: item.publishAt || null,
+    unpublishAt: item.unpublishAt || null,
+    ratingAverage: item.ratingAverage || 0,
+    ratingCount: item.ratingCount || 0,
+    thumbnailUrl: item.thumbnailUrl || "",
+    bannerUrl: item.bannerUrl || "",
+    audioUrl: item.audioUrl || "",
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+function toSoundResponse(item) {
+  return {
+    id: item.id,
+    title: item.title,
+    artist: item.artist || "",
+    frequency: item.frequency || "",
+    duration: item.duration,
+    category: item.category || "",
+    description: item.description || "",
+    status: currentStatus(item),
+    publishAt: item.publishAt || null,
+    unpublishAt: item.unpublishAt || null,
+    ratingAverage: item.ratingAverage || 0,
+    ratingCount: item.ratingCount || 0,
+    thumbnailUrl: item.thumbnailUrl || "",
+    bannerUrl: item.bannerUrl || "",
+    audioUrl: item.audioUrl || "",
+    mood: Array.isArray(item.mood) ? item.mood : [],
+    createdAt: item.createdAt,
+    updatedAt: item.updatedAt,
+  };
+}
+
+// Signed-in callers and API keys get signed audio URLs
+app.get(
+  "/api/meditations",
+  apiKeys.allow("catalog:read", auth.optionalAuth),
+  async (req, res) => {
+    try {
+      await listCatalog(
+        "meditations",
+        req,
+        res,
+        toMeditationResponse,
+        editorial.publicScope(),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// Every item whatever its status, with the review details
+app.get("/api/admin/meditations", requireAdmin, async (req, res) => {
+  const toAdminResponse = (item) => ({
+    ...toMeditationResponse(item),
+    ...reviewDetails(item),
+  });
   try {
+    if (req.query.all !== "true") {
+      return await listCatalog("meditations", req, res, toAdminResponse, {});
+    }
     if (!mongoConnected) {
-      // Return local database meditations
-      return res.json(localDB.meditations || []);
+      return res.json((localDB.meditations || []).map(toAdminResponse));
     }
 
     const meditations = await Meditation.find().sort({ createdAt: -1 }).lean();
-    res.json(
-      meditations.map((item) => ({
-        id: item.id,
-        title: item.title,
-        duration: item.duration,
-        level: item.level || "",
-        category: item.category || "",
-        description: item.description || "",
-        status: item.status || "Draft",
-        thumbnailUrl: item.thumbnailUrl || "",
-        bannerUrl: item.bannerUrl || "",
-        audioUrl: item.audioUrl || "",
-        createdAt: item.createdAt,
-        updatedAt: item.updatedAt,
-      })),
-    );
+    res.json(meditations.map(toAdminResponse));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/meditations", async (req, res) => {
-  const {
-    title,
-    duration,
-    level,
-    category,
-    description,
-    status,
-    thumbnailUrl,
-    audioUrl,
-    bannerUrl,
-  } = req.body || {};
-
-  if (!title || typeof duration !== "number") {
-    return res.status(400).json({ error: "title and duration are required" });
+// Duration (whole minutes, at least 1) and artist read from the audio
+// upload an item references by `uploadId`, or else by `audioUrl`, plus the
+// upload's URL. Returns { error } when `uploadId` names no upload.
+async function uploadedAudioDefaults({ uploadId, audioUrl }) {
+  if (!uploadId && !audioUrl) return {};
+  const upload = await uploads.findAudio({ id: uploadId, url: audioUrl });
+  if (!upload) {
+    return uploadId ? { error: "upload not found" } : {};
   }
+  const audio = upload.audio || {};
+  return {
+    audioUrl: upload.url,
+    ...(audio.durationSeconds
+      ? { duration: Math.max(1, Math.round(audio.durationSeconds / 60)) }
+      : {}),
+    ...(audio.artist ? { artist: audio.artist } : {}),
+  };
+}
 
-  const created = await Meditation.create({
-    title,
-    duration,
-    level: level || "",
-    category: category || "",
-    description: description || "",
-    status: status || "Draft",
-    thumbnailUrl: thumbnailUrl || "",
-    audioUrl: audioUrl || "",
-    bannerUrl: bannerUrl || "",
-  });
+app.post("/api/meditations", requireAdmin, async (req, res) => {
+  try {
+    const {
+      title,
+      level,
+      category,
+      description,
+      status,
+      thumbnailUrl,
+      bannerUrl,
+    } = req.body || {};
+    const uploaded = await uploadedAudioDefaults(req.body || {});
+    if (uploaded.error) {
+      return res.status(400).json({ error: uploaded.error });
+    }
+    const duration =
+      typeof req.body?.duration === "number"
+        ? req.body.duration
+        : uploaded.duration;
+    const audioUrl = req.body?.audioUrl || uploaded.audioUrl;
+
+    if (!title || typeof duration !== "number") {
+      return res.status(400).json({ error: "title and duration are required" });
+    }
+    if (status !== undefined && status !== "Draft") {
+      return res.status(400).json({
+        error:
+          "New meditations start as Draft; use PATCH /api/meditations/:id/status",
+      });
+    }
 
-  res.status(201).json({
-    id: created.id,
-    title: created.title,
-    duration: created.duration,
-    level: created.level || "",
-    category: created.category || "",
-    description: created.description || "",
-    status: created.status || "Draft",
-    thumbnailUrl: created.thumbnailUrl || "",
-    bannerUrl: created.bannerUrl || "",
-    audioUrl: created.audioUrl || "",
-    createdAt: created.createdAt,
-    updatedAt: created.updatedAt,
-  });
+    const created = await Meditation.create({
+      title,
+      duration,
+      level: level || "",
+      category: category || "",
+      description: description || "",
+      thumbnailUrl: thumbnailUrl || "",
+      audioUrl: audioUrl || "",
+      bannerUrl: bannerUrl || "",
+    });
+    await audit.record(req, {
+      action: "meditation.create",
+      entityType: "meditation",
+      entityId: created.id,
+      after: created,
+    });
+
+    res
+      .status(201)
+      .json({ ...toMeditationResponse(created), ...reviewDetails(created) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.put("/api/meditations/:id", async (req, res) => {
+app.put("/api/meditations/:id", requireAdmin, async (req, res) => {
   const { id } = req.params;
   const {
     title,
@@ -1140,6 +1564,12 @@ app.put("/api/meditations/:id", async (req, res) => {
     bannerUrl,
   } = req.body || {};
 
+  const before = await Meditation.findOne({ id }).lean();
+  if (before && status !== undefined && status !== currentStatus(before)) {
+    return res.status(400).json({
+      error: "Change the status with PATCH /api/meditations/:id/status",
+    });
+  }
   const updated = await Meditation.findOneAndUpdate(
     { id },
     {
@@ -1148,7 +1578,6 @@ app.put("/api/meditations/:id", async (req, res) => {
       ...(level !== undefined ? { level } : {}),
       ...(category !== undefined ? { category } : {}),
       ...(description !== undefined ? { description } : {}),
-      ...(status !== undefined ? { status } : {}),
       ...(thumbnailUrl !== undefined ? { thumbnailUrl } : {}),
       ...(audioUrl !== undefined ? { audioUrl } : {}),
       ...(bannerUrl !== undefined ? { bannerUrl } : {}),
@@ -1159,115 +1588,140 @@ app.put("/api/meditations/:id", async (req, res) => {
   if (!updated) {
     return res.status(404).json({ error: "meditation not found" });
   }
-
-  res.json({
-    id: updated.id,
-    title: updated.title,
-    duration: updated.duration,
-    level: updated.level || "",
-    category: updated.category || "",
-    description: updated.description || "",
-    status: updated.status || "Draft",
-    thumbnailUrl: updated.thumbnailUrl || "",
-    bannerUrl: updated.bannerUrl || "",
-    audioUrl: updated.audioUrl || "",
-    createdAt: updated.createdAt,
-    updatedAt: updated.updatedAt,
+  await audit.record(req, {
+    action: "meditation.update",
+    entityType: "meditation",
+    entityId: id,
+    before,
+    after: updated,
   });
+
+  res.json({ ...toMeditationResponse(updated), ...reviewDetails(updated) });
 });
 
-app.delete("/api/meditations/:id", async (req, res) => {
+app.delete("/api/meditations/:id", requireAdmin, async (req, res) => {
   const { id } = req.params;
-  const deleted = await Meditation.deleteOne({ id });
-  if (deleted.deletedCount === 0) {
+  const usedBy = await programs.programsUsing(id);
+  if (usedBy.length > 0) {
+    return res.status(409).json({
+      error: `meditation is part of program(s): ${usedBy.map((p) => p.title).join(", ")}`,
+    });
+  }
+  const deleted = await Meditation.findOneAndDelete({ id }).lean();
+  if (!deleted) {
     return res.status(404).json({ error: "meditation not found" });
   }
+  await collections.removeTrack("meditation", id);
+  await ratings.removeItem("meditation", id);
+  await audit.record(req, {
+    action: "meditation.delete",
+    entityType: "meditation",
+    entityId: id,
+    before: deleted,
+  });
   res.json({ ok: true });
 });
 
-app.get("/api/sounds", async (req, res) => {
+// Signed-in callers and API keys get signed audio URLs
+app.get(
+  "/api/sounds",
+  apiKeys.allow("catalog:read", auth.optionalAuth),
+  async (req, res) => {
+    try {
+      await listCatalog(
+        "sounds",
+        req,
+        res,
+        toSoundResponse,
+        editorial.publicScope(),
+      );
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
+
+// Every item whatever its status, with the review details
+app.get("/api/admin/sounds", requireAdmin, async (req, res) => {
+  const toAdminResponse = (item) => ({
+    ...toSoundResponse(item),
+    ...reviewDetails(item),
+  });
   try {
+    if (req.query.all !== "true") {
+      return await listCatalog("sounds", req, res, toAdminResponse, {});
+    }
     if (!mongoConnected) {
-      // Return local database sounds
-      return res.json(localDB.sounds || []);
+      return res.json((localDB.sounds || []).map(toAdminResponse));
     }
 
     const sounds = await Sound.find().sort({ createdAt: -1 }).lean();
-    res.json(
-      sounds.map((item) => ({
-        id: item.id,
-        title: item.title,
-        artist: item.artist || "",
-        frequency: item.frequency || "",
-        duration: item.duration,
-        category: item.category || "",
-        description: item.description || "",
-        status: item.status || "Draft",
-        thumbnailUrl: item.thumbnailUrl || "",
-        bannerUrl: item.bannerUrl || "",
-        audioUrl: item.audioUrl || "",
-        mood: Array.isArray(item.mood) ? item.mood : [],
-        createdAt: item.createdAt,
-        updatedAt: item.updatedAt,
-      })),
-    );
+    res.json(sounds.map(toAdminResponse));
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-app.post("/api/sounds", async (req, res) => {
-  const {
-    title,
-    artist,
-    frequency,
-    duration,
-    category,
-    description,
-    status,
-    thumbnailUrl,
-    audioUrl,
-    bannerUrl,
-    mood,
-  } = req.body || {};
-
-  if (!title || typeof duration !== "number") {
-    return res.status(400).json({ error: "title and duration are required" });
-  }
+app.post("/api/sounds", requireAdmin, async (req, res) => {
+  try {
+    const {
+      title,
+      frequency,
+      category,
+      description,
+      status,
+      thumbnailUrl,
+      bannerUrl,
+      mood,
+    } = req.body || {};
+    const uploaded = await uploadedAudioDefaults(req.body || {});
+    if (uploaded.error) {
+      return res.status(400).json({ error: uploaded.error });
+    }
+    const duration =
+      typeof req.body?.duration === "number"
+        ? req.body.duration
+        : uploaded.duration;
+    const audioUrl = req.body?.audioUrl || uploaded.audioUrl;
+    const artist = req.body?.artist || uploaded.artist;
+
+    if (!title || typeof duration !== "number") {
+      return res.status(400).json({ error: "title and duration are required" });
+    }
+    if (status !== undefined && status !== "Draft") {
+      return res.status(400).json({
+        error: "New sounds start as Draft; use PATCH /api/sounds/:id/status",
+      });
+    }
 
-  const created = await Sound.create({
-    title,
-    artist: artist || "",
-    frequency: frequency || "",
-    duration,
-    category: category || "",
-    description: description || "",
-    status: status || "Draft",
-    thumbnailUrl: thumbnailUrl || "",
-    audioUrl: audioUrl || "",
-    bannerUrl: bannerUrl || "",
-    mood: Array.isArray(mood) ? mood : [],
-  });
+    const created = await Sound.create({
+      title,
+      artist: artist || "",
+      frequency: frequency || "",
+      duration,
+      category: category || "",
+      description: description || "",
+      thumbnailUrl: thumbnailUrl || "",
+      audioUrl: audioUrl || "",
+      bannerUrl: bannerUrl || "",
+      mood: Array.isArray(mood) ? mood : [],
+    });
+    await audit.record(req, {
+      action: "sound.create",
+      entityType: "sound",
+      entityId: created.id,
+      after: created,
+    });
 
-  res.status(201).json({
-    id: created.id,
-    title: created.title,
-    artist: created.artist || "",
-    frequency: created.frequency || "",
-    duration: created.duration,
-    category: created.category || "",
-    description: created.description || "",
-    status: created.status || "Draft",
-    thumbnailUrl: created.thumbnailUrl || "",
-    bannerUrl: created.bannerUrl || "",
-    audioUrl: created.audioUrl || "",
-    mood: Array.isArray(created.mood) ? created.mood : [],
-    createdAt: created.createdAt,
-    updatedAt: created.updatedAt,
-  });
+    res
+      .status(201)
+      .json({ ...toSoundResponse(created), ...reviewDetails(created) });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
 });
 
-app.put("/api/sounds/:id", async (req, res) => {
+app.put("/api/sounds/:id", requireAdmin, async (req, res) => {
   const { id } = req.params;
   const {
     title,
@@ -1283,6 +1737,12 @@ app.put("/api/sounds/:id", async (req, res) => {
     mood,
   } = req.body || {};
 
+  const before = await Sound.findOne({ id }).lean();
+  if (before && status !== undefined && status !== currentStatus(before)) {
+    return res
+      .status(400)
+      .json({ error: "Change the status with PATCH /api/sounds/:id/status" });
+  }
   const updated = await Sound.findOneAndUpdate(
     { id },
     {
@@ -1292,7 +1752,6 @@ app.put("/api/sounds/:id", async (req, res) => {
       ...(typeof duration === "number" ? { duration } : {}),
       ...(category !== undefined ? { category } : {}),
       ...(description !== undefined ? { description } : {}),
-      ...(status !== undefined ? { status } : {}),
       ...(thumbnailUrl !== undefined ? { thumbnailUrl } : {}),
       ...(audioUrl !== undefined ? { audioUrl } : {}),
       ...(bannerUrl !== undefined ? { bannerUrl } : {}),
@@ -1304,41 +1763,53 @@ app.put("/api/sounds/:id", async (req, res) => {
   if (!updated) {
     return res.status(404).json({ error: "sound not found" });
   }
-
-  res.json({
-    id: updated.id,
-    title: updated.title,
-    artist: updated.artist || "",
-    frequency: updated.frequency || "",
-    duration: updated.duration,
-    category: updated.category || "",
-    description: updated.description || "",
-    status: updated.status || "Draft",
-    thumbnailUrl: updated.thumbnailUrl || "",
-    bannerUrl: updated.bannerUrl || "",
-    audioUrl: updated.audioUrl || "",
-    mood: Array.isArray(updated.mood) ? updated.mood : [],
-    createdAt: updated.createdAt,
-    updatedAt: updated.updatedAt,
+  await audit.record(req, {
+    action: "sound.update",
+    entityType: "sound",
+    entityId: id,
+    before,
+    after: updated,
   });
+
+  res.json({ ...toSoundResponse(updated), ...reviewDetails(updated) });
 });
 
-app.delete("/api/sounds/:id", async (req, res) => {
+app.delete("/api/sounds/:id", requireAdmin, async (req, res) => {
   const { id } = req.params;
-  const deleted = await Sound.deleteOne({ id });
-  if (deleted.deletedCount === 0) {
+  const deleted = await Sound.findOneAndDelete({ id }).lean();
+  if (!deleted) {
     return res.status(404).json({ error: "sound not found" });
   }
+  await collections.removeTrack("sound", id);
+  await ratings.removeItem("sound", id);
+  await audit.record(req, {
+    action: "sound.delete",
+    entityType: "sound",
+    entityId: id,
+    before: deleted,
+  });
   res.json({ ok: true });
 });
 
 // Admin endpoint to clear all data (for development)
-app.post("/api/admin/clear-data", async (req, res) => {
+app.post("/api/admin/clear-data", requireAdmin, async (req, res) => {
   try {
     if (!mongoConnected) {
       // Clear local database
+      const before = {
+        meditations: localDB.meditations.length,
+        sounds: localDB.sounds.length,
+      };
       localDB.meditations = [];
       localDB.sounds = [];
+      await collections.clearTracks();
+      await ratings.clearItems();
+      await audit.record(req, {
+        action: "catalog.clear",
+        entityType: "catalog",
+        before,
+        after: { meditations: 0, sounds: 0 },
+      });
       console.log("✓ Local database cleared");
       return res.json({
         message: "All data cleared successfully",
@@ -1347,8 +1818,19 @@ app.post("/api/admin/clear-data", async (req, res) => {
     }
 
     // Clear MongoDB collections
-    await Meditation.deleteMany({});
-    await Sound.deleteMany({});
+    const meditations = await Meditation.deleteMany({});
+    const sounds = await Sound.deleteMany({});
+    await collections.clearTracks();
+    await ratings.clearItems();
+    await audit.record(req, {
+      action: "catalog.clear",
+      entityType: "catalog",
+      before: {
+        meditations: meditations.deletedCount,
+        sounds: sounds.deletedCount,
+      },
+      after: { meditations: 0, sounds: 0 },
+    });
     console.log("✓ MongoDB collections cleared");
 
     res.json({ message: "All data cleared successfully", dataCleared: true });
@@ -1396,7 +1878,7 @@ app.get("/api/content/:key", async (req, res) => {
 });
 
 // Get all content items for admin
-app.get("/api/content-admin/all", async (req, res) => {
+app.get("/api/content-admin/all", requireAdmin, async (req, res) => {
   try {
     const content = await Content.find().sort({ section: 1, key: 1 });
     res.json(content);
@@ -1406,10 +1888,11 @@ app.get("/api/content-admin/all", async (req, res) => {
 });
 
 // Create or update content (admin)
-app.put("/api/content/:key", async (req, res) => {
+app.put("/api/content/:key", requireAdmin, async (req, res) => {
   try {
     const { value, type, section, description } = req.body;
 
+    const before = await Content.findOne({ key: req.params.key }).lean();
     const content = await Content.findOneAndUpdate(
       { key: req.params.key },
       {
@@ -1420,6 +1903,13 @@ app.put("/api/content/:key", async (req, res) => {
       },
       { new: true, upsert: true },
     );
+    await audit.record(req, {
+      action: before ? "content.update" : "content.create",
+      entityType: "content",
+      entityId: content.key,
+      before,
+      after: content,
+    });
 
     // Emit real-time update
     const io = req.app.get("io");
@@ -1438,50 +1928,69 @@ app.put("/api/content/:key", async (req, res) => {
 });
 
 // Upload image content
-app.post("/api/content/upload", upload.single("image"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ error: "No file uploaded" });
-    }
+app.post(
+  "/api/content/upload",
+  requireAdmin,
+  upload.single("image"),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ error: "No file uploaded" });
+      }
 
-    const { key, section, description } = req.body;
-    const imageUrl = `/uploads/${req.file.filename}`;
+      const { key, section, description } = req.body;
+      const imageUrl = `/uploads/${req.file.filename}`;
 
-    const content = await Content.findOneAndUpdate(
-      { key },
-      {
-        value: imageUrl,
-        type: "image",
-        section: section || "general",
-        description,
-      },
-      { new: true, upsert: true },
-    );
+      const before = await Content.findOne({ key }).lean();
+      const content = await Content.findOneAndUpdate(
+        { key },
+        {
+          value: imageUrl,
+          type: "image",
+          section: section || "general",
+          description,
+        },
+        { new: true, upsert: true },
+      );
+      await audit.record(req, {
+        action: before ? "content.update" : "content.create",
+        entityType: "content",
+        entityId: content.key,
+        before,
+        after: content,
+      });
 
-    // Emit real-time update
-    const io = req.app.get("io");
-    io.emit("content-updated", {
-      key: content.key,
-      value: content.value,
-      type: content.type,
-      section: content.section,
-      updatedAt: content.updatedAt,
-    });
+      // Emit real-time update
+      const io = req.app.get("io");
+      io.emit("content-updated", {
+        key: content.key,
+        value: content.value,
+        type: content.type,
+        section: content.section,
+        updatedAt: content.updatedAt,
+      });
 
-    res.json(content);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+      res.json(content);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
 // Delete content
-app.delete("/api/content/:key", async (req, res) => {
+app.delete("/api/content/:key", requireAdmin, async (req, res) => {
   try {
     const content = await Content.findOneAndDelete({ key: req.params.key });
 
     if (!content) {
       return res.status(404).json({ error: "Content not found" });
     }
+    await audit.record(req, {
+      action: "content.delete",
+      entityType: "content",
+      entityId: content.key,
+      before: content,
+    });
 
     // Emit real-time update
     const io = req.app.get("io");
@@ -1495,8 +2004,13 @@ app.delete("/api/content/:key", async (req, res) => {
 
 // ========== MARKETPLACE ENDPOINTS ==========
 
+// Requests are visible to admins and to the user who submitted them
+function canViewRequest(user, request) {
+  return user.role === "admin" || request.userId === user.id;
+}
+
 // GET all marketplace requests (admin only)
-app.get("/api/marketplace/requests", async (req, res) => {
+app.get("/api/marketplace/requests", requireAdmin, async (req, res) => {
   try {
     if (!mongoConnected) {
       const sorted = [...localDB.marketplaceRequests].sort(
@@ -1513,167 +2027,200 @@ app.get("/api/marketplace/requests", async (req, res) => {
 });
 
 // GET single marketplace request
-app.get("/api/marketplace/requests/:id", async (req, res) => {
-  try {
-    if (!mongoConnected) {
-      const request = localDB.marketplaceRequests.find(
-        (item) => item.id === req.params.id,
-      );
-      if (!request) {
+app.get(
+  "/api/marketplace/requests/:id",
+  apiKeys.allow("marketplace:read", requireAuth),
+  async (req, res) => {
+    try {
+      if (!mongoConnected) {
+        const request = localDB.marketplaceRequests.find(
+          (item) => item.id === req.params.id,
+        );
+        if (!request || !canViewRequest(req.user, request)) {
+          return res.status(404).json({ error: "Request not found" });
+        }
+        return res.json(request);
+      }
+
+      const request = await MarketplaceRequest.findOne({ id: req.params.id });
+      if (!request || !canViewRequest(req.user, request)) {
         return res.status(404).json({ error: "Request not found" });
       }
       return res.json(request);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
+  },
+);
 
-    const request = await MarketplaceRequest.findOne({ id: req.params.id });
-    if (!request) {
-      return res.status(404).json({ error: "Request not found" });
-    }
-    return res.json(request);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+// POST new marketplace request (users, or partners with an API key)
+app.post(
+  "/api/marketplace/requests",
+  apiKeys.allow("marketplace:write", [
+    requireAuth,
+    verification.requireVerifiedEmail("marketplace-request"),
+  ]),
+  async (req, res) => {
+    try {
+      const { type, data } = req.body;
+
+      if (!type || !data) {
+        return res.status(400).json({ error: "Type and data are required" });
+      }
 
-// POST new marketplace request
-app.post("/api/marketplace/requests", async (req, res) => {
-  try {
-    const { type, data } = req.body;
+      if (!mongoConnected) {
+        const request = {
+          id: uuidv4(),
+          type,
+          data,
+          status: "pending",
+          userId: req.user.id,
+          createdAt: Date.now(),
+          updatedAt: Date.now(),
+        };
+        localDB.marketplaceRequests.unshift(request);
 
-    if (!type || !data) {
-      return res.status(400).json({ error: "Type and data are required" });
-    }
+        const io = req.app.get("io");
+        io.emit("marketplace-new-request", request);
 
-    if (!mongoConnected) {
-      const request = {
-        id: uuidv4(),
+        return res.status(201).json(request);
+      }
+
+      const request = new MarketplaceRequest({
         type,
         data,
         status: "pending",
-        userId: req.body.userId || "",
-        createdAt: Date.now(),
-        updatedAt: Date.now(),
-      };
-      localDB.marketplaceRequests.unshift(request);
+        userId: req.user.id,
+      });
+
+      await request.save();
 
+      // Emit real-time update to admin
       const io = req.app.get("io");
       io.emit("marketplace-new-request", request);
 
       return res.status(201).json(request);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-
-    const request = new MarketplaceRequest({
-      type,
-      data,
-      status: "pending",
-      userId: req.body.userId || "",
-    });
-
-    await request.save();
-
-    // Emit real-time update to admin
-    const io = req.app.get("io");
-    io.emit("marketplace-new-request", request);
-
-    return res.status(201).json(request);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  },
+);
 
 // PUT approve marketplace request (admin only)
-app.put("/api/marketplace/requests/:id/approve", async (req, res) => {
-  try {
-    if (!mongoConnected) {
-      const requestIndex = localDB.marketplaceRequests.findIndex(
-        (item) => item.id === req.params.id,
-      );
-      if (requestIndex === -1) {
-        return res.status(404).json({ error: "Request not found" });
-      }
-
-      const approvedAt = new Date();
-      const approvedBy = req.body.approvedBy || "admin";
-
-      localDB.marketplaceRequests[requestIndex] = {
-        ...localDB.marketplaceRequests[requestIndex],
-        status: "approved",
-        approvedAt,
-        approvedBy,
-        updatedAt: Date.now(),
-      };
+app.put(
+  "/api/marketplace/requests/:id/approve",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      if (!mongoConnected) {
+        const requestIndex = localDB.marketplaceRequests.findIndex(
+          (item) => item.id === req.params.id,
+        );
+        if (requestIndex === -1) {
+          return res.status(404).json({ error: "Request not found" });
+        }
 
-      const existingItem = localDB.marketplaceItems.find(
-        (item) => item.requestId === req.params.id,
-      );
+        const approvedAt = new Date();
+        const approvedBy = req.user.id;
+        const before = localDB.marketplaceRequests[requestIndex];
 
-      if (!existingItem) {
-        const item = {
-          id: uuidv4(),
-          requestId: req.params.id,
-          type: localDB.marketplaceRequests[requestIndex].type,
-          status: "active",
-          data: localDB.marketplaceRequests[requestIndex].data,
+        localDB.marketplaceRequests[requestIndex] = {
+          ...localDB.marketplaceRequests[requestIndex],
+          status: "approved",
           approvedAt,
           approvedBy,
-          createdAt: Date.now(),
           updatedAt: Date.now(),
         };
-        localDB.marketplaceItems.unshift(item);
-      }
 
-      const io = req.app.get("io");
-      io.emit(
-        "marketplace-request-approved",
-        localDB.marketplaceRequests[requestIndex],
-      );
-      io.emit("marketplace-item-created", { requestId: req.params.id });
+        const existingItem = localDB.marketplaceItems.find(
+          (item) => item.requestId === req.params.id,
+        );
 
-      return res.json(localDB.marketplaceRequests[requestIndex]);
-    }
+        if (!existingItem) {
+          const item = {
+            id: uuidv4(),
+            requestId: req.params.id,
+            type: localDB.marketplaceRequests[requestIndex].type,
+            status: "active",
+            data: localDB.marketplaceRequests[requestIndex].data,
+            approvedAt,
+            approvedBy,
+            createdAt: Date.now(),
+            updatedAt: Date.now(),
+          };
+          localDB.marketplaceItems.unshift(item);
+        }
+        await audit.record(req, {
+          action: "marketplace-request.approve",
+          entityType: "marketplace-request",
+          entityId: req.params.id,
+          before,
+          after: localDB.marketplaceRequests[requestIndex],
+        });
+
+        const io = req.app.get("io");
+        io.emit(
+          "marketplace-request-approved",
+          localDB.marketplaceRequests[requestIndex],
+        );
+        io.emit("marketplace-item-created", { requestId: req.params.id });
 
-    const request = await MarketplaceRequest.findOneAndUpdate(
-      { id: req.params.id },
-      {
-        status: "approved",
-        approvedAt: new Date(),
-        approvedBy: req.body.approvedBy || "admin",
-      },
-      { new: true },
-    );
+        return res.json(localDB.marketplaceRequests[requestIndex]);
+      }
 
-    if (!request) {
-      return res.status(404).json({ error: "Request not found" });
-    }
+      const before = await MarketplaceRequest.findOne({
+        id: req.params.id,
+      }).lean();
+      const request = await MarketplaceRequest.findOneAndUpdate(
+        { id: req.params.id },
+        {
+          status: "approved",
+          approvedAt: new Date(),
+          approvedBy: req.user.id,
+        },
+        { new: true },
+      );
 
-    const existingItem = await MarketplaceItem.findOne({
-      requestId: request.id,
-    });
-    if (!existingItem) {
-      const item = new MarketplaceItem({
+      if (!request) {
+        return res.status(404).json({ error: "Request not found" });
+      }
+
+      const existingItem = await MarketplaceItem.findOne({
         requestId: request.id,
-        type: request.type,
-        status: "active",
-        data: request.data,
-        approvedAt: request.approvedAt || new Date(),
-        approvedBy: request.approvedBy || "admin",
       });
-      await item.save();
-    }
+      if (!existingItem) {
+        const item = new MarketplaceItem({
+          requestId: request.id,
+          type: request.type,
+          status: "active",
+          data: request.data,
+          approvedAt: request.approvedAt || new Date(),
+          approvedBy: request.approvedBy,
+        });
+        await item.save();
+      }
+      await audit.record(req, {
+        action: "marketplace-request.approve",
+        entityType: "marketplace-request",
+        entityId: request.id,
+        before,
+        after: request,
+      });
 
-    // Emit real-time update
-    const io = req.app.get("io");
-    io.emit("marketplace-request-approved", request);
-    io.emit("marketplace-item-created", { requestId: request.id });
+      // Emit real-time update
+      const io = req.app.get("io");
+      io.emit("marketplace-request-approved", request);
+      io.emit("marketplace-item-created", { requestId: request.id });
 
-    return res.json(request);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+      return res.json(request);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  },
+);
 
 // DELETE marketplace request
-app.delete("/api/marketplace/requests/:id", async (req, res) => {
+app.delete("/api/marketplace/requests/:id", requireAdmin, async (req, res) => {
   try {
     if (!mongoConnected) {
       const requestIndex = localDB.marketplaceRequests.findIndex(
@@ -1683,7 +2230,13 @@ app.delete("/api/marketplace/requests/:id", async (req, res) => {
         return res.status(404).json({ error: "Request not found" });
       }
 
-      localDB.marketplaceRequests.splice(requestIndex, 1);
+      const [removed] = localDB.marketplaceRequests.splice(requestIndex, 1);
+      await audit.record(req, {
+        action: "marketplace-request.delete",
+        entityType: "marketplace-request",
+        entityId: req.params.id,
+        before: removed,
+      });
 
       const io = req.app.get("io");
       io.emit("marketplace-request-deleted", { id: req.params.id });
@@ -1698,6 +2251,12 @@ app.delete("/api/marketplace/requests/:id", async (req, res) => {
     if (!request) {
       return res.status(404).json({ error: "Request not found" });
     }
+    await audit.record(req, {
+      action: "marketplace-request.delete",
+      entityType: "marketplace-request",
+      entityId: req.params.id,
+      before: request,
+    });
 
     // Emit real-time update
     const io = req.app.get("io");
@@ -1731,56 +2290,79 @@ app.get("/api/marketplace/items", async (req, res) => {
 });
 
 // PUT complete marketplace item (removes from user dashboard)
-app.put("/api/marketplace/items/:id/complete", async (req, res) => {
-  try {
-    if (!mongoConnected) {
-      const itemIndex = localDB.marketplaceItems.findIndex(
-        (item) => item.id === req.params.id,
+app.put(
+  "/api/marketplace/items/:id/complete",
+  requireAdmin,
+  async (req, res) => {
+    try {
+      if (!mongoConnected) {
+        const itemIndex = localDB.marketplaceItems.findIndex(
+          (item) => item.id === req.params.id,
+        );
+        if (itemIndex === -1) {
+          return res.status(404).json({ error: "Item not found" });
+        }
+
+        const before = localDB.marketplaceItems[itemIndex];
+        localDB.marketplaceItems[itemIndex] = {
+          ...before,
+          status: "completed",
+          completedAt: new Date(),
+          completedBy: req.user.id,
+          updatedAt: Date.now(),
+        };
+        await audit.record(req, {
+          action: "marketplace-item.complete",
+          entityType: "marketplace-item",
+          entityId: req.params.id,
+          before,
+          after: localDB.marketplaceItems[itemIndex],
+        });
+
+        const io = req.app.get("io");
+        io.emit("marketplace-item-completed", { id: req.params.id });
+
+        return res.json(localDB.marketplaceItems[itemIndex]);
+      }
+
+      const before = await MarketplaceItem.findOne({
+        id: req.params.id,
+      }).lean();
+      const item = await MarketplaceItem.findOneAndUpdate(
+        { id: req.params.id },
+        {
+          status: "completed",
+          completedAt: new Date(),
+          completedBy: req.user.id,
+        },
+        { new: true },
       );
-      if (itemIndex === -1) {
+
+      if (!item) {
         return res.status(404).json({ error: "Item not found" });
       }
-
-      localDB.marketplaceItems[itemIndex] = {
-        ...localDB.marketplaceItems[itemIndex],
-        status: "completed",
-        completedAt: new Date(),
-        completedBy: req.body.completedBy || "admin",
-        updatedAt: Date.now(),
-      };
+      await audit.record(req, {
+        action: "marketplace-item.complete",
+        entityType: "marketplace-item",
+        entityId: item.id,
+        before,
+        after: item,
+      });
 
       const io = req.app.get("io");
       io.emit("marketplace-item-completed", { id: req.params.id });
 
-      return res.json(localDB.marketplaceItems[itemIndex]);
+      return res.json(item);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
     }
-
-    const item = await MarketplaceItem.findOneAndUpdate(
-      { id: req.params.id },
-      {
-        status: "completed",
-        completedAt: new Date(),
-        completedBy: req.body.completedBy || "admin",
-      },
-      { new: true },
-    );
-
-    if (!item) {
-      return res.status(404).json({ error: "Item not found" });
-    }
-
-    const io = req.app.get("io");
-    io.emit("marketplace-item-completed", { id: req.params.id });
-
-    return res.json(item);
-  } catch (error) {
-    res.status(500).json({ error: error.message });
-  }
-});
+  },
+);
 
 async function startServer() {
+  logEncryptionStatus();
   await connectMongo();
-  await initLocalAdminUser();
+  loadStoredAdmins();
   await seedMongo();
 
   // Only start server if not in serverless environment (Vercel)
@@ -1790,19 +2372,57 @@ async function startServer() {
       console.log(`Socket.IO enabled`);
       if (!mongoConnected) {
         console.log("\n⚠️  DEVELOPMENT MODE: Using local in-memory database");
-        console.log("📧 Admin Login: admin@nirvaha.com");
-        console.log("🔐 Password: N1rv@h@Adm!n#2025@Secure\n");
       }
+      adminSetup.logStatus().catch((error) => console.error(error));
     });
+
+    // Finish account deletions whose grace period has ended
+    setInterval(
+      () =>
+        accountDeletion
+          .processDue()
+          .catch((error) =>
+            console.error("Account deletion job failed:", error),
+          ),
+      60 * 60 * 1000,
+    ).unref();
+
+    // Publish and archive scheduled meditations and sounds
+    setInterval(
+      () =>
+        editorial
+          .applySchedule()
+          .catch((error) =>
+            console.error("Editorial schedule job failed:", error),
+          ),
+      60 * 1000,
+    ).unref();
+
+    // Rebuild everyone's recommendations nightly at
+    // RECOMMENDATIONS_HOUR_UTC, as the Vercel cron does
+    const precomputeNightly = () =>
+      setTimeout(
+        () =>
+          recommendations
+            .precompute()
+            .catch((error) =>
+              console.error("Recommendations job failed:", error),
+            )
+            .finally(precomputeNightly),
+        msUntilPrecompute(),
+      ).unref();
+    precomputeNightly();
   }
 }
 
 // Initialize for serverless or traditional server
 if (process.env.VERCEL === "1") {
   // For Vercel serverless, initialize immediately
+  logEncryptionStatus();
   connectMongo()
-    .then(() => initLocalAdminUser())
+    .then(() => loadStoredAdmins())
     .then(() => seedMongo())
+    .then(() => adminSetup.logStatus())
     .catch((err) => console.error("Initialization error:", err));
 } else {
   // For traditional server, use startServer
@@ -0,0 +1,56 @@
+// Audio metadata read from uploaded files
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { parseAudio } = require("../lib/audioMetadata");
+
+// PCM WAV with a RIFF INFO artist tag
+function wav({ seconds, sampleRate = 8000, artist }) {
+  const data = Buffer.alloc(seconds * sampleRate * 2);
+  const fmt = Buffer.alloc(24);
+  fmt.write("fmt ", 0);
+  fmt.writeUInt32LE(16, 4);
+  fmt.writeUInt16LE(1, 8);
+  fmt.writeUInt16LE(1, 10);
+  fmt.writeUInt32LE(sampleRate, 12);
+  fmt.writeUInt32LE(sampleRate * 2, 16);
+  fmt.writeUInt16LE(2, 20);
+  fmt.writeUInt16LE(16, 22);
+
+  const value = Buffer.from(`${artist}\0`);
+  const info = Buffer.alloc(12 + value.length + (value.length % 2));
+  info.write("LIST", 0);
+  info.writeUInt32LE(info.length - 8, 4);
+  info.write("INFO", 8);
+  const tag = Buffer.alloc(8);
+  tag.write("IART", 0);
+  tag.writeUInt32LE(value.length, 4);
+  const list = Buffer.concat([info.subarray(0, 12), tag, value]);
+  list.writeUInt32LE(list.length - 8 + (value.length % 2), 4);
+  const padded = Buffer.concat([list, Buffer.alloc(value.length % 2)]);
+
+  const header = Buffer.alloc(8);
+  header.write("data", 0);
+  header.writeUInt32LE(data.length, 4);
+  const body = Buffer.concat([Buffer.from("WAVE"), fmt, padded, header, data]);
+  const riff = Buffer.alloc(8);
+  riff.write("RIFF", 0);
+  riff.writeUInt32LE(body.length, 4);
+  return Buffer.concat([riff, body]);
+}
+
+describe("audio metadata", () => {
+  it("reads duration, format and tags from a WAV file", () => {
+    const audio = parseAudio(wav({ seconds: 3, artist: "Asha" }));
+    assert.equal(audio.format, "wav");
+    assert.equal(audio.durationSeconds, 3);
+    assert.equal(audio.sampleRate, 8000);
+    assert.equal(audio.channels, 1);
+    assert.equal(audio.bitrate, 128000);
+    assert.equal(audio.artist, "Asha");
+  });
+
+  it("returns null for content that is not audio", () => {
+    assert.equal(parseAudio(Buffer.from("not an audio file at all")), null);
+    assert.equal(parseAudio(Buffer.alloc(0)), null);
+  });
+});
@@ -0,0 +1,71 @@
+// Catalogue listings in the in-memory mode
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { createCatalog } = require("../lib/catalog");
+
+function catalogOf(count) {
+  const start = Date.UTC(2026, 0, 1);
+  const meditations = Array.from({ length: count }, (_, index) => ({
+    id: `m${String(index).padStart(3, "0")}`,
+    title: `Meditation ${index}`,
+    duration: (index % 30) + 1,
+    status: index % 10 === 0 ? "Draft" : "Published",
+    createdAt: new Date(start + index * 60 * 1000),
+  }));
+  return createCatalog({
+    localDB: { meditations },
+    isMongo: () => false,
+    models: {},
+  });
+}
+
+const published = {
+  filter: { status: "Published" },
+  matches: (item) => item.status === "Published",
+};
+
+describe("catalogue listing", () => {
+  it("pages a request without parameters", async () => {
+    const result = await catalogOf(250).list("meditations", {}, published);
+    assert.equal(result.limit, 20);
+    assert.equal(result.items.length, 20);
+    assert.equal(result.total, 225);
+    assert.ok(result.nextCursor);
+    assert.equal(result.items[0].id, "m249");
+  });
+
+  it("caps the page size", async () => {
+    const result = await catalogOf(250).list(
+      "meditations",
+      { limit: "1000" },
+      published,
+    );
+    assert.equal(result.items.length, 100);
+  });
+
+  it("walks every item once through the cursors", async () => {
+    const catalog = catalogOf(250);
+    const seen = [];
+    let cursor;
+    do {
+      const query = { sort: "duration", limit: "30" };
+      if (cursor) query.cursor = cursor;
+      const page = await catalog.list("meditations", query, published);
+      seen.push(...page.items.map((item) => item.id));
+      cursor = page.nextCursor;
+    } while (cursor);
+    assert.equal(seen.length, 225);
+    assert.equal(new Set(seen).size, 225);
+  });
+
+  it("rejects a cursor issued for another sort", async () => {
+    const catalog = catalogOf(50);
+    const { nextCursor } = await catalog.list("meditations", {}, published);
+    const result = await catalog.list(
+      "meditations",
+      { sort: "title", cursor: nextCursor },
+      published,
+    );
+    assert.match(result.error, /cursor/);
+  });
+});
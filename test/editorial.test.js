@@ -0,0 +1,168 @@
+// The editorial workflow, in the in-memory mode
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, beforeEach, describe, it } = require("node:test");
+const express = require("express");
+const {
+  createEditorial,
+  currentStatus,
+  normalizeStatus,
+} = require("../lib/editorial");
+const { normalizeCollection } = require("../scripts/normalize_statuses");
+
+const HOUR_MS = 60 * 60 * 1000;
+const silent = { info() {}, warn() {}, error() {} };
+
+describe("editorial statuses", () => {
+  it("maps free-form statuses onto the workflow", () => {
+    assert.equal(normalizeStatus("published"), "Published");
+    assert.equal(normalizeStatus("IN REVIEW"), "In Review");
+    assert.equal(normalizeStatus("Archived"), "Archived");
+    assert.equal(normalizeStatus("active"), "Draft");
+    assert.equal(normalizeStatus(""), "Draft");
+    assert.equal(normalizeStatus(undefined), "Draft");
+  });
+
+  it("counts unknown stored statuses as Draft", () => {
+    assert.equal(currentStatus({ status: "published" }), "Draft");
+    assert.equal(currentStatus({ status: "Published" }), "Published");
+  });
+});
+
+describe("editorial workflow", () => {
+  let server;
+  let base;
+  let localDB;
+  let editorial;
+
+  before(async () => {
+    localDB = {};
+    const auth = {
+      requireAdmin(req, res, next) {
+        req.user = { id: req.get("x-admin"), role: "admin" };
+        next();
+      },
+    };
+    editorial = createEditorial({
+      auth,
+      audit: { record: async () => {} },
+      models: { meditations: {} },
+      localDB,
+      isMongo: () => false,
+      logger: silent,
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(editorial.router);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    localDB.meditations = [{ id: "m1", title: "Breath", status: "Draft" }];
+  });
+
+  async function move(adminId, status, extra = {}) {
+    const response = await fetch(`${base}/api/meditations/m1/status`, {
+      method: "PATCH",
+      headers: { "content-type": "application/json", "x-admin": adminId },
+      body: JSON.stringify({ status, ...extra }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("rejects publishing a draft without review", async () => {
+    const result = await move("admin-1", "Published");
+    assert.equal(result.status, 409);
+    assert.equal(result.body.error, "Cannot move from Draft to Published");
+    assert.equal(localDB.meditations[0].status, "Draft");
+  });
+
+  it("needs another admin to sign off on a submission", async () => {
+    assert.equal((await move("admin-1", "In Review")).status, 200);
+
+    const own = await move("admin-1", "Published");
+    assert.equal(own.status, 403);
+    assert.equal(localDB.meditations[0].status, "In Review");
+
+    const other = await move("admin-2", "Published");
+    assert.equal(other.status, 200);
+    assert.equal(other.body.status, "Published");
+    assert.equal(other.body.submittedBy, "admin-1");
+    assert.equal(other.body.reviewedBy, "admin-2");
+  });
+
+  it("publishes scheduled items once their time has passed", async () => {
+    const now = new Date();
+    localDB.meditations = [
+      {
+        id: "due",
+        status: "Scheduled",
+        publishAt: new Date(now.getTime() - HOUR_MS),
+      },
+      {
+        id: "later",
+        status: "Scheduled",
+        publishAt: new Date(now.getTime() + HOUR_MS),
+      },
+    ];
+
+    const counts = await editorial.applySchedule(now);
+    assert.deepEqual(counts, { published: 1, archived: 0 });
+    assert.deepEqual(
+      localDB.meditations.map((item) => item.status),
+      ["Published", "Scheduled"],
+    );
+  });
+});
+
+describe("status migration", () => {
+  // Just enough of a raw MongoDB collection for normalizeCollection()
+  function fakeCollection(items) {
+    return {
+      find: (query) =>
+        items.filter((item) => !query.status.$nin.includes(item.status)),
+      updateOne: async ({ _id }, { $set }) => {
+        Object.assign(
+          items.find((item) => item._id === _id),
+          $set,
+        );
+      },
+    };
+  }
+
+  const legacy = () => [
+    { _id: 1, status: "published" },
+    { _id: 2, status: "active" },
+    { _id: 3 },
+    { _id: 4, status: "In Review" },
+  ];
+
+  it("maps legacy statuses and leaves workflow ones alone", async () => {
+    const items = legacy();
+    const stats = await normalizeCollection(fakeCollection(items));
+    assert.equal(stats.updated, 3);
+    assert.deepEqual(stats.changes, {
+      '"published" -> Published': 1,
+      '"active" -> Draft': 1,
+      "null -> Draft": 1,
+    });
+    assert.deepEqual(
+      items.map((item) => item.status),
+      ["Published", "Draft", "Draft", "In Review"],
+    );
+  });
+
+  it("only reports changes on a dry run", async () => {
+    const items = legacy();
+    const stats = await normalizeCollection(fakeCollection(items), {
+      dryRun: true,
+    });
+    assert.equal(stats.updated, 3);
+    assert.deepEqual(items, legacy());
+  });
+});
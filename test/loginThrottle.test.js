@@ -0,0 +1,68 @@
+// Failed-login counting in the in-memory mode
+const assert = require("node:assert/strict");
+const { beforeEach, describe, it } = require("node:test");
+const { createLoginThrottle } = require("../lib/loginThrottle");
+
+const attempt = { email: "Member@Example.com", ip: "203.0.113.7" };
+
+describe("login throttle", () => {
+  let localDB;
+  let throttle;
+
+  beforeEach(() => {
+    localDB = {};
+    throttle = createLoginThrottle({
+      localDB,
+      isMongo: () => false,
+      logger: { warn() {}, error() {} },
+    });
+  });
+
+  function accountRecord() {
+    return localDB.loginAttempts.find(
+      (r) => r.key === "account:member@example.com",
+    );
+  }
+
+  it("counts every failure of a parallel burst", async () => {
+    await Promise.all(
+      Array.from({ length: 4 }, () => throttle.recordFailure(attempt)),
+    );
+    assert.equal(accountRecord().failures, 4);
+    assert.equal(accountRecord().lockedUntil, null);
+  });
+
+  it("locks the account once the limit is reached, longer each time", async () => {
+    await Promise.all(
+      Array.from({ length: 5 }, () => throttle.recordFailure(attempt)),
+    );
+    const first = accountRecord();
+    assert.equal(first.lockCount, 1);
+    assert.equal(first.failures, 0);
+    const retryAfter = await throttle.check(attempt);
+    assert.ok(retryAfter > 14 * 60 && retryAfter <= 15 * 60);
+
+    for (let i = 0; i < 5; i += 1) await throttle.recordFailure(attempt);
+    assert.equal(accountRecord().lockCount, 2);
+    assert.ok((await throttle.check(attempt)) > 29 * 60);
+  });
+
+  it("starts counting again after the window", async () => {
+    await throttle.recordFailure(attempt);
+    await throttle.recordFailure(attempt);
+    accountRecord().lastFailureAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    await throttle.recordFailure(attempt);
+    assert.equal(accountRecord().failures, 1);
+  });
+
+  it("clears the account's failures on success but not the address's", async () => {
+    await throttle.recordFailure(attempt);
+    await throttle.recordSuccess(attempt);
+    assert.equal(accountRecord(), undefined);
+    assert.equal(
+      localDB.loginAttempts.find((r) => r.key === "ip:203.0.113.7").failures,
+      1,
+    );
+  });
+});
@@ -0,0 +1,230 @@
+// OIDC login against scripts/mock_oidc_issuer.js, in the in-memory mode
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const http = require("node:http");
+const { after, before, beforeEach, describe, it } = require("node:test");
+const express = require("express");
+const { createMockIssuer } = require("../scripts/mock_oidc_issuer");
+const { createOidcLogin, loadProviders } = require("../lib/oidc");
+const { createOneTimeTokenStore } = require("../lib/tokens");
+const { createUserStore } = require("../lib/users");
+
+const FRONTEND_CALLBACK = "http://frontend.test/auth/oidc/callback";
+const silent = { log() {}, info() {}, warn() {}, error() {} };
+
+function listen(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer(handler);
+    server.listen(0, "127.0.0.1", () => {
+      resolve({ server, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+// An issuer server whose app is attached once its URL is known
+async function startIssuer(options) {
+  let app;
+  const { server, url } = await listen((req, res) => app(req, res));
+  const issuer = createMockIssuer({ issuer: url, logger: silent, ...options });
+  app = issuer.app;
+  return { ...issuer, server, url };
+}
+
+describe("OIDC login", () => {
+  const servers = [];
+  let issuer;
+  let backend;
+  let localDB;
+
+  before(async () => {
+    process.env.OIDC_FRONTEND_CALLBACK_URL = FRONTEND_CALLBACK;
+    issuer = await startIssuer({});
+    const unverified = await startIssuer({ emailVerified: false });
+    servers.push(issuer.server, unverified.server);
+
+    const providers = loadProviders({
+      OIDC_PROVIDERS: "mock,unverified",
+      OIDC_MOCK_ISSUER: issuer.url,
+      OIDC_MOCK_CLIENT_ID: "nirvaha-local",
+      OIDC_MOCK_CLIENT_SECRET: "local-secret",
+      OIDC_UNVERIFIED_ISSUER: unverified.url,
+      OIDC_UNVERIFIED_CLIENT_ID: "nirvaha-local",
+      OIDC_UNVERIFIED_CLIENT_SECRET: "local-secret",
+    });
+
+    localDB = { users: [] };
+    const db = { localDB, isMongo: () => false };
+    const users = createUserStore(db);
+    const twoFactor = {
+      challengeFor: () => null,
+      loginResponse: async (user) => ({
+        message: "Login successful",
+        user: { id: user.id, email: user.email },
+      }),
+    };
+    const oidc = createOidcLogin({
+      ...db,
+      users,
+      tokens: createOneTimeTokenStore(db),
+      twoFactor,
+      providers,
+      logger: silent,
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(oidc.router);
+    backend = await listen(app);
+    servers.push(backend.server);
+  });
+
+  after(() => {
+    for (const server of servers) server.close();
+    delete process.env.OIDC_FRONTEND_CALLBACK_URL;
+  });
+
+  beforeEach(() => {
+    localDB.users = [];
+    issuer.setSigningKey(null);
+  });
+
+  // Runs the browser side up to the provider's redirect to our callback.
+  // `authorize(url)` may change the authorization request first.
+  async function authorize(provider, email, { changeRequest } = {}) {
+    const start = await fetch(
+      `${backend.url}/api/auth/oidc/${provider}/start?returnTo=/library`,
+      { redirect: "manual" },
+    );
+    assert.equal(start.status, 302);
+    const cookie = start.headers.get("set-cookie").split(";")[0];
+    const request = new URL(start.headers.get("location"));
+    request.searchParams.set("login_hint", email);
+    if (changeRequest) changeRequest(request);
+
+    const approved = await fetch(request, { redirect: "manual" });
+    assert.equal(approved.status, 302);
+    return { cookie, callback: approved.headers.get("location") };
+  }
+
+  // Query of the redirect the callback sends to the frontend
+  async function callback(url, cookie) {
+    const response = await fetch(url, {
+      redirect: "manual",
+      headers: cookie ? { cookie } : {},
+    });
+    assert.equal(response.status, 302);
+    const target = new URL(response.headers.get("location"));
+    assert.equal(`${target.origin}${target.pathname}`, FRONTEND_CALLBACK);
+    return target.searchParams;
+  }
+
+  async function login(provider, email, options) {
+    const { cookie, callback: url } = await authorize(provider, email, options);
+    return callback(url, cookie);
+  }
+
+  async function exchange(code) {
+    const response = await fetch(`${backend.url}/api/auth/oidc/exchange`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ code }),
+    });
+    return { status: response.status, body: await response.json() };
+  }
+
+  it("creates an account and trades the login code once", async () => {
+    const result = await login("mock", "new.user@example.com");
+    assert.equal(result.get("error"), null);
+    assert.equal(result.get("returnTo"), "/library");
+
+    const first = await exchange(result.get("code"));
+    assert.equal(first.status, 200);
+    assert.equal(first.body.user.email, "new.user@example.com");
+    assert.equal(localDB.users.length, 1);
+    assert.equal(localDB.users[0].emailVerified, true);
+    assert.equal(localDB.users[0].identities[0].provider, "mock");
+
+    const second = await exchange(result.get("code"));
+    assert.equal(second.status, 400);
+  });
+
+  it("rejects a callback without the browser binding cookie", async () => {
+    const { callback: url } = await authorize("mock", "a@example.com");
+    const result = await callback(url, null);
+    assert.equal(result.get("error"), "invalid_state");
+    assert.equal(localDB.users.length, 0);
+  });
+
+  it("rejects an unknown or reused state", async () => {
+    const { cookie, callback: url } = await authorize("mock", "a@example.com");
+    const forged = new URL(url);
+    forged.searchParams.set("state", "not-the-issued-state");
+    assert.equal(
+      (await callback(forged, cookie)).get("error"),
+      "invalid_state",
+    );
+
+    // The forged attempt did not use up the real state
+    assert.ok((await callback(url, cookie)).get("code"));
+    assert.equal((await callback(url, cookie)).get("error"), "invalid_state");
+  });
+
+  it("rejects an ID token whose nonce does not match", async () => {
+    const result = await login("mock", "a@example.com", {
+      changeRequest: (request) => request.searchParams.set("nonce", "other"),
+    });
+    assert.equal(result.get("error"), "login_failed");
+    assert.equal(localDB.users.length, 0);
+  });
+
+  it("rejects an ID token with a bad signature", async () => {
+    const { privateKey } = crypto.generateKeyPairSync("rsa", {
+      modulusLength: 2048,
+    });
+    issuer.setSigningKey(privateKey);
+    const result = await login("mock", "a@example.com");
+    assert.equal(result.get("error"), "login_failed");
+    assert.equal(localDB.users.length, 0);
+  });
+
+  it("links a verified email to the existing account", async () => {
+    localDB.users.push({
+      id: "existing-user",
+      name: "Existing",
+      email: "member@example.com",
+      role: "user",
+      status: "active",
+      emailVerified: false,
+    });
+
+    const first = await login("mock", "member@example.com");
+    const { body } = await exchange(first.get("code"));
+    assert.equal(body.user.id, "existing-user");
+    assert.equal(localDB.users.length, 1);
+    assert.equal(localDB.users[0].emailVerified, true);
+    assert.deepEqual(
+      localDB.users[0].identities.map((i) => i.provider),
+      ["mock"],
+    );
+
+    // Later logins find the account by the linked identity
+    const again = await login("mock", "member@example.com");
+    assert.equal(
+      (await exchange(again.get("code"))).body.user.id,
+      "existing-user",
+    );
+    assert.equal(localDB.users[0].identities.length, 1);
+  });
+
+  it("does not link an email the provider has not verified", async () => {
+    localDB.users.push({
+      id: "existing-user",
+      email: "member@example.com",
+      role: "user",
+      status: "active",
+    });
+    const result = await login("unverified", "member@example.com");
+    assert.equal(result.get("error"), "email_not_verified");
+    assert.equal(localDB.users[0].identities, undefined);
+  });
+});
@@ -0,0 +1,115 @@
+// Day completion of program enrollments, in the in-memory mode
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, beforeEach, describe, it } = require("node:test");
+const express = require("express");
+const { createPrograms } = require("../lib/programs");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe("program day completion", () => {
+  let server;
+  let base;
+  let localDB;
+  let completions;
+
+  before(async () => {
+    localDB = {};
+    const signIn = (req, res, next) => {
+      req.user = { id: "user-1", role: "user" };
+      next();
+    };
+    const auth = {
+      requireAuth: signIn,
+      optionalAuth: signIn,
+      requireAdmin: (req, res) => res.status(403).end(),
+    };
+    const programs = createPrograms({
+      auth,
+      audit: { record: async () => {} },
+      users: { findById: async () => null },
+      models: {},
+      localDB,
+      isMongo: () => false,
+      logger: {
+        info(message) {
+          if (message === "Program completed") completions += 1;
+        },
+        warn() {},
+        error() {},
+      },
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use(programs.router);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  beforeEach(() => {
+    completions = 0;
+    const now = new Date();
+    localDB.programs = [
+      {
+        id: "calm",
+        title: "Calm",
+        unlockRule: "calendar",
+        status: "Published",
+        days: [{ meditationId: "m1" }, { meditationId: "m2" }],
+      },
+    ];
+    localDB.programEnrollments = [
+      {
+        id: "enrollment-1",
+        programId: "calm",
+        userId: "user-1",
+        status: "active",
+        startedAt: new Date(now.getTime() - 3 * DAY_MS),
+        completedDays: [],
+        resume: { day: 1, positionSeconds: 0, updatedAt: null },
+        lastActivityAt: now,
+        completedAt: null,
+        certificateId: null,
+      },
+    ];
+  });
+
+  function complete(day) {
+    return fetch(`${base}/api/programs/calm/days/${day}/complete`, {
+      method: "POST",
+    }).then((response) => {
+      assert.equal(response.status, 200);
+      return response.json();
+    });
+  }
+
+  it("completes the program with the last day and issues one certificate", async () => {
+    await complete(1);
+    assert.equal(localDB.programEnrollments[0].status, "active");
+    const progress = await complete(2);
+    assert.deepEqual(
+      progress.days.map((day) => day.completed),
+      [true, true],
+    );
+
+    const [enrollment] = localDB.programEnrollments;
+    const { certificateId } = enrollment;
+    assert.equal(enrollment.status, "completed");
+    assert.ok(certificateId);
+
+    await complete(2);
+    assert.equal(localDB.programEnrollments[0].certificateId, certificateId);
+    assert.equal(completions, 1);
+  });
+
+  it("records a repeated day once", async () => {
+    await complete(1);
+    const progress = await complete(1);
+    assert.equal(progress.days[0].completed, true);
+    assert.equal(localDB.programEnrollments[0].completedDays.length, 1);
+  });
+});
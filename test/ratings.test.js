@@ -0,0 +1,89 @@
+// Public reviews of a meditation, in the in-memory mode
+const assert = require("node:assert/strict");
+const http = require("node:http");
+const { after, before, describe, it } = require("node:test");
+const express = require("express");
+const { createRatings } = require("../lib/ratings");
+const { createUserStore } = require("../lib/users");
+
+describe("reviews", () => {
+  let server;
+  let base;
+  let lookups;
+
+  before(async () => {
+    const now = new Date();
+    const review = (id, userId, minutesAgo) => ({
+      id,
+      kind: "meditation",
+      itemId: "m1",
+      userId,
+      stars: 5,
+      review: `Review ${id}`,
+      hidden: false,
+      createdAt: new Date(now.getTime() - minutesAgo * 60 * 1000),
+      updatedAt: new Date(now.getTime() - minutesAgo * 60 * 1000),
+    });
+    const localDB = {
+      users: [
+        { id: "u1", name: "Asha Rao" },
+        { id: "u2", name: "Lee" },
+      ],
+      meditations: [{ id: "m1", status: "Published", ratingCount: 3 }],
+      ratings: [
+        review("r1", "u1", 1),
+        review("r2", "u2", 2),
+        review("r3", "u1", 3),
+        review("r4", "gone", 4),
+      ],
+    };
+    const store = createUserStore({ localDB, isMongo: () => false });
+    // Counts the reads of user records
+    const users = {
+      ...store,
+      findById: (id) => {
+        lookups += 1;
+        return store.findById(id);
+      },
+      findByIds: (ids) => {
+        lookups += 1;
+        return store.findByIds(ids);
+      },
+    };
+    const ratings = createRatings({
+      auth: { requireAuth: () => {}, requireAdmin: () => {} },
+      audit: { record: async () => {} },
+      users,
+      models: {},
+      localDB,
+      isMongo: () => false,
+      logger: { info() {}, warn() {}, error() {} },
+    });
+
+    const app = express();
+    app.use(ratings.router);
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it("names every author with one read of the users", async () => {
+    lookups = 0;
+    const response = await fetch(`${base}/api/meditations/m1/reviews`);
+    assert.equal(response.status, 200);
+    const { reviews, total } = await response.json();
+    assert.equal(total, 4);
+    assert.deepEqual(
+      reviews.map((r) => [r.id, r.authorName]),
+      [
+        ["r1", "Asha R."],
+        ["r2", "Lee"],
+        ["r3", "Asha R."],
+        ["r4", "Anonymous"],
+      ],
+    );
+    assert.equal(lookups, 1);
+  });
+});
@@ -0,0 +1,23 @@
+// When server.js rebuilds recommendations
+const assert = require("node:assert/strict");
+const { describe, it } = require("node:test");
+const { msUntilPrecompute } = require("../lib/recommendations");
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe("nightly recommendations", () => {
+  it("runs at 04:00 UTC, not a day after the process started", () => {
+    assert.equal(msUntilPrecompute(new Date("2026-03-01T03:00:00Z")), HOUR_MS);
+    assert.equal(
+      msUntilPrecompute(new Date("2026-03-01T05:30:00Z")),
+      22.5 * HOUR_MS,
+    );
+  });
+
+  it("waits a full day after a run", () => {
+    assert.equal(
+      msUntilPrecompute(new Date("2026-03-01T04:00:00Z")),
+      24 * HOUR_MS,
+    );
+  });
+});
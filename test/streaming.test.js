@@ -0,0 +1,165 @@
+// Signed audio streaming from local storage
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, describe, it } = require("node:test");
+const express = require("express");
+const { createLocalDriver, createStorage } = require("../lib/storage");
+const { AUDIO_URL_ROUTES, createStreaming } = require("../lib/streaming");
+
+const silent = { error() {}, warn() {}, info() {} };
+
+describe("audio streaming", () => {
+  const audio = Buffer.from(Array.from({ length: 1000 }, (_, i) => i % 256));
+  let dir;
+  let server;
+  let base;
+  let streaming;
+  let saved;
+  const plays = [];
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nirvaha-stream-"));
+    fs.writeFileSync(path.join(dir, "track.mp3"), audio);
+    fs.writeFileSync(path.join(dir, "cover.png"), "png");
+
+    const storage = createStorage({
+      driver: createLocalDriver({ dir }),
+      logger: silent,
+    });
+    streaming = createStreaming({
+      secret: "test-secret",
+      storage,
+      playHooks: [(play) => plays.push(play)],
+    });
+
+    const app = express();
+    app.use(express.json());
+    app.use((req, res, next) => {
+      req.user = req.get("x-user") ? { id: req.get("x-user") } : undefined;
+      next();
+    });
+    app.use(AUDIO_URL_ROUTES, streaming.audioUrls);
+    app.use("/uploads", streaming.publicUploads);
+    app.use(streaming.router);
+    app.get("/api/meditations", (req, res) =>
+      res.json([{ audioUrl: "/uploads/track.mp3" }]),
+    );
+    app.post("/api/meditations", (req, res) => {
+      saved = req.body;
+      res.status(201).json({});
+    });
+    app.get("/api/admin/audit", (req, res) =>
+      res.json([{ after: { audioUrl: "/uploads/track.mp3" } }]),
+    );
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  async function signedUrl(userId = "user-1") {
+    const response = await fetch(`${base}/api/meditations`, {
+      headers: { "x-user": userId },
+    });
+    const [item] = await response.json();
+    return item.audioUrl;
+  }
+
+  it("signs audio URLs on catalogue routes only", async () => {
+    const url = await signedUrl();
+    assert.match(url, /^\/api\/stream\/track\.mp3\?u=user-1&exp=\d+&sig=/);
+
+    const anonymous = await fetch(`${base}/api/meditations`);
+    assert.equal((await anonymous.json())[0].audioUrl, "");
+
+    const audit = await fetch(`${base}/api/admin/audit`, {
+      headers: { "x-user": "user-1" },
+    });
+    assert.deepEqual(await audit.json(), [
+      { after: { audioUrl: "/uploads/track.mp3" } },
+    ]);
+  });
+
+  it("restores the stored path from a signed URL in request bodies", async () => {
+    const response = await fetch(`${base}/api/meditations`, {
+      method: "POST",
+      headers: { "content-type": "application/json" },
+      body: JSON.stringify({ audioUrl: await signedUrl() }),
+    });
+    assert.equal(response.status, 201);
+    assert.equal(saved.audioUrl, "/uploads/track.mp3");
+  });
+
+  it("serves ranges and conditional requests", async () => {
+    const url = `${base}${await signedUrl()}`;
+    const full = await fetch(url);
+    assert.equal(full.status, 200);
+    assert.deepEqual(Buffer.from(await full.arrayBuffer()), audio);
+    const etag = full.headers.get("etag");
+
+    const part = await fetch(url, { headers: { range: "bytes=100-199" } });
+    assert.equal(part.status, 206);
+    assert.equal(part.headers.get("content-range"), "bytes 100-199/1000");
+    assert.deepEqual(
+      Buffer.from(await part.arrayBuffer()),
+      audio.subarray(100, 200),
+    );
+
+    const beyond = await fetch(url, { headers: { range: "bytes=5000-" } });
+    assert.equal(beyond.status, 416);
+    assert.equal(beyond.headers.get("content-range"), "bytes */1000");
+
+    // fetch adds "Cache-Control: no-cache" to conditional requests unless
+    // one is given, and no-cache would skip the 304
+    const cached = await fetch(url, {
+      headers: { "if-none-match": etag, "cache-control": "max-age=0" },
+    });
+    assert.equal(cached.status, 304);
+  });
+
+  it("calls play hooks once per playback", async () => {
+    const url = `${base}${await signedUrl("listener")}`;
+    const get = async (range) =>
+      (await fetch(url, { headers: { range } })).arrayBuffer();
+    const mine = () => plays.filter((play) => play.userId === "listener");
+
+    await get("bytes=0-1");
+    await get("bytes=0-");
+    await get("bytes=500-");
+    await fetch(url, { method: "HEAD" });
+    // Hooks run after the response is sent
+    await new Promise((resolve) => setImmediate(resolve));
+
+    assert.equal(mine().length, 1);
+    assert.equal(mine()[0].filename, "track.mp3");
+    assert.equal(mine()[0].url, "/uploads/track.mp3");
+  });
+
+  it("refuses unsigned, tampered and expired URLs", async () => {
+    assert.equal((await fetch(`${base}/api/stream/track.mp3`)).status, 403);
+
+    const url = new URL(`${base}${await signedUrl()}`);
+    url.searchParams.set("u", "someone-else");
+    assert.equal((await fetch(url)).status, 403);
+
+    const { error } = streaming.verify(
+      "track.mp3",
+      { u: "user-1", exp: "1000", sig: "x" },
+      new Date(),
+    );
+    assert.equal(error, "URL has expired");
+  });
+
+  it("serves images but not audio under /uploads", async () => {
+    assert.equal((await fetch(`${base}/uploads/cover.png`)).status, 200);
+    assert.equal((await fetch(`${base}/uploads/track.mp3`)).status, 404);
+  });
+});
@@ -0,0 +1,148 @@
+// Upload records from files stored through storage.multerStorage()
+const assert = require("node:assert/strict");
+const crypto = require("node:crypto");
+const fs = require("node:fs");
+const http = require("node:http");
+const os = require("node:os");
+const path = require("node:path");
+const { after, before, beforeEach, describe, it } = require("node:test");
+const express = require("express");
+const multer = require("multer");
+const { createLocalDriver, createStorage } = require("../lib/storage");
+const { createUploadStore, isAudio } = require("../lib/uploads");
+
+const silent = { error() {}, warn() {}, info() {} };
+
+// A mono 8 kHz 16-bit WAV of `seconds` of silence
+function wav(seconds) {
+  const data = Buffer.alloc(8000 * 2 * seconds);
+  const header = Buffer.alloc(44);
+  header.write("RIFF", 0);
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write("WAVE", 8);
+  header.write("fmt ", 12);
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(1, 22);
+  header.writeUInt32LE(8000, 24);
+  header.writeUInt32LE(16000, 28);
+  header.writeUInt16LE(2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write("data", 36);
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+function sha256(data) {
+  return crypto.createHash("sha256").update(data).digest("hex");
+}
+
+describe("upload records", () => {
+  let dir;
+  let server;
+  let base;
+  let localDB;
+  let reads;
+  let uploads;
+
+  before(async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "nirvaha-uploads-"));
+    const fileStorage = createStorage({
+      driver: createLocalDriver({ dir }),
+      logger: silent,
+    });
+    // Counts every time a stored file is fetched back
+    const counted = {
+      ...fileStorage,
+      read: (key) => {
+        reads += 1;
+        return fileStorage.read(key);
+      },
+      createReadStream: (key, options) => {
+        reads += 1;
+        return fileStorage.createReadStream(key, options);
+      },
+    };
+    localDB = {};
+    uploads = createUploadStore({
+      localDB,
+      isMongo: () => false,
+      storage: counted,
+    });
+
+    let next = 0;
+    const upload = multer({
+      storage: fileStorage.multerStorage({
+        filename: (file) =>
+          `file-${(next += 1)}${path.extname(file.originalname)}`,
+        keepBuffer: isAudio,
+      }),
+    });
+    const app = express();
+    app.post("/upload", upload.single("file"), async (req, res) => {
+      res.status(201).json(await uploads.record("user-1", req.file));
+    });
+
+    server = http.createServer(app);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => {
+    server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    reads = 0;
+  });
+
+  async function post(data, name, type) {
+    const form = new FormData();
+    form.append("file", new Blob([data], { type }), name);
+    const response = await fetch(`${base}/upload`, {
+      method: "POST",
+      body: form,
+    });
+    assert.equal(response.status, 201);
+    return response.json();
+  }
+
+  it("takes the checksum and audio metadata while storing", async () => {
+    const data = wav(2);
+    const record = await post(data, "bell.wav", "audio/wav");
+    assert.equal(record.checksum, sha256(data));
+    assert.equal(record.size, data.length);
+    assert.equal(record.audio.durationSeconds, 2);
+    assert.equal(reads, 0);
+    assert.deepEqual(fs.readFileSync(path.join(dir, record.filename)), data);
+  });
+
+  it("does not keep other files in memory", async () => {
+    const record = await post(Buffer.from("png"), "cover.png", "image/png");
+    assert.equal(record.checksum, sha256("png"));
+    assert.equal(record.audio, undefined);
+    assert.equal(reads, 0);
+  });
+
+  it("fills in old records with one read of the stored file", async () => {
+    const data = wav(1);
+    fs.writeFileSync(path.join(dir, "old.wav"), data);
+    localDB.uploads.push({
+      id: "old",
+      userId: "user-1",
+      filename: "old.wav",
+      mimetype: "audio/wav",
+      checksum: "",
+      url: "/uploads/old.wav",
+    });
+
+    const described = await uploads.describe(["/uploads/old.wav"]);
+    assert.equal(described.get("/uploads/old.wav").checksum, sha256(data));
+    assert.equal(reads, 1);
+
+    const found = await uploads.findAudio({ id: "old" });
+    assert.equal(found.audio.durationSeconds, 1);
+    assert.equal(reads, 1);
+  });
+});